@@ -1,40 +1,231 @@
 /* eslint-disable max-len */
 const functions = require("firebase-functions");
+const functionsV1 = require("firebase-functions/v1");
 const admin = require("firebase-admin");
 const {onSchedule} = require("firebase-functions/v2/scheduler");
-const {onCall} = require("firebase-functions/v2/https");
-const {defineSecret} = require("firebase-functions/params");
+const {onCall, onRequest} = require("firebase-functions/v2/https");
+const {
+  defineBoolean,
+  defineInt,
+  defineSecret,
+  defineString,
+} = require("firebase-functions/params");
 const {logger} = require("firebase-functions");
 const sgMail = require("@sendgrid/mail");
+const crypto = require("crypto");
+const {isDeepStrictEqual} = require("util");
+const {
+  MAX_BATCH_SIZE,
+  commitInChunks,
+  forEachPage,
+} = require("./utils/batchWriter");
+const {createEmailTransport} = require("./utils/emailTransport");
+const {renderEmail} = require("./utils/emailTemplates");
+const {
+  localDateKey,
+  resolveTimeZone,
+  toDate,
+} = require("./utils/dateFormat");
+const {
+  authorizeCall,
+  authorizeHttpRequest,
+  isEmulator,
+} = require("./utils/callableAuth");
+const {
+  createCheckInThumbnails,
+  deleteCheckInImage,
+} = require("./utils/checkInImages");
+const {MetricKinds, foldContributions} = require("./utils/surveyMetrics");
+const {
+  REFERRAL_ROLES,
+  monthKeyOf,
+  monthRange,
+  normalizeReferralCode,
+  previousMonthKey,
+} = require("./utils/referrals");
+const {
+  isAuthorizedWebhook,
+  parseWebhookEvent,
+  subscriptionFromEvent,
+  usersOfEvent,
+} = require("./utils/revenueCat");
+const {
+  CSV_COLUMNS,
+  buildCrossTabs,
+  buildMetricsRows,
+  buildResponseRows,
+  buildVoteRows,
+  describeRespondent,
+  parseExportQuery,
+  toCsv,
+} = require("./utils/surveyExport");
+const {
+  diffEvent,
+  diffSession,
+  mergeEventChange,
+  mirrorChanged,
+  pendingEventChanges,
+  sitterSessionMirror,
+} = require("./utils/sessionChanges");
+const {
+  checkRoutineOverdue,
+  normalizeCompletedActions,
+  routineProgressId,
+} = require("./utils/routines");
+const {
+  createNotificationDispatcher,
+  getStaleTokenEntries,
+} = require("./utils/notificationDispatcher");
+const {createAccountDeletion} = require("./utils/accountDeletion");
+const {
+  buildExportArchive,
+  collectUserData,
+  countRecords,
+} = require("./utils/dataExport");
+const {
+  buildCalendar,
+  createFeedToken,
+  eventItem,
+  isFeedSession,
+  isFeedToken,
+  parseFeedPath,
+  sessionItem,
+} = require("./utils/calendarFeed");
+const {
+  InviteCodeLimits,
+  MAX_CODE_ATTEMPTS,
+  generateInviteCode,
+  normalizeInviteCode,
+  registerAttempt,
+  registerMiss,
+  throttleKey,
+} = require("./utils/inviteCodes");
+const {
+  SubscriptionTier,
+  subscriptionTierOf,
+} = require("./utils/subscriptions");
+const {
+  HistoryRetention,
+  buildVersion,
+  sameEntry,
+  serializeVersion,
+  versionsToPrune,
+} = require("./utils/entryHistory");
 
 // Define the SendGrid API key secret
 const sendGridApiKey = defineSecret("SENDGRID_API_KEY");
+// Shared secret RevenueCat sends as the webhook's Authorization header
+const revenueCatWebhookSecret = defineSecret("REVENUECAT_WEBHOOK_SECRET");
+
+// Comma-separated hours before a session's start at which reminders go out
+const sessionReminderWindowsHours = defineString(
+    "SESSION_REMINDER_WINDOWS_HOURS",
+    {default: "24,1", description: "Hours before a session starts to send reminders"},
+);
+// Zone for dates in emails and pushes when neither recipient nor session has one
+const defaultTimeZone = defineString("DEFAULT_TIME_ZONE", {
+  default: "America/New_York",
+  description: "IANA time zone used when the recipient and session have none",
+});
+// Reject callables without a valid App Check token once the apps send one
+const enforceAppCheck = defineBoolean("ENFORCE_APP_CHECK", {
+  default: false,
+  description: "Require App Check tokens on callable functions",
+});
 admin.initializeApp();
 
-// Initialize SendGrid API key (will be set when first email function is called)
-let sendGridInitialized = false;
+// Which email transport sendEmail uses: "sendgrid", "smtp" or "capture"
+const emailTransportName = defineString("EMAIL_TRANSPORT", {
+  default: "sendgrid",
+  description: "Email transport: sendgrid, smtp or capture",
+});
+
+// SMTP transport settings
+const smtpPassword = defineSecret("SMTP_PASSWORD");
+const smtpHost = defineString("SMTP_HOST", {default: ""});
+const smtpPort = defineInt("SMTP_PORT", {default: 587});
+const smtpSecure = defineBoolean("SMTP_SECURE", {default: false});
+const smtpUser = defineString("SMTP_USER", {default: ""});
+
+// Capture transport settings; a directory takes precedence over the collection
+const emailCaptureCollection = defineString("EMAIL_CAPTURE_COLLECTION", {
+  default: "capturedEmails",
+});
+const emailCaptureDir = defineString("EMAIL_CAPTURE_DIR", {default: ""});
+
+// Secrets bound to each function that may send mail. The SMTP password is
+// only bound when functions/.env selects SMTP, so other deployments don't
+// need the secret to exist
+const emailSecrets = process.env.EMAIL_TRANSPORT === "smtp" ?
+  [sendGridApiKey, smtpPassword] :
+  [sendGridApiKey];
+
+// Public URL of calendarFeed, for when it's served from a custom domain
+const calendarFeedBaseUrl = defineString("CALENDAR_FEED_BASE_URL", {
+  default: "",
+  description: "URL calendar feed links point at (defaults to the function)",
+});
+
+// Created on first use, once the configuration can be read
+let emailTransport = null;
 
 /**
- * Initialize SendGrid with API key from secrets
+ * Reads the settings of one email transport, so nothing the other transports
+ * need (such as their secrets) is touched
+ * @param {string} name - The transport's name
+ * @return {Object} Its settings for createEmailTransport
  */
-function initializeSendGrid() {
-  if (sendGridInitialized) return;
+function emailTransportSettings(name) {
+  switch (name) {
+    case "sendgrid":
+      return {
+        client: sgMail,
+        getApiKey: () => sendGridApiKey.value(),
+      };
+    case "smtp":
+      return {
+        host: smtpHost.value(),
+        port: smtpPort.value(),
+        secure: smtpSecure.value(),
+        user: smtpUser.value(),
+        getPassword: () => smtpPassword.value(),
+      };
+    case "capture":
+      return {
+        db: admin.firestore(),
+        collection: emailCaptureCollection.value(),
+        directory: emailCaptureDir.value(),
+      };
+    default:
+      return {};
+  }
+}
 
-  try {
-    const apiKey = sendGridApiKey.value();
-
-    if (apiKey) {
-      // Trim any whitespace or line breaks from the API key
-      const cleanApiKey = apiKey.trim();
-      sgMail.setApiKey(cleanApiKey);
-      sendGridInitialized = true;
-      console.log("SendGrid initialized successfully");
-    } else {
-      console.warn("SendGrid API key not found in environment configuration");
+/**
+ * Returns the configured email transport
+ * @return {Object} The transport ({name, send})
+ */
+function getEmailTransport() {
+  if (emailTransport) return emailTransport;
+
+  const name = emailTransportName.value() || "sendgrid";
+  // Capture never delivers, so a deployment set to it would silently drop
+  // every email
+  if (name === "capture") {
+    if (!isEmulator()) {
+      logger.error("The capture email transport only runs in the emulator");
+      throw new Error("The capture email transport only runs in the emulator");
     }
-  } catch (error) {
-    console.error("Error initializing SendGrid:", error);
+    logger.warn("Using the capture email transport: no email is delivered");
   }
+
+  emailTransport = createEmailTransport({
+    transport: name,
+    [name]: emailTransportSettings(name),
+  });
+
+  logger.info(`Using ${emailTransport.name} email transport`);
+  return emailTransport;
 }
 
 const SessionStatus = {
@@ -42,23 +233,82 @@ const SessionStatus = {
   IN_PROGRESS: "inProgress",
   COMPLETED: "completed",
   EXTENDED: "extended",
+  ARCHIVED: "archived",
+};
+
+// Edges updateSessionStatuses may move a session along; anything else is refused
+const SessionStatusTransitions = {
+  [SessionStatus.UPCOMING]: [SessionStatus.IN_PROGRESS],
+  [SessionStatus.IN_PROGRESS]: [SessionStatus.EXTENDED],
+  [SessionStatus.EXTENDED]: [SessionStatus.COMPLETED],
+};
+
+// Sessions go in-progress up to 10 minutes before their start date
+const SESSION_START_LEAD_MS = 10 * 60 * 1000;
+
+// Extended sessions are completed after 2 hours
+const SESSION_EXTENDED_GRACE_MS = 2 * 60 * 60 * 1000;
+
+// Owners are warned about a pending invite this long before it expires
+const INVITE_EXPIRY_WARNING_MS = 24 * 60 * 60 * 1000;
+
+// Event edits within this long of the sitter's last event push wait and go
+// out together once it has passed, so a batch of edits sends one push
+const SESSION_EVENT_NOTIFY_COOLDOWN_MS = 10 * 60 * 1000;
+
+// How late a routine may run before its sitter is alerted, and how long after
+// that an alert is still worth sending
+const ROUTINE_OVERDUE_GRACE_MS = 15 * 60 * 1000;
+const ROUTINE_OVERDUE_WINDOW_MS = 2 * 60 * 60 * 1000;
+
+// A user can ask for one data export an hour, and its download link (and the
+// archive in Storage) lasts 3 days
+const DATA_EXPORT_COOLDOWN_MS = 60 * 60 * 1000;
+const DATA_EXPORT_LINK_MS = 3 * 24 * 60 * 60 * 1000;
+
+// Invite emails link here, with the invite's code as ?code=
+const INVITE_LINK_BASE_URL = "https://nestnoteapp.com/invite";
+
+// Mirrors InviteStatus on the iOS client (invites/{inviteId}.status)
+const InviteStatus = {
+  PENDING: "pending",
+  ACCEPTED: "accepted",
+  EXPIRED: "expired",
+  CANCELLED: "cancelled",
+  REJECTED: "rejected",
+};
+
+// Invite statuses that notify someone, with the event each one sends
+const INVITE_STATUS_EVENTS = {
+  [InviteStatus.ACCEPTED]: "invite_accepted",
+  [InviteStatus.REJECTED]: "invite_declined",
+  [InviteStatus.CANCELLED]: "invite_cancelled",
+};
+
+// Mirrors SessionInviteStatus on the iOS client (session.assignedSitter.inviteStatus)
+const SessionInviteStatus = {
+  NONE: "none",
+  INVITED: "invited",
+  ACCEPTED: "accepted",
+  DECLINED: "declined",
+  CANCELLED: "cancelled",
 };
 
 /**
- * Helper function to calculate percentages for answer distributions
- * @param {Object} distribution - The distribution of answers
- * @param {number} total - The total number of responses
- * @return {Object} The calculated percentages
+ * Authorizes a callable request, applying App Check when it is enforced
+ * @param {Object} request - The callable request
+ * @param {string} access - "user" or "admin"
+ * @return {Object} The caller's request.auth
  */
-function calculatePercentages(distribution, total) {
-  return Object.entries(distribution).reduce((acc, [key, count]) => {
-    acc[key] = (count / total) * 100;
-    return acc;
-  }, {});
+function authorize(request, access = "user") {
+  return authorizeCall(request, {access, appCheck: enforceAppCheck.value()});
 }
 
+// Addresses sendEmail may use as the sender
+const ALLOWED_SENDER_DOMAIN = "nestnoteapp.com";
+
 /**
- * Sends an email using SendGrid
+ * Sends an email through the configured transport
  * @param {string} to - Recipient email address
  * @param {string} subject - Email subject
  * @param {string} text - Plain text content
@@ -67,12 +317,7 @@ function calculatePercentages(distribution, total) {
  * @return {Promise<boolean>} Success status
  */
 async function sendEmail(to, subject, text, html = null, from = null) {
-  initializeSendGrid();
-
-  if (!sendGridInitialized) {
-    logger.error("SendGrid API key not configured");
-    throw new Error("SendGrid API key not configured");
-  }
+  const transport = getEmailTransport();
 
   const msg = {
     to: to,
@@ -86,20 +331,59 @@ async function sendEmail(to, subject, text, html = null, from = null) {
   }
 
   try {
-    await sgMail.send(msg);
-    logger.info(`Email sent successfully to ${to}`);
+    await transport.send(msg);
+    logger.info(`Email sent successfully to ${to} via ${transport.name}`);
     return true;
   } catch (error) {
     logger.error(`Failed to send email to ${to}: ${error.message}`);
-    if (error.response) {
-      logger.error(
-          `SendGrid error details: ${JSON.stringify(error.response.body)}`,
-      );
-    }
     throw error;
   }
 }
 
+/**
+ * Works out the locale and time zone to write to someone in. The recipient's
+ * own profile wins over the session's zone, which wins over DEFAULT_TIME_ZONE.
+ * @param {Object} profile - The recipient's user document data (optional)
+ * @param {Object} sessionData - The session being written about (optional)
+ * @return {Object} {locale, timeZone}
+ */
+function getRecipientSettings(profile, sessionData) {
+  const data = profile || {};
+  const personalInfo = data.personalInfo || {};
+
+  return {
+    locale: personalInfo.locale || data.locale || null,
+    timeZone: resolveTimeZone(
+        personalInfo.timeZone,
+        data.timeZone,
+        (sessionData || {}).timeZone,
+        defaultTimeZone.value(),
+    ),
+  };
+}
+
+/**
+ * Looks up the locale and time zone of whoever owns an email address, for
+ * recipients we only know by email (e.g. invited sitters)
+ * @param {string} email - The recipient's email address
+ * @param {Object} sessionData - The session being written about (optional)
+ * @return {Promise<Object>} {locale, timeZone}
+ */
+async function getRecipientSettingsForEmail(email, sessionData) {
+  let profile = null;
+  try {
+    const snapshot = await admin.firestore()
+        .collection("users")
+        .where("personalInfo.email", "==", email)
+        .limit(1)
+        .get();
+    profile = snapshot.empty ? null : snapshot.docs[0].data();
+  } catch (error) {
+    logger.warn(`Could not look up settings for ${email}: ${error.message}`);
+  }
+  return getRecipientSettings(profile, sessionData);
+}
+
 /**
  * Sends a session invite email to a sitter
  * @param {string} sitterEmail - Sitter's email address
@@ -107,53 +391,20 @@ async function sendEmail(to, subject, text, html = null, from = null) {
  * @param {Object} sessionData - Session details
  * @param {string} nestName - Name of the nest
  * @param {string} inviteLink - Link to accept the invitation
+ * @param {Object} recipient - Sitter's {locale, timeZone} (optional)
  * @return {Promise<boolean>} Success status
  */
 async function sendSessionInviteEmail(
-    sitterEmail, sitterName, sessionData, nestName, inviteLink) {
-  const subject = `NestNote - Invitation from ${nestName}`;
-  const buttonStyle = "background-color: #007AFF; color: white; " +
-    "padding: 12px 24px; text-decoration: none; border-radius: 6px; " +
-    "display: inline-block;";
-
-  const text = `Hi ${sitterName},
-
-You've been invited to sit for a session at ${nestName}!
-
-Session Details:
-- Title: ${sessionData.title}
-- Location: ${sessionData.location || "Location details in app"}
-
-To accept this invitation, please click the link below:
-${inviteLink}
-
-Thanks,
-The NestNote Team`;
-
-  const html = `
-    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
-      <h2 style="color: #333;">🏡 NestNote - Session Invitation</h2>
-      <p>Hi ${sitterName},</p>
-      <p>You've been invited to sit for a session at <strong>${nestName}</strong>!</p>
-      
-      <div style="background-color: #f9f9f9; padding: 20px; border-radius: 8px; margin: 20px 0;">
-        <h3 style="margin-top: 0; color: #555;">Session Details:</h3>
-        <ul style="list-style: none; padding: 0;">
-          <li style="margin: 10px 0;"><strong>Title:</strong> ${sessionData.title}</li>
-          <li style="margin: 10px 0;"><strong>Location:</strong> ${sessionData.location || "Location details in app"}</li>
-        </ul>
-      </div>
-      
-      <div style="text-align: center; margin: 30px 0;">
-        <a href="${inviteLink}" style="${buttonStyle}">Accept Invitation</a>
-      </div>
-      
-      <p style="color: #666; font-size: 14px;">
-        Thanks,<br>
-        The NestNote Team
-      </p>
-    </div>
-  `;
+    sitterEmail, sitterName, sessionData, nestName, inviteLink, recipient = {}) {
+  const {subject, text, html} = renderEmail("sessionInvite", {
+    sitterName,
+    nestName,
+    inviteLink,
+    title: sessionData.title,
+    location: sessionData.location,
+    startDate: toDate(sessionData.startDate),
+    endDate: toDate(sessionData.endDate),
+  }, recipient);
 
   return await sendEmail(sitterEmail, subject, text, html);
 }
@@ -164,588 +415,714 @@ The NestNote Team`;
  * @param {string} userName - User's name
  * @param {Object} sessionData - Session details
  * @param {string} userRole - Role (owner/sitter)
+ * @param {Object} recipient - User's {locale, timeZone} (optional)
  * @return {Promise<boolean>} Success status
  */
 async function sendSessionReminderEmail(
-    userEmail, userName, sessionData, userRole = "owner") {
-  const isOwner = userRole === "owner";
-  const subject = `🔔 Session Reminder: ${sessionData.title}`;
-
+    userEmail, userName, sessionData, userRole = "owner", recipient = {}) {
   // Handle both Firebase Timestamp and millisecond timestamp formats
-  const startDate = sessionData.startDate.toDate ?
-    sessionData.startDate.toDate() :
-    new Date(sessionData.startDate);
-  const endDate = sessionData.endDate.toDate ?
-    sessionData.endDate.toDate() :
-    new Date(sessionData.endDate);
-
-  const timeUntil = startDate.getTime() - Date.now();
-  const hoursUntil = Math.round(timeUntil / (1000 * 60 * 60));
-  const startTime = startDate.toLocaleTimeString();
-  const endTime = endDate.toLocaleTimeString();
-  const sessionDate = startDate.toLocaleDateString();
-  const timeText = hoursUntil <= 1 ? "soon" : `in ${hoursUntil} hours`;
-  const sessionType = isOwner ? "session" : "sitting session";
-
-  const text = `Hi ${userName},
-
-This is a reminder that your ${sessionType} is starting ${timeText}!
-
-Session Details:
-- Title: ${sessionData.title}
-- Date: ${sessionDate}
-- Time: ${startTime} - ${endTime}
-- Location: ${sessionData.location || "Location details in app"}
-
-${isOwner ? "Make sure everything is ready for your sitter!" : "Thanks for helping out!"}
-
-Best regards,
-The NestNote Team`;
-
-  const html = `
-    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
-      <h2 style="color: #333;">🔔 Session Reminder</h2>
-      <p>Hi ${userName},</p>
-      <p>This is a reminder that your ${sessionType} is starting <strong>${timeText}</strong>!</p>
-      
-      <div style="background-color: #f9f9f9; padding: 20px; border-radius: 8px; margin: 20px 0;">
-        <h3 style="margin-top: 0; color: #555;">Session Details:</h3>
-        <ul style="list-style: none; padding: 0;">
-          <li style="margin: 10px 0;"><strong>Title:</strong> ${sessionData.title}</li>
-          <li style="margin: 10px 0;"><strong>Date:</strong> ${sessionDate}</li>
-          <li style="margin: 10px 0;"><strong>Time:</strong> ${startTime} - ${endTime}</li>
-          <li style="margin: 10px 0;"><strong>Location:</strong> ${sessionData.location || "Location details in app"}</li>
-        </ul>
-      </div>
-      
-      <p style="color: #555;">
-        ${isOwner ? "Make sure everything is ready for your sitter!" : "Thanks for helping out!"}
-      </p>
-      
-      <p style="color: #666; font-size: 14px;">
-        Best regards,<br>
-        The NestNote Team
-      </p>
-    </div>
-  `;
+  const startDate = toDate(sessionData.startDate);
+  const endDate = toDate(sessionData.endDate);
+
+  const {subject, text, html} = renderEmail("sessionReminder", {
+    userName,
+    userRole,
+    startDate,
+    endDate,
+    title: sessionData.title,
+    location: sessionData.location,
+    hoursUntil: Math.round((startDate.getTime() - Date.now()) / (1000 * 60 * 60)),
+  }, recipient);
 
   return await sendEmail(userEmail, subject, text, html);
 }
 
-/**
- * Sends notifications to users about session status changes
- * @param {Object} sessionData - The session data including users and status
- * @param {string} newStatus - The new status of the session
- * @return {Promise<void>}
- */
-async function sendSessionNotifications(sessionData, newStatus) {
-  const db = admin.firestore();
-
-  try {
-    // Get all users associated with the session
-    const usersRef = db.collection("users");
-    const usersToNotify = new Map(); // Changed to Map to store user role
-
-    // Add the assigned sitter if present
-    if (sessionData.assignedSitter && sessionData.assignedSitter.userID) {
-      usersToNotify.set(sessionData.assignedSitter.userID, "sitter");
-    }
-
-    // Use ownerID directly from session
-    if (sessionData.ownerID) {
-      usersToNotify.set(sessionData.ownerID, "owner");
-    } else {
-      logger.warn(
-          `[Session ${sessionData.id}] No ownerID found in session data`,
-      );
-    }
-
-    const sessionUsers = Array.from(usersToNotify.entries());
-    logger.info(
-        `[Session ${sessionData.id}] Found ${sessionUsers.length}` +
-      ` users to notify`,
-    );
-
-    if (sessionUsers.length === 0) {
-      logger.warn(`[Session ${sessionData.id}] No users found to notify`);
-      return;
-    }
-
-    // Fetch FCM tokens for all users
-    const userTokens = await Promise.all(
-        sessionUsers.map(async ([userId, userRole]) => {
-          try {
-            const userDoc = await usersRef.doc(userId).get();
-            const userData = userDoc.data();
-            if (!userData) {
-              logger.warn(
-                  `[Session ${sessionData.id}] User data` +
-              ` not found for ${userId}`,
-              );
-              return null;
-            }
-
-            // Check if user has enabled session notifications
-            const personalInfo = userData.personalInfo;
-            const notificationPrefs = personalInfo.notificationPreferences;
-            const sessionNotifsEnabled = notificationPrefs.sessionNotifications;
-            if (!userData.personalInfo ||
-               !notificationPrefs ||
-               !sessionNotifsEnabled) {
-              logger.info(
-                  `[Session ${sessionData.id}] User ${userId} has disabled` +
-                  ` session notifications`,
-              );
-              return null;
-            }
-
-            if (!userData.fcmTokens || !Array.isArray(userData.fcmTokens)) {
-              logger.warn(
-                  `[Session ${sessionData.id}] No FCM tokens` +
-              ` array for user ${userId}`,
-              );
-              return null;
-            }
-            // Filter out old tokens
-            const validTokens = userData.fcmTokens.filter((tokenObj) => {
-              const tokenAge = Date.now() - tokenObj.uploadedDate.toMillis();
-              return tokenAge <= 1000 * 60 * 60 * 24 * 30 * 4; // 4 months
-            }).map((tokenObj) => tokenObj.token);
-            return {tokens: validTokens, userId, userRole};
-          } catch (error) {
-            logger.error(
-                `[Session ${sessionData.id}] Error` +
-            ` fetching user ${userId}: ${error.message}`,
-            );
-            return null;
-          }
-        }),
-    );
-
-    // Filter out any null/undefined results
-    const validUserTokens = userTokens.filter((result) => result !== null);
-
-    // Flatten the array of arrays and filter out any null/undefined tokens
-    const validTokens = validUserTokens.flatMap((result) =>
-      result.tokens.map((token) => ({
-        token,
-        userId: result.userId,
-        userRole: result.userRole})),
-    );
-
-    if (validTokens.length === 0) {
-      logger.warn(
-          `[Session ${sessionData.id}] No valid FCM tokens found for any users`,
-      );
-      return;
-    }
-
-    logger.info(
-        `[Session ${sessionData.id}]` +
-        ` Found ${validTokens.length}/${sessionUsers.length}` +
-        ` valid FCM tokens`,
-    );
-
-    // Create notification messages based on user role and session status
-    const createNotificationMessage = (userRole) => {
-      let notificationTitle; let notificationBody;
-
-      switch (newStatus) {
-        case SessionStatus.IN_PROGRESS:
-          notificationTitle = "🏡 Session Starting";
-          notificationBody = `Your session "${sessionData.title}" is ` +
-          `starting now`;
-          break;
-        case SessionStatus.EXTENDED:
-          notificationTitle = "🕒 Session Extended";
-          notificationBody = `Your session "${sessionData.title}" has ` +
-          `been extended`;
-          break;
-        case SessionStatus.COMPLETED:
-          notificationTitle = "✅ Session Completed";
-          notificationBody = `Your session "${sessionData.title}" has ended`;
-          break;
-        default:
-          logger.warn(`[Session ${sessionData.id}] Unknown ` +
-            `status: ${newStatus}`);
-          return null;
-      }
+// Sends every user-facing notification; event types live in
+// utils/notificationEvents.js
+const notifications = createNotificationDispatcher({
+  db: admin.firestore(),
+  getMessaging: () => admin.messaging(),
+  sendEmail,
+  renderEmail,
+  getRecipientSettings,
+});
 
-      return {
-        notification: {
-          title: notificationTitle,
-          body: notificationBody,
-        },
-        data: {
-          sessionId: sessionData.id || "",
-          newStatus: newStatus || "",
-          timestamp: new Date().toISOString(),
-          type: "session_status_change",
-          userRole: userRole,
-        },
-        android: {
-          priority: "high",
-        },
-        apns: {
-          payload: {
-            aps: {
-              "interruption-level": "time-sensitive",
-              "contentAvailable": true,
-              "sound": "default",
-            },
-            userInfo: {
-              sessionId: sessionData.id || "",
-              newStatus: newStatus || "",
-              timestamp: new Date().toISOString(),
-              type: "session_status_change",
-              userRole: userRole,
-            },
-          },
-        },
-      };
-    };
+// Removes what a deleted user leaves behind; see deleteAccount
+const accountDeletion = createAccountDeletion({
+  db: admin.firestore(),
+  getBucket: () => admin.storage().bucket(),
+  FieldValue: admin.firestore.FieldValue,
+  notify: notifications.notify,
+});
 
-    try {
-      // Send to each token individually with role-specific message
-      const sendPromises = validTokens.map(({token, userId, userRole}) => {
-        const message = createNotificationMessage(userRole);
-        if (!message) return Promise.resolve({error: new Error("Invalid msg")});
-
-        return admin.messaging().send({
-          ...message,
-          token: token,
-        }).catch((error) => {
-          if (error.code === "messaging/registration-token-not-registered" ||
-              error.code === "messaging/invalid-argument") {
-            // Find the user associated with this token
-            removeInvalidToken(userId, token);
-          }
-          return {error};
-        });
-      });
+/**
+ * Lists the people to notify about a session: its owner and, once linked,
+ * its sitter
+ * @param {Object} sessionData - The session data
+ * @return {Array<Object>} Recipients of {userId, role, name, email}
+ */
+function getSessionRecipients(sessionData) {
+  const recipients = [];
 
-      const results = await Promise.all(sendPromises);
+  if (sessionData.ownerID) {
+    recipients.push({userId: sessionData.ownerID, role: "owner"});
+  } else {
+    logger.warn(`[Session ${sessionData.id}] No ownerID found in session data`);
+  }
 
-      const successes = results.filter((r) => !r.error).length;
-      const failures = results.filter((r) => r.error).length;
+  const sitter = sessionData.assignedSitter;
+  if (sitter && sitter.userID) {
+    recipients.push({
+      userId: sitter.userID,
+      role: "sitter",
+      name: sitter.name,
+      email: sitter.email,
+    });
+  }
 
-      logger.info(
-          `[Session ${sessionData.id}] Notifications ` +
-           `sent: ${successes} successful, ${failures} failed`,
-      );
+  return recipients;
+}
 
-      if (failures > 0) {
-        results.forEach((result, idx) => {
-          if (result.error) {
-            logger.error(
-                `[Session ${sessionData.id}] Failed to ` +
-                `send to token: ${result.error.message}`,
-            );
-          }
-        });
-      }
-    } catch (error) {
-      logger.error(
-          `[Session ${sessionData.id}] Error sending ` +
-          `notifications: ${error.message}`,
-      );
-      throw error;
-    }
-  } catch (error) {
-    logger.error(
-        `[Session ${sessionData.id}] Error in notification ` +
-        `process: ${error.message}`,
-    );
-    throw error;
-  }
+/**
+ * The zone a session's days and times of day are counted in
+ * @param {Object} sessionData - The session data
+ * @return {string} An IANA time zone
+ */
+function getSessionTimeZone(sessionData) {
+  return resolveTimeZone(sessionData.timeZone, defaultTimeZone.value());
 }
 
 /**
- * Removes an invalid FCM token from a user's token array.
- * @param {string} userId - The ID of the user.
- * @param {string} invalidToken - The token to be removed.
+ * Brings one metrics document in line with the current state of one survey
+ * response or feature vote. The source document is re-read inside the
+ * transaction and compared with what its ledger entry says was counted last
+ * time, so creates, edits, deletions, retries and out-of-order events all
+ * converge on the same totals. Documents written before the ledger existed
+ * have no entry but were counted by the old running totals, so for those the
+ * event's before-snapshot stands in for what was counted.
+ * @param {string} kindName - "surveyResponses" or "featureVotes"
+ * @param {string} sourceId - The response or vote document ID
+ * @param {Object|null} before - The document before the event's write, if
+ *   it existed
+ * @return {Promise<boolean>} Whether any metrics changed
  */
-async function removeInvalidToken(userId, invalidToken) {
+async function syncSurveyMetrics(kindName, sourceId, before = null) {
   const db = admin.firestore();
-  const userRef = db.collection("users").doc(userId);
+  const kind = MetricKinds[kindName];
+  const root = db.collection("surveyData").doc(kindName);
+  const sourceRef = root.collection(kind.sourceCollection).doc(sourceId);
+  const ledgerRef = root.collection("metricsLedger").doc(sourceId);
+
+  return db.runTransaction(async (transaction) => {
+    const [sourceDoc, ledgerDoc] = await Promise.all([
+      transaction.get(sourceRef),
+      transaction.get(ledgerRef),
+    ]);
 
-  try {
-    const userDoc = await userRef.get();
-    if (!userDoc.exists) {
-      logger.warn(`User ${userId} not found when` +
-        ` trying to remove invalid token`);
-      return;
+    let counted = ledgerDoc.exists ? ledgerDoc.data().contribution : null;
+    if (!ledgerDoc.exists && before) {
+      counted = kind.contributionOf(before);
     }
+    const current = sourceDoc.exists ?
+      kind.contributionOf(sourceDoc.data()) :
+      null;
+    if (isDeepStrictEqual(counted, current)) return false;
 
-    const userData = userDoc.data();
-    let fcmTokens = userData.fcmTokens || [];
-
-    // Remove the invalid token
-    fcmTokens = fcmTokens.filter((tokenObj) => tokenObj.token !== invalidToken);
+    if (sourceDoc.exists && !current) {
+      logger.warn(`[${kindName}] ${sourceId} is malformed and was not counted`);
+    }
 
-    await userRef.update({
-      fcmTokens: fcmTokens,
+    const metricIds = [...new Set(
+        [counted, current].filter(Boolean).map((c) => c.metricId))];
+    const metricRefs = metricIds.map((id) =>
+      root.collection("metrics").doc(id));
+    const metricDocs = await Promise.all(
+        metricRefs.map((ref) => transaction.get(ref)));
+
+    metricDocs.forEach((metricDoc, index) => {
+      const metrics = metricDoc.exists ? metricDoc.data() : kind.empty();
+      if (counted && counted.metricId === metricIds[index]) {
+        kind.apply(metrics, counted, -1);
+      }
+      if (current && current.metricId === metricIds[index]) {
+        kind.apply(metrics, current, 1);
+      }
+      metrics.lastUpdated = admin.firestore.Timestamp.now();
+      transaction.set(metricRefs[index], metrics);
     });
 
-    logger.info(`Removed invalid token for user ${userId}`);
-  } catch (error) {
-    logger.error(`Failed to remove ` +
-      `invalid token for user ${userId}: ${error.message}`);
-  }
+    if (current) {
+      transaction.set(ledgerRef, {
+        contribution: current,
+        updatedAt: admin.firestore.Timestamp.now(),
+      });
+    } else {
+      transaction.delete(ledgerRef);
+    }
+    return true;
+  });
 }
 
 /**
- * Cloud function that triggers when a new survey response is added
- * Updates metrics for the specific survey type
+ * Cloud function that keeps survey metrics in step with their responses.
+ * Runs on every create, update and delete of a response.
  */
-exports.onNewSurveyResponse = functions.firestore
-    .onDocumentCreated(
+exports.onSurveyResponseWritten = functions.firestore
+    .onDocumentWritten(
         "surveyData/surveyResponses/responses/{responseId}",
         async (event) => {
-          const response = event.data.data();
-          const db = admin.firestore();
-
+          const {responseId} = event.params;
           try {
-            // Get the metrics document for this survey type
-            const metricsRef = db.collection("surveyData")
-                .doc("surveyResponses")
-                .collection("metrics")
-                .doc(response.surveyType);
-            const metricsDoc = await metricsRef.get();
-
-            let metrics;
-            if (metricsDoc.exists) {
-              metrics = metricsDoc.data();
-            } else {
-              metrics = {
-                totalResponses: 0,
-                lastUpdated: admin.firestore.Timestamp.now(),
-                questionMetrics: {},
-              };
+            const before = event.data.before.exists ?
+              event.data.before.data() :
+              null;
+            if (await syncSurveyMetrics("surveyResponses", responseId, before)) {
+              logger.info(`Updated survey metrics for response ${responseId}`);
             }
-
-            // Update total responses
-            metrics.totalResponses += 1;
-            metrics.lastUpdated = admin.firestore.Timestamp.now();
-
-            // Update metrics for each question in the response
-            response.responses.forEach(({questionId, answers}) => {
-              if (!metrics.questionMetrics[questionId]) {
-                metrics.questionMetrics[questionId] = {
-                  totalResponses: 0,
-                  answerDistribution: {},
-                  percentages: {},
-                };
-              }
-
-              const questionMetrics = metrics.questionMetrics[questionId];
-              questionMetrics.totalResponses += 1;
-
-              // Update answer distribution
-              answers.forEach((answer) => {
-                const dist = questionMetrics.answerDistribution;
-                dist[answer] = (dist[answer] || 0) + 1;
-              });
-
-              // Recalculate percentages
-              questionMetrics.percentages = calculatePercentages(
-                  questionMetrics.answerDistribution,
-                  questionMetrics.totalResponses,
-              );
-            });
-
-            // Save updated metrics
-            await metricsRef.set(metrics);
-
-            console.log(
-                "Updated metrics for survey: " +
-                response.surveyType,
-            );
           } catch (error) {
-            console.error("Error updating survey metrics:", error);
+            logger.error(`Error updating survey metrics: ${error.message}`);
             throw error;
           }
         });
 
 /**
- * Cloud function that triggers when a new feature vote is added
- * Updates metrics for the specific feature
+ * Cloud function that keeps feature metrics in step with their votes,
+ * including votes that are changed or withdrawn.
  */
-exports.onNewFeatureVote = functions.firestore
-    .onDocumentCreated(
+exports.onFeatureVoteWritten = functions.firestore
+    .onDocumentWritten(
         "surveyData/featureVotes/votes/{voteId}",
         async (event) => {
-          const vote = event.data.data();
-          const db = admin.firestore();
-
+          const {voteId} = event.params;
           try {
-            // Get the metrics document for this feature
-            const metricsRef = db.collection("surveyData")
-                .doc("featureVotes")
-                .collection("metrics")
-                .doc(vote.featureId);
-            const metricsDoc = await metricsRef.get();
-
-            let metrics;
-            if (metricsDoc.exists) {
-              metrics = metricsDoc.data();
-            } else {
-              metrics = {
-                votesFor: 0,
-                votesAgainst: 0,
-                votePercentage: 0,
-                lastUpdated: admin.firestore.Timestamp.now(),
-              };
+            const before = event.data.before.exists ?
+              event.data.before.data() :
+              null;
+            if (await syncSurveyMetrics("featureVotes", voteId, before)) {
+              logger.info(`Updated feature metrics for vote ${voteId}`);
             }
-
-            // Update vote counts
-            if (vote.vote === "for") {
-              metrics.votesFor += 1;
-            } else {
-              metrics.votesAgainst += 1;
-            }
-
-            // Calculate new percentage
-            const totalVotes = metrics.votesFor + metrics.votesAgainst;
-            metrics.votePercentage = totalVotes > 0 ?
-                    (metrics.votesFor / totalVotes) * 100 :
-                    0;
-
-            metrics.lastUpdated = admin.firestore.Timestamp.now();
-
-            // Save updated metrics
-            await metricsRef.set(metrics);
-
-            console.log(
-                "Successfully updated metrics for feature: " +
-                    vote.featureId,
-            );
           } catch (error) {
-            console.error("Error updating feature metrics:", error);
+            logger.error(`Error updating feature metrics: ${error.message}`);
             throw error;
           }
         });
 
 /**
- * Simplified function that avoids circular references
- * @return {Object} A simple response object
- */
-exports.helloNestNote = functions.https.onCall((data, context) => {
-  // Return only simple primitive values
-  return {
-    message: "Hello from NestNote Firebase Functions!",
-    timestamp: Date.now(),
-    // Don't echo back the input data for now
-  };
-});
-
-/**
- * Simple test function to verify callable function structure
+ * Rebuilds one kind of metrics from its raw documents, replacing every
+ * metrics document and ledger entry.
+ * @param {string} kindName - "surveyResponses" or "featureVotes"
+ * @return {Promise<Object>} {documents, metrics, failedOperations}
  */
-exports.testEmail = functions.https.onCall(async (data, context) => {
-  console.log("Test function called with data keys:", Object.keys(data));
-
-  const {to, subject, text} = data.data || data;
-
-  console.log("Extracted fields:", {to, subject, text});
-
-  // Validate required fields
-  if (!to || !subject || !text) {
-    throw new functions.https.HttpsError(
-        "invalid-argument",
-        "Missing required fields: to, subject, text",
-    );
+async function recomputeMetricsKind(kindName) {
+  const db = admin.firestore();
+  const kind = MetricKinds[kindName];
+  const root = db.collection("surveyData").doc(kindName);
+  const now = admin.firestore.Timestamp.now();
+  const label = `Recompute ${kindName}`;
+
+  const contributions = [];
+  const sourceIds = new Set();
+  const writes = [];
+
+  const paging = await forEachPage(
+      root.collection(kind.sourceCollection)
+          .orderBy(admin.firestore.FieldPath.documentId()),
+      async (docs) => {
+        docs.forEach((doc) => {
+          const contribution = kind.contributionOf(doc.data());
+          const ledgerRef = root.collection("metricsLedger").doc(doc.id);
+          sourceIds.add(doc.id);
+          contributions.push(contribution);
+          writes.push(contribution ?
+            {type: "set", ref: ledgerRef, data: {contribution, updatedAt: now}} :
+            {type: "delete", ref: ledgerRef});
+        });
+      },
+      {pageSize: MAX_BATCH_SIZE, maxPages: 1000},
+  );
+  if (!paging.exhausted) {
+    throw new Error(`${kindName} has too many documents to recompute in one run`);
   }
 
-  // Mock email sending
+  const metricsById = foldContributions(kind, contributions);
+  metricsById.forEach((metrics, id) => {
+    writes.push({
+      type: "set",
+      ref: root.collection("metrics").doc(id),
+      data: {...metrics, lastUpdated: now},
+    });
+  });
+
+  // Drop metrics and ledger entries whose documents are gone
+  const [metricRefs, ledgerRefs] = await Promise.all([
+    root.collection("metrics").listDocuments(),
+    root.collection("metricsLedger").listDocuments(),
+  ]);
+  metricRefs.filter((ref) => !metricsById.has(ref.id))
+      .forEach((ref) => writes.push({type: "delete", ref}));
+  ledgerRefs.filter((ref) => !sourceIds.has(ref.id))
+      .forEach((ref) => writes.push({type: "delete", ref}));
+
+  const result = await commitInChunks(db, writes, {label});
+  logger.info(`[${label}] ${sourceIds.size} documents,` +
+    ` ${metricsById.size} metrics documents`);
+
   return {
-    success: true,
-    message: `Would send email to ${to} with subject "${subject}"`,
-    data: {to, subject, text},
+    documents: sourceIds.size,
+    metrics: metricsById.size,
+    failedOperations: result.failedOperations,
   };
-});
+}
 
 /**
- * Cloud function to send session invite emails
+ * Admin-only callable that rebuilds surveyData/surveyResponses/metrics and
+ * surveyData/featureVotes/metrics from the raw responses and votes, for when
+ * the running totals have drifted. Responses or votes written while it runs
+ * may need a second run to be reflected.
  */
-exports.sendSessionInviteEmail = onCall({
-  secrets: [sendGridApiKey],
-}, async (request) => {
-  const {sitterEmail, sitterName, sessionData, nestName, inviteLink} = request.data;
-
-  // Validate required fields
-  if (!sitterEmail || !sitterName || !sessionData || !nestName || !inviteLink) {
-    throw new functions.https.HttpsError(
-        "invalid-argument",
-        "Missing required fields: sitterEmail, sitterName, sessionData, nestName, inviteLink",
-    );
-  }
+exports.recomputeSurveyMetrics = onCall({timeoutSeconds: 540}, async (request) => {
+  const caller = authorize(request, "admin");
+  logger.info(`Admin ${caller.uid} recomputing survey metrics`);
 
   try {
-    await sendSessionInviteEmail(sitterEmail, sitterName, sessionData, nestName, inviteLink);
-    return {success: true, message: "Invite email sent successfully"};
+    const surveyResponses = await recomputeMetricsKind("surveyResponses");
+    const featureVotes = await recomputeMetricsKind("featureVotes");
+
+    if (surveyResponses.failedOperations > 0 ||
+        featureVotes.failedOperations > 0) {
+      throw new Error("Some metrics writes failed");
+    }
+    return {success: true, surveyResponses, featureVotes};
   } catch (error) {
-    logger.error(`Failed to send invite email: ${error.message}`);
+    logger.error(`Failed to recompute survey metrics: ${error.message}`);
     throw new functions.https.HttpsError(
         "internal",
-        "Failed to send invite email",
+        "Failed to recompute survey metrics",
         error.message,
     );
   }
 });
 
+// Most documents exportSurveyData reads per collection before asking the
+// caller to narrow the date range
+const SURVEY_EXPORT_MAX_DOCUMENTS = 50000;
+
 /**
- * Cloud function to send session reminder emails
+ * Reads the survey responses or feature votes submitted in a date range
+ * @param {string} kindName - "surveyResponses" or "featureVotes"
+ * @param {Object} options - {from, to} from parseExportQuery
+ * @return {Promise<Array<Object>>} Document data, each with its `id`
  */
-exports.sendSessionReminderEmail = functions.https.onCall(async (data, context) => {
-  const {userEmail, userName, sessionData, userRole} = data.data || data;
+async function loadSurveyDocuments(kindName, {from, to}) {
+  const db = admin.firestore();
+  let query = db.collection("surveyData")
+      .doc(kindName)
+      .collection(MetricKinds[kindName].sourceCollection);
+
+  if (from || to) {
+    if (from) query = query.where("timestamp", ">=", from);
+    if (to) query = query.where("timestamp", "<=", to);
+    query = query.orderBy("timestamp");
+  } else {
+    query = query.orderBy(admin.firestore.FieldPath.documentId());
+  }
 
-  // Validate required fields
-  if (!userEmail || !userName || !sessionData) {
+  const documents = [];
+  const paging = await forEachPage(query, async (docs) => {
+    docs.forEach((doc) => documents.push({id: doc.id, ...doc.data()}));
+  }, {
+    pageSize: MAX_BATCH_SIZE,
+    maxPages: SURVEY_EXPORT_MAX_DOCUMENTS / MAX_BATCH_SIZE,
+  });
+
+  if (!paging.exhausted) {
     throw new functions.https.HttpsError(
-        "invalid-argument",
-        "Missing required fields: userEmail, userName, sessionData",
+        "out-of-range",
+        `More than ${SURVEY_EXPORT_MAX_DOCUMENTS} documents match; ` +
+        "narrow the date range",
+        {reason: "too-many-documents"},
     );
   }
+  return documents;
+}
 
-  try {
-    await sendSessionReminderEmail(userEmail, userName, sessionData, userRole);
-    return {success: true, message: "Reminder email sent successfully"};
-  } catch (error) {
-    logger.error(`Failed to send reminder email: ${error.message}`);
-    throw new functions.https.HttpsError(
-        "internal",
-        "Failed to send reminder email",
-        error.message,
-    );
+/**
+ * Works out the user type and current subscription tier behind each
+ * response or vote
+ * @param {Array<Object>} documents - Responses or votes, with their `id`
+ * @param {Function} describe - Maps a document to {userId, role}
+ * @return {Promise<Map<string, Object>>} describeRespondent results by
+ *   document ID
+ */
+async function describeRespondents(documents, describe) {
+  const db = admin.firestore();
+  const userIds = [...new Set(documents
+      .map((doc) => describe(doc).userId)
+      .filter((id) => typeof id === "string" && id && !id.includes("/")))];
+
+  const profiles = new Map();
+  for (let i = 0; i < userIds.length; i += 100) {
+    const refs = userIds.slice(i, i + 100)
+        .map((id) => db.collection("users").doc(id));
+    const docs = await db.getAll(...refs);
+    docs.filter((doc) => doc.exists)
+        .forEach((doc) => profiles.set(doc.id, doc.data()));
   }
-});
+
+  const now = new Date();
+  return new Map(documents.map((doc) => {
+    const {userId, role} = describe(doc);
+    return [doc.id, describeRespondent(profiles.get(userId), role, now)];
+  }));
+}
 
 /**
- * Generic email sending function for admin use
+ * Builds the rows for one survey export
+ * @param {Object} options - From parseExportQuery
+ * @return {Promise<Array<Object>>} Rows with CSV_COLUMNS[options.type]
  */
-exports.sendEmail = functions.https.onCall(async (data, context) => {
-  const {to, subject, text, html, from} = data.data || data;
+async function buildSurveyExport(options) {
+  const db = admin.firestore();
 
-  // Debug: Log received data (safe logging to avoid circular references)
-  console.log("Received data keys:", Object.keys(data));
-  console.log("Extracted fields:", {to, subject, text, html, from});
+  if (options.type === "metrics") {
+    const [surveySnapshot, featureSnapshot] = await Promise.all([
+      db.collection("surveyData/surveyResponses/metrics").get(),
+      db.collection("surveyData/featureVotes/metrics").get(),
+    ]);
+    const byId = (snapshot, filter) => Object.fromEntries(snapshot.docs
+        .filter((doc) => !filter || doc.id === filter)
+        .map((doc) => [doc.id, doc.data()]));
 
-  // Validate required fields
-  if (!to || !subject || !text) {
-    throw new functions.https.HttpsError(
-        "invalid-argument",
-        "Missing required fields: to, subject, text",
-    );
+    return buildMetricsRows(
+        byId(surveySnapshot, options.surveyType),
+        byId(featureSnapshot, options.featureId));
   }
 
-  try {
-    await sendEmail(to, subject, text, html, from);
-    return {success: true, message: "Email sent successfully"};
-  } catch (error) {
-    logger.error(`Failed to send email: ${error.message}`);
-    throw new functions.https.HttpsError(
-        "internal",
+  let responseRows = [];
+  let voteRows = [];
+
+  if (options.type !== "votes") {
+    const responses = (await loadSurveyDocuments("surveyResponses", options))
+        .filter((response) => !options.surveyType ||
+          response.surveyType === options.surveyType);
+    const respondents = await describeRespondents(responses, (response) => {
+      const metadata = response.metadata || {};
+      return {userId: metadata.userId, role: metadata.role};
+    });
+    responseRows = buildResponseRows(responses, respondents);
+  }
+
+  if (options.type !== "responses") {
+    const votes = (await loadSurveyDocuments("featureVotes", options))
+        .filter((vote) => !options.featureId ||
+          vote.featureId === options.featureId);
+    const respondents = await describeRespondents(votes, (vote) =>
+      ({userId: vote.userId}));
+    voteRows = buildVoteRows(votes, respondents);
+  }
+
+  if (options.type === "responses") return responseRows;
+  if (options.type === "votes") return voteRows;
+  return buildCrossTabs(responseRows, voteRows);
+}
+
+/**
+ * Admin-only HTTPS endpoint that exports survey data for analysis.
+ *
+ * GET with `Authorization: Bearer <ID token>` of a user with the admin claim.
+ * Query parameters:
+ * - `type`: responses (one row per answer), votes, metrics (the stored
+ *   totals) or crosstabs (answers and votes by user type and by subscription
+ *   tier); defaults to responses
+ * - `format`: json (default) or csv
+ * - `from` / `to`: submission date range, as YYYY-MM-DD (UTC days) or ISO
+ *   timestamps; ignored for metrics
+ * - `surveyType` / `featureId`: limit to one survey or feature
+ *
+ * Subscription tiers are the respondent's tier at export time.
+ */
+exports.exportSurveyData = onRequest({
+  timeoutSeconds: 300,
+  memory: "512MiB",
+}, async (req, res) => {
+  if (req.method !== "GET") {
+    res.set("Allow", "GET").status(405).json({
+      error: {status: "METHOD_NOT_ALLOWED", message: "Use GET"},
+    });
+    return;
+  }
+
+  try {
+    const caller = await authorizeHttpRequest(
+        req, admin.auth(), {access: "admin"});
+    const options = parseExportQuery(req.query);
+    logger.info(`Admin ${caller.uid} exporting survey ${options.type}`);
+
+    const rows = await buildSurveyExport(options);
+
+    if (options.format === "csv") {
+      const stamp = new Date().toISOString().slice(0, 10);
+      res.set("Content-Type", "text/csv; charset=utf-8");
+      res.set("Content-Disposition",
+          `attachment; filename="survey-${options.type}-${stamp}.csv"`);
+      res.status(200).send(toCsv(rows, CSV_COLUMNS[options.type]));
+      return;
+    }
+
+    res.status(200).json({
+      type: options.type,
+      from: options.from,
+      to: options.to,
+      generatedAt: new Date(),
+      count: rows.length,
+      rows,
+    });
+  } catch (error) {
+    if (error instanceof functions.https.HttpsError) {
+      res.status(error.httpErrorCode.status).json({error: error.toJSON()});
+      return;
+    }
+    logger.error(`Survey export failed: ${error.message}`);
+    res.status(500).json({
+      error: {status: "INTERNAL", message: "Survey export failed"},
+    });
+  }
+});
+
+// Smoke-test endpoints, only exported when running in the emulator suite
+if (isEmulator()) {
+  /**
+   * Simplified function that avoids circular references
+   * @return {Object} A simple response object
+   */
+  exports.helloNestNote = onCall(() => {
+    // Return only simple primitive values
+    return {
+      message: "Hello from NestNote Firebase Functions!",
+      timestamp: Date.now(),
+    };
+  });
+
+  /**
+   * Simple test function to verify callable function structure
+   */
+  exports.testEmail = onCall(async (request) => {
+    const {to, subject, text} = request.data || {};
+
+    // Validate required fields
+    if (!to || !subject || !text) {
+      throw new functions.https.HttpsError(
+          "invalid-argument",
+          "Missing required fields: to, subject, text",
+      );
+    }
+
+    // Mock email sending
+    return {
+      success: true,
+      message: `Would send email to ${to} with subject "${subject}"`,
+      data: {to, subject, text},
+    };
+  });
+}
+
+/**
+ * Loads a session for one of the session email callables, which only the
+ * nest's owner may send
+ * @param {string} uid - The caller
+ * @param {Object} data - The request's {nestID, sessionID}
+ * @return {Promise<Object>} {nestData, sessionData}
+ */
+async function loadOwnedSessionForEmail(uid, data) {
+  const {nestID, sessionID} = data || {};
+  if (typeof nestID !== "string" || !nestID ||
+      typeof sessionID !== "string" || !sessionID) {
+    throw new functions.https.HttpsError(
+        "invalid-argument",
+        "nestID and sessionID are required",
+        {reason: "invalid-session"},
+    );
+  }
+
+  const nestRef = admin.firestore().collection("nests").doc(nestID);
+  const [nestDoc, sessionDoc] = await Promise.all([
+    nestRef.get(),
+    nestRef.collection("sessions").doc(sessionID).get(),
+  ]);
+
+  if (!nestDoc.exists || nestDoc.data().ownerId !== uid) {
+    throw new functions.https.HttpsError(
+        "permission-denied",
+        "Only the nest's owner can email about its sessions",
+        {reason: "not-owner"},
+    );
+  }
+  if (!sessionDoc.exists) {
+    throw new functions.https.HttpsError(
+        "not-found",
+        "Session not found",
+        {reason: "session-not-found"},
+    );
+  }
+
+  return {
+    nestData: nestDoc.data(),
+    sessionData: {id: sessionDoc.id, ...sessionDoc.data()},
+  };
+}
+
+/**
+ * Cloud function that emails a session's pending invite to the sitter it
+ * was made for. Everything in the email comes from the nest, the session and
+ * its current invite, and it only goes to that invite's sitterEmail.
+ */
+exports.sendSessionInviteEmail = onCall({
+  secrets: emailSecrets,
+}, async (request) => {
+  const uid = authorize(request).uid;
+  const {nestID, sessionID, locale, timeZone} = request.data || {};
+  const {nestData, sessionData} =
+    await loadOwnedSessionForEmail(uid, request.data);
+
+  const sitter = sessionData.assignedSitter || {};
+  const inviteDoc = sitter.inviteID ?
+    await admin.firestore().collection("invites").doc(sitter.inviteID).get() :
+    null;
+  const invite = inviteDoc && inviteDoc.exists ? inviteDoc.data() : null;
+  const expiresAt = invite ? toDate(invite.expiresAt) : null;
+  if (!invite || invite.status !== InviteStatus.PENDING ||
+      (expiresAt && expiresAt.getTime() < Date.now()) ||
+      invite.nestID !== nestID || invite.sessionID !== sessionID ||
+      !invite.sitterEmail) {
+    throw new functions.https.HttpsError(
+        "failed-precondition",
+        "This session has no pending invite for a sitter's email",
+        {reason: "no-pending-invite"},
+    );
+  }
+
+  const code = inviteDoc.id.replace(/^invite-/, "");
+  const inviteLink = `${INVITE_LINK_BASE_URL}?code=${code}`;
+
+  try {
+    const recipient = await getRecipientSettingsForEmail(
+        invite.sitterEmail, sessionData);
+    await sendSessionInviteEmail(invite.sitterEmail, sitter.name || "",
+        sessionData, nestData.name || invite.nestName || "", inviteLink, {
+          locale: locale || recipient.locale,
+          timeZone: resolveTimeZone(timeZone, recipient.timeZone),
+        });
+    return {success: true, message: "Invite email sent successfully"};
+  } catch (error) {
+    logger.error(`Failed to send invite email: ${error.message}`);
+    throw new functions.https.HttpsError(
+        "internal",
+        "Failed to send invite email",
+        error.message,
+    );
+  }
+});
+
+/**
+ * Cloud function that emails a session reminder to the nest's owner
+ * (userRole "owner", the default) or the session's accepted sitter
+ */
+exports.sendSessionReminderEmail = onCall({
+  secrets: emailSecrets,
+}, async (request) => {
+  const caller = authorize(request);
+  const {userRole = "owner", locale, timeZone} = request.data || {};
+  if (userRole !== "owner" && userRole !== "sitter") {
+    throw new functions.https.HttpsError(
+        "invalid-argument",
+        "userRole must be owner or sitter",
+        {reason: "invalid-role"},
+    );
+  }
+  const {sessionData} = await loadOwnedSessionForEmail(caller.uid, request.data);
+
+  const sitter = acceptedSitterOf(sessionData);
+  if (userRole === "sitter" && !sitter) {
+    throw new functions.https.HttpsError(
+        "failed-precondition",
+        "No sitter has accepted this session",
+        {reason: "no-sitter"},
+    );
+  }
+
+  const recipientId = userRole === "owner" ? caller.uid : sitter.userID;
+  const profileDoc = await admin.firestore()
+      .collection("users").doc(recipientId).get();
+  const profile = profileDoc.exists ? profileDoc.data() : {};
+  const personalInfo = profile.personalInfo || {};
+  const fallback = userRole === "owner" ?
+    {email: (caller.token || {}).email, name: ""} :
+    sitter;
+  const userEmail = personalInfo.email || fallback.email;
+  const userName = personalInfo.name || fallback.name || "";
+  if (!userEmail) {
+    throw new functions.https.HttpsError(
+        "failed-precondition",
+        "There's no email address to send the reminder to",
+        {reason: "no-email"},
+    );
+  }
+
+  try {
+    const recipient = getRecipientSettings(profile, sessionData);
+    await sendSessionReminderEmail(userEmail, userName, sessionData, userRole, {
+      locale: locale || recipient.locale,
+      timeZone: resolveTimeZone(timeZone, recipient.timeZone),
+    });
+    return {success: true, message: "Reminder email sent successfully"};
+  } catch (error) {
+    logger.error(`Failed to send reminder email: ${error.message}`);
+    throw new functions.https.HttpsError(
+        "internal",
+        "Failed to send reminder email",
+        error.message,
+    );
+  }
+});
+
+/**
+ * Generic email sending function for admin use. Callers need the `admin`
+ * custom claim, and a custom sender must be on our own domain.
+ */
+exports.sendEmail = onCall({
+  secrets: emailSecrets,
+}, async (request) => {
+  const caller = authorize(request, "admin");
+  const {to, subject, text, html, from} = request.data || {};
+
+  // Validate required fields
+  if (!to || !subject || !text) {
+    throw new functions.https.HttpsError(
+        "invalid-argument",
+        "Missing required fields: to, subject, text",
+    );
+  }
+
+  if (from) {
+    const address = String(from).replace(/^.*<([^>]+)>\s*$/, "$1").trim();
+    if (!address.toLowerCase().endsWith(`@${ALLOWED_SENDER_DOMAIN}`)) {
+      throw new functions.https.HttpsError(
+          "invalid-argument",
+          `Sender must be an @${ALLOWED_SENDER_DOMAIN} address`,
+          {reason: "invalid-sender"},
+      );
+    }
+  }
+
+  logger.info(`Admin ${caller.uid} sending email to ${to}`);
+
+  try {
+    await sendEmail(to, subject, text, html, from);
+    return {success: true, message: "Email sent successfully"};
+  } catch (error) {
+    logger.error(`Failed to send email: ${error.message}`);
+    throw new functions.https.HttpsError(
+        "internal",
         "Failed to send email",
         error.message,
     );
@@ -753,25 +1130,197 @@ exports.sendEmail = functions.https.onCall(async (data, context) => {
 });
 
 /**
- * Cloud function that runs every 15 minutes to update session statuses
+ * Works out which status transitions a session is due for at a given time.
+ * Sessions whose start is far in the past are caught up through every
+ * intermediate status instead of being skipped.
+ * @param {Object} sessionData - The current session data
+ * @param {Date} now - The time to evaluate the session at
+ * @return {Array<Object>} The due transitions in order, as {id, from, to, dueAt}
+ */
+function planSessionTransitions(sessionData, now) {
+  const startDate = toDate(sessionData.startDate);
+  const endDate = toDate(sessionData.endDate);
+  const transitions = [];
+
+  if (!startDate || !endDate) {
+    return transitions;
+  }
+
+  let status = sessionData.status;
+  let statusSince = toDate(sessionData.lastStatusUpdate) || endDate;
+
+  for (;;) {
+    let next = null;
+    let dueAt = null;
+
+    if (status === SessionStatus.UPCOMING &&
+        startDate.getTime() - SESSION_START_LEAD_MS <= now.getTime()) {
+      next = SessionStatus.IN_PROGRESS;
+      dueAt = startDate;
+    } else if (status === SessionStatus.IN_PROGRESS &&
+        endDate.getTime() <= now.getTime()) {
+      next = SessionStatus.EXTENDED;
+      dueAt = endDate;
+    } else if (status === SessionStatus.EXTENDED &&
+        statusSince.getTime() + SESSION_EXTENDED_GRACE_MS <= now.getTime()) {
+      next = SessionStatus.COMPLETED;
+      dueAt = new Date(statusSince.getTime() + SESSION_EXTENDED_GRACE_MS);
+    }
+
+    if (!next) break;
+
+    if (!(SessionStatusTransitions[status] || []).includes(next)) {
+      throw new Error(`Transition ${status} -> ${next} is not allowed`);
+    }
+
+    transitions.push({
+      // Keyed on the date that triggered it, so re-running the same transition
+      // maps to the same ID while an edited session gets a fresh one
+      id: `${status}_${next}_${dueAt.getTime()}`,
+      from: status,
+      to: next,
+      dueAt,
+    });
+
+    status = next;
+    statusSince = dueAt;
+  }
+
+  return transitions;
+}
+
+/**
+ * Applies any due status transitions to a session in a transaction and records
+ * each one in the session's statusTransitions subcollection. Only the final
+ * transition is queued for notification; caught-up steps are logged as skipped.
+ * @param {FirebaseFirestore.DocumentReference} sessionRef - The session to update
+ * @param {Date} now - The time to evaluate the session at
+ * @return {Promise<Object|null>} The applied transitions, or null if none were due
+ */
+async function applySessionTransitions(sessionRef, now) {
+  const db = admin.firestore();
+
+  return db.runTransaction(async (transaction) => {
+    const sessionDoc = await transaction.get(sessionRef);
+    if (!sessionDoc.exists) return null;
+
+    const sessionData = {id: sessionDoc.id, ...sessionDoc.data()};
+    const transitions = planSessionTransitions(sessionData, now);
+    if (transitions.length === 0) return null;
+
+    const appliedAt = admin.firestore.Timestamp.now();
+    const finalTransition = transitions[transitions.length - 1];
+    const pathSegments = sessionRef.path.split("/");
+
+    const applied = transitions.map((transition) => {
+      const logRef = sessionRef
+          .collection("statusTransitions")
+          .doc(transition.id);
+
+      transaction.set(logRef, {
+        id: transition.id,
+        sessionID: sessionDoc.id,
+        nestID: pathSegments[1],
+        from: transition.from,
+        to: transition.to,
+        dueAt: admin.firestore.Timestamp.fromDate(transition.dueAt),
+        createdAt: appliedAt,
+        catchUp: transition !== finalTransition,
+        notificationStatus: transition === finalTransition ?
+          "pending" :
+          "skipped",
+      });
+
+      return {...transition, ref: logRef};
+    });
+
+    transaction.update(sessionRef, {
+      status: finalTransition.to,
+      lastStatusUpdate: appliedAt,
+    });
+
+    return {
+      sessionData: {...sessionData, status: finalTransition.to},
+      transitions: applied,
+    };
+  });
+}
+
+/**
+ * Sends the notification for a logged status transition at most once.
+ * The log entry is claimed before sending, so overlapping runs and retries
+ * can never notify the same transition twice.
+ * @param {FirebaseFirestore.DocumentReference} logRef - The transition log entry
+ * @param {Object} sessionData - The session data including users
+ * @param {Object} transition - The transition ({id, to})
+ * @return {Promise<boolean>} Whether the notification was sent
+ */
+async function notifySessionTransition(logRef, sessionData, transition) {
+  const db = admin.firestore();
+
+  const claimed = await db.runTransaction(async (transaction) => {
+    const logDoc = await transaction.get(logRef);
+    if (!logDoc.exists || logDoc.data().notificationStatus !== "pending") {
+      return false;
+    }
+    transaction.update(logRef, {notificationStatus: "sending"});
+    return true;
+  });
+
+  if (!claimed) return false;
+
+  try {
+    await notifications.notify("session_status_change", {
+      recipients: getSessionRecipients(sessionData),
+      payload: {
+        sessionData,
+        newStatus: transition.to,
+        transitionId: transition.id,
+      },
+    });
+    await logRef.update({
+      notificationStatus: "sent",
+      notifiedAt: admin.firestore.Timestamp.now(),
+    });
+    return true;
+  } catch (error) {
+    logger.error(
+        `Failed to send notifications for transition ${transition.id}` +
+        ` of session ${sessionData.id}: ${error.message}`,
+    );
+    await logRef.update({
+      notificationStatus: "failed",
+      notificationError: error.message,
+    });
+    return false;
+  }
+}
+
+/**
+ * Cloud function that runs every 15 minutes to update session statuses.
+ * Moves sessions along SessionStatusTransitions, logging each step and only
+ * notifying once the status write has committed.
  * @param {functions.EventContext} context - The function context
  * @return {Promise<null>} A promise that resolves when the function completes
  */
-exports.updateSessionStatuses = onSchedule("*/15 * * * *", async (event) => {
+exports.updateSessionStatuses = onSchedule({
+  schedule: "*/15 * * * *",
+  secrets: emailSecrets,
+}, async (event) => {
   const db = admin.firestore();
   const now = new Date();
-  const tenMinutesAgo = new Date(now.getTime() - 10 * 60 * 1000);
-  const tenMinutesFromNow = new Date(now.getTime() + 10 * 60 * 1000);
-  const twoHoursAgo = new Date(now.getTime() - 2 * 60 * 60 * 1000);
+  const startCutoff = new Date(now.getTime() + SESSION_START_LEAD_MS);
+  const extendedCutoff = new Date(now.getTime() - SESSION_EXTENDED_GRACE_MS);
+  const fiveMinutesAgo = new Date(now.getTime() - 5 * 60 * 1000);
 
   try {
     logger.info("Starting session status update check...");
 
-    // Get upcoming sessions about to start
+    // Get upcoming sessions that have started or are about to, however long
+    // ago their start was, so a missed run is caught up
     const upcomingQuery = db.collectionGroup("sessions")
         .where("status", "==", SessionStatus.UPCOMING)
-        .where("startDate", ">=", tenMinutesAgo)
-        .where("startDate", "<=", tenMinutesFromNow);
+        .where("startDate", "<=", startCutoff);
 
     // Get active sessions that have passed their end date
     const activeQuery = db.collectionGroup("sessions")
@@ -781,426 +1330,3190 @@ exports.updateSessionStatuses = onSchedule("*/15 * * * *", async (event) => {
     // Get extended sessions that have been extended for more than 2 hours
     const extendedQuery = db.collectionGroup("sessions")
         .where("status", "==", SessionStatus.EXTENDED)
-        .where("lastStatusUpdate", "<=", twoHoursAgo);
-
-    // Execute queries in parallel
-    const [upcomingSnapshot,
-      activeSnapshot,
-      extendedSnapshot] = await Promise.all([
-      upcomingQuery.get(),
-      activeQuery.get(),
-      extendedQuery.get(),
-    ]);
+        .where("lastStatusUpdate", "<=", extendedCutoff);
+
+    // Every running session, checked for routines left unfinished
+    const runningQuery = db.collectionGroup("sessions")
+        .where("status", "in", [SessionStatus.IN_PROGRESS, SessionStatus.EXTENDED]);
+
+    // Transitions whose notification was never sent because a run died
+    // between committing and notifying
+    const pendingQuery = db.collectionGroup("statusTransitions")
+        .where("notificationStatus", "==", "pending")
+        .where("createdAt", "<=", fiveMinutesAgo);
+
+    let updateCount = 0;
+    let transitionCount = 0;
+    let notificationCount = 0;
+
+    await forEachPage(pendingQuery, async (logDocs) => {
+      for (const logDoc of logDocs) {
+        const log = logDoc.data();
+        const sessionDoc = await logDoc.ref.parent.parent.get();
+
+        // Don't announce a status the session has already moved past
+        if (!sessionDoc.exists || sessionDoc.data().status !== log.to) {
+          await logDoc.ref.update({notificationStatus: "skipped"});
+          continue;
+        }
+
+        const sessionData = {id: sessionDoc.id, ...sessionDoc.data()};
+        if (await notifySessionTransition(logDoc.ref, sessionData, log)) {
+          notificationCount++;
+        }
+      }
+    });
+
+    // Sessions leave each query once their status moves on, so paging keeps
+    // a large backlog from timing out and the next run drains the rest
+    for (const query of [upcomingQuery, activeQuery, extendedQuery]) {
+      await forEachPage(query, async (sessionDocs) => {
+        for (const doc of sessionDocs) {
+          let applied;
+          try {
+            applied = await applySessionTransitions(doc.ref, now);
+          } catch (error) {
+            logger.error(
+                `Failed to update status for session ${doc.id}: ${error.message}`,
+            );
+            continue;
+          }
+
+          if (!applied) continue;
+
+          updateCount++;
+          transitionCount += applied.transitions.length;
+
+          const finalTransition =
+            applied.transitions[applied.transitions.length - 1];
+
+          if (applied.transitions.length > 1) {
+            logger.info(
+                `Caught up session ${doc.id}: ` +
+                applied.transitions.map((t) => `${t.from} -> ${t.to}`).join(", "),
+            );
+          }
+
+          if (await notifySessionTransition(
+              finalTransition.ref, applied.sessionData, finalTransition)) {
+            notificationCount++;
+          }
+        }
+      });
+    }
+
+    // Runs after the transitions so sessions that just started are included
+    let routineAlertCount = 0;
+    await forEachPage(runningQuery, async (sessionDocs) => {
+      for (const doc of sessionDocs) {
+        try {
+          routineAlertCount += await alertOverdueRoutines(doc, now);
+        } catch (error) {
+          logger.error(
+              `Failed to check routines for session ${doc.id}: ${error.message}`,
+          );
+        }
+      }
+    });
+
+    if (updateCount > 0 || notificationCount > 0 || routineAlertCount > 0) {
+      logger.info(
+          "Session updates complete: " +
+        `${updateCount} sessions updated, ` +
+        `${transitionCount} transitions applied, ` +
+        `${notificationCount} notification batches sent, ` +
+        `${routineAlertCount} overdue routine alerts sent`,
+      );
+    } else {
+      logger.info("No session updates needed");
+    }
+
+    return null;
+  } catch (error) {
+    logger.error(`Error updating session statuses: ${error.message}`);
+    throw new Error(
+        `Failed to update session statuses: ${error.message}`,
+    );
+  }
+});
+
+/**
+ * Parses the configured reminder windows, largest first
+ * @return {Array<Object>} The reminder windows as {key, hours}
+ */
+function getReminderWindows() {
+  const hours = sessionReminderWindowsHours.value()
+      .split(",")
+      .map((value) => Number(value.trim()))
+      .filter((value) => Number.isFinite(value) && value > 0);
+
+  return Array.from(new Set(hours))
+      .sort((a, b) => b - a)
+      .map((value) => ({key: `${value}h`, hours: value}));
+}
+
+/**
+ * Marks a reminder window as sent on a session inside a transaction, so
+ * overlapping scheduler runs can't both send the same reminder. Larger windows
+ * are marked too, so a session created close to its start only gets one.
+ * @param {FirebaseFirestore.DocumentReference} sessionRef - The session to claim
+ * @param {Object} window - The window being sent
+ * @param {Array<Object>} windows - All configured windows
+ * @return {Promise<boolean>} Whether this run claimed the reminder
+ */
+async function claimReminderWindow(sessionRef, window, windows) {
+  const db = admin.firestore();
+
+  return db.runTransaction(async (transaction) => {
+    const sessionDoc = await transaction.get(sessionRef);
+    if (!sessionDoc.exists) return false;
+
+    const sessionData = sessionDoc.data();
+    const remindersSent = sessionData.remindersSent || {};
+    if (sessionData.status !== SessionStatus.UPCOMING ||
+        remindersSent[window.key]) {
+      return false;
+    }
+
+    const sentAt = admin.firestore.Timestamp.now();
+    const claimed = {};
+    windows
+        .filter((w) => w.hours >= window.hours && !remindersSent[w.key])
+        .forEach((w) => {
+          claimed[w.key] = sentAt;
+        });
+
+    transaction.set(sessionRef, {remindersSent: claimed}, {merge: true});
+    return true;
+  });
+}
+
+/**
+ * Sends the reminder for a session to its owner and sitter on whichever
+ * channels each of them allows
+ * @param {Object} sessionData - The session data including users
+ * @param {Object} window - The reminder window being sent
+ * @return {Promise<number>} The number of recipients reached
+ */
+async function deliverSessionReminder(sessionData, window) {
+  const summary = await notifications.notify("session_reminder", {
+    recipients: getSessionRecipients(sessionData),
+    payload: {sessionData, window},
+  });
+
+  // Let the next run retry if nobody could be reached because of errors
+  if (summary.delivered === 0 && summary.failed > 0) {
+    throw new Error("All reminder deliveries failed");
+  }
+  return summary.delivered;
+}
+
+/**
+ * Cloud function that runs every 15 minutes to send pre-session reminders.
+ * Each upcoming session gets one email and push per configured window
+ * (SESSION_REMINDER_WINDOWS_HOURS), tracked in its remindersSent map.
+ */
+exports.sendSessionReminders = onSchedule({
+  schedule: "*/15 * * * *",
+  secrets: emailSecrets,
+}, async (event) => {
+  const db = admin.firestore();
+  const now = new Date();
+  const windows = getReminderWindows();
+
+  if (windows.length === 0) {
+    logger.warn("No session reminder windows configured");
+    return null;
+  }
+
+  const horizon = new Date(now.getTime() + windows[0].hours * 60 * 60 * 1000);
+
+  try {
+    logger.info("Starting session reminder check...");
+
+    const upcomingQuery = db.collectionGroup("sessions")
+        .where("status", "==", SessionStatus.UPCOMING)
+        .where("startDate", ">", now)
+        .where("startDate", "<=", horizon);
+
+    let reminderCount = 0;
+
+    const paging = await forEachPage(upcomingQuery, async (docs) => {
+      for (const doc of docs) {
+        const sessionData = {id: doc.id, ...doc.data()};
+        const msUntilStart = toDate(sessionData.startDate).getTime() -
+          now.getTime();
+
+        // The tightest window the session currently falls inside
+        const window = windows
+            .filter((w) => msUntilStart <= w.hours * 60 * 60 * 1000)
+            .pop();
+
+        if (!window || (sessionData.remindersSent || {})[window.key]) {
+          continue;
+        }
+
+        try {
+          const claimed = await claimReminderWindow(doc.ref, window, windows);
+          if (!claimed) continue;
+        } catch (error) {
+          logger.error(
+              `Failed to claim ${window.key} reminder` +
+              ` for session ${doc.id}: ${error.message}`,
+          );
+          continue;
+        }
+
+        try {
+          await deliverSessionReminder(sessionData, window);
+          reminderCount++;
+        } catch (error) {
+          logger.error(
+              `Failed to send ${window.key} reminder` +
+              ` for session ${doc.id}: ${error.message}`,
+          );
+
+          // Release the claim so the next run can retry this window
+          await doc.ref.set({
+            remindersSent: {
+              [window.key]: admin.firestore.FieldValue.delete(),
+            },
+          }, {merge: true}).catch((releaseError) => {
+            logger.error(
+                `Failed to release ${window.key} reminder` +
+                ` for session ${doc.id}: ${releaseError.message}`,
+            );
+          });
+        }
+      }
+    });
+
+    logger.info(
+        `Session reminders complete: ${reminderCount} sent across ` +
+        `${paging.documents} upcoming sessions within ${windows[0].hours} hours`,
+    );
+    return null;
+  } catch (error) {
+    logger.error(`Error sending session reminders: ${error.message}`);
+    throw new Error(`Failed to send session reminders: ${error.message}`);
+  }
+});
+
+// Session subcollections that move into the archive with their session
+const ARCHIVED_SESSION_SUBCOLLECTIONS = [
+  "events",
+  "statusTransitions",
+  "checkIns",
+  "checkInDigests",
+  "routineProgress",
+];
+
+/**
+ * Builds the writes that archive one completed session. Everything the
+ * session owns moves with it: its subcollections (events, status log,
+ * check-ins, routine progress), the sitter's sitterSession and the invite.
+ * The original session is deleted in the final write, so an interrupted run
+ * simply redoes the session on the next run, and copies reuse the original
+ * IDs so re-running never duplicates anything.
+ * @param {FirebaseFirestore.QueryDocumentSnapshot} sessionDoc - The session
+ * @param {FirebaseFirestore.Timestamp} archivedAt - The archive timestamp
+ * @return {Promise<Object>} {children, final, sitterSessionArchived}
+ */
+async function buildSessionArchiveOps(sessionDoc, archivedAt) {
+  const db = admin.firestore();
+  const sessionData = sessionDoc.data();
+  const sessionId = sessionDoc.id;
+
+  // Path format: nests/nestId/sessions/sessionId
+  const nestId = sessionDoc.ref.path.split("/")[1];
+  const archivedSessionRef = db
+      .collection("nests")
+      .doc(nestId)
+      .collection("archivedSessions")
+      .doc(sessionId);
+
+  const sitterId = sessionData.assignedSitter &&
+    sessionData.assignedSitter.userID;
+  const inviteId = sessionData.assignedSitter &&
+    sessionData.assignedSitter.inviteID;
+
+  const sitterSessionRef = sitterId ?
+    db.collection("users")
+        .doc(sitterId)
+        .collection("sitterSessions")
+        .doc(sessionId) :
+    null;
+  const inviteRef = inviteId ? db.collection("invites").doc(inviteId) : null;
+
+  const [subcollections, sitterSessionDoc, inviteDoc] = await Promise.all([
+    Promise.all(ARCHIVED_SESSION_SUBCOLLECTIONS.map((name) =>
+      sessionDoc.ref.collection(name).get())),
+    sitterSessionRef ? sitterSessionRef.get() : null,
+    inviteRef ? inviteRef.get() : null,
+  ]);
+
+  // Each child is copied and deleted in the same batch
+  const children = [];
+
+  subcollections.forEach((snapshot, index) => {
+    const name = ARCHIVED_SESSION_SUBCOLLECTIONS[index];
+    snapshot.docs.forEach((childDoc) => {
+      children.push([
+        {
+          type: "set",
+          ref: archivedSessionRef.collection(name).doc(childDoc.id),
+          data: childDoc.data(),
+        },
+        {type: "delete", ref: childDoc.ref},
+      ]);
+    });
+  });
+
+  if (sitterSessionDoc && sitterSessionDoc.exists) {
+    const sitterSessionData = sitterSessionDoc.data();
+    children.push([
+      {
+        type: "set",
+        ref: db.collection("users")
+            .doc(sitterId)
+            .collection("archivedSitterSessions")
+            .doc(sessionId),
+        data: {
+          ...sitterSessionData,
+          archivedDate: archivedAt,
+          parentSessionCompletedDate:
+            sitterSessionData.parentSessionCompletedDate ||
+            sessionData.lastStatusUpdate ||
+            sessionData.endDate ||
+            null,
+          parentSessionArchivedDate: archivedAt,
+        },
+      },
+      {type: "delete", ref: sitterSessionRef},
+    ]);
+  }
+
+  if (inviteDoc && inviteDoc.exists) {
+    children.push([
+      {
+        type: "set",
+        ref: archivedSessionRef.collection("invites").doc(inviteId),
+        data: inviteDoc.data(),
+      },
+      {type: "delete", ref: inviteRef},
+    ]);
+  }
+
+  const final = [
+    {
+      type: "set",
+      ref: archivedSessionRef,
+      data: {
+        ...sessionData,
+        status: "archived", // Set status to archived
+        archivedDate: archivedAt,
+      },
+    },
+    {type: "delete", ref: sessionDoc.ref},
+  ];
+
+  return {
+    children,
+    final,
+    sitterSessionArchived: Boolean(sitterSessionDoc && sitterSessionDoc.exists),
+  };
+}
+
+/**
+ * Archives one completed session and everything that belongs to it.
+ * Small sessions commit as a single batch; sessions with too many events for
+ * one batch move their children first and delete the session last.
+ * @param {FirebaseFirestore.QueryDocumentSnapshot} sessionDoc - The session
+ * @return {Promise<Object>} {archived, sitterSessionArchived}
+ */
+async function archiveSession(sessionDoc) {
+  const db = admin.firestore();
+  const archivedAt = admin.firestore.Timestamp.now();
+  const {children, final, sitterSessionArchived} =
+    await buildSessionArchiveOps(sessionDoc, archivedAt);
+
+  const label = `archiveSession ${sessionDoc.id}`;
+  const operationCount = children.reduce(
+      (count, unit) => count + unit.length, final.length);
+
+  if (operationCount <= MAX_BATCH_SIZE) {
+    const result = await commitInChunks(
+        db, [[...children.flat(), ...final]], {label});
+    return {archived: result.failedUnits === 0, sitterSessionArchived};
+  }
+
+  const childResult = await commitInChunks(db, children, {label});
+  if (childResult.failedUnits > 0) {
+    // Leave the session in place so the next run picks up what's left
+    return {archived: false, sitterSessionArchived: false};
+  }
+
+  const finalResult = await commitInChunks(db, [final], {label});
+  return {archived: finalResult.failedUnits === 0, sitterSessionArchived};
+}
+
+/**
+ * Scheduled function to archive completed
+ * sessions that are more than 7 days old, along with their events,
+ * status log, sitter session and invite.
+ * Runs daily at 6:00 AM.
+ */
+exports.archiveOldSessions = onSchedule("0 6 * * *", async (event) => {
+  const db = admin.firestore();
+  const now = new Date();
+  const sevenDaysAgo = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
+
+  try {
+    logger.info("Starting session archiving process...");
+
+    // Get completed sessions older than 7 days
+    const completedSessionsQuery = db.collectionGroup("sessions")
+        .where("status", "==", SessionStatus.COMPLETED)
+        .where("endDate", "<=", sevenDaysAgo);
+
+    let archiveCount = 0;
+    let sitterSessionsArchived = 0;
+    let failedCount = 0;
+
+    // Archived sessions leave the query, so a backlog drains across runs
+    const paging = await forEachPage(completedSessionsQuery, async (docs) => {
+      for (const doc of docs) {
+        try {
+          const result = await archiveSession(doc);
+          if (result.archived) {
+            archiveCount++;
+            if (result.sitterSessionArchived) sitterSessionsArchived++;
+          } else {
+            failedCount++;
+          }
+        } catch (error) {
+          failedCount++;
+          logger.error(
+              `Error archiving session ${doc.id}: ${error.message}`,
+          );
+        }
+      }
+    }, {pageSize: 50});
+
+    if (archiveCount > 0 || failedCount > 0) {
+      logger.info(
+          `Session archiving complete: ${archiveCount} sessions archived, ` +
+          `${sitterSessionsArchived} sitter sessions archived, ` +
+          `${failedCount} failed` +
+          (paging.exhausted ? "" : " (more remain for the next run)"),
+      );
+    } else {
+      logger.info("No sessions to archive");
+    }
+
+    return null;
+  } catch (error) {
+    logger.error(`Error archiving sessions: ${error.message}`);
+    throw new Error(`Failed to archive sessions: ${error.message}`);
+  }
+});
+
+/**
+ * Reads the caller's IP address from a callable request
+ * @param {Object} request - The callable request
+ * @return {string|null} The address, if known
+ */
+function clientIpOf(request) {
+  const raw = request.rawRequest || {};
+  const forwarded = String((raw.headers || {})["x-forwarded-for"] || "")
+      .split(",")[0].trim();
+  return raw.ip || forwarded || null;
+}
+
+/**
+ * The inviteCodeThrottles documents a lookup counts against
+ * @param {string} uid - The caller's user ID
+ * @param {string|null} ip - The caller's IP address
+ * @return {Array<Object>} {ref, limits} for the user and, if known, the IP
+ */
+function inviteCodeThrottles(uid, ip) {
+  const collection = admin.firestore().collection("inviteCodeThrottles");
+  const throttles = [{
+    ref: collection.doc(throttleKey("user", uid)),
+    limits: InviteCodeLimits.user,
+  }];
+  if (ip) {
+    throttles.push({
+      ref: collection.doc(throttleKey("ip", ip)),
+      limits: InviteCodeLimits.ip,
+    });
+  }
+  return throttles;
+}
+
+/**
+ * Stores a throttle's counters in a transaction
+ * @param {FirebaseFirestore.Transaction} transaction - The transaction
+ * @param {Object} throttle - {ref, limits}
+ * @param {Object} state - {windowStart, attempts, misses, lockedUntil}
+ */
+function saveInviteCodeThrottle(transaction, throttle, state) {
+  // expireAt is for a TTL policy that clears counters nobody is using
+  const expireAt = Math.max(state.lockedUntil,
+      state.windowStart + throttle.limits.windowMs);
+  transaction.set(throttle.ref, {
+    ...state,
+    expireAt: admin.firestore.Timestamp.fromMillis(expireAt),
+  });
+}
+
+/**
+ * Counts an invite code lookup against the caller and their IP, and refuses
+ * it while either is over its limit or locked out
+ * @param {string} uid - The caller's user ID
+ * @param {string|null} ip - The caller's IP address
+ * @return {Promise<void>}
+ */
+async function throttleInviteCodeLookup(uid, ip) {
+  const db = admin.firestore();
+  const throttles = inviteCodeThrottles(uid, ip);
+  const now = Date.now();
+
+  const blocked = await db.runTransaction(async (transaction) => {
+    const docs = await Promise.all(throttles.map((throttle) =>
+      transaction.get(throttle.ref)));
+    const results = throttles.map((throttle, index) => registerAttempt(
+        docs[index].exists ? docs[index].data() : null, now, throttle.limits));
+
+    const refused = results.find((result) => result.blocked);
+    if (refused) return refused.blocked;
+
+    results.forEach((result, index) => {
+      saveInviteCodeThrottle(transaction, throttles[index], result.state);
+    });
+    return null;
+  });
+
+  if (blocked) {
+    logger.warn(`Refused invite code lookup from ${uid}` +
+      (ip ? ` at ${ip}` : "") + `: ${blocked.reason}`);
+    throw new functions.https.HttpsError(
+        "resource-exhausted",
+        "Too many invite code attempts. Please try again later.",
+        {
+          reason: blocked.reason,
+          retryAfterSeconds: Math.ceil((blocked.retryAt - now) / 1000),
+        },
+    );
+  }
+}
+
+/**
+ * Counts a lookup of a code that doesn't exist against the caller and their
+ * IP, locking them out once they've missed too often
+ * @param {string} uid - The caller's user ID
+ * @param {string|null} ip - The caller's IP address
+ * @param {string} code - The code they tried
+ * @return {Promise<void>}
+ */
+async function recordInviteCodeMiss(uid, ip, code) {
+  const db = admin.firestore();
+  const throttles = inviteCodeThrottles(uid, ip);
+  const now = Date.now();
+
+  const lockedOut = await db.runTransaction(async (transaction) => {
+    const docs = await Promise.all(throttles.map((throttle) =>
+      transaction.get(throttle.ref)));
+    return throttles.filter((throttle, index) => {
+      const result = registerMiss(docs[index].exists ? docs[index].data() : null,
+          now, throttle.limits);
+      saveInviteCodeThrottle(transaction, throttle, result.state);
+      return result.lockedOut;
+    }).map((throttle) => throttle.ref.id);
+  });
+
+  if (lockedOut.length > 0) {
+    logger.warn(`Possible invite code guessing by ${uid}` +
+      (ip ? ` at ${ip}` : "") + `: locked out ${lockedOut.join(", ")} ` +
+      `after missing with ${code}`);
+  }
+}
+
+/**
+ * Converts a session for a callable response, with dates as ISO strings
+ * @param {Object} sessionData - The session
+ * @return {Object} The session's public fields
+ */
+function serializeSession(sessionData) {
+  const date = (value) => {
+    const parsed = toDate(value);
+    return parsed ? parsed.toISOString() : null;
+  };
+  return {
+    ...sessionData,
+    startDate: date(sessionData.startDate),
+    endDate: date(sessionData.endDate),
+    earlyAccessEndDate: date(sessionData.earlyAccessEndDate),
+  };
+}
+
+/**
+ * Cloud function that creates an invite for a session in the caller's nest,
+ * with a code picked on the server. A code that's already taken is never
+ * overwritten: the invite is created with create(), and a collision retries
+ * with a new code. Without `sitter` it's an open invite anyone with the code
+ * can accept. The session's assignedSitter is pointed at the invite in the
+ * same transaction, which also cancels the invite it replaces. Sessions
+ * that are over, or whose sitter has already accepted, can't be re-invited.
+ */
+exports.createSessionInvite = onCall(async (request) => {
+  const uid = authorize(request).uid;
+  const {nestID, sessionID, sitter} = request.data || {};
+
+  if (typeof nestID !== "string" || !nestID ||
+      typeof sessionID !== "string" || !sessionID) {
+    throw new functions.https.HttpsError(
+        "invalid-argument",
+        "nestID and sessionID are required",
+        {reason: "invalid-session"},
+    );
+  }
+  if (sitter && (typeof sitter.email !== "string" || !sitter.email.trim())) {
+    throw new functions.https.HttpsError(
+        "invalid-argument",
+        "A sitter needs an email address",
+        {reason: "invalid-sitter"},
+    );
+  }
+
+  const db = admin.firestore();
+  const nestRef = db.collection("nests").doc(nestID);
+  const sessionRef = nestRef.collection("sessions").doc(sessionID);
+  const [nestDoc, savedSitterDoc] = await Promise.all([
+    nestRef.get(),
+    sitter && sitter.id ?
+      nestRef.collection("savedSitters").doc(String(sitter.id)).get() :
+      null,
+  ]);
+
+  if (!nestDoc.exists || nestDoc.data().ownerId !== uid) {
+    throw new functions.https.HttpsError(
+        "permission-denied",
+        "Only the nest's owner can invite sitters",
+        {reason: "not-owner"},
+    );
+  }
+
+  const sitterEmail = sitter ? sitter.email.trim() : null;
+  const savedSitter = savedSitterDoc && savedSitterDoc.exists ?
+    savedSitterDoc.data() :
+    {};
+
+  for (let attempt = 1; attempt <= MAX_CODE_ATTEMPTS; attempt++) {
+    const code = generateInviteCode();
+    const inviteID = `invite-${code}`;
+    const inviteRef = db.collection("invites").doc(inviteID);
+
+    const created = await db.runTransaction(async (transaction) => {
+      const [existing, sessionDoc] = await Promise.all([
+        transaction.get(inviteRef),
+        transaction.get(sessionRef),
+      ]);
+
+      if (!sessionDoc.exists) {
+        throw new functions.https.HttpsError(
+            "not-found",
+            "Session not found",
+            {reason: "session-not-found"},
+        );
+      }
+      const sessionData = sessionDoc.data();
+      if (sessionData.status === SessionStatus.COMPLETED ||
+          sessionData.status === SessionStatus.ARCHIVED) {
+        throw new functions.https.HttpsError(
+            "failed-precondition",
+            "This session is over",
+            {reason: "session-ended"},
+        );
+      }
+      if (acceptedSitterOf(sessionData)) {
+        throw new functions.https.HttpsError(
+            "already-exists",
+            "A sitter has already accepted this session",
+            {reason: "already-accepted"},
+        );
+      }
+
+      const previousInviteID = sessionData.assignedSitter &&
+        sessionData.assignedSitter.inviteID;
+      const previousInviteRef = previousInviteID ?
+        db.collection("invites").doc(previousInviteID) :
+        null;
+      const previousInvite = previousInviteRef ?
+        await transaction.get(previousInviteRef) :
+        null;
+      if (existing.exists) return false;
+
+      if (previousInvite && previousInvite.exists &&
+          previousInvite.data().status === InviteStatus.PENDING) {
+        transaction.update(previousInviteRef, {
+          status: InviteStatus.CANCELLED,
+          cancelledAt: admin.firestore.Timestamp.now(),
+        });
+      }
+      transaction.create(inviteRef, {
+        id: inviteID,
+        nestID,
+        nestName: nestDoc.data().name || "",
+        sessionID,
+        sitterEmail,
+        status: InviteStatus.PENDING,
+        createdAt: admin.firestore.Timestamp.now(),
+        expiresAt: sessionData.endDate,
+        createdBy: uid,
+        inviteType: "ownerInitiated",
+      });
+      transaction.update(sessionRef, {
+        assignedSitter: {
+          id: (sitter && sitter.id) || crypto.randomUUID().toUpperCase(),
+          name: (sitter && sitter.name) || "",
+          email: sitterEmail || "",
+          userID: savedSitter.userID || null,
+          inviteStatus: SessionInviteStatus.INVITED,
+          inviteID,
+        },
+      });
+      return true;
+    });
+
+    if (created) {
+      logger.info(`Created invite ${inviteID} for session ${sessionID}` +
+        (attempt > 1 ? ` after ${attempt - 1} code collisions` : ""));
+      return {success: true, inviteID, code};
+    }
+  }
+
+  logger.error(`No free invite code after ${MAX_CODE_ATTEMPTS} attempts`);
+  throw new functions.https.HttpsError(
+      "unavailable",
+      "Couldn't create an invite code. Please try again.",
+      {reason: "no-free-code"},
+  );
+});
+
+/**
+ * Cloud function that looks up an invite code before the sitter accepts it,
+ * returning the invite and its session (the sitter's placeholder for
+ * sitter-initiated requests). Lookups are limited per user and per IP, and
+ * repeated unknown codes lock the caller out, so codes can't be guessed.
+ */
+exports.validateInviteCode = onCall(async (request) => {
+  const uid = authorize(request).uid;
+  const code = normalizeInviteCode((request.data || {}).code);
+
+  if (!code) {
+    throw new functions.https.HttpsError(
+        "invalid-argument",
+        "A valid 6-digit invite code is required",
+        {reason: "invalid-code"},
+    );
+  }
+
+  const ip = clientIpOf(request);
+  await throttleInviteCodeLookup(uid, ip);
+
+  const db = admin.firestore();
+  const inviteDoc = await db.collection("invites").doc(`invite-${code}`).get();
+  if (!inviteDoc.exists) {
+    await recordInviteCodeMiss(uid, ip, code);
+    throw new functions.https.HttpsError(
+        "not-found",
+        "Invite not found",
+        {reason: "invalid-code"},
+    );
+  }
+
+  const invite = inviteDoc.data();
+  const expiresAt = toDate(invite.expiresAt);
+  if (invite.status !== InviteStatus.PENDING ||
+      (expiresAt && expiresAt.getTime() < Date.now())) {
+    const expired = invite.status === InviteStatus.EXPIRED ||
+      invite.status === InviteStatus.PENDING;
+    throw new functions.https.HttpsError(
+        "failed-precondition",
+        expired ? "This invite has expired" : "This invite has already been used",
+        {reason: expired ? "expired" : "not-pending"},
+    );
+  }
+
+  const sitterInitiated = invite.inviteType === "sitterInitiated";
+  const sessionRef = sitterInitiated ?
+    db.collection("users").doc(invite.createdBy)
+        .collection("sessionRequests").doc(invite.sessionID) :
+    db.collection("nests").doc(invite.nestID)
+        .collection("sessions").doc(invite.sessionID);
+  const sessionDoc = await sessionRef.get();
+  if (!sessionDoc.exists) {
+    throw new functions.https.HttpsError(
+        "not-found",
+        "The session for this invite no longer exists",
+        {reason: "session-not-found"},
+    );
+  }
+
+  return {
+    invite: {
+      ...invite,
+      createdAt: toDate(invite.createdAt) ?
+        toDate(invite.createdAt).toISOString() :
+        null,
+      expiresAt: expiresAt ? expiresAt.toISOString() : null,
+    },
+    session: serializeSession({id: sessionDoc.id, ...sessionDoc.data()}),
+  };
+});
+
+/**
+ * Cloud function that accepts a session invite on behalf of the signed-in sitter.
+ * Marks the invite accepted, links the sitter onto the nest session and creates
+ * the sitter's sitterSession in a single transaction, so a crash mid-accept can
+ * no longer leave the three documents half-linked.
+ */
+exports.acceptSessionInvite = onCall(async (request) => {
+  const uid = authorize(request).uid;
+  const {code} = request.data || {};
+
+  // Accept both the raw 6-digit code and the "invite-123456" document ID
+  const rawCode = normalizeInviteCode(code);
+
+  if (!rawCode) {
+    throw new functions.https.HttpsError(
+        "invalid-argument",
+        "A valid 6-digit invite code is required",
+        {reason: "invalid-code"},
+    );
+  }
+
+  const ip = clientIpOf(request);
+  await throttleInviteCodeLookup(uid, ip);
+
+  const db = admin.firestore();
+  const inviteID = `invite-${rawCode}`;
+  const inviteRef = db.collection("invites").doc(inviteID);
+  const userRef = db.collection("users").doc(uid);
+
+  try {
+    const result = await db.runTransaction(async (transaction) => {
+      const inviteDoc = await transaction.get(inviteRef);
+      if (!inviteDoc.exists) {
+        throw new functions.https.HttpsError(
+            "not-found",
+            "Invite not found",
+            {reason: "invalid-code"},
+        );
+      }
+
+      const invite = inviteDoc.data();
+
+      if (invite.inviteType === "sitterInitiated") {
+        throw new functions.https.HttpsError(
+            "failed-precondition",
+            "Session requests must be accepted by the nest owner",
+            {reason: "sitter-initiated"},
+        );
+      }
+
+      if (invite.status === InviteStatus.CANCELLED) {
+        throw new functions.https.HttpsError(
+            "failed-precondition",
+            "This invite has been cancelled",
+            {reason: "cancelled"},
+        );
+      }
+
+      // Re-accepting your own invite re-applies the links below, which repairs
+      // any half-linked state left behind by older clients.
+      const alreadyAccepted = invite.status === InviteStatus.ACCEPTED;
+      if (alreadyAccepted && invite.acceptedBy !== uid) {
+        throw new functions.https.HttpsError(
+            "already-exists",
+            "This invite has already been accepted",
+            {reason: "already-accepted"},
+        );
+      }
+
+      if (!alreadyAccepted && invite.status !== InviteStatus.PENDING) {
+        throw new functions.https.HttpsError(
+            "failed-precondition",
+            `This invite is no longer available (${invite.status})`,
+            {reason: invite.status === InviteStatus.EXPIRED ? "expired" : "not-pending"},
+        );
+      }
+
+      const expiresAt = toDate(invite.expiresAt);
+      if (!alreadyAccepted && expiresAt && expiresAt.getTime() < Date.now()) {
+        throw new functions.https.HttpsError(
+            "failed-precondition",
+            "This invite has expired",
+            {reason: "expired"},
+        );
+      }
+
+      const sessionRef = db.collection("nests")
+          .doc(invite.nestID)
+          .collection("sessions")
+          .doc(invite.sessionID);
+      const sitterSessionRef = userRef
+          .collection("sitterSessions")
+          .doc(invite.sessionID);
+
+      // All transaction reads must happen before any writes
+      const savedSitterQuery = invite.sitterEmail ?
+        db.collection("nests")
+            .doc(invite.nestID)
+            .collection("savedSitters")
+            .where("email", "==", invite.sitterEmail)
+            .limit(1) :
+        null;
+
+      const [sessionDoc, sitterSessionDoc, userDoc, savedSitterSnapshot] =
+        await Promise.all([
+          transaction.get(sessionRef),
+          transaction.get(sitterSessionRef),
+          transaction.get(userRef),
+          savedSitterQuery ? transaction.get(savedSitterQuery) : null,
+        ]);
+
+      if (!sessionDoc.exists) {
+        throw new functions.https.HttpsError(
+            "not-found",
+            "The session for this invite no longer exists",
+            {reason: "session-not-found"},
+        );
+      }
+
+      const sessionData = sessionDoc.data();
+      const existingSitter = sessionData.assignedSitter || null;
+
+      if (existingSitter &&
+          existingSitter.userID &&
+          existingSitter.userID !== uid &&
+          existingSitter.inviteStatus === SessionInviteStatus.ACCEPTED) {
+        throw new functions.https.HttpsError(
+            "already-exists",
+            "Another sitter has already accepted this session",
+            {reason: "already-accepted"},
+        );
+      }
+
+      // The owner has invited someone else since: this code is stale
+      if (existingSitter && existingSitter.inviteID &&
+          existingSitter.inviteID !== inviteID) {
+        throw new functions.https.HttpsError(
+            "failed-precondition",
+            "This invite has been replaced by a newer one",
+            {reason: "invite-replaced"},
+        );
+      }
+
+      const userData = userDoc.exists ? userDoc.data() : {};
+      const personalInfo = userData.personalInfo || {};
+      const sitterEmail = request.auth.token.email ||
+        personalInfo.email ||
+        (existingSitter && existingSitter.email) ||
+        "";
+      const sitterName = personalInfo.name ||
+        (existingSitter && existingSitter.name) ||
+        sitterEmail ||
+        "Sitter";
+
+      const assignedSitter = {
+        ...(existingSitter || {}),
+        id: (existingSitter && existingSitter.id) ||
+          crypto.randomUUID().toUpperCase(),
+        name: sitterName,
+        email: sitterEmail,
+        userID: uid,
+        inviteStatus: SessionInviteStatus.ACCEPTED,
+        inviteID: inviteID,
+      };
+
+      if (!alreadyAccepted) {
+        transaction.update(inviteRef, {
+          status: InviteStatus.ACCEPTED,
+          acceptedAt: admin.firestore.FieldValue.serverTimestamp(),
+          acceptedBy: uid,
+        });
+      }
+
+      transaction.update(sessionRef, {assignedSitter});
+
+      // Keep the original acceptance time when repairing an existing link
+      const inviteAcceptedAt = sitterSessionDoc.exists &&
+        sitterSessionDoc.data().inviteAcceptedAt ?
+        sitterSessionDoc.data().inviteAcceptedAt :
+        admin.firestore.Timestamp.now();
+
+      transaction.set(sitterSessionRef, {
+        id: invite.sessionID,
+        nestID: invite.nestID,
+        nestName: invite.nestName || "",
+        inviteAcceptedAt: inviteAcceptedAt,
+        readyToArchive: false,
+      }, {merge: true});
+
+      if (savedSitterSnapshot && !savedSitterSnapshot.empty) {
+        transaction.update(savedSitterSnapshot.docs[0].ref, {userID: uid});
+      }
+
+      return {
+        sessionID: invite.sessionID,
+        nestID: invite.nestID,
+        nestName: invite.nestName || "",
+        alreadyAccepted,
+      };
+    });
+
+    logger.info(
+        `Invite ${inviteID} accepted by user ${uid}` +
+        ` for session ${result.sessionID}` +
+        (result.alreadyAccepted ? " (links repaired)" : ""),
+    );
+
+    return {success: true, inviteID, ...result};
+  } catch (error) {
+    if (error instanceof functions.https.HttpsError) {
+      logger.warn(`Invite ${inviteID} rejected for user ${uid}: ${error.message}`);
+      if (error.code === "not-found" && error.details &&
+          error.details.reason === "invalid-code") {
+        await recordInviteCodeMiss(uid, ip, rawCode);
+      }
+      throw error;
+    }
+
+    logger.error(`Failed to accept invite ${inviteID}: ${error.message}`);
+    throw new functions.https.HttpsError(
+        "internal",
+        "Failed to accept invite",
+        error.message,
+    );
+  }
+});
+
+/**
+ * Cloud function that processes a sitter's new check-in. Check-ins from
+ * anyone but the session's assigned sitter are removed. Otherwise the photo
+ * (if any) gets thumbnails and the owner gets a push, once per check-in even
+ * if the trigger is retried.
+ */
+exports.onSessionCheckInCreated = functions.firestore
+    .onDocumentCreated(
+        {
+          document: "nests/{nestId}/sessions/{sessionId}/checkIns/{checkInId}",
+          secrets: emailSecrets,
+        },
+        async (event) => {
+          const snapshot = event.data;
+          if (!snapshot) return null;
+
+          const db = admin.firestore();
+          const {nestId, sessionId, checkInId} = event.params;
+          const checkIn = {id: checkInId, ...snapshot.data()};
+          const label = `[CheckIn ${nestId}/${sessionId}/${checkInId}]`;
+          // The app uploads check-in photos under the session's folder
+          const allowedPrefix = `nests/${nestId}/sessions/${sessionId}/checkIns/`;
+
+          const sessionDoc = await db.collection("nests").doc(nestId)
+              .collection("sessions").doc(sessionId).get();
+          const sessionData = sessionDoc.exists ?
+            {id: sessionDoc.id, nestID: nestId, ...sessionDoc.data()} :
+            null;
+          const sitter = sessionData && sessionData.assignedSitter;
+
+          if (!sitter || !sitter.userID || checkIn.submittedBy !== sitter.userID) {
+            logger.warn(`${label} Removing check-in from ${checkIn.submittedBy},` +
+              ` who is not the session's assigned sitter`);
+            await snapshot.ref.delete();
+            if (checkIn.imageURL) {
+              await deleteCheckInImage({
+                storage: admin.storage(),
+                imageURL: checkIn.imageURL,
+                allowedPrefix,
+              }).catch((error) => {
+                logger.error(`${label} Failed to delete image: ${error.message}`);
+              });
+            }
+            return null;
+          }
+
+          if (checkIn.imageURL && !checkIn.thumbnails) {
+            try {
+              const processed = await createCheckInThumbnails({
+                storage: admin.storage(),
+                imageURL: checkIn.imageURL,
+                checkInId,
+                allowedPrefix,
+              });
+              if (processed) {
+                await snapshot.ref.update({
+                  ...processed,
+                  imageProcessedAt: admin.firestore.Timestamp.now(),
+                });
+                checkIn.thumbnails = processed.thumbnails;
+              } else {
+                logger.warn(`${label} Image is outside ${allowedPrefix}, skipping thumbnails`);
+              }
+            } catch (error) {
+              // The owner still hears about the check-in without thumbnails
+              logger.error(`${label} Failed to create thumbnails: ${error.message}`);
+              await snapshot.ref.update({imageProcessingError: error.message});
+            }
+          }
+
+          const claimed = await db.runTransaction(async (transaction) => {
+            const current = await transaction.get(snapshot.ref);
+            if (!current.exists || current.data().ownerNotifiedAt) return false;
+            transaction.update(snapshot.ref, {
+              ownerNotifiedAt: admin.firestore.Timestamp.now(),
+            });
+            return true;
+          });
+
+          if (claimed && sessionData.ownerID) {
+            await notifications.notify("session_check_in", {
+              recipients: [{userId: sessionData.ownerID, role: "owner"}],
+              payload: {sessionData, checkIn, sitterName: sitter.name},
+            });
+          }
+          return null;
+        });
+
+/**
+ * Cloud function that runs every evening to email owners who opted into
+ * check-in digests a summary of the last day's check-ins on each in-progress
+ * multi-day session. A per-day marker in the session's checkInDigests
+ * subcollection keeps a session from being summarised twice in one day.
+ */
+exports.sendCheckInDigests = onSchedule({
+  schedule: "0 19 * * *",
+  timeZone: "America/New_York",
+  secrets: emailSecrets,
+}, async (event) => {
+  const db = admin.firestore();
+  const now = new Date();
+  const since = admin.firestore.Timestamp.fromMillis(
+      now.getTime() - 24 * 60 * 60 * 1000);
+  const digestId = now.toISOString().slice(0, 10);
+
+  let sessionsDigested = 0;
+  let ownersEmailed = 0;
+
+  try {
+    const activeSessionsQuery = db.collectionGroup("sessions")
+        .where("status", "in", [SessionStatus.IN_PROGRESS, SessionStatus.EXTENDED]);
+
+    await forEachPage(activeSessionsQuery, async (docs) => {
+      for (const sessionDoc of docs) {
+        const sessionData = {
+          id: sessionDoc.id,
+          nestID: sessionDoc.ref.parent.parent.id,
+          ...sessionDoc.data(),
+        };
+        if (!sessionData.isMultiDay || !sessionData.ownerID) continue;
+
+        const checkInsSnapshot = await sessionDoc.ref.collection("checkIns")
+            .where("submittedAt", ">", since)
+            .orderBy("submittedAt")
+            .get();
+        if (checkInsSnapshot.empty) continue;
+
+        // create() fails if today's marker exists, which claims the digest
+        const markerRef = sessionDoc.ref.collection("checkInDigests").doc(digestId);
+        try {
+          await markerRef.create({
+            createdAt: admin.firestore.Timestamp.now(),
+            checkInCount: checkInsSnapshot.size,
+          });
+        } catch (error) {
+          if (error.code === 6) continue; // ALREADY_EXISTS
+          throw error;
+        }
+
+        const checkIns = checkInsSnapshot.docs.map((doc) => {
+          const data = doc.data();
+          const thumbnails = data.thumbnails || {};
+          return {
+            submittedAt: toDate(data.submittedAt),
+            caption: data.caption || "",
+            imageUrl: thumbnails.medium ? thumbnails.medium.url : null,
+          };
+        });
+
+        const summary = await notifications.notify("session_check_in_digest", {
+          recipients: [{userId: sessionData.ownerID, role: "owner"}],
+          payload: {
+            sessionData,
+            checkIns,
+            sitterName: (sessionData.assignedSitter || {}).name,
+          },
+        });
+
+        if (summary.failed > 0) {
+          // Let the next run try this session again
+          await markerRef.delete();
+        } else {
+          sessionsDigested++;
+          ownersEmailed += summary.emails;
+        }
+      }
+    });
+
+    logger.info(`Check-in digests: ${sessionsDigested} sessions,` +
+      ` ${ownersEmailed} owners emailed`);
+    return null;
+  } catch (error) {
+    logger.error(`Error sending check-in digests: ${error.message}`);
+    throw new Error(`Failed to send check-in digests: ${error.message}`);
+  }
+});
+
+/**
+ * Loads the routines selected for a session from its nest's entries
+ * @param {FirebaseFirestore.DocumentReference} sessionRef - The session
+ * @param {Object} sessionData - The session data
+ * @return {Promise<Array<Object>>} The routine entries, with their IDs
+ */
+async function getSessionRoutines(sessionRef, sessionData) {
+  const itemIds = sessionData.selectedItemIds || sessionData.entryIds || [];
+  if (itemIds.length === 0) return [];
+
+  const entries = sessionRef.parent.parent.collection("entries");
+  const docs = await admin.firestore()
+      .getAll(...itemIds.map((id) => entries.doc(id)));
+
+  return docs
+      .filter((doc) => doc.exists && doc.data().type === "routine")
+      .map((doc) => ({id: doc.id, ...doc.data()}));
+}
+
+/**
+ * Alerts a running session's sitter about each routine that is past its
+ * time of day and still unfinished. The alert is recorded on the routine's
+ * progress document for the day, so each routine is flagged at most once a day.
+ * @param {FirebaseFirestore.QueryDocumentSnapshot} sessionDoc - The session
+ * @param {Date} now - The time to evaluate the session at
+ * @return {Promise<number>} How many alerts were sent
+ */
+async function alertOverdueRoutines(sessionDoc, now) {
+  const db = admin.firestore();
+  const sessionData = {
+    id: sessionDoc.id,
+    nestID: sessionDoc.ref.parent.parent.id,
+    ...sessionDoc.data(),
+  };
+  const sitter = sessionData.assignedSitter;
+  if (!sitter || !sitter.userID) return 0;
+
+  const routines = await getSessionRoutines(sessionDoc.ref, sessionData);
+  const timeZone = getSessionTimeZone(sessionData);
+  let alertCount = 0;
+
+  for (const routine of routines) {
+    const progressRef = sessionDoc.ref.collection("routineProgress")
+        .doc(routineProgressId(routine.id, localDateKey(now, timeZone)));
+
+    const overdue = await db.runTransaction(async (transaction) => {
+      const progressDoc = await transaction.get(progressRef);
+      const progress = progressDoc.exists ? progressDoc.data() : null;
+      if (progress && progress.overdueAlertedAt) return null;
+
+      const result = checkRoutineOverdue({
+        routine,
+        progress,
+        now,
+        timeZone,
+        sessionStart: toDate(sessionData.startDate),
+        graceMs: ROUTINE_OVERDUE_GRACE_MS,
+        windowMs: ROUTINE_OVERDUE_WINDOW_MS,
+      });
+      if (!result) return null;
+
+      transaction.set(progressRef, {
+        routineId: routine.id,
+        sessionID: sessionData.id,
+        nestID: sessionData.nestID,
+        date: result.dateKey,
+        totalActions: result.total,
+        overdueAlertedAt: admin.firestore.Timestamp.now(),
+      }, {merge: true});
+      return result;
+    });
+
+    if (!overdue) continue;
+
+    const summary = await notifications.notify("routine_overdue", {
+      recipients: [{
+        userId: sitter.userID,
+        role: "sitter",
+        name: sitter.name,
+        email: sitter.email,
+      }],
+      payload: {sessionData, routine, ...overdue},
+    });
+    if (summary.delivered > 0) alertCount++;
+  }
+
+  return alertCount;
+}
+
+/**
+ * Cloud function that marks one action of a session routine done or not done
+ * for today, on behalf of the session's owner or sitter. Progress lives in
+ * the session's routineProgress subcollection, one document per routine per
+ * day in the session's time zone, so both devices see the same checklist and
+ * it starts afresh each day. When the sitter finishes the last action the
+ * owner gets a push, once per routine per day.
+ */
+exports.setRoutineActionCompleted = onCall({secrets: emailSecrets}, async (request) => {
+  const uid = authorize(request).uid;
+  const {nestId, sessionId, routineId, actionIndex, completed} =
+    request.data || {};
+
+  const isId = (value) => typeof value === "string" &&
+    value.length > 0 && !value.includes("/");
+  if (!isId(nestId) || !isId(sessionId) || !isId(routineId) ||
+      !Number.isInteger(actionIndex) || actionIndex < 0 ||
+      typeof completed !== "boolean") {
+    throw new functions.https.HttpsError(
+        "invalid-argument",
+        "nestId, sessionId, routineId, actionIndex and completed are required",
+        {reason: "invalid-request"},
+    );
+  }
+
+  const db = admin.firestore();
+  const nestRef = db.collection("nests").doc(nestId);
+  const sessionRef = nestRef.collection("sessions").doc(sessionId);
+  const routineRef = nestRef.collection("entries").doc(routineId);
+
+  const result = await db.runTransaction(async (transaction) => {
+    const [sessionDoc, routineDoc] = await Promise.all([
+      transaction.get(sessionRef),
+      transaction.get(routineRef),
+    ]);
+
+    if (!sessionDoc.exists) {
+      throw new functions.https.HttpsError(
+          "not-found",
+          "Session not found",
+          {reason: "session-not-found"},
+      );
+    }
+
+    const sessionData = {id: sessionId, nestID: nestId, ...sessionDoc.data()};
+    const sitter = sessionData.assignedSitter || {};
+    const isSitter = Boolean(sitter.userID) && sitter.userID === uid;
+
+    if (!isSitter && sessionData.ownerID !== uid) {
+      throw new functions.https.HttpsError(
+          "permission-denied",
+          "Only the session's owner and sitter can update its routines",
+          {reason: "not-a-participant"},
+      );
+    }
+
+    if (sessionData.status !== SessionStatus.IN_PROGRESS &&
+        sessionData.status !== SessionStatus.EXTENDED) {
+      throw new functions.https.HttpsError(
+          "failed-precondition",
+          "Routines can only be updated while the session is running",
+          {reason: "session-not-active"},
+      );
+    }
+
+    const itemIds = sessionData.selectedItemIds || sessionData.entryIds || [];
+    const routine = routineDoc.exists ?
+      {id: routineId, ...routineDoc.data()} :
+      null;
+    if (!routine || routine.type !== "routine" || !itemIds.includes(routineId)) {
+      throw new functions.https.HttpsError(
+          "not-found",
+          "This routine isn't part of the session",
+          {reason: "routine-not-found"},
+      );
+    }
+
+    const total = Array.isArray(routine.routineActions) ?
+      routine.routineActions.length :
+      0;
+    if (actionIndex >= total) {
+      throw new functions.https.HttpsError(
+          "invalid-argument",
+          "This routine has no such action",
+          {reason: "invalid-action"},
+      );
+    }
+
+    const dateKey = localDateKey(new Date(), getSessionTimeZone(sessionData));
+    const progressRef = sessionRef.collection("routineProgress")
+        .doc(routineProgressId(routineId, dateKey));
+    const progressDoc = await transaction.get(progressRef);
+    const progress = progressDoc.exists ? progressDoc.data() : {};
+
+    const previous = normalizeCompletedActions(progress.completedActions, total);
+    const completedActions = normalizeCompletedActions(completed ?
+      [...previous, actionIndex] :
+      previous.filter((index) => index !== actionIndex), total);
+    const isComplete = completedActions.length === total;
+    const now = admin.firestore.Timestamp.now();
+
+    // Only the sitter finishing the routine is news to the owner
+    const notifyOwner = isComplete && isSitter &&
+      previous.length < total && !progress.ownerNotifiedAt;
+
+    const update = {
+      routineId,
+      sessionID: sessionId,
+      nestID: nestId,
+      date: dateKey,
+      completedActions,
+      totalActions: total,
+      updatedBy: uid,
+      updatedAt: now,
+      completedAt: isComplete ?
+        (progress.completedAt || now) :
+        admin.firestore.FieldValue.delete(),
+    };
+    if (notifyOwner) update.ownerNotifiedAt = now;
+    transaction.set(progressRef, update, {merge: true});
+
+    return {
+      sessionData,
+      routine,
+      notifyOwner,
+      response: {
+        routineId,
+        date: dateKey,
+        completedActions,
+        totalActions: total,
+        isComplete,
+      },
+    };
+  });
+
+  if (result.notifyOwner && result.sessionData.ownerID) {
+    await notifications.notify("routine_completed", {
+      recipients: [{userId: result.sessionData.ownerID, role: "owner"}],
+      payload: {
+        sessionData: result.sessionData,
+        routine: result.routine,
+        sitterName: result.sessionData.assignedSitter.name,
+      },
+    });
+  }
+
+  return result.response;
+});
+
+/**
+ * Returns a session's sitter if they've accepted it
+ * @param {Object} sessionData - The session
+ * @return {Object|null} The session's assignedSitter, or null
+ */
+function acceptedSitterOf(sessionData) {
+  const sitter = sessionData.assignedSitter;
+  return sitter && sitter.userID &&
+    sitter.inviteStatus === SessionInviteStatus.ACCEPTED ?
+    sitter :
+    null;
+}
+
+/**
+ * Decides whether a sitter should hear about a change to their session: not
+ * when they made it themselves, and not once the session is over
+ * @param {Object} sessionData - The session after the change
+ * @param {Object} sitter - The session's accepted sitter
+ * @param {string|undefined} authId - Who made the change, if a user did
+ * @return {boolean} Whether to notify them
+ */
+function shouldNotifySitterOfChange(sessionData, sitter, authId) {
+  if (authId && authId === sitter.userID) return false;
+  return sessionData.status !== SessionStatus.COMPLETED &&
+    sessionData.status !== SessionStatus.ARCHIVED;
+}
+
+/**
+ * Puts event changes whose push failed back among the sitter's waiting ones,
+ * due now, so sendPendingEventUpdates sends them. Changes queued since are
+ * merged on top, as if they had waited behind these all along.
+ * @param {FirebaseFirestore.DocumentReference} sitterSessionRef - The
+ *   sitter's sitterSessions copy
+ * @param {Object} unsent - The waiting changes by event ID that weren't sent
+ * @return {Promise<void>}
+ */
+async function requeueEventChanges(sitterSessionRef, unsent) {
+  const db = admin.firestore();
+  await db.runTransaction(async (transaction) => {
+    const current = await transaction.get(sitterSessionRef);
+    if (!current.exists) return;
+
+    let pending = unsent;
+    Object.entries(current.data().pendingEventChanges || {})
+        .forEach(([eventId, change]) => {
+          pending = mergeEventChange(pending, eventId, change, change.queuedAt);
+        });
+    transaction.update(sitterSessionRef, {
+      pendingEventChanges: pending,
+      eventChangesDueAt: admin.firestore.Timestamp.now(),
+    });
+  });
+}
+
+/**
+ * Sends a sitter session_updated, treating a send that reached nobody because
+ * of errors as a failure
+ * @param {string} sitterId - The sitter's user ID
+ * @param {Object} sessionData - The session, with `id` and `nestID`
+ * @param {Array<Object>} changes - What changed
+ * @return {Promise<Object>} The dispatch summary
+ */
+async function notifySitterOfChanges(sitterId, sessionData, changes) {
+  const summary = await notifications.notify("session_updated", {
+    recipients: [{userId: sitterId, role: "sitter"}],
+    payload: {sessionData, changes},
+  });
+  if (summary.delivered === 0 && summary.failed > 0) {
+    throw new Error("All session update deliveries failed");
+  }
+  return summary;
+}
+
+/**
+ * Cloud function that keeps the accepted sitter's sitterSessions copy of a
+ * session current, and tells the sitter when the owner changes its title,
+ * times, location or early access. The copy is updated in the same
+ * transaction that claims the event (detailsChangeEventId), so a duplicate
+ * delivery doesn't notify twice; if the send fails the claim is released and
+ * the trigger retried.
+ */
+exports.onSessionDetailsUpdated = functions.firestore
+    .onDocumentUpdatedWithAuthContext(
+        {
+          document: "nests/{nestId}/sessions/{sessionId}",
+          secrets: emailSecrets,
+          retry: true,
+        },
+        async (event) => {
+          const {nestId, sessionId} = event.params;
+          const before = event.data.before.data();
+          const after = event.data.after.data();
+          const sitter = acceptedSitterOf(after);
+          if (!sitter || !mirrorChanged(before, after)) return null;
+
+          const changes = shouldNotifySitterOfChange(after, sitter, event.authId) ?
+            diffSession(before, after) :
+            [];
+
+          const db = admin.firestore();
+          const sitterSessionRef = db.collection("users").doc(sitter.userID)
+              .collection("sitterSessions").doc(sessionId);
+
+          const claimed = await db.runTransaction(async (transaction) => {
+            const sitterSessionDoc = await transaction.get(sitterSessionRef);
+            if (!sitterSessionDoc.exists ||
+                sitterSessionDoc.data().detailsChangeEventId === event.id) {
+              return false;
+            }
+            transaction.update(sitterSessionRef, {
+              ...sitterSessionMirror(after),
+              sessionUpdatedAt: admin.firestore.Timestamp.now(),
+              detailsChangeEventId: event.id,
+            });
+            return true;
+          });
+
+          if (!claimed) {
+            logger.info(`Session ${sessionId} change already handled or` +
+              ` sitter ${sitter.userID} has no sitterSessions copy`);
+            return null;
+          }
+          if (changes.length === 0) return null;
+
+          const sessionData = {id: sessionId, nestID: nestId, ...after};
+          try {
+            await notifySitterOfChanges(sitter.userID, sessionData, changes);
+          } catch (error) {
+            logger.error(`Failed to notify sitter ${sitter.userID} of session` +
+              ` ${sessionId} changes: ${error.message}`);
+            // Release the claim so the retried event sends them
+            await sitterSessionRef.update({
+              detailsChangeEventId: admin.firestore.FieldValue.delete(),
+            }).catch((releaseError) => {
+              logger.error(`Failed to release session ${sessionId} change` +
+                ` for retry: ${releaseError.message}`);
+            });
+            throw error;
+          }
+          logger.info(`Notified sitter ${sitter.userID} of session ${sessionId}` +
+            ` changes: ${changes.map((change) => change.field).join(", ")}`);
+          return null;
+        });
+
+/**
+ * Cloud function that tells the accepted sitter when the owner adds, edits
+ * or removes one of a session's events. Edits made within
+ * SESSION_EVENT_NOTIFY_COOLDOWN_MS of the last event push are held in the
+ * sitter's sitterSessions copy (pendingEventChanges) and sent together with
+ * the next edit after it, or by sendPendingEventUpdates, so saving several
+ * events at once sends one push rather than one per event. Each event is
+ * claimed (eventChangeEventId) as its change is queued, so a duplicate
+ * delivery isn't queued twice; changes whose push fails go back in the queue
+ * for sendPendingEventUpdates.
+ */
+exports.onSessionEventWritten = functions.firestore
+    .onDocumentWrittenWithAuthContext(
+        {
+          document: "nests/{nestId}/sessions/{sessionId}/events/{eventId}",
+          secrets: emailSecrets,
+        },
+        async (event) => {
+          const {nestId, sessionId} = event.params;
+          const change = diffEvent(
+              event.data.before.exists ? event.data.before.data() : null,
+              event.data.after.exists ? event.data.after.data() : null,
+          );
+          if (!change) return null;
+
+          const db = admin.firestore();
+          const sessionDoc = await db.collection("nests").doc(nestId)
+              .collection("sessions").doc(sessionId).get();
+          if (!sessionDoc.exists) return null;
+
+          const sessionData = {
+            id: sessionId,
+            nestID: nestId,
+            ...sessionDoc.data(),
+          };
+          const sitter = acceptedSitterOf(sessionData);
+          if (!sitter ||
+              !shouldNotifySitterOfChange(sessionData, sitter, event.authId)) {
+            return null;
+          }
+
+          const sitterSessionRef = db.collection("users").doc(sitter.userID)
+              .collection("sitterSessions").doc(sessionId);
+
+          const queued = await db.runTransaction(async (transaction) => {
+            const sitterSessionDoc = await transaction.get(sitterSessionRef);
+            if (!sitterSessionDoc.exists) return null;
+
+            const sitterSession = sitterSessionDoc.data();
+            if (sitterSession.eventChangeEventId === event.id) return null;
+
+            const now = admin.firestore.Timestamp.now();
+            const pending = mergeEventChange(sitterSession.pendingEventChanges,
+                event.params.eventId, change, now.toMillis());
+            const lastNotified = toDate(sitterSession.eventsNotifiedAt);
+            const coolingDown = lastNotified && now.toMillis() -
+              lastNotified.getTime() < SESSION_EVENT_NOTIFY_COOLDOWN_MS;
+
+            if (coolingDown) {
+              transaction.update(sitterSessionRef, {
+                eventsUpdatedAt: now,
+                eventChangeEventId: event.id,
+                pendingEventChanges: pending,
+                eventChangesDueAt: admin.firestore.Timestamp.fromMillis(
+                    lastNotified.getTime() + SESSION_EVENT_NOTIFY_COOLDOWN_MS),
+              });
+              return null;
+            }
+
+            const ready = pendingEventChanges(pending);
+            transaction.update(sitterSessionRef, {
+              eventsUpdatedAt: now,
+              eventChangeEventId: event.id,
+              pendingEventChanges: admin.firestore.FieldValue.delete(),
+              eventChangesDueAt: admin.firestore.FieldValue.delete(),
+              ...(ready.length > 0 ? {eventsNotifiedAt: now} : {}),
+            });
+            return ready.length > 0 ? {pending, changes: ready} : null;
+          });
+          if (!queued) return null;
+
+          try {
+            await notifySitterOfChanges(
+                sitter.userID, sessionData, queued.changes);
+          } catch (error) {
+            logger.error(`Failed to notify sitter ${sitter.userID} of session` +
+              ` ${sessionId} event changes, queueing them: ${error.message}`);
+            await requeueEventChanges(sitterSessionRef, queued.pending);
+          }
+          return null;
+        });
+
+/**
+ * Cloud function that runs every 5 minutes to send sitters the event edits
+ * held back by onSessionEventWritten once their cooldown has passed, when no
+ * later edit has sent them already. Each sitterSessions copy is claimed in a
+ * transaction before its push, so an overlapping run or edit can't send the
+ * same changes twice.
+ */
+exports.sendPendingEventUpdates = onSchedule({
+  schedule: "*/5 * * * *",
+  secrets: emailSecrets,
+}, async (event) => {
+  const db = admin.firestore();
+  const now = admin.firestore.Timestamp.now();
+  const dueQuery = db.collectionGroup("sitterSessions")
+      .where("eventChangesDueAt", "<=", now);
+
+  let sent = 0;
+  await forEachPage(dueQuery, async (docs) => {
+    for (const sitterSessionDoc of docs) {
+      const sitterId = sitterSessionDoc.ref.parent.parent.id;
+      const {nestID} = sitterSessionDoc.data();
+      const sessionDoc = nestID ?
+        await db.collection("nests").doc(nestID)
+            .collection("sessions").doc(sitterSessionDoc.id).get() :
+        null;
+
+      const claimed = await db.runTransaction(async (transaction) => {
+        const current = await transaction.get(sitterSessionDoc.ref);
+        const dueAt = current.exists ?
+          toDate(current.data().eventChangesDueAt) :
+          null;
+        if (!dueAt || dueAt.getTime() > now.toMillis()) return null;
+
+        const pending = current.data().pendingEventChanges || {};
+        const ready = pendingEventChanges(pending);
+        transaction.update(sitterSessionDoc.ref, {
+          pendingEventChanges: admin.firestore.FieldValue.delete(),
+          eventChangesDueAt: admin.firestore.FieldValue.delete(),
+          ...(ready.length > 0 ? {eventsNotifiedAt: now} : {}),
+        });
+        return {pending, changes: ready};
+      });
+      if (!claimed || claimed.changes.length === 0 ||
+          !sessionDoc || !sessionDoc.exists) {
+        continue;
+      }
+      const {changes} = claimed;
+
+      const sessionData = {
+        id: sessionDoc.id,
+        nestID,
+        ...sessionDoc.data(),
+      };
+      const sitter = acceptedSitterOf(sessionData);
+      if (!sitter || sitter.userID !== sitterId ||
+          !shouldNotifySitterOfChange(sessionData, sitter, null)) {
+        continue;
+      }
+
+      try {
+        const summary = await notifySitterOfChanges(
+            sitterId, sessionData, changes);
+        if (summary.delivered > 0) sent++;
+      } catch (error) {
+        logger.error(`Failed to send held-back updates for session` +
+          ` ${sessionDoc.id} to ${sitterId}, requeueing: ${error.message}`);
+        await requeueEventChanges(sitterSessionDoc.ref, claimed.pending)
+            .catch((requeueError) => {
+              logger.error(`Failed to requeue session ${sessionDoc.id}` +
+                ` updates: ${requeueError.message}`);
+            });
+      }
+    }
+  }, {pageSize: 100, maxPages: 10});
+
+  logger.info(`Sent ${sent} held-back session event updates`);
+  return null;
+});
+
+/**
+ * Function that cleans up invite documents when a session is completed
+ */
+exports.cleanupInviteOnComplete = functions.firestore
+    .onDocumentUpdated("nests/{nestId}/sessions/{sessionId}", async (event) => {
+      const beforeData = event.data.before.data();
+      const afterData = event.data.after.data();
+      const {sessionId} = event.params;
+
+      // Only continue if the status changed to COMPLETED
+      if (beforeData.status !== SessionStatus.COMPLETED &&
+          afterData.status === SessionStatus.COMPLETED) {
+        try {
+          const db = admin.firestore();
+          logger.info(`Session ${sessionId} status` +
+              ` changed to COMPLETED. Cleaning up invite.`);
+
+          // Check if this session has an assigned sitter with invite
+          if (afterData.assignedSitter &&
+              afterData.assignedSitter.userID &&
+              afterData.assignedSitter.inviteID) {
+            const inviteID = afterData.assignedSitter.inviteID;
+            const inviteRef = db.collection("invites").doc(inviteID);
+
+            try {
+              await inviteRef.delete();
+              logger.info(`Successfully deleted invite ${inviteID}` +
+                 ` for session ${sessionId}`);
+            } catch (error) {
+              logger.error(`Error deleting invite` +
+                ` ${inviteID}: ${error.message}`);
+            }
+          } else {
+            logger.info(`Session ${sessionId} has no` +
+                ` assigned sitter with invite, skipping cleanup`);
+          }
+        } catch (error) {
+          logger.error(`Error cleaning up invite: ${error.message}`);
+        }
+      }
+
+      return null;
+    });
+
+/**
+ * Loads the session an invite is for, falling back to what the invite itself
+ * knows when the session is gone (e.g. the owner deleted it)
+ * @param {Object} invite - The invite data, with its `id`
+ * @return {Promise<Object>} The session data, with `id` and `nestID`
+ */
+async function getInviteSession(invite) {
+  const fallback = {
+    id: invite.sessionID,
+    nestID: invite.nestID,
+    title: invite.sessionTitle || "your session",
+  };
+  if (!invite.nestID || !invite.sessionID) return fallback;
+
+  const sessionDoc = await admin.firestore().collection("nests")
+      .doc(invite.nestID).collection("sessions").doc(invite.sessionID).get();
+  return sessionDoc.exists ?
+    {...fallback, ...sessionDoc.data(), id: sessionDoc.id} :
+    fallback;
+}
+
+/**
+ * Cloud function that follows an owner's invite through its life: the owner
+ * hears when the sitter accepts or declines, and the sitter hears when the
+ * owner cancels. Each status is claimed in the invite's `notified` map before
+ * sending, so a retried trigger doesn't notify twice. Session requests a
+ * sitter sends (sitterInitiated) are handled by the app.
+ */
+exports.onInviteStatusChanged = functions.firestore
+    .onDocumentUpdated({
+      document: "invites/{inviteId}",
+      secrets: emailSecrets,
+    }, async (event) => {
+      const before = event.data.before.data();
+      const after = event.data.after.data();
+      const eventType = INVITE_STATUS_EVENTS[after.status];
+      if (before.status === after.status || !eventType) return null;
+      if (after.inviteType === "sitterInitiated") return null;
+
+      const db = admin.firestore();
+      const inviteRef = event.data.after.ref;
+      const invite = {id: event.params.inviteId, ...after};
+      const label = `[Invite ${invite.id}]`;
+
+      const claimed = await db.runTransaction(async (transaction) => {
+        const current = await transaction.get(inviteRef);
+        if (!current.exists) return false;
+        const data = current.data();
+        if (data.status !== after.status ||
+            (data.notified && data.notified[after.status])) {
+          return false;
+        }
+        transaction.update(inviteRef, {
+          [`notified.${after.status}`]: admin.firestore.Timestamp.now(),
+        });
+        return true;
+      });
+      if (!claimed) return null;
+
+      const sessionData = await getInviteSession(invite);
+      const sitter = sessionData.assignedSitter || {};
+      // Only trust the session's sitter details if they're for this invite
+      const isInvitedSitter = sitter.inviteID === invite.id;
+      const sitterName = isInvitedSitter && sitter.name ? sitter.name : null;
+
+      let recipient;
+      if (after.status === InviteStatus.CANCELLED) {
+        const userId = invite.acceptedBy ||
+          (isInvitedSitter && sitter.userID) ||
+          null;
+        if (!userId && !invite.sitterEmail) {
+          logger.info(`${label} Cancelled, but there's no sitter to tell`);
+          return null;
+        }
+        recipient = {
+          userId,
+          role: "sitter",
+          name: sitterName,
+          email: invite.sitterEmail || null,
+        };
+      } else {
+        if (!invite.createdBy) {
+          logger.warn(`${label} ${after.status} invite has no owner to tell`);
+          return null;
+        }
+        recipient = {userId: invite.createdBy, role: "owner"};
+      }
+
+      await notifications.notify(eventType, {
+        recipients: [recipient],
+        payload: {sessionData, invite, sitterName},
+      });
+      return null;
+    });
+
+/**
+ * Cloud function that runs hourly to warn owners about invites that will
+ * expire within INVITE_EXPIRY_WARNING_MS without an answer, so they can
+ * chase the sitter or invite someone else. Each invite is warned once.
+ */
+exports.sendInviteExpiryWarnings = onSchedule({
+  schedule: "0 * * * *",
+  secrets: emailSecrets,
+}, async (event) => {
+  const db = admin.firestore();
+  const now = new Date();
+  const warnBefore = new Date(now.getTime() + INVITE_EXPIRY_WARNING_MS);
+
+  let warned = 0;
+  let failed = 0;
+
+  try {
+    // A range on expiresAt alone needs no composite index; status is checked
+    // on each document instead
+    const expiringQuery = db.collection("invites")
+        .where("expiresAt", ">", now)
+        .where("expiresAt", "<=", warnBefore)
+        .orderBy("expiresAt");
+
+    await forEachPage(expiringQuery, async (docs) => {
+      for (const doc of docs) {
+        const candidate = doc.data();
+        if (candidate.status !== InviteStatus.PENDING ||
+            candidate.inviteType === "sitterInitiated" ||
+            candidate.expiryWarningSentAt ||
+            !candidate.createdBy) {
+          continue;
+        }
+
+        try {
+          const claimed = await db.runTransaction(async (transaction) => {
+            const current = await transaction.get(doc.ref);
+            if (!current.exists ||
+                current.data().status !== InviteStatus.PENDING ||
+                current.data().expiryWarningSentAt) {
+              return false;
+            }
+            transaction.update(doc.ref, {
+              expiryWarningSentAt: admin.firestore.Timestamp.now(),
+            });
+            return true;
+          });
+          if (!claimed) continue;
+
+          const invite = {id: doc.id, ...candidate};
+          const sessionData = await getInviteSession(invite);
+          const sitter = sessionData.assignedSitter || {};
+
+          await notifications.notify("invite_expiring", {
+            recipients: [{userId: invite.createdBy, role: "owner"}],
+            payload: {
+              sessionData,
+              invite,
+              sitterName: sitter.inviteID === invite.id ? sitter.name : null,
+            },
+          });
+          warned++;
+        } catch (error) {
+          failed++;
+          logger.error(`Failed to warn about expiring invite ${doc.id}: ` +
+            error.message);
+        }
+      }
+    });
+
+    logger.info(`Warned owners about ${warned} expiring invites` +
+      (failed > 0 ? `, ${failed} failed` : ""));
+    return null;
+  } catch (error) {
+    logger.error(`Error sending invite expiry warnings: ${error.message}`);
+    throw new Error(`Failed to send invite expiry warnings: ${error.message}`);
+  }
+});
+
+/**
+ * Scheduled function to delete old invite documents
+ * that are more than 30 days old.
+ * Runs every 7 days.
+ */
+exports.cleanupOldInvites = onSchedule("0 0 */7 * *", async (event) => {
+  const db = admin.firestore();
+  const now = new Date();
+  const thirtyDaysAgo = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
+
+  try {
+    logger.info("Starting cleanup of old" +
+      " invite documents...");
+
+    // Query for invites older than 30 days
+    const oldInvitesQuery = db.collection("invites")
+        .where("createdAt", "<=", thirtyDaysAgo);
+
+    let totalDeleted = 0;
+    let totalFailed = 0;
+
+    // Deleted invites drop out of the query, so anything left over after
+    // the page limit is picked up by the next run
+    const paging = await forEachPage(oldInvitesQuery, async (docs) => {
+      const result = await commitInChunks(
+          db,
+          docs.map((doc) => ({type: "delete", ref: doc.ref})),
+          {label: "cleanupOldInvites"},
+      );
+      totalDeleted += result.committedOperations;
+      totalFailed += result.failedOperations;
+    }, {pageSize: MAX_BATCH_SIZE});
+
+    if (paging.documents === 0) {
+      logger.info("No old invites to delete");
+      return null;
+    }
+
+    logger.info(`Successfully deleted ${totalDeleted}` +
+      ` old invite documents` +
+      (totalFailed > 0 ? `, ${totalFailed} failed` : "") +
+      (paging.exhausted ? "" : " (more remain for the next run)"));
+    return null;
+  } catch (error) {
+    logger.error(`Error cleaning up old` +
+      ` invites: ${error.message}`);
+    throw new Error(`Failed to clean up old invites: ${error.message}`);
+  }
+});
+
+/**
+ * Cloud function that runs daily to drop FCM tokens the app hasn't refreshed
+ * in over 4 months. Sends already skip these tokens; this keeps the stored
+ * arrays from growing forever. Each stale entry is removed with arrayRemove,
+ * so a token the app uploads at the same moment is never lost. A run covers
+ * up to 50,000 users; the next one picks up after the last user it reached
+ * (scheduledJobs/cleanupStaleFcmTokens) and starts over once all were seen.
+ */
+exports.cleanupStaleFcmTokens = onSchedule({
+  schedule: "30 3 * * *",
+  timeoutSeconds: 540,
+}, async (event) => {
+  const db = admin.firestore();
+  const now = Date.now();
+  // Where the last run stopped, so runs that hit the page limit take turns
+  // through all users instead of starting over each day
+  const jobRef = db.collection("scheduledJobs").doc("cleanupStaleFcmTokens");
+
+  try {
+    const usersQuery = db.collection("users")
+        .orderBy(admin.firestore.FieldPath.documentId());
+    const jobDoc = await jobRef.get();
+    const resumeAfter = jobDoc.exists ? jobDoc.data().cursor : null;
+
+    let usersUpdated = 0;
+    let tokensRemoved = 0;
+    let totalFailed = 0;
+
+    const paging = await forEachPage(usersQuery, async (docs) => {
+      const updates = [];
+      docs.forEach((doc) => {
+        const stale = getStaleTokenEntries(doc.data(), now);
+        if (stale.length === 0) return;
+
+        tokensRemoved += stale.length;
+        updates.push({
+          type: "update",
+          ref: doc.ref,
+          data: {fcmTokens: admin.firestore.FieldValue.arrayRemove(...stale)},
+        });
+      });
+
+      // Users deleted since the page was read fail on their own
+      const result = await commitInChunks(db, updates, {
+        label: "cleanupStaleFcmTokens",
+        isolateFailures: true,
+      });
+      usersUpdated += result.committedOperations;
+      totalFailed += result.failedOperations;
+    }, {
+      pageSize: MAX_BATCH_SIZE,
+      maxPages: 100,
+      startAfter: resumeAfter || null,
+    });
+
+    await jobRef.set({
+      cursor: paging.exhausted || !paging.last ? null : paging.last.id,
+      lastRunAt: admin.firestore.Timestamp.fromMillis(now),
+    });
+
+    logger.info(`Removed ${tokensRemoved} stale FCM tokens from` +
+      ` ${usersUpdated} of ${paging.documents} users` +
+      (resumeAfter ? ` after ${resumeAfter}` : "") +
+      (totalFailed > 0 ? `, ${totalFailed} updates failed` : "") +
+      (paging.exhausted ? "" : " (stopped at the page limit; the next run resumes there)"));
+    return null;
+  } catch (error) {
+    logger.error(`Error cleaning up stale FCM tokens: ${error.message}`);
+    throw new Error(`Failed to clean up stale FCM tokens: ${error.message}`);
+  }
+});
+
+/**
+ * Cloud function that records which creator referred the signed-in user.
+ * Each user can be referred once, only by an active code that isn't their
+ * own, and the referral and the code's referral_summaries counters are
+ * written in one transaction so the totals always match the referrals.
+ * Calling it again with the same code is a no-op. Referrals older clients
+ * wrote under generated IDs count too, so those users can't be referred
+ * again here.
+ */
+exports.recordReferral = onCall(async (request) => {
+  const auth = authorize(request);
+  const uid = auth.uid;
+  const {referralCode, role} = request.data || {};
+  const code = normalizeReferralCode(referralCode);
+
+  if (!code) {
+    throw new functions.https.HttpsError(
+        "invalid-argument",
+        "A referral code of 2-20 letters and numbers is required",
+        {reason: "invalid-code"},
+    );
+  }
+
+  const db = admin.firestore();
+  const codeRef = db.collection("valid_referral_codes").doc(code);
+  const referralRef = db.collection("referrals").doc(uid);
+  const summaryRef = db.collection("referral_summaries").doc(code);
+  const userRef = db.collection("users").doc(uid);
+  const now = admin.firestore.Timestamp.now();
+  const month = monthKeyOf(now.toDate(), defaultTimeZone.value());
+
+  // Older app versions wrote referrals under generated IDs
+  const earlierReferralsQuery = db.collection("referrals")
+      .where("referredUserId", "==", uid)
+      .limit(5);
+
+  const alreadyRecorded = await db.runTransaction(async (transaction) => {
+    const [codeDoc, referralDoc, summaryDoc, userDoc, earlierReferrals] =
+      await Promise.all([
+        transaction.get(codeRef),
+        transaction.get(referralRef),
+        transaction.get(summaryRef),
+        transaction.get(userRef),
+        transaction.get(earlierReferralsQuery),
+      ]);
+
+    if (!codeDoc.exists) {
+      throw new functions.https.HttpsError(
+          "not-found",
+          "That referral code doesn't exist",
+          {reason: "invalid-code"},
+      );
+    }
+
+    if (referralDoc.exists) {
+      if (referralDoc.data().referralCode === code) return true;
+      throw new functions.https.HttpsError(
+          "already-exists",
+          "This account has already been referred",
+          {reason: "already-referred"},
+      );
+    }
+    if (earlierReferrals.docs.some((doc) => doc.id !== uid)) {
+      throw new functions.https.HttpsError(
+          "already-exists",
+          "This account has already been referred",
+          {reason: "already-referred"},
+      );
+    }
+
+    const creator = codeDoc.data();
+    if (creator.isActive === false) {
+      throw new functions.https.HttpsError(
+          "failed-precondition",
+          "That referral code is no longer active",
+          {reason: "inactive-code"},
+      );
+    }
+
+    const profile = userDoc.exists ? userDoc.data() : {};
+    const personalInfo = profile.personalInfo || {};
+    const email = String(auth.token.email || personalInfo.email || "")
+        .trim().toLowerCase();
+    const creatorEmail = String(creator.creatorEmail || "")
+        .trim().toLowerCase();
+
+    if (creator.creatorUserId === uid || (email && email === creatorEmail)) {
+      throw new functions.https.HttpsError(
+          "failed-precondition",
+          "You can't use your own referral code",
+          {reason: "self-referral"},
+      );
+    }
+
+    const userRole = [role, profile.primaryRole]
+        .find((candidate) => REFERRAL_ROLES.includes(candidate)) ||
+      REFERRAL_ROLES[0];
+    const summary = summaryDoc.exists ? summaryDoc.data() : {};
+    const monthlyReferrals = {...(summary.monthlyReferrals || {})};
+    monthlyReferrals[month] = (monthlyReferrals[month] || 0) + 1;
+
+    // One document per referred user, so a second referral can't be added
+    transaction.set(referralRef, {
+      id: uid,
+      referralCode: code,
+      referredUserId: uid,
+      referredUserEmail: email,
+      timestamp: now,
+      userRole,
+      isValid: true,
+    });
+    transaction.set(summaryRef, {
+      referralCode: code,
+      totalReferrals: (summary.totalReferrals || 0) + 1,
+      monthlyReferrals,
+      lastUpdated: now,
+    });
+    return false;
+  });
+
+  if (!alreadyRecorded) {
+    logger.info(`Recorded referral of ${uid} by code ${code}`);
+  }
+  return {success: true, referralCode: code, alreadyRecorded};
+});
+
+/**
+ * Emails one creator their report for a month
+ * @param {FirebaseFirestore.QueryDocumentSnapshot} codeDoc - The creator's
+ *   valid_referral_codes document
+ * @param {string} month - The month as "YYYY-MM"
+ * @param {string} timeZone - The zone months are counted in
+ * @return {Promise<boolean>} Whether a report was sent
+ */
+async function sendCreatorReport(codeDoc, month, timeZone) {
+  const db = admin.firestore();
+  const code = codeDoc.id;
+  const creator = codeDoc.data();
+  const summaryRef = db.collection("referral_summaries").doc(code);
+  const reportRef = summaryRef.collection("reports").doc(month);
+
+  // create() fails if this month's report exists, which claims it
+  try {
+    await reportRef.create({createdAt: admin.firestore.Timestamp.now()});
+  } catch (error) {
+    if (error.code === 6) return false; // ALREADY_EXISTS
+    throw error;
+  }
+
+  try {
+    const {start, end} = monthRange(month, timeZone);
+    const [summaryDoc, referralsSnapshot] = await Promise.all([
+      summaryRef.get(),
+      db.collection("referrals")
+          .where("referralCode", "==", code)
+          .where("timestamp", ">=", start)
+          .where("timestamp", "<", end)
+          .get(),
+    ]);
+
+    const byRole = {};
+    referralsSnapshot.docs.forEach((doc) => {
+      const role = doc.data().userRole || "unknown";
+      byRole[role] = (byRole[role] || 0) + 1;
+    });
+    const allTime = summaryDoc.exists ?
+      summaryDoc.data().totalReferrals || 0 :
+      0;
+
+    const {subject, text, html} = renderEmail("creatorReport", {
+      creatorName: creator.creatorName,
+      code,
+      monthStart: start,
+      monthly: referralsSnapshot.size,
+      byRole,
+      allTime,
+    }, {timeZone});
+
+    await sendEmail(creator.creatorEmail, subject, text, html);
+    await reportRef.update({
+      sentAt: admin.firestore.Timestamp.now(),
+      sentTo: creator.creatorEmail,
+      monthlyReferrals: referralsSnapshot.size,
+      byRole,
+      totalReferrals: allTime,
+    });
+    return true;
+  } catch (error) {
+    // Release the claim so a re-run can send it
+    await reportRef.delete();
+    throw error;
+  }
+}
+
+/**
+ * Cloud function that runs on the 1st of each month to email every active
+ * creator how many sign-ups their referral code brought in the month before.
+ * Counts come from the referrals themselves, split by the role each referred
+ * user signed up as.
+ */
+exports.sendCreatorReferralReports = onSchedule({
+  schedule: "0 9 1 * *",
+  timeZone: "America/New_York",
+  secrets: emailSecrets,
+}, async (event) => {
+  const db = admin.firestore();
+  const timeZone = defaultTimeZone.value();
+  const month = previousMonthKey(new Date(), timeZone);
+
+  let sent = 0;
+  let failed = 0;
+
+  try {
+    const codesQuery = db.collection("valid_referral_codes")
+        .orderBy(admin.firestore.FieldPath.documentId());
+
+    await forEachPage(codesQuery, async (docs) => {
+      for (const codeDoc of docs) {
+        const creator = codeDoc.data();
+        if (creator.isActive === false || !creator.creatorEmail) continue;
+
+        try {
+          if (await sendCreatorReport(codeDoc, month, timeZone)) sent++;
+        } catch (error) {
+          failed++;
+          logger.error(
+              `Failed to send ${month} referral report for ${codeDoc.id}: ` +
+              error.message,
+          );
+        }
+      }
+    });
+
+    logger.info(`Sent ${sent} referral reports for ${month}` +
+      (failed > 0 ? `, ${failed} failed` : ""));
+    return null;
+  } catch (error) {
+    logger.error(`Error sending referral reports: ${error.message}`);
+    throw new Error(`Failed to send referral reports: ${error.message}`);
+  }
+});
+
+/**
+ * Applies a RevenueCat event to one user's stored subscription. Events can
+ * arrive late, out of order or more than once, so an event older than the
+ * one already applied, or the same event again, changes nothing.
+ * @param {string} uid - The user's ID
+ * @param {Object} event - The webhook's `event` object
+ * @return {Promise<string>} "applied", "ignored", "stale" or "unknown-user"
+ */
+async function applySubscriptionEvent(uid, event) {
+  const db = admin.firestore();
+  const userRef = db.collection("users").doc(uid);
+
+  return db.runTransaction(async (transaction) => {
+    const userDoc = await transaction.get(userRef);
+    if (!userDoc.exists) return "unknown-user";
+
+    const current = userDoc.data().subscription || {};
+    const appliedAt = toDate(current.eventTimestamp);
+    if (current.lastEventId === event.id ||
+        (appliedAt && appliedAt.getTime() > event.event_timestamp_ms)) {
+      return "stale";
+    }
+
+    const subscription = subscriptionFromEvent(event, current);
+    if (!subscription) return "ignored";
+
+    transaction.update(userRef, {
+      subscription: {
+        ...subscription,
+        updatedAt: admin.firestore.Timestamp.now(),
+      },
+    });
+    return "applied";
+  });
+}
+
+/**
+ * Webhook RevenueCat calls for every subscription event. Keeps each user's
+ * `subscription: {tier, expiresAt}` in sync so server code can gate Pro
+ * features with requirePro instead of trusting the app. The request must
+ * carry REVENUECAT_WEBHOOK_SECRET as its Authorization header.
+ *
+ * Responds 200 once the event is stored or deliberately skipped, and 500 on
+ * failures so RevenueCat retries.
+ */
+exports.revenueCatWebhook = onRequest({
+  secrets: [revenueCatWebhookSecret],
+}, async (req, res) => {
+  if (req.method !== "POST") {
+    res.set("Allow", "POST").status(405).json({
+      error: {status: "METHOD_NOT_ALLOWED", message: "Use POST"},
+    });
+    return;
+  }
+
+  if (!isAuthorizedWebhook(req.get("Authorization"),
+      revenueCatWebhookSecret.value())) {
+    logger.warn("Rejected RevenueCat webhook with a bad Authorization header");
+    res.status(401).json({
+      error: {status: "UNAUTHENTICATED", message: "Invalid webhook secret"},
+    });
+    return;
+  }
+
+  const event = parseWebhookEvent(req.body);
+  if (!event) {
+    res.status(400).json({
+      error: {status: "INVALID_ARGUMENT", message: "Not a RevenueCat event"},
+    });
+    return;
+  }
+
+  try {
+    const uids = usersOfEvent(event);
+    const results = {};
+    for (const uid of uids) {
+      results[uid] = await applySubscriptionEvent(uid, event);
+      if (results[uid] === "unknown-user") {
+        logger.warn(`RevenueCat ${event.type} ${event.id} is for unknown user ${uid}`);
+      }
+    }
+
+    logger.info(`RevenueCat ${event.type} ${event.id}: ` +
+      (uids.length > 0 ? JSON.stringify(results) : "no app user"));
+    res.status(200).json({received: true, eventId: event.id, results});
+  } catch (error) {
+    logger.error(`Failed to apply RevenueCat event ${event.id}: ${error.message}`);
+    res.status(500).json({
+      error: {status: "INTERNAL", message: "Failed to apply event"},
+    });
+  }
+});
+
+/**
+ * Cloud function that deletes the signed-in user's account. Their nest (with
+ * its sessions, entries and Storage files), profile, invites and FCM tokens
+ * are deleted; sessions they sit for in other nests lose them as sitter and
+ * the owners are told. A receipt is kept in accountDeletions/{uid}.
+ */
+exports.deleteAccount = onCall({
+  timeoutSeconds: 540,
+  secrets: emailSecrets,
+}, async (request) => {
+  const auth = authorize(request);
+
+  try {
+    const receipt = await accountDeletion.deleteAccountData(auth.uid, {
+      email: auth.token.email || null,
+      source: "callable",
+    });
+
+    try {
+      await admin.auth().deleteUser(auth.uid);
+    } catch (error) {
+      if (error.code !== "auth/user-not-found") throw error;
+    }
+
+    return {success: true, counts: receipt.counts};
+  } catch (error) {
+    logger.error(`Failed to delete account ${auth.uid}: ${error.message}`);
+    throw new functions.https.HttpsError(
+        "internal",
+        "Failed to delete your account. Please try again.",
+    );
+  }
+});
+
+/**
+ * Runs the same cleanup as deleteAccount when an Auth user is deleted some
+ * other way (the app's own deletion flow or the Firebase console). Does
+ * nothing if deleteAccount already finished for this user.
+ */
+exports.onAuthUserDeleted = functionsV1
+    .runWith({timeoutSeconds: 540, secrets: emailSecrets})
+    .auth.user()
+    .onDelete(async (user) => {
+      await accountDeletion.deleteAccountData(user.uid, {
+        email: user.email || null,
+        source: "auth",
+      });
+    });
+
+/**
+ * Cloud function that gathers everything NestNote holds on the signed-in
+ * user (profile, their nest's entries, places, routines and categories,
+ * sessions, sitter sessions, survey answers and referral) into a ZIP of JSON
+ * and CSV files in Storage, then emails them a download link that expires
+ * after 3 days. Progress is kept in dataExports/{uid}.
+ */
+exports.exportUserData = onCall({
+  timeoutSeconds: 540,
+  memory: "1GiB",
+  secrets: emailSecrets,
+}, async (request) => {
+  const auth = authorize(request);
+  const uid = auth.uid;
+  const db = admin.firestore();
+  const exportRef = db.collection("dataExports").doc(uid);
+  const userDoc = await db.collection("users").doc(uid).get();
+  const profile = userDoc.exists ? userDoc.data() : {};
+  const email = auth.token.email ||
+    (profile.personalInfo && profile.personalInfo.email);
 
-    // Log summary of sessions to be updated
-    logger.info(
-        "Sessions to update: " +
-      `${upcomingSnapshot.size} to in-progress, ` +
-      `${activeSnapshot.size} to extended, ` +
-      `${extendedSnapshot.size} to completed`,
+  if (!email) {
+    throw new functions.https.HttpsError(
+        "failed-precondition",
+        "Add an email address to your account to export your data",
+        {reason: "no-email"},
     );
+  }
 
-    // Process updates in batches
-    const batch = db.batch();
-    let updateCount = 0;
-    let notificationCount = 0;
+  const now = admin.firestore.Timestamp.now();
+  const exportId = crypto.randomUUID();
+
+  // Claim the export so repeated taps don't build several archives
+  const previousPath = await db.runTransaction(async (transaction) => {
+    const exportDoc = await transaction.get(exportRef);
+    const last = exportDoc.exists ? exportDoc.data() : null;
+    if (last && last.requestedAt &&
+        now.toMillis() - last.requestedAt.toMillis() <
+          DATA_EXPORT_COOLDOWN_MS) {
+      throw new functions.https.HttpsError(
+          "resource-exhausted",
+          "You can export your data once an hour. Please try again later.",
+          {reason: "export-throttled"},
+      );
+    }
 
-    // Handle upcoming sessions
-    for (const doc of upcomingSnapshot.docs) {
-      const sessionData = doc.data();
-      batch.update(doc.ref, {
-        status: SessionStatus.IN_PROGRESS,
-        lastStatusUpdate: admin.firestore.Timestamp.now(),
-      });
-      updateCount++;
+    transaction.set(exportRef, {
+      uid,
+      exportId,
+      status: "processing",
+      requestedAt: now,
+    });
+    return last && last.storagePath;
+  });
 
-      try {
-        await sendSessionNotifications(sessionData, SessionStatus.IN_PROGRESS);
-        notificationCount++;
-      } catch (error) {
-        logger.error(
-            `Failed to send notifications` +
-            ` for session ${doc.id}: ${error.message}`,
-        );
-      }
-    }
+  // The new export replaces the last one, whose record is now gone
+  if (previousPath) {
+    await admin.storage().bucket().file(previousPath)
+        .delete({ignoreNotFound: true});
+  }
 
-    // Handle active sessions that have passed their end date
-    for (const doc of activeSnapshot.docs) {
-      const sessionData = doc.data();
-      batch.update(doc.ref, {
-        status: SessionStatus.EXTENDED,
-        lastStatusUpdate: admin.firestore.Timestamp.now(),
-      });
-      updateCount++;
+  const storagePath = `dataExports/${uid}/${exportId}.zip`;
+  const file = admin.storage().bucket().file(storagePath);
+  const expiresAt = new Date(now.toMillis() + DATA_EXPORT_LINK_MS);
+  let saved = false;
 
-      try {
-        await sendSessionNotifications(sessionData, SessionStatus.EXTENDED);
-        notificationCount++;
-      } catch (error) {
-        logger.error(
-            `Failed to send notifications` +
-            ` for session ${doc.id}: ${error.message}`,
-        );
-      }
-    }
+  try {
+    const data = await collectUserData(db, uid);
+    const archive = buildExportArchive(uid, data, now.toDate());
+
+    await file.save(archive, {
+      contentType: "application/zip",
+      metadata: {
+        contentDisposition: "attachment; filename=\"nestnote-data.zip\"",
+      },
+    });
+    saved = true;
+    // Recorded before anything else can fail, so cleanupDataExports finds
+    // the archive even if this function dies before it finishes
+    await exportRef.update({
+      storagePath,
+      expiresAt: admin.firestore.Timestamp.fromDate(expiresAt),
+    });
 
-    // Handle extended sessions that have been extended for too long
-    for (const doc of extendedSnapshot.docs) {
-      const sessionData = doc.data();
-      batch.update(doc.ref, {
-        status: SessionStatus.COMPLETED,
-        lastStatusUpdate: admin.firestore.Timestamp.now(),
-      });
-      updateCount++;
+    const [url] = await file.getSignedUrl({
+      version: "v4",
+      action: "read",
+      expires: expiresAt,
+    });
+
+    const {subject, text, html} = renderEmail("dataExport", {
+      userName: (profile.personalInfo && profile.personalInfo.name) || null,
+      url,
+      expiresAt,
+    }, getRecipientSettings(profile));
+    await sendEmail(email, subject, text, html);
+
+    const counts = countRecords(data);
+    await exportRef.update({
+      status: "ready",
+      sizeBytes: archive.length,
+      counts,
+      completedAt: admin.firestore.Timestamp.now(),
+    });
 
+    logger.info(`Exported data for ${uid} (${archive.length} bytes)`);
+    return {success: true, exportId, expiresAt: expiresAt.toISOString()};
+  } catch (error) {
+    logger.error(`Failed to export data for ${uid}: ${error.message}`);
+
+    // Don't leave a copy of their data behind; if it can't be deleted now,
+    // storagePath and expiresAt stay so cleanupDataExports removes it later
+    let removed = !saved;
+    if (saved) {
       try {
-        await sendSessionNotifications(sessionData, SessionStatus.COMPLETED);
-        notificationCount++;
-      } catch (error) {
-        logger.error(
-            `Failed to send notifications` +
-            ` for session ${doc.id}: ${error.message}`,
-        );
+        await file.delete({ignoreNotFound: true});
+        removed = true;
+      } catch (deleteError) {
+        logger.error(`Failed to delete ${storagePath}: ${deleteError.message}`);
       }
     }
 
-    // Commit batch if we have updates
-    if (updateCount > 0) {
-      await batch.commit();
-      logger.info(
-          "Session updates complete: " +
-        `${updateCount} sessions updated, ` +
-        `${notificationCount} notification batches sent`,
-      );
-    } else {
-      logger.info("No session updates needed");
-    }
-
-    return null;
-  } catch (error) {
-    logger.error(`Error updating session statuses: ${error.message}`);
-    throw new Error(
-        `Failed to update session statuses: ${error.message}`,
+    // Clear the claim so the user can try again straight away
+    await exportRef.update({
+      status: "failed",
+      requestedAt: admin.firestore.FieldValue.delete(),
+      ...(removed ? {
+        storagePath: admin.firestore.FieldValue.delete(),
+        expiresAt: admin.firestore.FieldValue.delete(),
+      } : {}),
+    });
+    throw new functions.https.HttpsError(
+        "internal",
+        "Failed to export your data. Please try again.",
     );
   }
 });
 
 /**
- * Scheduled function to archive completed
- * sessions that are more than 7 days old.
- * Runs daily at 3:00 AM.
+ * Cloud function that runs daily to delete data export archives whose
+ * download links have expired
  */
-exports.archiveOldSessions = onSchedule("0 6 * * *", async (event) => {
+exports.cleanupDataExports = onSchedule("0 4 * * *", async (event) => {
   const db = admin.firestore();
-  const now = new Date();
-  const sevenDaysAgo = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
+  const bucket = admin.storage().bucket();
 
   try {
-    logger.info("Starting session archiving process...");
-
-    // Get completed sessions older than 7 days
-    const completedSessionsQuery = db.collectionGroup("sessions")
-        .where("status", "==", SessionStatus.COMPLETED)
-        .where("endDate", "<=", sevenDaysAgo);
+    const expired = await db.collection("dataExports")
+        .where("expiresAt", "<=", admin.firestore.Timestamp.now())
+        .get();
+
+    for (const doc of expired.docs) {
+      const {storagePath} = doc.data();
+      if (storagePath) {
+        await bucket.file(storagePath).delete({ignoreNotFound: true});
+      }
+      await doc.ref.update({
+        status: "expired",
+        storagePath: admin.firestore.FieldValue.delete(),
+        expiresAt: admin.firestore.FieldValue.delete(),
+      });
+    }
 
-    const completedSessionsSnapshot = await completedSessionsQuery.get();
+    logger.info(`Deleted ${expired.size} expired data exports`);
+    return null;
+  } catch (error) {
+    logger.error(`Error cleaning up data exports: ${error.message}`);
+    throw new Error(`Failed to clean up data exports: ${error.message}`);
+  }
+});
 
-    logger.info(
-        `Found ${completedSessionsSnapshot.size} completed` +
-        ` sessions to archive`,
-    );
+/**
+ * Builds the subscription URL for a user's calendar feed
+ * @param {string} uid - The user ID
+ * @param {string} token - The feed's secret token
+ * @return {string} The https URL
+ */
+function calendarFeedUrl(uid, token) {
+  const base = calendarFeedBaseUrl.value() ||
+    `https://us-central1-${process.env.GCLOUD_PROJECT}.cloudfunctions.net/calendarFeed`;
+  return `${base.replace(/\/+$/, "")}/${uid}/${token}.ics`;
+}
 
-    // Process archiving in batches
-    const batch = db.batch();
-    let archiveCount = 0;
-    let sitterSessionsArchived = 0;
+/**
+ * Lists the sessions a user's calendar feed shows: those in nests they own,
+ * and those they're the accepted sitter for
+ * @param {string} uid - The user ID
+ * @param {Date} now - The current time
+ * @return {Promise<Array<Object>>} Feed items for buildCalendar
+ */
+async function getCalendarFeedItems(uid, now) {
+  const db = admin.firestore();
+  const userRef = db.collection("users").doc(uid);
+  const [userDoc, ownedNests, sitterSessions] = await Promise.all([
+    userRef.get(),
+    db.collection("nests").where("ownerId", "==", uid).get(),
+    userRef.collection("sitterSessions").get(),
+  ]);
+
+  // Session documents with the role the user has in them
+  const sessions = [];
+  const nestIds = new Set(ownedNests.docs.map((doc) => doc.id));
+  const roles = (userDoc.exists && userDoc.data().roles) || {};
+  if (roles.ownedNestId) nestIds.add(roles.ownedNestId);
+
+  for (const nestId of nestIds) {
+    const nestDoc = await db.collection("nests").doc(nestId).get();
+    if (!nestDoc.exists || nestDoc.data().ownerId !== uid) continue;
+    const snapshot = await nestDoc.ref.collection("sessions").get();
+    snapshot.docs.forEach((doc) => {
+      sessions.push({doc, role: "owner", nestName: nestDoc.data().name});
+    });
+  }
 
-    for (const doc of completedSessionsSnapshot.docs) {
-      const sessionData = doc.data();
-      const sessionId = doc.id;
+  const sitterEntries = sitterSessions.docs
+      .map((doc) => ({id: doc.id, ...doc.data()}))
+      .filter((entry) => entry.nestID && !nestIds.has(entry.nestID));
+  const sitterDocs = sitterEntries.length > 0 ?
+    await db.getAll(...sitterEntries.map((entry) => db.collection("nests")
+        .doc(entry.nestID).collection("sessions").doc(entry.id))) :
+    [];
+  sitterDocs.forEach((doc, index) => {
+    const sitter = doc.exists && doc.data().assignedSitter;
+    if (!sitter || sitter.userID !== uid) return;
+    sessions.push({
+      doc,
+      role: "sitter",
+      nestName: sitterEntries[index].nestName,
+    });
+  });
+
+  const items = [];
+  for (const {doc, role, nestName} of sessions) {
+    const sessionData = {
+      id: doc.id,
+      nestID: doc.ref.parent.parent.id,
+      ...doc.data(),
+    };
+    if (!isFeedSession(sessionData, now)) continue;
+    items.push(sessionItem(sessionData, {role, nestName}));
+
+    const events = await doc.ref.collection("events").get();
+    const placeIds = [...new Set(events.docs
+        .map((eventDoc) => eventDoc.data().placeID)
+        .filter(Boolean))];
+    const entries = doc.ref.parent.parent.collection("entries");
+    const places = placeIds.length > 0 ?
+      await db.getAll(...placeIds.map((id) => entries.doc(id))) :
+      [];
+    const placesById = {};
+    places.filter((place) => place.exists)
+        .forEach((place) => {
+          placesById[place.id] = place.data();
+        });
 
-      // Get the nest ID from the document path
-      const pathSegments = doc.ref.path.split("/");
-      // Path format: nests/nestId/sessions/sessionId
-      const nestId = pathSegments[1];
+    events.docs.forEach((eventDoc) => {
+      const event = {id: eventDoc.id, ...eventDoc.data()};
+      items.push(eventItem(sessionData, event,
+          placesById[event.placeID] || null));
+    });
+  }
 
-      // Create archived session document in the correct nest location
-      const archivedSessionRef = db
-          .collection("nests")
-          .doc(nestId)
-          .collection("archivedSessions")
-          .doc(sessionId);
+  return items;
+}
 
-      batch.set(archivedSessionRef, {
-        ...sessionData,
-        status: "archived", // Set status to archived
-        archivedDate: admin.firestore.Timestamp.now(),
-      });
+/**
+ * Cloud function that gives the signed-in user a new calendar feed URL. Any
+ * URL handed out before stops working, so this also rotates a leaked one.
+ */
+exports.rotateCalendarFeedToken = onCall(async (request) => {
+  const auth = authorize(request);
+  const {token, tokenHash} = createFeedToken();
+
+  await admin.firestore().collection("calendarFeeds").doc(auth.uid).set({
+    uid: auth.uid,
+    tokenHash,
+    createdAt: admin.firestore.Timestamp.now(),
+  });
+
+  const url = calendarFeedUrl(auth.uid, token);
+  logger.info(`Issued a calendar feed token for ${auth.uid}`);
+  return {url, webcalUrl: url.replace(/^https?:/, "webcal:")};
+});
 
-      // Archive corresponding sitterSession if it exists
-      if (sessionData.assignedSitter && sessionData.assignedSitter.userID) {
-        try {
-          const sitterId = sessionData.assignedSitter.userID;
-
-          // Check if the sitterSession exists
-          const sitterSessionRef = db
-              .collection("users")
-              .doc(sitterId)
-              .collection("sitterSessions")
-              .doc(sessionId);
-
-          const sitterSessionDoc = await sitterSessionRef.get();
-
-          if (sitterSessionDoc.exists) {
-            // Create the archived sitter session document
-            const archivedSitterRef = db
-                .collection("users")
-                .doc(sitterId)
-                .collection("archivedSitterSessions")
-                .doc(sessionId);
-
-            // Copy all data and add archivedDate
-            batch.set(archivedSitterRef, {
-              ...sitterSessionDoc.data(),
-              archivedDate: admin.firestore.Timestamp.now(),
-            });
+/**
+ * Cloud function that turns off the signed-in user's calendar feed
+ */
+exports.revokeCalendarFeedToken = onCall(async (request) => {
+  const auth = authorize(request);
+  const feedRef = admin.firestore().collection("calendarFeeds").doc(auth.uid);
+  const feedDoc = await feedRef.get();
+
+  await feedRef.delete();
+  logger.info(`Revoked the calendar feed for ${auth.uid}`);
+  return {success: true, revoked: feedDoc.exists};
+});
 
-            // Delete original sitter session
-            batch.delete(sitterSessionRef);
-            sitterSessionsArchived++;
-          }
-        } catch (error) {
-          logger.error(
-              `Error archiving sitter session` +
-              ` for session ${sessionId}: ${error.message}`,
-          );
-        }
-      }
+/**
+ * Serves a user's sessions and their events as an iCalendar feed at
+ * `/calendarFeed/{uid}/{token}.ics`, for calendar apps to subscribe to.
+ * Unknown, rotated and revoked tokens get a 404.
+ */
+exports.calendarFeed = onRequest(async (req, res) => {
+  if (req.method !== "GET" && req.method !== "HEAD") {
+    res.set("Allow", "GET, HEAD").status(405).send("Method not allowed");
+    return;
+  }
 
-      // Delete original session
-      batch.delete(doc.ref);
-      archiveCount++;
-    }
+  const feed = parseFeedPath(req.path);
+  if (!feed) {
+    res.status(404).send("Not found");
+    return;
+  }
 
-    // Commit batch if we have updates
-    if (archiveCount > 0) {
-      await batch.commit();
-      logger.info(
-          `Session archiving complete: ${archiveCount} sessions archived, ` +
-          `${sitterSessionsArchived} sitter sessions archived`,
-      );
-    } else {
-      logger.info("No session updates needed");
+  try {
+    const feedDoc = await admin.firestore()
+        .collection("calendarFeeds").doc(feed.uid).get();
+    if (!feedDoc.exists || !isFeedToken(feed.token, feedDoc.data().tokenHash)) {
+      logger.warn(`Rejected calendar feed request for ${feed.uid}`);
+      res.status(404).send("Not found");
+      return;
     }
 
-    return null;
+    const now = new Date();
+    const items = await getCalendarFeedItems(feed.uid, now);
+    res.set({
+      "Content-Type": "text/calendar; charset=utf-8",
+      "Content-Disposition": "inline; filename=\"nestnote.ics\"",
+      "Cache-Control": "private, max-age=900",
+    });
+    res.status(200).send(buildCalendar(items, {name: "NestNote", now}));
   } catch (error) {
-    logger.error(`Error updating session statuses: ${error.message}`);
-    throw new Error(
-        `Failed to update session statuses: ${error.message}`,
-    );
+    logger.error(`Failed to build calendar feed for ${feed.uid}: ${error.message}`);
+    res.status(500).send("Failed to build calendar feed");
   }
 });
 
 /**
- * Scheduled function to archive sitter sessions for completed
- * sessions that are more than 7 days old.
- * Runs daily at 6:00 AM (same time as archiveOldSessions).
+ * Reads the subscription tier that sets how much entry history a nest keeps,
+ * which is its owner's
+ * @param {FirebaseFirestore.Firestore} db - The Firestore instance
+ * @param {Object} nestData - The nest
+ * @return {Promise<string>} The owner's SubscriptionTier
  */
-exports.archiveOldSitterSessions = onSchedule("0 6 * * *", async (event) => {
-  const db = admin.firestore();
-  const now = new Date();
-  const sevenDaysAgo = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
-
-  try {
-    logger.info("Starting sitter session archiving process...");
+async function entryHistoryTierOf(db, nestData) {
+  const ownerDoc = nestData.ownerId ?
+    await db.collection("users").doc(nestData.ownerId).get() :
+    null;
+  return subscriptionTierOf(ownerDoc && ownerDoc.exists ? ownerDoc.data() : null);
+}
 
-    // Get all completed sessions older than 7 days from all nests
-    const completedSessionsQuery = db.collectionGroup("sessions")
-        .where("status", "==", SessionStatus.COMPLETED)
-        .where("endDate", "<=", sevenDaysAgo);
+/**
+ * Deletes the versions of an entry that its nest's tier no longer keeps
+ * @param {FirebaseFirestore.CollectionReference} historyRef - The entry's history
+ * @param {string} tier - The nest owner's SubscriptionTier
+ * @param {boolean} keepNewest - Whether the newest version stays however old
+ *   it is; false for entries that have been deleted
+ * @return {Promise<number>} How many versions were deleted
+ */
+async function pruneEntryHistory(historyRef, tier, keepNewest = true) {
+  const snapshot = await historyRef.orderBy("version", "desc").get();
+  const expired = versionsToPrune(
+      snapshot.docs.map((doc) => ({id: doc.id, changedAt: doc.data().changedAt})),
+      tier,
+      new Date(),
+      keepNewest,
+  );
+  if (expired.length === 0) return 0;
+
+  await commitInChunks(
+      historyRef.firestore,
+      expired.map((id) => [{type: "delete", ref: historyRef.doc(id)}]),
+      {label: "pruneEntryHistory"},
+  );
+  return expired.length;
+}
 
-    const completedSessionsSnapshot = await completedSessionsQuery.get();
+/**
+ * Checks that the caller owns the nest whose entry history they're asking for
+ * @param {Object} request - The callable request
+ * @param {string} uid - The caller
+ * @return {Promise<Object>} {db, nestData, entryRef, historyRef}
+ */
+async function entryHistoryAccess(request, uid) {
+  const {nestID, entryID} = request.data || {};
+  const isId = (value) => typeof value === "string" &&
+    value.length > 0 && !value.includes("/");
+  if (!isId(nestID) || !isId(entryID)) {
+    throw new functions.https.HttpsError(
+        "invalid-argument",
+        "nestID and entryID are required",
+        {reason: "invalid-request"},
+    );
+  }
 
-    logger.info(
-        `Found ${completedSessionsSnapshot.size} completed sessions to check for sitter sessions`,
+  const db = admin.firestore();
+  const nestDoc = await db.collection("nests").doc(nestID).get();
+  if (!nestDoc.exists || nestDoc.data().ownerId !== uid) {
+    throw new functions.https.HttpsError(
+        "permission-denied",
+        "Only the nest's owner can see and restore entry history",
+        {reason: "not-owner"},
     );
+  }
 
-    // Process archiving in batches
-    const batch = db.batch();
-    let sitterSessionsArchived = 0;
+  const entryRef = nestDoc.ref.collection("entries").doc(entryID);
+  return {
+    db,
+    nestData: nestDoc.data(),
+    entryRef,
+    historyRef: entryRef.collection("history"),
+  };
+}
 
-    for (const doc of completedSessionsSnapshot.docs) {
-      const sessionData = doc.data();
-      const sessionId = doc.id;
+/**
+ * Cloud function that keeps a history of every entry, place and routine in a
+ * nest's entries collection. Each write adds a version to the item's
+ * history subcollection with the item as it stood afterwards, the fields
+ * that changed and who changed them; deleting an item keeps its history, so
+ * it can still be restored. The first change to an item from before history
+ * existed also records how it looked until then. How many versions are kept,
+ * and for how long, depends on the nest owner's tier (HistoryRetention).
+ */
+exports.onNestEntryWritten = functions.firestore
+    .onDocumentWrittenWithAuthContext(
+        "nests/{nestId}/entries/{entryId}",
+        async (event) => {
+          const {nestId, entryId} = event.params;
+          const before = event.data.before.exists ? event.data.before.data() : null;
+          const after = event.data.after.exists ? event.data.after.data() : null;
+          if (sameEntry(before, after)) return null;
 
-      // Check if this session has an assigned sitter
-      if (sessionData.assignedSitter && sessionData.assignedSitter.userID) {
-        try {
-          const sitterId = sessionData.assignedSitter.userID;
-
-          // Check if the sitterSession exists
-          const sitterSessionRef = db
-              .collection("users")
-              .doc(sitterId)
-              .collection("sitterSessions")
-              .doc(sessionId);
-
-          const sitterSessionDoc = await sitterSessionRef.get();
-
-          if (sitterSessionDoc.exists) {
-            // Create the archived sitter session document
-            const archivedSitterRef = db
-                .collection("users")
-                .doc(sitterId)
-                .collection("archivedSitterSessions")
-                .doc(sessionId);
-
-            // Copy all data and add archivedDate
-            batch.set(archivedSitterRef, {
-              ...sitterSessionDoc.data(),
-              archivedDate: admin.firestore.Timestamp.now(),
-            });
+          const db = admin.firestore();
+          const nestDoc = await db.collection("nests").doc(nestId).get();
+          // A nest being deleted takes its entries' history with it
+          if (!nestDoc.exists) return null;
+
+          const historyRef = nestDoc.ref.collection("entries").doc(entryId)
+              .collection("history");
+          const changedAt = admin.firestore.Timestamp.fromDate(new Date(event.time));
+
+          const recorded = await db.runTransaction(async (transaction) => {
+            const [eventDoc, latest] = await Promise.all([
+              transaction.get(historyRef.doc(event.id)),
+              transaction.get(historyRef.orderBy("version", "desc").limit(1)),
+            ]);
+            if (eventDoc.exists) return false;
+
+            const previous = latest.empty ? null : latest.docs[0].data();
+            // restoreEntryVersion records its own writes
+            if (previous && sameEntry(previous.data, after)) return false;
+
+            let version = previous ? previous.version + 1 : 1;
+            if (!previous && before) {
+              transaction.create(historyRef.doc(`${event.id}-baseline`),
+                  buildVersion(null, before, {
+                    version,
+                    action: "baseline",
+                    changedAt: before.updatedAt instanceof admin.firestore.Timestamp ?
+                      before.updatedAt :
+                      changedAt,
+                  }));
+              version++;
+            }
+            transaction.create(historyRef.doc(event.id), buildVersion(
+                before, after, {version, changedBy: event.authId, changedAt}));
+            return true;
+          });
+          if (!recorded) return null;
+
+          await pruneEntryHistory(historyRef,
+              await entryHistoryTierOf(db, nestDoc.data()));
+          return null;
+        });
 
-            // Delete original sitter session
-            batch.delete(sitterSessionRef);
-            sitterSessionsArchived++;
+/**
+ * Cloud function that runs daily to prune the history of deleted entries,
+ * which no write reaches once the entry is gone. Once the deletion itself
+ * has aged past the nest's retention the entry can no longer be restored, so
+ * its history goes altogether. A run covers up to 20 pages of deletions; the
+ * next one picks up where it stopped (scheduledJobs/cleanupEntryHistory) and
+ * starts over once all were seen.
+ */
+exports.cleanupEntryHistory = onSchedule({
+  schedule: "30 4 * * *",
+  timeoutSeconds: 540,
+}, async (event) => {
+  const db = admin.firestore();
+  const now = Date.now();
+  const jobRef = db.collection("scheduledJobs").doc("cleanupEntryHistory");
+  // The shortest retention, so every tier's expired deletions are found
+  const shortestDays = Math.min(...Object.values(HistoryRetention)
+      .map((retention) => retention.maxAgeDays));
+  const deletionsQuery = db.collectionGroup("history")
+      .where("action", "==", "deleted")
+      .where("changedAt", "<",
+          admin.firestore.Timestamp.fromMillis(
+              now - shortestDays * 24 * 60 * 60 * 1000))
+      .orderBy("changedAt")
+      .orderBy(admin.firestore.FieldPath.documentId());
 
-            logger.info(`Queued archival of sitterSession for user ${sitterId} and session ${sessionId}`);
-          }
-        } catch (error) {
-          logger.error(
-              `Error processing sitter session for session ${sessionId}: ${error.message}`,
-          );
+  try {
+    const jobDoc = await jobRef.get();
+    const resumeAfter = jobDoc.exists ? jobDoc.data().cursor : null;
+    const tiers = new Map();
+    let entries = 0;
+    let removed = 0;
+
+    const paging = await forEachPage(deletionsQuery, async (docs) => {
+      for (const doc of docs) {
+        const historyRef = doc.ref.parent;
+        const entryRef = historyRef.parent;
+        // Only entry history lives at nests/{nestId}/entries/{entryId}/history
+        if (!entryRef || entryRef.parent.id !== "entries") continue;
+
+        const nestRef = entryRef.parent.parent;
+        if (!tiers.has(nestRef.id)) {
+          const nestDoc = await nestRef.get();
+          tiers.set(nestRef.id, nestDoc.exists ?
+            await entryHistoryTierOf(db, nestDoc.data()) :
+            null);
         }
+        const tier = tiers.get(nestRef.id);
+        const entryDoc = await entryRef.get();
+
+        // An entry restored since keeps its newest version; one still
+        // deleted, or whose nest is gone, doesn't
+        removed += await pruneEntryHistory(historyRef,
+            tier || SubscriptionTier.FREE, Boolean(tier && entryDoc.exists));
+        entries++;
       }
-    }
+    }, {
+      pageSize: MAX_BATCH_SIZE,
+      maxPages: 20,
+      startAfter: resumeAfter ?
+        [resumeAfter.changedAt, resumeAfter.path] :
+        null,
+    });
 
-    // Commit batch if we have updates
-    if (sitterSessionsArchived > 0) {
-      await batch.commit();
-      logger.info(`Sitter session archiving complete: ${sitterSessionsArchived} sitter sessions archived`);
-    } else {
-      logger.info("No sitter sessions to archive");
-    }
+    // Values rather than a snapshot, as the last deletion was likely pruned
+    await jobRef.set({
+      cursor: paging.exhausted || !paging.last ? null : {
+        changedAt: paging.last.get("changedAt"),
+        path: paging.last.ref.path,
+      },
+      lastRunAt: admin.firestore.Timestamp.fromMillis(now),
+    });
 
+    logger.info(`Pruned ${removed} versions from the history of` +
+      ` ${entries} deleted entries` +
+      (paging.exhausted ? "" : " (stopped at the page limit; the next run resumes there)"));
     return null;
   } catch (error) {
-    logger.error(`Error archiving sitter sessions: ${error.message}`);
-    throw new Error(`Failed to archive sitter sessions: ${error.message}`);
+    logger.error(`Error pruning entry history: ${error.message}`);
+    throw new Error(`Failed to prune entry history: ${error.message}`);
   }
 });
 
 /**
- * Function that cleans up invite documents when a session is completed
+ * Cloud function that lists the versions of a nest's entry, place or
+ * routine that its owner can restore, newest first
  */
-exports.cleanupInviteOnComplete = functions.firestore
-    .onDocumentUpdated("nests/{nestId}/sessions/{sessionId}", async (event) => {
-      const beforeData = event.data.before.data();
-      const afterData = event.data.after.data();
-      const {sessionId} = event.params;
-
-      // Only continue if the status changed to COMPLETED
-      if (beforeData.status !== SessionStatus.COMPLETED &&
-          afterData.status === SessionStatus.COMPLETED) {
-        try {
-          const db = admin.firestore();
-          logger.info(`Session ${sessionId} status` +
-              ` changed to COMPLETED. Cleaning up invite.`);
-
-          // Check if this session has an assigned sitter with invite
-          if (afterData.assignedSitter &&
-              afterData.assignedSitter.userID &&
-              afterData.assignedSitter.inviteID) {
-            const inviteID = afterData.assignedSitter.inviteID;
-            const inviteRef = db.collection("invites").doc(inviteID);
-
-            try {
-              await inviteRef.delete();
-              logger.info(`Successfully deleted invite ${inviteID}` +
-                 ` for session ${sessionId}`);
-            } catch (error) {
-              logger.error(`Error deleting invite` +
-                ` ${inviteID}: ${error.message}`);
-            }
-          } else {
-            logger.info(`Session ${sessionId} has no` +
-                ` assigned sitter with invite, skipping cleanup`);
-          }
-        } catch (error) {
-          logger.error(`Error cleaning up invite: ${error.message}`);
-        }
-      }
+exports.listEntryVersions = onCall(async (request) => {
+  const uid = authorize(request).uid;
+  const {db, nestData, historyRef} = await entryHistoryAccess(request, uid);
+
+  const [snapshot, tier] = await Promise.all([
+    historyRef.orderBy("version", "desc").get(),
+    entryHistoryTierOf(db, nestData),
+  ]);
+  // Versions past retention may not have been pruned yet
+  const expired = new Set(versionsToPrune(
+      snapshot.docs.map((doc) => ({id: doc.id, changedAt: doc.data().changedAt})),
+      tier,
+      new Date(),
+  ));
 
-      return null;
-    });
+  return {
+    versions: snapshot.docs
+        .filter((doc) => !expired.has(doc.id))
+        .map((doc) => serializeVersion(doc.id, doc.data())),
+    retention: {tier, ...HistoryRetention[tier]},
+  };
+});
 
 /**
- * Scheduled function to delete old invite documents
- * that are more than 30 days old.
- * Runs every 7 days.
+ * Cloud function that puts a nest's entry, place or routine back the way it
+ * was at one of its versions, bringing it back if it was deleted. The
+ * restore is recorded as a new version, so it can be undone the same way.
  */
-exports.cleanupOldInvites = onSchedule("0 0 */7 * *", async (event) => {
-  const db = admin.firestore();
-  const now = new Date();
-  const thirtyDaysAgo = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
-
-  try {
-    logger.info("Starting cleanup of old" +
-      " invite documents...");
-
-    // Query for invites older than 30 days
-    const oldInvitesQuery = db.collection("invites")
-        .where("createdAt", "<=", thirtyDaysAgo);
+exports.restoreEntryVersion = onCall(async (request) => {
+  const uid = authorize(request).uid;
+  const {db, nestData, entryRef, historyRef} =
+    await entryHistoryAccess(request, uid);
+  const {versionID} = request.data;
+  if (typeof versionID !== "string" || !versionID || versionID.includes("/")) {
+    throw new functions.https.HttpsError(
+        "invalid-argument",
+        "versionID is required",
+        {reason: "invalid-request"},
+    );
+  }
 
-    const oldInvitesSnapshot = await oldInvitesQuery.get();
+  const tier = await entryHistoryTierOf(db, nestData);
+  const restored = await db.runTransaction(async (transaction) => {
+    const [versionDoc, history, entryDoc] = await Promise.all([
+      transaction.get(historyRef.doc(versionID)),
+      transaction.get(historyRef.orderBy("version", "desc")),
+      transaction.get(entryRef),
+    ]);
 
-    logger.info(
-        `Found ${oldInvitesSnapshot.size} old invite` +
-        ` documents to delete`,
+    // Versions past retention are gone as far as the owner can tell, even
+    // before they're pruned
+    const expired = versionsToPrune(
+        history.docs.map((doc) => ({id: doc.id, changedAt: doc.data().changedAt})),
+        tier,
+        new Date(),
     );
-
-    if (oldInvitesSnapshot.size === 0) {
-      logger.info("No old invites to delete");
-      return null;
+    if (!versionDoc.exists || expired.includes(versionID)) {
+      throw new functions.https.HttpsError(
+          "not-found",
+          "Version not found",
+          {reason: "version-not-found"},
+      );
     }
-
-    // Process deletions in batches (Firestore allows max 500
-    // operations per batch)
-    const batchSize = 500;
-    const batches = [];
-    let currentBatch = db.batch();
-    let operationCount = 0;
-    let totalDeleted = 0;
-
-    for (const doc of oldInvitesSnapshot.docs) {
-      currentBatch.delete(doc.ref);
-      operationCount++;
-      totalDeleted++;
-
-      // If we reach batch limit, commit and create a new batch
-      if (operationCount >= batchSize) {
-        batches.push(currentBatch.commit());
-        currentBatch = db.batch();
-        operationCount = 0;
-      }
+    const target = versionDoc.data();
+    if (!target.data) {
+      throw new functions.https.HttpsError(
+          "failed-precondition",
+          "A deletion can't be restored; restore the version before it",
+          {reason: "deleted-version"},
+      );
     }
 
-    // Commit any remaining operations in the current batch
-    if (operationCount > 0) {
-      batches.push(currentBatch.commit());
-    }
+    const now = admin.firestore.Timestamp.now();
+    const current = entryDoc.exists ? entryDoc.data() : null;
+    const data = {...target.data};
+    if ("updatedAt" in data) data.updatedAt = now;
+
+    const versionRef = historyRef.doc();
+    const version = {
+      ...buildVersion(current, data, {
+        version: history.docs[0].data().version + 1,
+        action: "restored",
+        changedBy: uid,
+        changedAt: now,
+      }),
+      restoredFrom: target.version,
+    };
+    transaction.set(entryRef, data);
+    transaction.create(versionRef, version);
+    return {id: versionRef.id, version};
+  });
 
-    // Wait for all batches to complete
-    await Promise.all(batches);
+  logger.info(`Restored ${entryRef.path} to version` +
+    ` ${restored.version.restoredFrom} for ${uid}`);
+  await pruneEntryHistory(historyRef, tier);
 
-    logger.info(`Successfully deleted ${totalDeleted}` +
-      ` old invite documents`);
-    return null;
-  } catch (error) {
-    logger.error(`Error cleaning up old` +
-      ` invites: ${error.message}`);
-    throw new Error(`Failed to clean up old invites: ${error.message}`);
-  }
+  return {
+    success: true,
+    version: serializeVersion(restored.id, restored.version),
+  };
 });
@@ -0,0 +1,132 @@
+const assert = require("assert");
+const admin = require("firebase-admin");
+const sinon = require("sinon");
+const {
+  Timestamp,
+  call,
+  db,
+  functionsTest,
+  myFunctions,
+  outbox,
+  seedInvite,
+  seedSession,
+  seedUser,
+  setNow,
+} = require("./helpers");
+const {hashEmail} = require("../utils/accountDeletion");
+
+describe("account deletion helpers", () => {
+  it("hashes emails case- and whitespace-insensitively", () => {
+    assert.strictEqual(hashEmail(" Owner-1@Example.com"),
+        hashEmail("owner-1@example.com"));
+    assert.match(hashEmail("owner-1@example.com"), /^[0-9a-f]{64}$/);
+    assert.strictEqual(hashEmail(null), null);
+  });
+});
+
+describe("deleteAccount", () => {
+  let deletedFiles;
+  let bucket;
+  let deleteUser;
+
+  beforeEach(async () => {
+    setNow("2026-03-14T12:00:00Z");
+    deletedFiles = [];
+    bucket = sinon.stub(admin.storage(), "bucket").returns({
+      getFiles: async ({prefix}) => [[`${prefix}places/photo.jpg`]
+          .filter((name) => name.startsWith("nests/"))
+          .map((name) => ({
+            name,
+            delete: async () => deletedFiles.push(name),
+          }))],
+    });
+    deleteUser = sinon.stub(admin.auth(), "deleteUser").resolves();
+
+    // owner-1 owns nest-1, which sitter-1 sits for
+    await seedUser("owner-1", {roles: {ownedNestId: "nest-1"}});
+    await seedUser("sitter-1", {primaryRole: "sitter"});
+    await db.doc("nests/nest-1").set({id: "nest-1", ownerId: "owner-1"});
+    await db.doc("nests/nest-1/entries/entry-1").set({title: "Wifi"});
+    await seedSession("nest-1", "session-1");
+    await db.doc("users/sitter-1/sitterSessions/session-1")
+        .set({id: "session-1", nestID: "nest-1"});
+    await seedInvite("123456");
+  });
+
+  afterEach(() => {
+    bucket.restore();
+    deleteUser.restore();
+  });
+
+  it("deletes the owner's nest, profile and invites", async () => {
+    const result = await call(myFunctions.deleteAccount, {},
+        {uid: "owner-1", token: {email: "owner-1@example.com"}});
+
+    assert.strictEqual(result.success, true);
+    for (const path of ["nests/nest-1", "nests/nest-1/entries/entry-1",
+      "nests/nest-1/sessions/session-1", "users/owner-1",
+      "users/sitter-1/sitterSessions/session-1", "invites/invite-123456"]) {
+      assert.strictEqual((await db.doc(path).get()).exists, false, path);
+    }
+    assert.deepStrictEqual(deletedFiles, ["nests/nest-1/places/photo.jpg"]);
+    assert.ok(deleteUser.calledOnceWith("owner-1"));
+
+    const receipt = (await db.doc("accountDeletions/owner-1").get()).data();
+    assert.strictEqual(receipt.status, "completed");
+    assert.strictEqual(receipt.source, "callable");
+    assert.strictEqual(receipt.emailHash, hashEmail("owner-1@example.com"));
+    assert.strictEqual(receipt.counts.nests, 1);
+    assert.strictEqual(JSON.stringify(receipt).includes("@"), false);
+  });
+
+  it("detaches a deleted sitter and tells the owner", async () => {
+    await db.doc("nests/nest-1/archivedSessions/session-0").set({
+      id: "session-0",
+      assignedSitter: {id: "a-0", name: "Sam Sitter", userID: "sitter-1"},
+    });
+    await db.doc("users/sitter-1/archivedSitterSessions/session-0")
+        .set({id: "session-0", nestID: "nest-1"});
+    await db.doc("nests/nest-1/savedSitters/saved-1").set({
+      id: "saved-1",
+      name: "Sam Sitter",
+      email: "sitter-1@example.com",
+      userID: "sitter-1",
+    });
+
+    await call(myFunctions.deleteAccount, {}, {uid: "sitter-1"});
+
+    const session = (await db.doc("nests/nest-1/sessions/session-1").get())
+        .data();
+    assert.strictEqual(session.assignedSitter, undefined);
+    assert.strictEqual(
+        (await db.doc("invites/invite-123456").get()).exists, false);
+    const archived = (await db.doc("nests/nest-1/archivedSessions/session-0")
+        .get()).data();
+    assert.strictEqual(archived.assignedSitter.name, "Deleted user");
+    assert.strictEqual(archived.assignedSitter.userID, undefined);
+    const saved = (await db.doc("nests/nest-1/savedSitters/saved-1").get())
+        .data();
+    assert.strictEqual(saved.userID, undefined);
+    assert.strictEqual(saved.name, "Sam Sitter");
+
+    const notice = outbox.emails.find((email) =>
+      email.to === "owner-1@example.com");
+    assert.ok(notice.text.includes("User sitter-1 deleted their NestNote"));
+    assert.strictEqual((await db.doc("nests/nest-1").get()).exists, true);
+  });
+
+  it("skips the Auth trigger once the callable has finished", async () => {
+    await call(myFunctions.deleteAccount, {}, {uid: "sitter-1"});
+    await db.doc("users/sitter-1").set({id: "sitter-1"});
+
+    await functionsTest.wrap(myFunctions.onAuthUserDeleted)({
+      uid: "sitter-1",
+      email: "sitter-1@example.com",
+      metadata: {creationTime: Timestamp.now().toDate().toISOString()},
+    });
+
+    assert.strictEqual((await db.doc("users/sitter-1").get()).exists, true);
+    const receipt = (await db.doc("accountDeletions/sitter-1").get()).data();
+    assert.strictEqual(receipt.source, "callable");
+  });
+});
@@ -0,0 +1,141 @@
+const assert = require("assert");
+const {
+  HOUR,
+  Timestamp,
+  call,
+  db,
+  myFunctions,
+  seedSession,
+  seedUser,
+  setNow,
+} = require("./helpers");
+const {
+  buildCalendar,
+  createFeedToken,
+  isFeedToken,
+  parseFeedPath,
+  sessionItem,
+} = require("../utils/calendarFeed");
+
+/**
+ * Fetches a feed URL from calendarFeed with a fake Express request and
+ * response
+ * @param {string} url - The feed URL from rotateCalendarFeedToken
+ * @return {Promise<Object>} {status, headers, body}
+ */
+function fetchFeed(url) {
+  return new Promise((resolve, reject) => {
+    const headers = {};
+    const req = {
+      method: "GET",
+      path: new URL(url).pathname.replace(/^\/calendarFeed/, ""),
+      headers: {},
+      get: () => undefined,
+    };
+    const res = {
+      statusCode: 200,
+      set(name, value) {
+        const values = typeof name === "object" ? name : {[name]: value};
+        Object.keys(values).forEach((key) => {
+          headers[key.toLowerCase()] = values[key];
+        });
+        return res;
+      },
+      status(code) {
+        res.statusCode = code;
+        return res;
+      },
+      send(body) {
+        resolve({status: res.statusCode, headers, body});
+      },
+    };
+    Promise.resolve(myFunctions.calendarFeed(req, res)).catch(reject);
+  });
+}
+
+describe("calendar feed helpers", () => {
+  it("checks tokens against their stored hash", () => {
+    const {token, tokenHash} = createFeedToken();
+
+    assert.strictEqual(isFeedToken(token, tokenHash), true);
+    assert.strictEqual(isFeedToken(createFeedToken().token, tokenHash), false);
+    assert.deepStrictEqual(parseFeedPath(`/user-1/${token}.ics`),
+        {uid: "user-1", token});
+    assert.strictEqual(parseFeedPath("/user-1/short.ics"), null);
+  });
+
+  it("escapes text and folds long lines", () => {
+    const ics = buildCalendar([sessionItem({
+      id: "session-1",
+      title: "Date Night, downtown; " + "x".repeat(80),
+      startDate: new Date("2026-03-14T21:00:00Z"),
+      endDate: new Date("2026-03-15T01:00:00Z"),
+    }, {role: "sitter", nestName: "The Smiths"})], {
+      name: "NestNote",
+      now: new Date("2026-03-14T12:00:00Z"),
+    });
+
+    const lines = ics.split("\r\n");
+    assert.ok(lines.includes("UID:session-session-1@nestnoteapp.com"));
+    assert.ok(lines.includes("DTSTART:20260314T210000Z"));
+    assert.ok(lines.includes("DESCRIPTION:Sitting for The Smiths"));
+    assert.ok(ics.includes("SUMMARY:Date Night\\, downtown\\; xxx"));
+    assert.ok(lines.every((line) => Buffer.byteLength(line) <= 75));
+  });
+});
+
+describe("calendarFeed", () => {
+  beforeEach(async () => {
+    setNow("2026-03-14T12:00:00Z");
+    await seedUser("owner-1", {roles: {ownedNestId: "nest-1"}});
+    await seedUser("sitter-1", {primaryRole: "sitter"});
+    await db.doc("nests/nest-1")
+        .set({id: "nest-1", ownerId: "owner-1", name: "The Smiths"});
+    await db.doc("nests/nest-1/entries/place-1")
+        .set({type: "place", alias: "School", address: "1 Main St"});
+
+    const sessionRef = await seedSession("nest-1", "session-1");
+    await sessionRef.collection("events").doc("event-1").set({
+      id: "event-1",
+      title: "School pickup",
+      startDate: Timestamp.fromMillis(Date.now() + 3 * HOUR),
+      endDate: Timestamp.fromMillis(Date.now() + 3.5 * HOUR),
+      placeID: "place-1",
+    });
+    await seedSession("nest-1", "session-0", {status: "completed"});
+    await db.doc("users/sitter-1/sitterSessions/session-1")
+        .set({id: "session-1", nestID: "nest-1", nestName: "The Smiths"});
+  });
+
+  it("serves sessions and their events to owners and sitters", async () => {
+    const {url} = await call(myFunctions.rotateCalendarFeedToken, {},
+        {uid: "sitter-1"});
+    const {status, headers, body} = await fetchFeed(url);
+
+    assert.strictEqual(status, 200);
+    assert.match(headers["content-type"], /^text\/calendar/);
+    assert.ok(body.includes("UID:session-session-1@nestnoteapp.com"));
+    assert.ok(body.includes("DESCRIPTION:Sitting for The Smiths"));
+    assert.ok(body.includes("UID:event-session-1-event-1@nestnoteapp.com"));
+    assert.ok(body.includes("LOCATION:School\\, 1 Main St"));
+    assert.strictEqual(body.includes("session-0"), false);
+
+    const owner = await call(myFunctions.rotateCalendarFeedToken, {},
+        {uid: "owner-1"});
+    const ownerFeed = (await fetchFeed(owner.url)).body;
+    assert.ok(ownerFeed.includes("DESCRIPTION:Sitter: Sam Sitter"));
+  });
+
+  it("stops serving rotated and revoked URLs", async () => {
+    const auth = {uid: "sitter-1"};
+    const first = await call(myFunctions.rotateCalendarFeedToken, {}, auth);
+    const second = await call(myFunctions.rotateCalendarFeedToken, {}, auth);
+
+    assert.strictEqual((await fetchFeed(first.url)).status, 404);
+    assert.strictEqual((await fetchFeed(second.url)).status, 200);
+
+    const revoked = await call(myFunctions.revokeCalendarFeedToken, {}, auth);
+    assert.strictEqual(revoked.revoked, true);
+    assert.strictEqual((await fetchFeed(second.url)).status, 404);
+  });
+});
@@ -0,0 +1,151 @@
+const assert = require("assert");
+const sharp = require("sharp");
+const {
+  HOUR,
+  Timestamp,
+  myFunctions,
+  outbox,
+  runSchedule,
+  seedSession,
+  seedUser,
+  setNow,
+  trigger,
+} = require("./helpers");
+const {
+  parseStorageLocation,
+  resizeImage,
+} = require("../utils/checkInImages");
+
+const NOW = "2026-03-14T22:00:00Z";
+const BUCKET = "demo-nestnote.appspot.com";
+
+describe("check-in images", () => {
+  it("finds the object behind each kind of Storage URL", () => {
+    const name = "nests/nest-1/sessions/session-1/checkIns/photo 1.jpg";
+    const urls = [
+      `gs://${BUCKET}/${name}`,
+      `https://firebasestorage.googleapis.com/v0/b/${BUCKET}/o/` +
+        `${encodeURIComponent(name)}?alt=media&token=abc`,
+      `https://storage.googleapis.com/${BUCKET}/${encodeURI(name)}`,
+      name,
+    ];
+
+    for (const url of urls) {
+      assert.deepStrictEqual(parseStorageLocation(url, BUCKET),
+          {bucket: BUCKET, name});
+    }
+    assert.strictEqual(
+        parseStorageLocation("https://example.com/photo.jpg", BUCKET), null);
+  });
+
+  it("writes bounded thumbnails without the original's metadata", async () => {
+    const original = await sharp({
+      create: {width: 1600, height: 1200, channels: 3, background: "#369"},
+    }).jpeg().withMetadata({exif: {IFD0: {Copyright: "secret"}}}).toBuffer();
+
+    const {metadata, thumbnails} = await resizeImage(original);
+
+    assert.strictEqual(metadata.width, 1600);
+    assert.deepStrictEqual(
+        [thumbnails.small.width, thumbnails.small.height], [200, 150]);
+    assert.deepStrictEqual(
+        [thumbnails.medium.width, thumbnails.medium.height], [800, 600]);
+    const stored = await sharp(thumbnails.medium.buffer).metadata();
+    assert.strictEqual(stored.exif, undefined);
+  });
+});
+
+describe("check-in processing", () => {
+  let sessionRef;
+
+  beforeEach(async () => {
+    setNow(NOW);
+    await seedUser("owner-1");
+    sessionRef = await seedSession("nest-1", "session-1", {
+      status: "inProgress",
+      isMultiDay: true,
+      startDate: Timestamp.fromMillis(Date.now() - 30 * HOUR),
+      endDate: Timestamp.fromMillis(Date.now() + 48 * HOUR),
+    });
+  });
+
+  /**
+   * Stores a check-in and fires the create trigger for it
+   * @param {string} id - The check-in ID
+   * @param {Object} fields - The check-in document
+   * @return {Promise<FirebaseFirestore.DocumentReference>} The check-in
+   */
+  async function submitCheckIn(id, fields) {
+    const ref = sessionRef.collection("checkIns").doc(id);
+    await ref.set({
+      id,
+      sessionID: "session-1",
+      submittedAt: Timestamp.now(),
+      ...fields,
+    });
+    await trigger(myFunctions.onSessionCheckInCreated, await ref.get(), {
+      nestId: "nest-1",
+      sessionId: "session-1",
+      checkInId: id,
+    });
+    return ref;
+  }
+
+  it("removes check-ins from anyone but the assigned sitter", async () => {
+    const ref = await submitCheckIn("check-in-1", {
+      submittedBy: "stranger",
+      caption: "Hello",
+    });
+
+    assert.strictEqual((await ref.get()).exists, false);
+    assert.strictEqual(outbox.pushes.length, 0);
+  });
+
+  it("pushes the owner once per check-in", async () => {
+    const ref = await submitCheckIn("check-in-1", {
+      submittedBy: "sitter-1",
+      caption: "Kids are asleep",
+    });
+    await trigger(myFunctions.onSessionCheckInCreated, await ref.get(), {
+      nestId: "nest-1",
+      sessionId: "session-1",
+      checkInId: "check-in-1",
+    });
+
+    assert.strictEqual(outbox.pushes.length, 1);
+    assert.strictEqual(outbox.pushes[0].token, "owner-1-token");
+    assert.strictEqual(outbox.pushes[0].notification.title,
+        "📸 New check-in from Sam Sitter");
+    assert.strictEqual(outbox.pushes[0].notification.body, "Kids are asleep");
+    assert.ok((await ref.get()).data().ownerNotifiedAt);
+  });
+
+  it("emails a daily digest only to owners who opted in", async () => {
+    await sessionRef.collection("checkIns").doc("check-in-1").set({
+      submittedBy: "sitter-1",
+      submittedAt: Timestamp.fromMillis(Date.now() - 2 * HOUR),
+      caption: "Park trip <3",
+    });
+
+    await runSchedule(myFunctions.sendCheckInDigests);
+    assert.strictEqual(outbox.emails.length, 0);
+
+    await seedUser("owner-1", {
+      personalInfo: {
+        name: "Olive",
+        email: "owner-1@example.com",
+        notificationPreferences: {
+          events: {session_check_in_digest: {email: true}},
+        },
+      },
+    });
+    await sessionRef.collection("checkInDigests").doc("2026-03-14").delete();
+
+    await runSchedule(myFunctions.sendCheckInDigests);
+    await runSchedule(myFunctions.sendCheckInDigests);
+
+    assert.strictEqual(outbox.emails.length, 1);
+    assert.strictEqual(outbox.emails[0].to, "owner-1@example.com");
+    assert.ok(outbox.emails[0].html.includes("Park trip &lt;3"));
+  });
+});
@@ -0,0 +1,173 @@
+const assert = require("assert");
+const zlib = require("zlib");
+const admin = require("firebase-admin");
+const sinon = require("sinon");
+const {
+  Timestamp,
+  call,
+  db,
+  myFunctions,
+  outbox,
+  seedSession,
+  seedUser,
+  setNow,
+} = require("./helpers");
+const {
+  buildExportArchive,
+  flattenRecord,
+  toExportValue,
+} = require("../utils/dataExport");
+
+/**
+ * Reads the files out of a ZIP archive made by buildExportArchive
+ * @param {Buffer} archive - The archive
+ * @return {Object} File contents as strings, keyed by name
+ */
+function unzip(archive) {
+  const files = {};
+  let offset = 0;
+  while (archive.readUInt32LE(offset) === 0x04034b50) {
+    const size = archive.readUInt32LE(offset + 18);
+    const nameLength = archive.readUInt16LE(offset + 26);
+    const name = archive.toString("utf8", offset + 30,
+        offset + 30 + nameLength);
+    const start = offset + 30 + nameLength;
+    files[name] = zlib.inflateRawSync(archive.subarray(start, start + size))
+        .toString("utf8");
+    offset = start + size;
+  }
+  return files;
+}
+
+describe("data export helpers", () => {
+  it("turns Firestore values into plain JSON", () => {
+    const value = toExportValue({
+      startDate: Timestamp.fromDate(new Date("2026-03-14T17:00:00Z")),
+      nest: db.doc("nests/nest-1"),
+      tags: [{at: new Date("2026-03-15T00:00:00Z")}],
+      missing: undefined,
+    });
+
+    assert.deepStrictEqual(value, {
+      startDate: "2026-03-14T17:00:00.000Z",
+      nest: "nests/nest-1",
+      tags: [{at: "2026-03-15T00:00:00.000Z"}],
+      missing: null,
+    });
+  });
+
+  it("flattens nested fields into CSV columns", () => {
+    assert.deepStrictEqual(flattenRecord({
+      id: "user-1",
+      personalInfo: {name: "Ann", address: {city: "Austin"}},
+      fcmTokens: [],
+      roles: ["owner"],
+    }), {
+      "id": "user-1",
+      "personalInfo.name": "Ann",
+      "personalInfo.address.city": "Austin",
+      "fcmTokens": "",
+      "roles": "[\"owner\"]",
+    });
+  });
+
+  it("packs a JSON file and a CSV per section", () => {
+    const files = unzip(buildExportArchive("user-1", {
+      profile: [{id: "user-1", personalInfo: {name: "Ann, Jr."}}],
+      sessions: [{id: "session-1", nestId: "nest-1", title: "=Date Night"}],
+    }, new Date("2026-03-14T12:00:00Z")));
+
+    const document = JSON.parse(files["nestnote-data.json"]);
+    assert.strictEqual(document.userId, "user-1");
+    assert.strictEqual(document.sessions[0].title, "=Date Night");
+    assert.deepStrictEqual(document.referrals, []);
+    assert.strictEqual(files["csv/profile.csv"],
+        "id,personalInfo.name\r\nuser-1,\"Ann, Jr.\"\r\n");
+    assert.strictEqual(files["csv/sessions.csv"],
+        "id,nestId,title\r\nsession-1,nest-1,'=Date Night\r\n");
+    assert.strictEqual(files["csv/referrals.csv"], "id\r\n");
+  });
+});
+
+describe("exportUserData", () => {
+  let saved;
+  let bucket;
+  let signingFails;
+
+  beforeEach(async () => {
+    setNow("2026-03-14T12:00:00Z");
+    saved = {};
+    signingFails = false;
+    bucket = sinon.stub(admin.storage(), "bucket").returns({
+      file: (name) => ({
+        save: async (content) => {
+          saved[name] = content;
+        },
+        getSignedUrl: async () => {
+          if (signingFails) throw new Error("signBlob denied");
+          return [`https://storage.example.com/${name}?sig=1`];
+        },
+        delete: async () => {
+          delete saved[name];
+        },
+      }),
+    });
+
+    await seedUser("owner-1", {roles: {ownedNestId: "nest-1"}});
+    await db.doc("nests/nest-1").set({id: "nest-1", ownerId: "owner-1"});
+    await db.doc("nests/nest-1/entries/entry-1")
+        .set({type: "entry", title: "Wifi"});
+    await db.doc("nests/nest-1/entries/place-1")
+        .set({type: "place", alias: "School"});
+    await seedSession("nest-1", "session-1");
+  });
+
+  afterEach(() => {
+    bucket.restore();
+  });
+
+  it("stores an archive and emails a link to it", async () => {
+    const result = await call(myFunctions.exportUserData, {},
+        {uid: "owner-1", token: {email: "owner-1@example.com"}});
+
+    const [path] = Object.keys(saved);
+    assert.strictEqual(path, `dataExports/owner-1/${result.exportId}.zip`);
+    const document = JSON.parse(unzip(saved[path])["nestnote-data.json"]);
+    assert.strictEqual(document.entries[0].title, "Wifi");
+    assert.strictEqual(document.places[0].alias, "School");
+    assert.strictEqual(document.sessions[0].id, "session-1");
+    assert.strictEqual(document.profile[0].fcmTokens, undefined);
+
+    assert.strictEqual(outbox.emails.length, 1);
+    assert.ok(outbox.emails[0].text.includes(`${path}?sig=1`));
+    const record = (await db.doc("dataExports/owner-1").get()).data();
+    assert.strictEqual(record.status, "ready");
+    assert.strictEqual(record.counts.places, 1);
+  });
+
+  it("allows one export an hour", async () => {
+    const auth = {uid: "owner-1", token: {}};
+    await call(myFunctions.exportUserData, {}, auth);
+
+    await assert.rejects(call(myFunctions.exportUserData, {}, auth),
+        (error) => error.details.reason === "export-throttled");
+    setNow("2026-03-14T13:01:00Z");
+    const second = await call(myFunctions.exportUserData, {}, auth);
+    assert.strictEqual(outbox.emails.length, 2);
+    assert.deepStrictEqual(Object.keys(saved),
+        [`dataExports/owner-1/${second.exportId}.zip`]);
+  });
+
+  it("deletes the archive when the export fails after saving it", async () => {
+    signingFails = true;
+
+    await assert.rejects(call(myFunctions.exportUserData, {},
+        {uid: "owner-1", token: {}}), (error) => error.code === "internal");
+
+    assert.deepStrictEqual(Object.keys(saved), []);
+    const record = (await db.doc("dataExports/owner-1").get()).data();
+    assert.strictEqual(record.status, "failed");
+    assert.strictEqual(record.storagePath, undefined);
+    assert.strictEqual(outbox.emails.length, 0);
+  });
+});
@@ -0,0 +1,231 @@
+const assert = require("assert");
+const {
+  HOUR,
+  call,
+  db,
+  myFunctions,
+  outbox,
+  seedInvite,
+  seedSession,
+  seedUser,
+  setNow,
+} = require("./helpers");
+
+const OWNER = {uid: "owner-1", token: {email: "owner-1@example.com"}};
+const ADMIN = {uid: "admin-1", token: {admin: true}};
+
+const INVITE = {nestID: "nest-1", sessionID: "session-1"};
+
+/**
+ * Asserts that a callable rejected with the given code
+ * @param {Promise} promise - The callable invocation
+ * @param {string} code - The expected HttpsError code
+ * @return {Promise<void>}
+ */
+function assertRejects(promise, code) {
+  return assert.rejects(promise, (error) => error.code === code);
+}
+
+/**
+ * Creates nest-1, owned by owner-1, with session-1 waiting on invite-123456
+ * @return {Promise<void>}
+ */
+async function seedInvitedSession() {
+  await db.doc("nests/nest-1").set({
+    id: "nest-1",
+    ownerId: "owner-1",
+    name: "The Smiths",
+  });
+  await seedSession("nest-1", "session-1", {
+    assignedSitter: {
+      id: "assigned-1",
+      name: "Sam",
+      email: "sitter-1@example.com",
+      userID: null,
+      inviteStatus: "invited",
+      inviteID: "invite-123456",
+    },
+  });
+  await seedInvite("123456");
+}
+
+describe("sendSessionInviteEmail", () => {
+  beforeEach(seedInvitedSession);
+
+  it("emails the sitter an invite link", async () => {
+    await call(myFunctions.sendSessionInviteEmail, INVITE, OWNER);
+
+    assert.strictEqual(outbox.emails.length, 1);
+    const [email] = outbox.emails;
+    assert.strictEqual(email.to, "sitter-1@example.com");
+    assert.strictEqual(email.subject, "NestNote - Invitation from The Smiths");
+    assert.ok(email.html.includes(
+        "https://nestnoteapp.com/invite?code=123456"));
+  });
+
+  it("writes in the sitter's language when they have a profile", async () => {
+    await seedUser("sitter-1", {
+      personalInfo: {
+        name: "Sam",
+        email: "sitter-1@example.com",
+        locale: "es-MX",
+      },
+    });
+
+    await call(myFunctions.sendSessionInviteEmail, INVITE, OWNER);
+
+    assert.strictEqual(outbox.emails[0].subject,
+        "NestNote - Invitación de The Smiths");
+  });
+
+  it("ignores addresses and links from the caller", async () => {
+    await call(myFunctions.sendSessionInviteEmail, {
+      ...INVITE,
+      sitterEmail: "someone@example.com",
+      inviteLink: "https://evil.example/phish",
+    }, OWNER);
+
+    assert.strictEqual(outbox.emails[0].to, "sitter-1@example.com");
+    assert.ok(!outbox.emails[0].html.includes("evil.example"));
+  });
+
+  it("only sends for the nest's owner", async () => {
+    await assertRejects(
+        call(myFunctions.sendSessionInviteEmail, INVITE, {uid: "sitter-1"}),
+        "permission-denied");
+    assert.strictEqual(outbox.emails.length, 0);
+  });
+
+  it("only sends a pending invite", async () => {
+    await db.doc("invites/invite-123456").update({status: "cancelled"});
+
+    await assert.rejects(
+        call(myFunctions.sendSessionInviteEmail, INVITE, OWNER),
+        (error) => error.details.reason === "no-pending-invite");
+    assert.strictEqual(outbox.emails.length, 0);
+  });
+
+  it("rejects incomplete requests", async () => {
+    await assertRejects(
+        call(myFunctions.sendSessionInviteEmail, {nestID: "nest-1"}, OWNER),
+        "invalid-argument");
+    assert.strictEqual(outbox.emails.length, 0);
+  });
+
+  it("requires a signed-in caller", async () => {
+    await assertRejects(
+        call(myFunctions.sendSessionInviteEmail, INVITE), "unauthenticated");
+    assert.strictEqual(outbox.emails.length, 0);
+  });
+
+  it("requires App Check when it is enforced", async () => {
+    process.env.ENFORCE_APP_CHECK = "true";
+    try {
+      await assertRejects(
+          call(myFunctions.sendSessionInviteEmail, INVITE, OWNER,
+              {appCheck: false}),
+          "unauthenticated");
+      await call(myFunctions.sendSessionInviteEmail, INVITE, OWNER);
+    } finally {
+      delete process.env.ENFORCE_APP_CHECK;
+    }
+    assert.strictEqual(outbox.emails.length, 1);
+  });
+});
+
+describe("sendSessionReminderEmail", () => {
+  beforeEach(async () => {
+    setNow("2026-03-14T18:00:00Z");
+    await seedUser("owner-1", {roles: {ownedNestId: "nest-1"}});
+    await seedUser("sitter-1", {primaryRole: "sitter"});
+    await db.doc("nests/nest-1").set({id: "nest-1", ownerId: "owner-1"});
+    await seedSession("nest-1", "session-1", {
+      startDate: Date.now() + 3 * HOUR,
+      endDate: Date.now() + 6 * HOUR,
+    });
+  });
+
+  it("emails a reminder for the session", async () => {
+    await call(myFunctions.sendSessionReminderEmail,
+        {...INVITE, userRole: "owner"}, OWNER);
+
+    assert.strictEqual(outbox.emails.length, 1);
+    assert.strictEqual(outbox.emails[0].to, "owner-1@example.com");
+    assert.strictEqual(outbox.emails[0].subject,
+        "🔔 Session Reminder: Date Night");
+    assert.ok(outbox.emails[0].text.includes("in 3 hours"));
+  });
+
+  it("reminds the session's accepted sitter", async () => {
+    await call(myFunctions.sendSessionReminderEmail, {
+      ...INVITE,
+      userRole: "sitter",
+      userEmail: "someone@example.com",
+    }, OWNER);
+
+    assert.deepStrictEqual(outbox.emails.map((email) => email.to),
+        ["sitter-1@example.com"]);
+  });
+
+  it("only sends for the nest's owner", async () => {
+    await assertRejects(call(myFunctions.sendSessionReminderEmail,
+        {...INVITE, userRole: "sitter"}, {uid: "sitter-1"}),
+    "permission-denied");
+    assert.strictEqual(outbox.emails.length, 0);
+  });
+});
+
+describe("sendEmail", () => {
+  const MESSAGE = {
+    to: "someone@example.com",
+    subject: "Hello",
+    text: "Plain text",
+  };
+
+  it("sends a custom email for an admin", async () => {
+    await call(myFunctions.sendEmail, {
+      ...MESSAGE,
+      from: "NestNote Team <team@nestnoteapp.com>",
+    }, ADMIN);
+
+    assert.deepStrictEqual(outbox.emails.map((email) => email.to),
+        ["someone@example.com"]);
+  });
+
+  it("is closed to anyone without the admin claim", async () => {
+    await assertRejects(
+        call(myFunctions.sendEmail, MESSAGE), "unauthenticated");
+    await assertRejects(
+        call(myFunctions.sendEmail, MESSAGE, OWNER), "permission-denied");
+    assert.strictEqual(outbox.emails.length, 0);
+  });
+
+  it("refuses senders outside our domain", async () => {
+    await assertRejects(call(myFunctions.sendEmail, {
+      ...MESSAGE,
+      from: "Support <support@nestnoteapp.com.evil.example>",
+    }, ADMIN), "invalid-argument");
+    assert.strictEqual(outbox.emails.length, 0);
+  });
+});
+
+describe("testEmail", () => {
+  it("echoes the request without sending anything", async () => {
+    const result = await call(myFunctions.testEmail, {
+      to: "someone@example.com",
+      subject: "Hello",
+      text: "Plain text",
+    });
+
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(outbox.emails.length, 0);
+  });
+});
+
+describe("helloNestNote", () => {
+  it("responds with a greeting", async () => {
+    const result = await call(myFunctions.helloNestNote, {});
+    assert.strictEqual(result.message,
+        "Hello from NestNote Firebase Functions!");
+  });
+});
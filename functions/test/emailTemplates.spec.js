@@ -0,0 +1,77 @@
+const assert = require("assert");
+const {renderEmail, resolveLocale} = require("../utils/emailTemplates");
+
+const INVITE = {
+  sitterName: "Sam",
+  nestName: "<script>alert(1)</script>",
+  title: "Date Night & Dinner",
+  inviteLink: "https://nestnoteapp.com/invite/123456?a=1&b=2",
+};
+
+describe("email templates", () => {
+  it("escapes every value in the HTML body", () => {
+    const {html} = renderEmail("sessionInvite", INVITE);
+
+    assert.ok(!html.includes("<script>"));
+    assert.ok(html.includes(
+        "<strong>&lt;script&gt;alert(1)&lt;/script&gt;</strong>"));
+    assert.ok(html.includes("Date Night &amp; Dinner"));
+    assert.ok(html.includes(
+        "href=\"https://nestnoteapp.com/invite/123456?a=1&amp;b=2\""));
+  });
+
+  it("renders plain text from the same template", () => {
+    const {subject, text} = renderEmail("sessionInvite", INVITE);
+
+    assert.strictEqual(subject,
+        "NestNote - Invitation from <script>alert(1)</script>");
+    assert.ok(text.startsWith("Hi Sam,\n\n"));
+    assert.ok(text.includes("- Title: Date Night & Dinner"));
+    assert.ok(text.includes("https://nestnoteapp.com/invite/123456?a=1&b=2"));
+  });
+
+  it("uses the recipient's locale, falling back to English", () => {
+    const spanish = renderEmail("sessionInvite", INVITE, {locale: "es-MX"});
+    assert.strictEqual(spanish.locale, "es");
+    assert.ok(spanish.text.startsWith("Hola Sam:"));
+    assert.ok(spanish.html.startsWith("<!DOCTYPE html><html lang=\"es\">"));
+
+    assert.strictEqual(resolveLocale("fr-FR"), "en");
+    assert.strictEqual(resolveLocale(null), "en");
+  });
+
+  it("refuses links that are not web or mail links", () => {
+    assert.throws(() => renderEmail("sessionInvite", {
+      ...INVITE,
+      inviteLink: "javascript:alert(1)",
+    }), /unsupported scheme/);
+  });
+
+  it("renders session times in the recipient's zone across DST", () => {
+    // US clocks go forward on Sunday, March 8 2026
+    const {text} = renderEmail("sessionReminder", {
+      userName: "Olivia",
+      userRole: "owner",
+      title: "Long Weekend",
+      hoursUntil: 20,
+      startDate: new Date("2026-03-07T23:00:00Z"),
+      endDate: new Date("2026-03-09T15:00:00Z"),
+    }, {timeZone: "America/New_York"});
+
+    assert.ok(text.includes("- Starts: Sat, Mar 7, 2026, 6:00 PM EST"));
+    assert.ok(text.includes("- Ends: Mon, Mar 9, 2026, 11:00 AM EDT"));
+  });
+
+  it("shows a single date for sessions within one local day", () => {
+    const {text} = renderEmail("sessionReminder", {
+      userName: "Olivia",
+      title: "Date Night",
+      hoursUntil: 3,
+      startDate: new Date("2026-03-15T01:00:00Z"),
+      endDate: new Date("2026-03-15T05:00:00Z"),
+    }, {timeZone: "America/Los_Angeles"});
+
+    assert.ok(text.includes("- Date: Sat, Mar 14, 2026"));
+    assert.ok(text.includes("- Time: 6:00 PM PDT - 10:00 PM PDT"));
+  });
+});
@@ -0,0 +1,67 @@
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {db} = require("./helpers");
+const {
+  createCaptureTransport,
+  createEmailTransport,
+  createSmtpTransport,
+} = require("../utils/emailTransport");
+
+const MESSAGE = {
+  to: "sitter-1@example.com",
+  from: "NestNote <support@nestnoteapp.com>",
+  subject: "NestNote - Invitation from The Smiths",
+  text: "You've been invited",
+  html: "<p>You've been invited</p>",
+};
+
+describe("email transports", () => {
+  it("captures messages into a Firestore collection", async () => {
+    const transport = createCaptureTransport({db, collection: "outbox"});
+
+    const {id} = await transport.send(MESSAGE);
+
+    const captured = (await db.collection("outbox").doc(id).get()).data();
+    assert.strictEqual(captured.to, MESSAGE.to);
+    assert.strictEqual(captured.html, MESSAGE.html);
+  });
+
+  it("captures messages into a local directory", async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), "nestnote-"));
+    const transport = createCaptureTransport({directory});
+
+    const {id} = await transport.send(MESSAGE);
+
+    const captured = JSON.parse(
+        fs.readFileSync(path.join(directory, `${id}.json`), "utf8"));
+    assert.strictEqual(captured.subject, MESSAGE.subject);
+    assert.strictEqual(
+        fs.readFileSync(path.join(directory, `${id}.html`), "utf8"),
+        MESSAGE.html,
+    );
+
+    fs.rmSync(directory, {recursive: true, force: true});
+  });
+
+  it("doesn't read the SMTP password until it sends", () => {
+    let reads = 0;
+    const transport = createSmtpTransport({
+      host: "localhost",
+      user: "nestnote",
+      getPassword: () => {
+        reads++;
+        return "secret";
+      },
+    });
+
+    assert.strictEqual(transport.name, "smtp");
+    assert.strictEqual(reads, 0);
+  });
+
+  it("refuses unknown transports", () => {
+    assert.throws(() => createEmailTransport({transport: "pigeon"}),
+        /Unknown email transport: pigeon/);
+  });
+});
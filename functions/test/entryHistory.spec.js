@@ -0,0 +1,201 @@
+const assert = require("assert");
+const {
+  DAY,
+  Timestamp,
+  call,
+  db,
+  myFunctions,
+  runSchedule,
+  seedUser,
+  setNow,
+  trigger,
+} = require("./helpers");
+const {
+  buildVersion,
+  changedFields,
+  versionsToPrune,
+} = require("../utils/entryHistory");
+
+const NOW = "2026-03-14T12:00:00Z";
+
+describe("entry history helpers", () => {
+  it("lists the fields a change touched", () => {
+    const before = {
+      type: "entry",
+      title: "Door code",
+      content: "1234",
+      updatedAt: Timestamp.fromDate(new Date("2026-03-01T00:00:00Z")),
+    };
+    const after = {...before, content: "5678", updatedAt: Timestamp.now()};
+
+    assert.deepStrictEqual(changedFields(before, after), ["content"]);
+    assert.deepStrictEqual(changedFields(null, {type: "place", alias: "Gym"}),
+        ["alias", "type"]);
+    assert.deepStrictEqual(
+        buildVersion(before, null,
+            {version: 3, changedBy: "owner-1", changedAt: "now"}),
+        {
+          version: 3,
+          action: "deleted",
+          itemType: "entry",
+          title: "Door code",
+          data: null,
+          changedFields: ["content", "title", "type"],
+          changedBy: "owner-1",
+          changedAt: "now",
+        });
+  });
+
+  it("keeps fewer and newer versions on the free tier", () => {
+    const now = new Date(NOW);
+    const versions = Array.from({length: 12}, (_, index) => ({
+      id: `v${12 - index}`,
+      changedAt: new Date(now.getTime() - index * DAY),
+    }));
+    versions.push({id: "v0", changedAt: new Date(now.getTime() - 400 * DAY)});
+
+    assert.deepStrictEqual(versionsToPrune(versions, "free", now),
+        ["v2", "v1", "v0"]);
+    assert.deepStrictEqual(versionsToPrune(versions, "pro", now), ["v0"]);
+    assert.deepStrictEqual(versionsToPrune(versions.slice(12), "free", now),
+        []);
+    assert.deepStrictEqual(
+        versionsToPrune(versions.slice(12), "free", now, false), ["v0"]);
+  });
+});
+
+describe("entry history", () => {
+  const entryRef = db.doc("nests/nest-1/entries/entry-1");
+  let eventCount;
+
+  beforeEach(async () => {
+    setNow(NOW);
+    eventCount = 0;
+    await seedUser("owner-1", {roles: {ownedNestId: "nest-1"}});
+    await seedUser("sitter-1", {primaryRole: "sitter"});
+    await db.doc("nests/nest-1").set({id: "nest-1", ownerId: "owner-1"});
+  });
+
+  /**
+   * Writes (or with null, deletes) an entry and fires its history trigger
+   * @param {Object|null} data - The entry, or null to delete it
+   * @param {string} authId - Who made the change
+   * @return {Promise<void>}
+   */
+  async function writeEntry(data, authId = "owner-1") {
+    const before = await entryRef.get();
+    await (data ? entryRef.set(data) : entryRef.delete());
+    eventCount++;
+    await trigger(myFunctions.onNestEntryWritten,
+        {before, after: await entryRef.get()},
+        {nestId: "nest-1", entryId: "entry-1"},
+        {id: `event-${eventCount}`, time: new Date().toISOString(), authId});
+  }
+
+  /**
+   * Lists the entry's versions through listEntryVersions
+   * @param {string} uid - The caller
+   * @return {Promise<Object>} The callable's result
+   */
+  function listVersions(uid = "owner-1") {
+    return call(myFunctions.listEntryVersions,
+        {nestID: "nest-1", entryID: "entry-1"}, {uid});
+  }
+
+  it("records who changed what and restores a deleted entry", async () => {
+    await writeEntry({type: "entry", title: "Door code", content: "1234"});
+    await writeEntry({type: "entry", title: "Door code", content: "5678"});
+    await writeEntry(null);
+
+    const {versions, retention} = await listVersions();
+    assert.deepStrictEqual(versions.map((version) => version.action),
+        ["deleted", "updated", "created"]);
+    assert.deepStrictEqual(versions[1].changedFields, ["content"]);
+    assert.strictEqual(versions[1].changedBy, "owner-1");
+    assert.strictEqual(retention.maxVersions, 10);
+
+    const before = await entryRef.get();
+    const result = await call(myFunctions.restoreEntryVersion, {
+      nestID: "nest-1",
+      entryID: "entry-1",
+      versionID: versions[2].id,
+    }, {uid: "owner-1"});
+    assert.strictEqual(result.version.restoredFrom, 1);
+    assert.strictEqual((await entryRef.get()).data().content, "1234");
+
+    // The restore's own trigger doesn't add a second version
+    await trigger(myFunctions.onNestEntryWritten,
+        {before, after: await entryRef.get()},
+        {nestId: "nest-1", entryId: "entry-1"},
+        {id: "event-restore", time: new Date().toISOString()});
+    const after = await listVersions();
+    assert.deepStrictEqual(after.versions.map((version) => version.version),
+        [4, 3, 2, 1]);
+  });
+
+  it("keeps how an entry looked before history began", async () => {
+    await entryRef.set({type: "place", alias: "School", address: "1 Main St"});
+    await writeEntry({type: "place", alias: "School", address: "2 Oak Ave"});
+
+    const {versions} = await listVersions();
+    assert.deepStrictEqual(versions.map((version) => version.action),
+        ["updated", "baseline"]);
+    assert.strictEqual(versions[1].data.address, "1 Main St");
+  });
+
+  it("prunes versions past the owner's tier", async () => {
+    for (let index = 0; index < 12; index++) {
+      await writeEntry({type: "routine", title: "Bedtime", step: index});
+    }
+    assert.strictEqual((await listVersions()).versions.length, 10);
+
+    await db.doc("users/owner-1").update({subscription: {
+      tier: "pro",
+      expiresAt: Timestamp.fromMillis(Date.now() + 30 * DAY),
+    }});
+    await writeEntry({type: "routine", title: "Bedtime", step: 12});
+    assert.strictEqual((await listVersions()).versions.length, 11);
+  });
+
+  it("won't restore a version past the owner's tier", async () => {
+    await writeEntry({type: "entry", title: "Door code", content: "1234"});
+    setNow(new Date(Date.parse(NOW) + 31 * DAY));
+    await writeEntry({type: "entry", title: "Door code", content: "5678"});
+
+    // Pruned on the next write, but already out of reach
+    const oldest = await entryRef.collection("history")
+        .where("version", "==", 1).get();
+    await assert.rejects(call(myFunctions.restoreEntryVersion, {
+      nestID: "nest-1",
+      entryID: "entry-1",
+      versionID: oldest.docs[0].id,
+    }, {uid: "owner-1"}),
+    (error) => error.details.reason === "version-not-found");
+  });
+
+  it("prunes the history of deleted entries once it expires", async () => {
+    await writeEntry({type: "entry", title: "Door code", content: "1234"});
+    await writeEntry(null);
+    const otherRef = db.doc("nests/nest-1/entries/entry-2/history/v1");
+    await otherRef.set(
+        {version: 1, action: "created", changedAt: Timestamp.now()});
+
+    setNow(new Date(Date.parse(NOW) + 29 * DAY));
+    await runSchedule(myFunctions.cleanupEntryHistory);
+    assert.strictEqual((await listVersions()).versions.length, 2);
+
+    setNow(new Date(Date.parse(NOW) + 31 * DAY));
+    await runSchedule(myFunctions.cleanupEntryHistory);
+    assert.strictEqual(
+        (await entryRef.collection("history").get()).size, 0);
+    assert.ok((await otherRef.get()).exists);
+  });
+
+  it("only lets the nest's owner see history", async () => {
+    await writeEntry({type: "entry", title: "Meds"});
+
+    await assert.rejects(listVersions("sitter-1"),
+        (error) => error.details.reason === "not-owner");
+  });
+});
+
@@ -0,0 +1,295 @@
+/**
+ * Shared setup for the Cloud Functions test suite.
+ *
+ * Tests run against the local Firestore emulator (`npm test` starts it) with
+ * a fake clock, and with SendGrid and FCM replaced by stubs that record every
+ * outbound message in `outbox` instead of talking to a live service.
+ */
+const http = require("http");
+
+const PROJECT_ID = "demo-nestnote";
+
+// Everything below must be in place before index.js is loaded
+process.env.GCLOUD_PROJECT = PROJECT_ID;
+process.env.FIRESTORE_EMULATOR_HOST =
+  process.env.FIRESTORE_EMULATOR_HOST || "127.0.0.1:8080";
+process.env.SENDGRID_API_KEY = "SG.test-key";
+process.env.REVENUECAT_WEBHOOK_SECRET = "rc-test-secret";
+process.env.SESSION_REMINDER_WINDOWS_HOURS = "24,1";
+process.env.DEFAULT_TIME_ZONE = "America/New_York";
+// Exports the emulator-only smoke-test endpoints
+process.env.FUNCTIONS_EMULATOR = "true";
+
+const functionsTest = require("firebase-functions-test")({
+  projectId: PROJECT_ID,
+});
+const admin = require("firebase-admin");
+const sgMail = require("@sendgrid/mail");
+const sinon = require("sinon");
+const myFunctions = require("../index");
+
+const db = admin.firestore();
+const {Timestamp} = admin.firestore;
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Every message the stub transports were asked to send. While `down` is
+// set, both fail as if SendGrid and FCM were unreachable
+const outbox = {
+  emails: [],
+  pushes: [],
+  down: false,
+};
+
+// Tokens the stub FCM sender rejects as unregistered
+const invalidTokens = new Set();
+
+let clock = null;
+
+/**
+ * Replaces SendGrid and FCM with stubs that record into `outbox`
+ */
+function stubTransports() {
+  sinon.stub(sgMail, "send").callsFake(async (msg) => {
+    if (outbox.down) throw new Error("SendGrid unavailable");
+    outbox.emails.push(msg);
+    return [{statusCode: 202}, {}];
+  });
+
+  sinon.stub(admin.messaging(), "sendEach").callsFake(async (messages) => {
+    if (outbox.down) throw new Error("FCM unavailable");
+    const responses = messages.map((message) => {
+      if (invalidTokens.has(message.token)) {
+        const error = new Error("Requested entity was not found.");
+        error.code = "messaging/registration-token-not-registered";
+        return {success: false, error};
+      }
+      outbox.pushes.push(message);
+      return {
+        success: true,
+        messageId: `projects/${PROJECT_ID}/messages/${outbox.pushes.length}`,
+      };
+    });
+    const successCount = responses.filter((r) => r.success).length;
+    return {
+      responses,
+      successCount,
+      failureCount: responses.length - successCount,
+    };
+  });
+}
+
+/**
+ * Freezes the clock the functions see. Only Date is faked, so timers used by
+ * the Firestore client keep running normally.
+ * @param {Date|string|number} now - The time to freeze at
+ * @return {Date} The frozen time
+ */
+function setNow(now) {
+  if (clock) clock.restore();
+  clock = sinon.useFakeTimers({now: new Date(now), toFake: ["Date"]});
+  return new Date();
+}
+
+/**
+ * Deletes every document in the Firestore emulator
+ * @return {Promise<void>}
+ */
+function clearFirestore() {
+  const [host, port] = process.env.FIRESTORE_EMULATOR_HOST.split(":");
+
+  return new Promise((resolve, reject) => {
+    const request = http.request({
+      host,
+      port,
+      method: "DELETE",
+      path: `/emulator/v1/projects/${PROJECT_ID}/databases/(default)/documents`,
+    }, (response) => {
+      response.resume();
+      if (response.statusCode === 200) {
+        resolve();
+      } else {
+        reject(new Error(
+            `Failed to clear the Firestore emulator: ${response.statusCode}`));
+      }
+    });
+    request.on("error", reject);
+    request.end();
+  });
+}
+
+/**
+ * Resets data, stubs and the clock between tests
+ * @return {Promise<void>}
+ */
+async function resetState() {
+  outbox.emails.length = 0;
+  outbox.pushes.length = 0;
+  outbox.down = false;
+  invalidTokens.clear();
+  await clearFirestore();
+}
+
+/**
+ * Restores everything the suite replaced
+ */
+function teardown() {
+  if (clock) {
+    clock.restore();
+    clock = null;
+  }
+  sinon.restore();
+  functionsTest.cleanup();
+}
+
+/**
+ * Runs a scheduled function once
+ * @param {Function} cloudFunction - An onSchedule export
+ * @return {Promise<*>} The handler's result
+ */
+function runSchedule(cloudFunction) {
+  return cloudFunction.run({
+    scheduleTime: new Date().toISOString(),
+    jobName: "test",
+  });
+}
+
+/**
+ * Calls a callable function as the given user
+ * @param {Function} cloudFunction - An onCall export
+ * @param {Object} data - The request payload
+ * @param {Object|null} auth - {uid, token}, or null for an anonymous call
+ * @param {Object} options - {appCheck: false} to call without an App Check
+ *   token
+ * @return {Promise<*>} The callable's result
+ */
+function call(cloudFunction, data, auth = null, {appCheck = true} = {}) {
+  return functionsTest.wrap(cloudFunction)({
+    data,
+    auth: auth ? {token: {}, ...auth} : undefined,
+    app: appCheck ? {appId: "test-app", token: {}} : undefined,
+    rawRequest: {headers: {}},
+  });
+}
+
+/**
+ * Fires a Firestore trigger with real emulator snapshots
+ * @param {Function} cloudFunction - A Firestore trigger export
+ * @param {Object} data - A snapshot, or {before, after} for update triggers
+ * @param {Object} params - The wildcard values from the document path
+ * @param {Object} event - Other event fields, e.g. {id, authId}
+ * @return {Promise<*>} The handler's result
+ */
+function trigger(cloudFunction, data, params, event = {}) {
+  return functionsTest.wrap(cloudFunction)({...event, data, params});
+}
+
+/**
+ * Creates a user profile with one fresh FCM token
+ * @param {string} uid - The user ID
+ * @param {Object} overrides - Fields to merge over the defaults
+ * @return {Promise<Object>} The stored profile
+ */
+async function seedUser(uid, overrides = {}) {
+  const profile = {
+    id: uid,
+    personalInfo: {
+      name: `User ${uid}`,
+      email: `${uid}@example.com`,
+      notificationPreferences: {
+        sessionNotifications: true,
+        otherNotifications: true,
+      },
+    },
+    primaryRole: "nester",
+    fcmTokens: [{token: `${uid}-token`, uploadedDate: Timestamp.now()}],
+    ...overrides,
+  };
+  await db.collection("users").doc(uid).set(profile);
+  return profile;
+}
+
+/**
+ * Creates a session in a nest, with an accepted sitter by default
+ * @param {string} nestId - The nest ID
+ * @param {string} sessionId - The session ID
+ * @param {Object} overrides - Fields to merge over the defaults
+ * @return {Promise<FirebaseFirestore.DocumentReference>} The session
+ */
+async function seedSession(nestId, sessionId, overrides = {}) {
+  const now = Date.now();
+  const ref = db.collection("nests")
+      .doc(nestId)
+      .collection("sessions")
+      .doc(sessionId);
+
+  await ref.set({
+    id: sessionId,
+    nestID: nestId,
+    ownerID: "owner-1",
+    title: "Date Night",
+    status: "upcoming",
+    startDate: Timestamp.fromMillis(now + 2 * HOUR),
+    endDate: Timestamp.fromMillis(now + 5 * HOUR),
+    isMultiDay: false,
+    events: [],
+    earlyAccessDuration: 12,
+    assignedSitter: {
+      id: "assigned-1",
+      name: "Sam Sitter",
+      email: "sitter-1@example.com",
+      userID: "sitter-1",
+      inviteStatus: "accepted",
+      inviteID: "invite-123456",
+    },
+    ...overrides,
+  });
+  return ref;
+}
+
+/**
+ * Creates a pending owner-initiated invite
+ * @param {string} code - The 6-digit invite code
+ * @param {Object} overrides - Fields to merge over the defaults
+ * @return {Promise<FirebaseFirestore.DocumentReference>} The invite
+ */
+async function seedInvite(code, overrides = {}) {
+  const ref = db.collection("invites").doc(`invite-${code}`);
+  await ref.set({
+    id: `invite-${code}`,
+    nestID: "nest-1",
+    nestName: "The Smiths",
+    sessionID: "session-1",
+    sitterEmail: "sitter-1@example.com",
+    status: "pending",
+    createdAt: Timestamp.now(),
+    expiresAt: Timestamp.fromMillis(Date.now() + DAY),
+    createdBy: "owner-1",
+    inviteType: "ownerInitiated",
+    ...overrides,
+  });
+  return ref;
+}
+
+module.exports = {
+  DAY,
+  HOUR,
+  PROJECT_ID,
+  Timestamp,
+  call,
+  db,
+  functionsTest,
+  invalidTokens,
+  myFunctions,
+  outbox,
+  resetState,
+  runSchedule,
+  seedInvite,
+  seedSession,
+  seedUser,
+  setNow,
+  stubTransports,
+  teardown,
+  trigger,
+};
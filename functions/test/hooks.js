@@ -0,0 +1,14 @@
+const {resetState, stubTransports, teardown} = require("./helpers");
+
+// Root hooks shared by every spec file (loaded through .mocharc.json)
+exports.mochaHooks = {
+  beforeAll() {
+    stubTransports();
+  },
+  async beforeEach() {
+    await resetState();
+  },
+  afterAll() {
+    teardown();
+  },
+};
@@ -0,0 +1,437 @@
+const assert = require("assert");
+const crypto = require("crypto");
+const sinon = require("sinon");
+const {
+  DAY,
+  HOUR,
+  Timestamp,
+  call,
+  db,
+  myFunctions,
+  outbox,
+  runSchedule,
+  seedInvite,
+  seedSession,
+  seedUser,
+  setNow,
+  trigger,
+} = require("./helpers");
+const {
+  InviteCodeLimits,
+  normalizeInviteCode,
+  registerAttempt,
+  registerMiss,
+} = require("../utils/inviteCodes");
+
+const NOW = "2026-03-14T18:00:00Z";
+const SITTER = {uid: "sitter-1", token: {email: "sitter-1@example.com"}};
+
+/**
+ * Asserts that a callable rejected with the given code and reason
+ * @param {Promise} promise - The callable invocation
+ * @param {string} code - The expected HttpsError code
+ * @param {string} reason - The expected details.reason
+ * @return {Promise<void>}
+ */
+function assertRejects(promise, code, reason) {
+  return assert.rejects(promise, (error) => {
+    assert.strictEqual(error.code, code);
+    if (reason) assert.strictEqual(error.details.reason, reason);
+    return true;
+  });
+}
+
+describe("acceptSessionInvite", () => {
+  beforeEach(async () => {
+    setNow(NOW);
+    await seedUser("sitter-1", {primaryRole: "sitter"});
+    await seedSession("nest-1", "session-1", {
+      assignedSitter: {
+        id: "assigned-1",
+        name: "Sam Sitter",
+        email: "sitter-1@example.com",
+        inviteStatus: "invited",
+        inviteID: "invite-123456",
+      },
+    });
+    await db.collection("nests").doc("nest-1")
+        .collection("savedSitters").doc("saved-1")
+        .set({id: "saved-1", name: "Sam", email: "sitter-1@example.com"});
+  });
+
+  it("links the invite, session and sitter session together", async () => {
+    await seedInvite("123456");
+
+    const result = await call(
+        myFunctions.acceptSessionInvite, {code: "123456"}, SITTER);
+
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.sessionID, "session-1");
+
+    const invite = (await db.doc("invites/invite-123456").get()).data();
+    assert.strictEqual(invite.status, "accepted");
+    assert.strictEqual(invite.acceptedBy, "sitter-1");
+
+    const session = (await db.doc("nests/nest-1/sessions/session-1").get())
+        .data();
+    assert.strictEqual(session.assignedSitter.userID, "sitter-1");
+    assert.strictEqual(session.assignedSitter.inviteStatus, "accepted");
+    assert.strictEqual(session.assignedSitter.id, "assigned-1");
+
+    const sitterSession = await db
+        .doc("users/sitter-1/sitterSessions/session-1").get();
+    assert.strictEqual(sitterSession.data().nestName, "The Smiths");
+
+    const savedSitter = await db
+        .doc("nests/nest-1/savedSitters/saved-1").get();
+    assert.strictEqual(savedSitter.data().userID, "sitter-1");
+  });
+
+  it("is safe to retry after a successful accept", async () => {
+    await seedInvite("123456");
+
+    await call(myFunctions.acceptSessionInvite, {code: "123456"}, SITTER);
+    const retry = await call(
+        myFunctions.acceptSessionInvite, {code: "invite-123456"}, SITTER);
+
+    assert.strictEqual(retry.alreadyAccepted, true);
+  });
+
+  it("rejects expired invites", async () => {
+    await seedInvite("123456", {
+      expiresAt: Timestamp.fromMillis(Date.now() - DAY),
+    });
+
+    await assertRejects(
+        call(myFunctions.acceptSessionInvite, {code: "123456"}, SITTER),
+        "failed-precondition", "expired");
+
+    const session = (await db.doc("nests/nest-1/sessions/session-1").get())
+        .data();
+    assert.strictEqual(session.assignedSitter.inviteStatus, "invited");
+  });
+
+  it("rejects cancelled invites", async () => {
+    await seedInvite("123456", {status: "cancelled"});
+
+    await assertRejects(
+        call(myFunctions.acceptSessionInvite, {code: "123456"}, SITTER),
+        "failed-precondition", "cancelled");
+  });
+
+  it("rejects invites another sitter already accepted", async () => {
+    await seedInvite("123456", {status: "accepted", acceptedBy: "sitter-2"});
+
+    await assertRejects(
+        call(myFunctions.acceptSessionInvite, {code: "123456"}, SITTER),
+        "already-exists", "already-accepted");
+  });
+
+  it("requires a signed-in caller and a valid code", async () => {
+    await assertRejects(
+        call(myFunctions.acceptSessionInvite, {code: "123456"}),
+        "unauthenticated");
+    await assertRejects(
+        call(myFunctions.acceptSessionInvite, {code: "12ab"}, SITTER),
+        "invalid-argument", "invalid-code");
+    await assertRejects(
+        call(myFunctions.acceptSessionInvite, {code: "999999"}, SITTER),
+        "not-found", "invalid-code");
+  });
+
+  it("rejects a code the owner has since replaced", async () => {
+    await seedInvite("123456");
+    await seedInvite("654321");
+
+    await assertRejects(
+        call(myFunctions.acceptSessionInvite, {code: "654321"}, SITTER),
+        "failed-precondition", "invite-replaced");
+
+    const session = (await db.doc("nests/nest-1/sessions/session-1").get())
+        .data();
+    assert.strictEqual(session.assignedSitter.inviteID, "invite-123456");
+    assert.strictEqual(session.assignedSitter.inviteStatus, "invited");
+  });
+});
+
+describe("invite code throttling", () => {
+  const limits = InviteCodeLimits.user;
+  const start = Date.parse(NOW);
+
+  it("reads codes as typed or as invite IDs", () => {
+    assert.strictEqual(normalizeInviteCode(" invite-123456 "), "123456");
+    assert.strictEqual(normalizeInviteCode("12345"), null);
+    assert.strictEqual(normalizeInviteCode(123456), null);
+  });
+
+  it("limits attempts per window and starts afresh after it", () => {
+    let state = null;
+    for (let i = 0; i < limits.maxAttempts; i++) {
+      const result = registerAttempt(state, start, limits);
+      assert.strictEqual(result.blocked, null);
+      state = result.state;
+    }
+
+    assert.strictEqual(
+        registerAttempt(state, start, limits).blocked.reason, "rate-limited");
+    assert.strictEqual(registerAttempt(
+        state, start + limits.windowMs, limits).blocked, null);
+  });
+
+  it("locks out after repeated misses", () => {
+    let state = null;
+    let lockedOut = false;
+    for (let i = 0; i < limits.maxMisses; i++) {
+      ({state, lockedOut} = registerMiss(state, start, limits));
+    }
+
+    assert.strictEqual(lockedOut, true);
+    const later = start + limits.windowMs + 1;
+    assert.strictEqual(
+        registerAttempt(state, later, limits).blocked.reason, "locked-out");
+    assert.strictEqual(
+        registerAttempt(state, start + limits.lockoutMs, limits).blocked, null);
+  });
+});
+
+describe("createSessionInvite", () => {
+  const OWNER = {uid: "owner-1"};
+
+  beforeEach(async () => {
+    setNow(NOW);
+    await seedUser("owner-1");
+    await db.doc("nests/nest-1").set({
+      id: "nest-1",
+      ownerId: "owner-1",
+      name: "The Smiths",
+    });
+    await seedSession("nest-1", "session-1", {assignedSitter: null});
+  });
+
+  it("retries with a new code when one is taken", async () => {
+    await seedInvite("111111", {createdBy: "owner-2"});
+    const randomInt = sinon.stub(crypto, "randomInt")
+        .onFirstCall().returns(111111)
+        .onSecondCall().returns(222222);
+
+    let result;
+    try {
+      result = await call(myFunctions.createSessionInvite, {
+        nestID: "nest-1",
+        sessionID: "session-1",
+        sitter: {id: "saved-1", name: "Sam Sitter", email: "sam@example.com"},
+      }, OWNER);
+    } finally {
+      randomInt.restore();
+    }
+
+    assert.strictEqual(result.code, "222222");
+    const taken = (await db.doc("invites/invite-111111").get()).data();
+    assert.strictEqual(taken.createdBy, "owner-2");
+    const invite = (await db.doc("invites/invite-222222").get()).data();
+    assert.strictEqual(invite.sitterEmail, "sam@example.com");
+    assert.strictEqual(invite.status, "pending");
+    const session = (await db.doc("nests/nest-1/sessions/session-1").get())
+        .data();
+    assert.strictEqual(session.assignedSitter.inviteID, "invite-222222");
+    assert.strictEqual(session.assignedSitter.inviteStatus, "invited");
+  });
+
+  it("cancels the invite a re-invite replaces", async () => {
+    const invite = {nestID: "nest-1", sessionID: "session-1"};
+    const first = await call(myFunctions.createSessionInvite,
+        {...invite, sitter: {name: "Sam", email: "sam@example.com"}}, OWNER);
+    const second = await call(myFunctions.createSessionInvite,
+        {...invite, sitter: {name: "Ann", email: "ann@example.com"}}, OWNER);
+
+    const replaced = (await db.doc(`invites/${first.inviteID}`).get()).data();
+    assert.strictEqual(replaced.status, "cancelled");
+    const session = (await db.doc("nests/nest-1/sessions/session-1").get())
+        .data();
+    assert.strictEqual(session.assignedSitter.inviteID, second.inviteID);
+    assert.strictEqual(session.assignedSitter.email, "ann@example.com");
+
+    await assertRejects(call(myFunctions.acceptSessionInvite,
+        {code: first.code}, SITTER), "failed-precondition", "cancelled");
+  });
+
+  it("won't replace an accepted sitter or invite to a past session",
+      async () => {
+        await seedSession("nest-1", "session-1");
+        await seedSession("nest-1", "session-2", {
+          status: "completed",
+          assignedSitter: null,
+        });
+
+        await assertRejects(call(myFunctions.createSessionInvite, {
+          nestID: "nest-1",
+          sessionID: "session-1",
+        }, OWNER), "already-exists", "already-accepted");
+        await assertRejects(call(myFunctions.createSessionInvite, {
+          nestID: "nest-1",
+          sessionID: "session-2",
+        }, OWNER), "failed-precondition", "session-ended");
+
+        const session = (await db.doc("nests/nest-1/sessions/session-1").get())
+            .data();
+        assert.strictEqual(session.assignedSitter.userID, "sitter-1");
+      });
+
+  it("only lets the nest's owner invite", async () => {
+    await assertRejects(call(myFunctions.createSessionInvite, {
+      nestID: "nest-1",
+      sessionID: "session-1",
+    }, {uid: "sitter-1"}), "permission-denied", "not-owner");
+  });
+});
+
+describe("validateInviteCode", () => {
+  beforeEach(async () => {
+    setNow(NOW);
+    await seedSession("nest-1", "session-1");
+    await seedInvite("123456");
+  });
+
+  it("returns a pending invite with its session", async () => {
+    const result = await call(myFunctions.validateInviteCode,
+        {code: "123456"}, SITTER);
+
+    assert.strictEqual(result.invite.id, "invite-123456");
+    assert.strictEqual(result.session.id, "session-1");
+    assert.strictEqual(typeof result.session.startDate, "string");
+  });
+
+  it("locks out a user who keeps guessing", async () => {
+    const guesses = InviteCodeLimits.user.maxMisses;
+    for (let i = 0; i < guesses; i++) {
+      await assertRejects(call(myFunctions.validateInviteCode,
+          {code: `90000${i}`}, SITTER), "not-found", "invalid-code");
+    }
+
+    // Even the right code is refused during the lockout
+    await assertRejects(call(myFunctions.validateInviteCode,
+        {code: "123456"}, SITTER), "resource-exhausted", "locked-out");
+    await assertRejects(call(myFunctions.acceptSessionInvite,
+        {code: "123456"}, SITTER), "resource-exhausted", "locked-out");
+    const other = await call(myFunctions.validateInviteCode,
+        {code: "123456"}, {uid: "sitter-2", token: {}});
+    assert.strictEqual(other.invite.id, "invite-123456");
+  });
+});
+
+describe("cleanupOldInvites", () => {
+  it("deletes invites older than 30 days", async () => {
+    setNow(NOW);
+    await seedInvite("111111", {
+      createdAt: Timestamp.fromMillis(Date.now() - 31 * DAY),
+    });
+    await seedInvite("222222");
+
+    await runSchedule(myFunctions.cleanupOldInvites);
+
+    assert.strictEqual((await db.doc("invites/invite-111111").get()).exists,
+        false);
+    assert.strictEqual((await db.doc("invites/invite-222222").get()).exists,
+        true);
+  });
+});
+
+describe("onInviteStatusChanged", () => {
+  beforeEach(async () => {
+    setNow(NOW);
+    await seedUser("owner-1");
+    await seedSession("nest-1", "session-1");
+  });
+
+  /**
+   * Moves an invite to a new status and fires the trigger for it
+   * @param {FirebaseFirestore.DocumentReference} ref - The invite
+   * @param {Object} update - The fields to change
+   * @return {Promise<Object>} {before, after} snapshots, for replaying
+   */
+  async function changeInvite(ref, update) {
+    const before = await ref.get();
+    await ref.update(update);
+    const change = {before, after: await ref.get()};
+    await trigger(myFunctions.onInviteStatusChanged, change,
+        {inviteId: ref.id});
+    return change;
+  }
+
+  it("tells the owner once when the sitter accepts", async () => {
+    const ref = await seedInvite("123456");
+    const change = await changeInvite(ref,
+        {status: "accepted", acceptedBy: "sitter-1"});
+    await trigger(myFunctions.onInviteStatusChanged, change,
+        {inviteId: ref.id});
+
+    assert.strictEqual(outbox.pushes.length, 1);
+    assert.strictEqual(outbox.pushes[0].token, "owner-1-token");
+    assert.strictEqual(outbox.pushes[0].notification.body,
+        "Sam Sitter accepted your invite to \"Date Night\"");
+    assert.strictEqual(outbox.emails.length, 0);
+  });
+
+  it("emails the owner when the sitter declines", async () => {
+    const ref = await seedInvite("123456");
+    await changeInvite(ref, {status: "rejected"});
+
+    assert.strictEqual(outbox.pushes.length, 1);
+    assert.strictEqual(outbox.emails.length, 1);
+    assert.strictEqual(outbox.emails[0].to, "owner-1@example.com");
+    assert.ok(outbox.emails[0].text.includes(
+        "Sam Sitter declined your invite to Date Night."));
+  });
+
+  it("emails a sitter without an account when the owner cancels",
+      async () => {
+        const ref = await seedInvite("654321",
+            {sitterEmail: "new-sitter@example.com"});
+        await changeInvite(ref, {status: "cancelled"});
+
+        assert.strictEqual(outbox.pushes.length, 0);
+        assert.strictEqual(outbox.emails.length, 1);
+        assert.strictEqual(outbox.emails[0].to, "new-sitter@example.com");
+        assert.ok(outbox.emails[0].subject.includes("cancelled"));
+      });
+
+  it("ignores session requests from sitters", async () => {
+    const ref = await seedInvite("123456", {inviteType: "sitterInitiated"});
+    await changeInvite(ref, {status: "accepted"});
+
+    assert.strictEqual(outbox.pushes.length, 0);
+  });
+});
+
+describe("sendInviteExpiryWarnings", () => {
+  beforeEach(async () => {
+    setNow(NOW);
+    await seedUser("owner-1");
+    await seedSession("nest-1", "session-1");
+  });
+
+  it("warns the owner once about a pending invite near expiry", async () => {
+    await seedInvite("123456", {
+      expiresAt: Timestamp.fromMillis(Date.now() + 5 * HOUR),
+    });
+    await seedInvite("222222", {
+      expiresAt: Timestamp.fromMillis(Date.now() + 3 * DAY),
+    });
+    await seedInvite("333333", {
+      status: "accepted",
+      expiresAt: Timestamp.fromMillis(Date.now() + 2 * HOUR),
+    });
+
+    await runSchedule(myFunctions.sendInviteExpiryWarnings);
+    await runSchedule(myFunctions.sendInviteExpiryWarnings);
+
+    assert.strictEqual(outbox.pushes.length, 1);
+    assert.strictEqual(outbox.pushes[0].data.inviteId, "invite-123456");
+    assert.strictEqual(outbox.pushes[0].notification.body,
+        "Sam Sitter hasn't answered your invite to \"Date Night\". " +
+        "It expires today at 7:00 PM EDT.");
+    assert.strictEqual(outbox.emails.length, 1);
+    assert.ok((await db.doc("invites/invite-123456").get()).data()
+        .expiryWarningSentAt);
+  });
+});
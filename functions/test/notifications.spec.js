@@ -0,0 +1,202 @@
+const assert = require("assert");
+const {
+  DAY,
+  Timestamp,
+  db,
+  invalidTokens,
+  myFunctions,
+  outbox,
+  runSchedule,
+  seedSession,
+  seedUser,
+  setNow,
+} = require("./helpers");
+const {resolveChannels} = require("../utils/notificationDispatcher");
+const {NotificationEvents} = require("../utils/notificationEvents");
+
+const NOW = "2026-03-14T18:00:00Z";
+const STATUS_EVENT = NotificationEvents.session_status_change;
+
+/**
+ * Builds a profile with the given notification preferences
+ * @param {Object} notificationPreferences - The preferences object
+ * @return {Object} The profile
+ */
+function withPrefs(notificationPreferences) {
+  return {personalInfo: {notificationPreferences}};
+}
+
+describe("resolveChannels", () => {
+  it("uses the event defaults when a user has no preferences", () => {
+    for (const profile of [null, {}, {personalInfo: {}}]) {
+      assert.deepStrictEqual(
+          resolveChannels(profile, "session_status_change", STATUS_EVENT),
+          {push: true, email: false, emailFallback: true},
+      );
+    }
+  });
+
+  it("lets a per-event choice override the per-channel one", () => {
+    const profile = withPrefs({
+      channels: {email: false},
+      events: {session_status_change: {push: false, email: true}},
+    });
+
+    assert.deepStrictEqual(
+        resolveChannels(profile, "session_status_change", STATUS_EVENT),
+        {push: false, email: true, emailFallback: true},
+    );
+  });
+
+  it("never falls back to email for users who turned email off", () => {
+    const profile = withPrefs({channels: {email: false}});
+
+    assert.strictEqual(
+        resolveChannels(profile, "session_status_change", STATUS_EVENT)
+            .emailFallback,
+        false,
+    );
+  });
+
+  it("silences the whole category with the legacy switch", () => {
+    const profile = withPrefs({
+      sessionNotifications: false,
+      events: {session_status_change: {push: true}},
+    });
+
+    assert.deepStrictEqual(
+        resolveChannels(profile, "session_status_change", STATUS_EVENT),
+        {push: false, email: false, emailFallback: false},
+    );
+  });
+});
+
+describe("notification dispatch", () => {
+  let sessionRef;
+
+  beforeEach(async () => {
+    setNow(NOW);
+    sessionRef = await seedSession("nest-1", "session-1", {
+      startDate: Timestamp.fromMillis(Date.now() + 5 * 60 * 1000),
+    });
+  });
+
+  it("notifies users whose profile has no personalInfo", async () => {
+    await db.collection("users").doc("owner-1").set({
+      fcmTokens: [{token: "owner-1-token", uploadedDate: Timestamp.now()}],
+    });
+    await seedUser("sitter-1", {primaryRole: "sitter"});
+
+    await runSchedule(myFunctions.updateSessionStatuses);
+
+    assert.deepStrictEqual(
+        outbox.pushes.map((push) => push.token).sort(),
+        ["owner-1-token", "sitter-1-token"],
+    );
+    const [transition] = (await sessionRef.collection("statusTransitions")
+        .get()).docs;
+    assert.strictEqual(transition.data().notificationStatus, "sent");
+  });
+
+  it("emails users no push can reach", async () => {
+    await seedUser("owner-1", {fcmTokens: []});
+    await seedUser("sitter-1", {primaryRole: "sitter"});
+
+    await runSchedule(myFunctions.updateSessionStatuses);
+
+    assert.deepStrictEqual(outbox.pushes.map((push) => push.token),
+        ["sitter-1-token"]);
+    assert.deepStrictEqual(outbox.emails.map((email) => email.to),
+        ["owner-1@example.com"]);
+    assert.strictEqual(outbox.emails[0].subject,
+        "🏡 Your session \"Date Night\" is starting");
+  });
+
+  it("respects per-event opt-outs", async () => {
+    await seedUser("owner-1");
+    await seedUser("sitter-1", {
+      primaryRole: "sitter",
+      personalInfo: {
+        name: "Sam",
+        email: "sitter-1@example.com",
+        notificationPreferences: {
+          events: {session_status_change: {push: false}},
+        },
+      },
+    });
+
+    await runSchedule(myFunctions.updateSessionStatuses);
+
+    assert.deepStrictEqual(outbox.pushes.map((push) => push.token),
+        ["owner-1-token"]);
+    assert.strictEqual(outbox.emails.length, 0);
+  });
+});
+
+describe("push token hygiene", () => {
+  beforeEach(() => {
+    setNow(NOW);
+  });
+
+  it("prunes every token FCM rejects in one update", async () => {
+    await seedUser("owner-1", {
+      fcmTokens: ["old-phone", "old-tablet", "owner-1-token"].map((token) =>
+        ({token, uploadedDate: Timestamp.now()})),
+    });
+    await seedUser("sitter-1", {primaryRole: "sitter"});
+    invalidTokens.add("old-phone");
+    invalidTokens.add("old-tablet");
+    await seedSession("nest-1", "session-1", {
+      startDate: Timestamp.fromMillis(Date.now() + 5 * 60 * 1000),
+    });
+
+    await runSchedule(myFunctions.updateSessionStatuses);
+
+    const owner = (await db.doc("users/owner-1").get()).data();
+    assert.deepStrictEqual(owner.fcmTokens.map((entry) => entry.token),
+        ["owner-1-token"]);
+    assert.deepStrictEqual(
+        outbox.pushes.map((push) => push.token).sort(),
+        ["owner-1-token", "sitter-1-token"],
+    );
+  });
+
+  it("removes tokens older than four months on a schedule", async () => {
+    await seedUser("owner-1", {
+      fcmTokens: [
+        {token: "stale", uploadedDate: Timestamp.fromMillis(
+            Date.now() - 125 * DAY)},
+        {token: "fresh", uploadedDate: Timestamp.fromMillis(
+            Date.now() - 10 * DAY)},
+      ],
+    });
+    await seedUser("sitter-1");
+
+    await runSchedule(myFunctions.cleanupStaleFcmTokens);
+
+    const owner = (await db.doc("users/owner-1").get()).data();
+    assert.deepStrictEqual(owner.fcmTokens.map((entry) => entry.token),
+        ["fresh"]);
+    const sitter = (await db.doc("users/sitter-1").get()).data();
+    assert.strictEqual(sitter.fcmTokens.length, 1);
+  });
+
+  it("resumes token cleanup after the last user it reached", async () => {
+    const stale = () => [{token: "stale", uploadedDate: Timestamp.fromMillis(
+        Date.now() - 125 * DAY)}];
+    await seedUser("owner-1", {fcmTokens: stale()});
+    await seedUser("sitter-1", {fcmTokens: stale()});
+    await db.doc("scheduledJobs/cleanupStaleFcmTokens")
+        .set({cursor: "owner-1"});
+
+    await runSchedule(myFunctions.cleanupStaleFcmTokens);
+
+    const owner = (await db.doc("users/owner-1").get()).data();
+    assert.strictEqual(owner.fcmTokens.length, 1);
+    const sitter = (await db.doc("users/sitter-1").get()).data();
+    assert.strictEqual(sitter.fcmTokens.length, 0);
+    const job = (await db.doc("scheduledJobs/cleanupStaleFcmTokens").get())
+        .data();
+    assert.strictEqual(job.cursor, null);
+  });
+});
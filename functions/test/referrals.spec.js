@@ -0,0 +1,157 @@
+const assert = require("assert");
+const {
+  Timestamp,
+  call,
+  db,
+  myFunctions,
+  outbox,
+  runSchedule,
+  seedUser,
+  setNow,
+} = require("./helpers");
+const {
+  monthRange,
+  normalizeReferralCode,
+  previousMonthKey,
+} = require("../utils/referrals");
+
+const TIME_ZONE = "America/New_York";
+
+/**
+ * Adds a creator's referral code
+ * @param {string} code - The code
+ * @param {Object} overrides - Fields to merge over the defaults
+ * @return {Promise<void>}
+ */
+async function seedCode(code, overrides = {}) {
+  await db.collection("valid_referral_codes").doc(code).set({
+    code,
+    creatorName: "Casey Creator",
+    creatorEmail: "casey@example.com",
+    createdAt: Timestamp.now(),
+    isActive: true,
+    ...overrides,
+  });
+}
+
+describe("referral helpers", () => {
+  it("normalizes codes the way the app does", () => {
+    assert.strictEqual(normalizeReferralCode(" casey10 "), "CASEY10");
+    assert.strictEqual(normalizeReferralCode("A"), null);
+    assert.strictEqual(normalizeReferralCode("CASEY-10"), null);
+    assert.strictEqual(normalizeReferralCode(42), null);
+  });
+
+  it("finds the previous month across a year boundary", () => {
+    const newYear = new Date("2026-01-01T03:00:00Z");
+    assert.strictEqual(previousMonthKey(newYear, TIME_ZONE), "2025-11");
+    assert.strictEqual(
+        previousMonthKey(new Date("2026-01-02T12:00:00Z"), TIME_ZONE),
+        "2025-12");
+
+    const {start, end} = monthRange("2025-12", TIME_ZONE);
+    assert.strictEqual(start.toISOString(), "2025-12-01T05:00:00.000Z");
+    assert.strictEqual(end.toISOString(), "2026-01-01T05:00:00.000Z");
+  });
+});
+
+describe("recordReferral", () => {
+  beforeEach(async () => {
+    await seedCode("CASEY10");
+    await seedUser("user-1");
+  });
+
+  it("records a referral once and counts it in the summary", async () => {
+    setNow("2026-03-10T12:00:00Z");
+    const auth = {uid: "user-1", token: {email: "user-1@example.com"}};
+
+    const first = await call(myFunctions.recordReferral,
+        {referralCode: "casey10", role: "sitter"}, auth);
+    const again = await call(myFunctions.recordReferral,
+        {referralCode: "CASEY10"}, auth);
+
+    assert.strictEqual(first.alreadyRecorded, false);
+    assert.strictEqual(again.alreadyRecorded, true);
+    const referral = (await db.doc("referrals/user-1").get()).data();
+    assert.strictEqual(referral.referralCode, "CASEY10");
+    assert.strictEqual(referral.userRole, "sitter");
+    const summary = (await db.doc("referral_summaries/CASEY10").get()).data();
+    assert.strictEqual(summary.totalReferrals, 1);
+    assert.deepStrictEqual(summary.monthlyReferrals, {"2026-03": 1});
+  });
+
+  it("rejects unknown, inactive and self-referral codes", async () => {
+    await seedCode("OLD", {isActive: false});
+    await seedCode("MINE", {creatorEmail: "User-1@Example.com"});
+    const auth = {uid: "user-1", token: {}};
+    const reason = (expected) => (error) => error.details.reason === expected;
+
+    await assert.rejects(call(myFunctions.recordReferral,
+        {referralCode: "NOPE"}, auth), reason("invalid-code"));
+    await assert.rejects(call(myFunctions.recordReferral,
+        {referralCode: "OLD"}, auth), reason("inactive-code"));
+    await assert.rejects(call(myFunctions.recordReferral,
+        {referralCode: "MINE"}, auth), reason("self-referral"));
+    assert.strictEqual((await db.doc("referrals/user-1").get()).exists, false);
+  });
+
+  it("won't switch a user to a different creator", async () => {
+    await seedCode("OTHER", {creatorEmail: "other@example.com"});
+    const auth = {uid: "user-1", token: {}};
+
+    await call(myFunctions.recordReferral, {referralCode: "CASEY10"}, auth);
+    await assert.rejects(call(myFunctions.recordReferral,
+        {referralCode: "OTHER"}, auth),
+    (error) => error.details.reason === "already-referred");
+  });
+
+  it("won't count a user an older app version already referred", async () => {
+    await db.collection("referrals").doc("A1B2C3").set({
+      id: "A1B2C3",
+      referralCode: "CASEY10",
+      referredUserId: "user-1",
+      referredUserEmail: "user-1@example.com",
+      timestamp: Timestamp.now(),
+      userRole: "nester",
+    });
+    const auth = {uid: "user-1", token: {}};
+
+    await assert.rejects(call(myFunctions.recordReferral,
+        {referralCode: "CASEY10"}, auth),
+    (error) => error.details.reason === "already-referred");
+    assert.strictEqual((await db.doc("referrals/user-1").get()).exists, false);
+    assert.strictEqual(
+        (await db.doc("referral_summaries/CASEY10").get()).exists, false);
+  });
+});
+
+describe("sendCreatorReferralReports", () => {
+  it("emails last month's counts by role once", async () => {
+    await seedCode("CASEY10");
+    await seedUser("nester-1");
+    await seedUser("sitter-1", {primaryRole: "sitter"});
+    await seedUser("nester-2");
+
+    setNow("2026-02-27T12:00:00Z");
+    for (const uid of ["nester-1", "sitter-1"]) {
+      await call(myFunctions.recordReferral,
+          {referralCode: "CASEY10"}, {uid, token: {}});
+    }
+    setNow("2026-03-01T12:00:00Z");
+    await call(myFunctions.recordReferral,
+        {referralCode: "CASEY10"}, {uid: "nester-2", token: {}});
+
+    setNow("2026-03-01T14:00:00Z");
+    await runSchedule(myFunctions.sendCreatorReferralReports);
+    await runSchedule(myFunctions.sendCreatorReferralReports);
+
+    assert.strictEqual(outbox.emails.length, 1);
+    assert.strictEqual(outbox.emails[0].to, "casey@example.com");
+    assert.ok(outbox.emails[0].text.includes("February 2026"));
+    const report = (await db.doc(
+        "referral_summaries/CASEY10/reports/2026-02").get()).data();
+    assert.strictEqual(report.monthlyReferrals, 2);
+    assert.deepStrictEqual(report.byRole, {nester: 1, sitter: 1});
+    assert.strictEqual(report.totalReferrals, 3);
+  });
+});
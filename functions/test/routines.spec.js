@@ -0,0 +1,199 @@
+const assert = require("assert");
+const {
+  HOUR,
+  Timestamp,
+  call,
+  db,
+  myFunctions,
+  outbox,
+  runSchedule,
+  seedSession,
+  seedUser,
+  setNow,
+} = require("./helpers");
+const {zonedDateTime} = require("../utils/dateFormat");
+const {
+  checkRoutineOverdue,
+  getRoutineDueTime,
+  normalizeCompletedActions,
+} = require("../utils/routines");
+
+// 10:20 AM in New York, just past "Every Morning" routines' 10:00 due time
+const NOW = "2026-03-14T14:20:00Z";
+const OWNER = {uid: "owner-1"};
+const SITTER = {uid: "sitter-1"};
+
+/**
+ * Asserts that a callable rejected with the given code and reason
+ * @param {Promise} promise - The callable invocation
+ * @param {string} code - The expected HttpsError code
+ * @param {string} reason - The expected details.reason
+ * @return {Promise<void>}
+ */
+function assertRejects(promise, code, reason) {
+  return assert.rejects(promise, (error) => {
+    assert.strictEqual(error.code, code);
+    assert.strictEqual(error.details.reason, reason);
+    return true;
+  });
+}
+
+describe("routine scheduling", () => {
+  const routine = {
+    title: "Breakfast",
+    frequency: "Every Morning",
+    routineActions: ["Cereal", "Juice", "Vitamins"],
+  };
+  const overdueOptions = {
+    routine,
+    progress: null,
+    timeZone: "America/New_York",
+    sessionStart: new Date("2026-03-13T12:00:00Z"),
+    graceMs: 15 * 60 * 1000,
+    windowMs: 2 * HOUR,
+  };
+
+  it("takes the due time from dueTime, then the frequency", () => {
+    assert.deepStrictEqual(getRoutineDueTime(routine), {hour: 10, minute: 0});
+    assert.deepStrictEqual(
+        getRoutineDueTime({...routine, dueTime: "7:45"}),
+        {hour: 7, minute: 45});
+    assert.strictEqual(getRoutineDueTime({frequency: "Daily"}), null);
+    assert.strictEqual(getRoutineDueTime({dueTime: "25:00"}), null);
+  });
+
+  it("finds wall-clock times across a DST change", () => {
+    assert.strictEqual(
+        zonedDateTime("2026-03-07", 10, 0, "America/New_York").toISOString(),
+        "2026-03-07T15:00:00.000Z");
+    assert.strictEqual(
+        zonedDateTime("2026-03-08", 10, 0, "America/New_York").toISOString(),
+        "2026-03-08T14:00:00.000Z");
+    // 2:30 AM never happens that night, so it lands an hour later
+    assert.strictEqual(
+        zonedDateTime("2026-03-08", 2, 30, "America/New_York").toISOString(),
+        "2026-03-08T07:30:00.000Z");
+  });
+
+  it("only flags unfinished routines inside the alert window", () => {
+    const check = (now, extra = {}) => checkRoutineOverdue({
+      ...overdueOptions,
+      now: new Date(now),
+      ...extra,
+    });
+
+    assert.strictEqual(check("2026-03-14T14:10:00Z"), null);
+    assert.deepStrictEqual(check("2026-03-14T14:20:00Z"), {
+      dueAt: new Date("2026-03-14T14:00:00Z"),
+      dateKey: "2026-03-14",
+      completed: 0,
+      total: 3,
+    });
+    assert.strictEqual(check("2026-03-14T17:00:00Z"), null);
+    assert.strictEqual(check("2026-03-14T14:20:00Z", {
+      progress: {completedActions: [2, 0, 1]},
+    }), null);
+    assert.strictEqual(check("2026-03-14T14:20:00Z", {
+      sessionStart: new Date("2026-03-14T14:05:00Z"),
+    }), null);
+  });
+
+  it("drops duplicate and out-of-range action indexes", () => {
+    assert.deepStrictEqual(
+        normalizeCompletedActions([3, 1, 1, -1, 9, "2", 0], 4), [0, 1, 3]);
+  });
+});
+
+describe("routine progress", () => {
+  let sessionRef;
+
+  beforeEach(async () => {
+    setNow(NOW);
+    await seedUser("owner-1");
+    await seedUser("sitter-1", {primaryRole: "sitter"});
+    await db.doc("nests/nest-1/entries/routine-1").set({
+      id: "routine-1",
+      type: "routine",
+      title: "Breakfast",
+      category: "Kids",
+      frequency: "Every Morning",
+      routineActions: ["Cereal", "Juice"],
+    });
+    sessionRef = await seedSession("nest-1", "session-1", {
+      status: "inProgress",
+      startDate: Timestamp.fromMillis(Date.now() - 24 * HOUR),
+      endDate: Timestamp.fromMillis(Date.now() + 24 * HOUR),
+      entryIds: ["routine-1"],
+    });
+  });
+
+  /**
+   * Marks one of routine-1's actions as the given user
+   * @param {Object} auth - The caller
+   * @param {number} actionIndex - The action to update
+   * @param {boolean} completed - Whether it is done
+   * @return {Promise<Object>} The callable's result
+   */
+  function setAction(auth, actionIndex, completed = true) {
+    return call(myFunctions.setRoutineActionCompleted, {
+      nestId: "nest-1",
+      sessionId: "session-1",
+      routineId: "routine-1",
+      actionIndex,
+      completed,
+    }, auth);
+  }
+
+  it("keeps one checklist per day and tells the owner once", async () => {
+    await setAction(SITTER, 1);
+    assert.strictEqual(outbox.pushes.length, 0);
+
+    const result = await setAction(SITTER, 0);
+    assert.deepStrictEqual(result, {
+      routineId: "routine-1",
+      date: "2026-03-14",
+      completedActions: [0, 1],
+      totalActions: 2,
+      isComplete: true,
+    });
+    assert.deepStrictEqual(outbox.pushes.map((push) => push.token),
+        ["owner-1-token"]);
+    assert.strictEqual(outbox.pushes[0].notification.body,
+        "Sam Sitter finished \"Breakfast\"");
+
+    await setAction(SITTER, 0, false);
+    await setAction(SITTER, 0);
+    assert.strictEqual(outbox.pushes.length, 1);
+
+    const progress = (await sessionRef.collection("routineProgress")
+        .doc("routine-1_2026-03-14").get()).data();
+    assert.deepStrictEqual(progress.completedActions, [0, 1]);
+    assert.strictEqual(progress.updatedBy, "sitter-1");
+  });
+
+  it("doesn't notify the owner about their own progress", async () => {
+    await setAction(OWNER, 0);
+    await setAction(OWNER, 1);
+
+    assert.strictEqual(outbox.pushes.length, 0);
+  });
+
+  it("only accepts the session's owner and sitter", async () => {
+    await assertRejects(setAction({uid: "stranger"}, 0),
+        "permission-denied", "not-a-participant");
+    await assertRejects(setAction(SITTER, 5),
+        "invalid-argument", "invalid-action");
+  });
+
+  it("alerts the sitter once about an unfinished routine", async () => {
+    await setAction(SITTER, 0);
+
+    await runSchedule(myFunctions.updateSessionStatuses);
+    await runSchedule(myFunctions.updateSessionStatuses);
+
+    assert.deepStrictEqual(outbox.pushes.map((push) => push.token),
+        ["sitter-1-token"]);
+    assert.strictEqual(outbox.pushes[0].notification.body,
+        "\"Breakfast\" was due by 10:00 AM EDT (1 of 2 done)");
+  });
+});
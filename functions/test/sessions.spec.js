@@ -0,0 +1,428 @@
+const assert = require("assert");
+const {
+  DAY,
+  HOUR,
+  Timestamp,
+  db,
+  myFunctions,
+  outbox,
+  runSchedule,
+  seedSession,
+  seedUser,
+  setNow,
+  trigger,
+} = require("./helpers");
+
+const NOW = "2026-03-14T18:00:00Z";
+
+describe("updateSessionStatuses", () => {
+  beforeEach(async () => {
+    setNow(NOW);
+    await seedUser("owner-1");
+    await seedUser("sitter-1", {primaryRole: "sitter"});
+  });
+
+  it("starts an upcoming session and notifies owner and sitter", async () => {
+    const ref = await seedSession("nest-1", "session-1", {
+      startDate: Timestamp.fromMillis(Date.now() + 5 * 60 * 1000),
+    });
+
+    await runSchedule(myFunctions.updateSessionStatuses);
+
+    const session = (await ref.get()).data();
+    assert.strictEqual(session.status, "inProgress");
+
+    const transitions = await ref.collection("statusTransitions").get();
+    assert.strictEqual(transitions.size, 1);
+    assert.strictEqual(transitions.docs[0].data().notificationStatus, "sent");
+
+    assert.deepStrictEqual(
+        outbox.pushes.map((p) => p.token).sort(),
+        ["owner-1-token", "sitter-1-token"],
+    );
+    outbox.pushes.forEach((push) => {
+      assert.strictEqual(push.notification.title, "🏡 Session Starting");
+      assert.strictEqual(push.data.transitionId, transitions.docs[0].id);
+    });
+  });
+
+  it("catches up a session whose start was missed entirely", async () => {
+    const ref = await seedSession("nest-1", "session-1", {
+      startDate: Timestamp.fromMillis(Date.now() - 3 * DAY),
+      endDate: Timestamp.fromMillis(Date.now() - 2 * DAY),
+    });
+
+    await runSchedule(myFunctions.updateSessionStatuses);
+
+    assert.strictEqual((await ref.get()).data().status, "completed");
+
+    const transitions = (await ref.collection("statusTransitions").get())
+        .docs.map((doc) => doc.data());
+    assert.deepStrictEqual(
+        transitions.map((t) => `${t.from}->${t.to}`).sort(),
+        [
+          "extended->completed",
+          "inProgress->extended",
+          "upcoming->inProgress",
+        ],
+    );
+
+    // Only the final transition is announced
+    assert.strictEqual(outbox.pushes.length, 2);
+    outbox.pushes.forEach((push) => {
+      assert.strictEqual(push.data.newStatus, "completed");
+    });
+  });
+
+  it("never notifies the same transition twice", async () => {
+    await seedSession("nest-1", "session-1", {
+      startDate: Timestamp.fromMillis(Date.now() + 5 * 60 * 1000),
+    });
+
+    await runSchedule(myFunctions.updateSessionStatuses);
+    await runSchedule(myFunctions.updateSessionStatuses);
+
+    assert.strictEqual(outbox.pushes.length, 2);
+  });
+
+  it("completes sessions extended for more than two hours", async () => {
+    const ref = await seedSession("nest-1", "session-1", {
+      status: "extended",
+      startDate: Timestamp.fromMillis(Date.now() - 6 * HOUR),
+      endDate: Timestamp.fromMillis(Date.now() - 4 * HOUR),
+      lastStatusUpdate: Timestamp.fromMillis(Date.now() - 3 * HOUR),
+    });
+
+    await runSchedule(myFunctions.updateSessionStatuses);
+
+    assert.strictEqual((await ref.get()).data().status, "completed");
+    assert.strictEqual(outbox.pushes[0].notification.title,
+        "✅ Session Completed");
+  });
+});
+
+describe("sendSessionReminders", () => {
+  beforeEach(async () => {
+    setNow(NOW);
+    await seedUser("owner-1");
+    await seedUser("sitter-1", {primaryRole: "sitter"});
+  });
+
+  it("sends the 24 hour reminder once", async () => {
+    const ref = await seedSession("nest-1", "session-1", {
+      startDate: Timestamp.fromMillis(Date.now() + 23 * HOUR),
+      endDate: Timestamp.fromMillis(Date.now() + 26 * HOUR),
+    });
+
+    await runSchedule(myFunctions.sendSessionReminders);
+    await runSchedule(myFunctions.sendSessionReminders);
+
+    assert.deepStrictEqual(
+        outbox.emails.map((email) => email.to).sort(),
+        ["owner-1@example.com", "sitter-1@example.com"],
+    );
+    assert.strictEqual(outbox.pushes.length, 2);
+
+    const {remindersSent} = (await ref.get()).data();
+    assert.ok(remindersSent["24h"]);
+    assert.strictEqual(remindersSent["1h"], undefined);
+  });
+
+  it("gives the start time in each recipient's own zone", async () => {
+    await seedUser("sitter-1", {
+      primaryRole: "sitter",
+      personalInfo: {
+        name: "Sam",
+        email: "sitter-1@example.com",
+        timeZone: "America/Los_Angeles",
+        notificationPreferences: {sessionNotifications: true},
+      },
+    });
+    await seedSession("nest-1", "session-1", {
+      timeZone: "America/Chicago",
+      startDate: Timestamp.fromMillis(Date.now() + 30 * 60 * 1000),
+    });
+
+    await runSchedule(myFunctions.sendSessionReminders);
+
+    const bodies = Object.fromEntries(outbox.pushes.map((push) =>
+      [push.token, push.notification.body]));
+    assert.ok(bodies["owner-1-token"].endsWith("(1:30 PM CDT)"));
+    assert.ok(bodies["sitter-1-token"].endsWith("(11:30 AM PDT)"));
+  });
+
+  it("only sends the tightest window for a late-created session", async () => {
+    const ref = await seedSession("nest-1", "session-1", {
+      startDate: Timestamp.fromMillis(Date.now() + 30 * 60 * 1000),
+    });
+
+    await runSchedule(myFunctions.sendSessionReminders);
+
+    assert.strictEqual(outbox.emails.length, 2);
+    outbox.pushes.forEach((push) => {
+      assert.strictEqual(push.data.reminderWindow, "1h");
+    });
+
+    const {remindersSent} = (await ref.get()).data();
+    assert.ok(remindersSent["24h"]);
+    assert.ok(remindersSent["1h"]);
+  });
+});
+
+describe("archiveOldSessions", () => {
+  beforeEach(() => {
+    setNow(NOW);
+  });
+
+  it("moves a session and everything it owns into the archive", async () => {
+    const ref = await seedSession("nest-1", "session-1", {
+      status: "completed",
+      startDate: Timestamp.fromMillis(Date.now() - 10 * DAY),
+      endDate: Timestamp.fromMillis(Date.now() - 9 * DAY),
+    });
+    await ref.collection("events").doc("event-1").set({title: "Dinner"});
+    await db.collection("users").doc("sitter-1")
+        .collection("sitterSessions").doc("session-1")
+        .set({id: "session-1", nestID: "nest-1", nestName: "The Smiths"});
+    await db.collection("invites").doc("invite-123456")
+        .set({id: "invite-123456", status: "accepted"});
+
+    await runSchedule(myFunctions.archiveOldSessions);
+    await runSchedule(myFunctions.archiveOldSessions);
+
+    const archivedRef = db.collection("nests").doc("nest-1")
+        .collection("archivedSessions").doc("session-1");
+
+    assert.strictEqual((await ref.get()).exists, false);
+    assert.strictEqual((await archivedRef.get()).data().status, "archived");
+    assert.strictEqual(
+        (await ref.collection("events").get()).size, 0);
+    assert.strictEqual(
+        (await archivedRef.collection("events").get()).size, 1);
+    assert.strictEqual(
+        (await db.collection("invites").doc("invite-123456").get()).exists,
+        false,
+    );
+    assert.strictEqual(
+        (await archivedRef.collection("invites").get()).size, 1);
+
+    const sitterRef = db.collection("users").doc("sitter-1");
+    assert.strictEqual(
+        (await sitterRef.collection("sitterSessions").get()).size, 0);
+
+    const archivedSitter = await sitterRef
+        .collection("archivedSitterSessions").get();
+    assert.strictEqual(archivedSitter.size, 1);
+    assert.ok(archivedSitter.docs[0].data().parentSessionArchivedDate);
+  });
+
+  it("leaves recently completed sessions alone", async () => {
+    const ref = await seedSession("nest-1", "session-1", {
+      status: "completed",
+      endDate: Timestamp.fromMillis(Date.now() - 2 * DAY),
+    });
+
+    await runSchedule(myFunctions.archiveOldSessions);
+
+    assert.strictEqual((await ref.get()).exists, true);
+  });
+});
+
+describe("cleanupInviteOnComplete", () => {
+  it("deletes the invite when a session completes", async () => {
+    const ref = await seedSession("nest-1", "session-1", {
+      status: "extended",
+    });
+    const inviteRef = db.collection("invites").doc("invite-123456");
+    await inviteRef.set({id: "invite-123456", status: "accepted"});
+
+    const before = await ref.get();
+    await ref.update({status: "completed"});
+    const after = await ref.get();
+
+    await trigger(myFunctions.cleanupInviteOnComplete, {before, after}, {
+      nestId: "nest-1",
+      sessionId: "session-1",
+    });
+
+    assert.strictEqual((await inviteRef.get()).exists, false);
+  });
+});
+
+describe("onSessionDetailsUpdated", () => {
+  const params = {nestId: "nest-1", sessionId: "session-1"};
+  let ref;
+  let sitterSessionRef;
+
+  beforeEach(async () => {
+    setNow(NOW);
+    await seedUser("owner-1");
+    await seedUser("sitter-1", {primaryRole: "sitter"});
+    ref = await seedSession("nest-1", "session-1");
+    sitterSessionRef = db.doc("users/sitter-1/sitterSessions/session-1");
+    await sitterSessionRef.set({
+      id: "session-1",
+      nestID: "nest-1",
+      nestName: "The Smiths",
+      inviteAcceptedAt: Timestamp.now(),
+      readyToArchive: false,
+    });
+  });
+
+  /**
+   * Applies an edit to the session and fires the trigger for it
+   * @param {Object} update - The fields to change
+   * @param {Object} event - Other event fields, e.g. {id, authId}
+   * @return {Promise<void>}
+   */
+  async function editSession(update, event = {}) {
+    const before = await ref.get();
+    await ref.update(update);
+    await trigger(myFunctions.onSessionDetailsUpdated,
+        {before, after: await ref.get()}, params, event);
+  }
+
+  it("mirrors new times and tells the sitter", async () => {
+    const start = new Date(NOW).getTime() + 3 * HOUR;
+    await editSession({
+      title: "Anniversary Dinner",
+      startDate: Timestamp.fromMillis(start),
+      endDate: Timestamp.fromMillis(start + 4 * HOUR),
+    }, {id: "change-1"});
+    // A retried event changes nothing and sends nothing more
+    await trigger(myFunctions.onSessionDetailsUpdated,
+        {before: await ref.get(), after: await ref.get()}, params,
+        {id: "change-1"});
+
+    const mirror = (await sitterSessionRef.get()).data();
+    assert.strictEqual(mirror.title, "Anniversary Dinner");
+    assert.strictEqual(mirror.startDate.toMillis(), start);
+    assert.strictEqual(mirror.nestName, "The Smiths");
+
+    assert.strictEqual(outbox.pushes.length, 1);
+    assert.strictEqual(outbox.pushes[0].token, "sitter-1-token");
+    assert.strictEqual(outbox.pushes[0].notification.body,
+        "\"Anniversary Dinner\": now Sat, Mar 14, 2026, 5:00 PM EDT - " +
+        "9:00 PM EDT; renamed from \"Date Night\"");
+    assert.strictEqual(outbox.emails.length, 1);
+    assert.ok(outbox.emails[0].text.includes("New title: Anniversary Dinner"));
+  });
+
+  it("tells the sitter on a retry after a failed send", async () => {
+    const before = await ref.get();
+    await ref.update({location: "Grandma's"});
+    const change = {before, after: await ref.get()};
+
+    outbox.down = true;
+    await assert.rejects(trigger(myFunctions.onSessionDetailsUpdated,
+        change, params, {id: "change-1"}), /deliveries failed/);
+    outbox.down = false;
+
+    // The retried event still gets through
+    await trigger(myFunctions.onSessionDetailsUpdated,
+        change, params, {id: "change-1"});
+    assert.strictEqual(outbox.pushes.length, 1);
+  });
+
+  it("stays quiet about the sitter's own edits and status changes",
+      async () => {
+        await editSession({location: "Grandma's"}, {authId: "sitter-1"});
+        await editSession({status: "inProgress"});
+
+        assert.strictEqual((await sitterSessionRef.get()).data().location,
+            "Grandma's");
+        assert.strictEqual(outbox.pushes.length, 0);
+        assert.strictEqual(outbox.emails.length, 0);
+      });
+});
+
+describe("onSessionEventWritten", () => {
+  const eventParams = (eventId) => ({
+    nestId: "nest-1",
+    sessionId: "session-1",
+    eventId,
+  });
+
+  beforeEach(async () => {
+    setNow(NOW);
+    await seedUser("owner-1");
+    await seedUser("sitter-1", {primaryRole: "sitter"});
+    await seedSession("nest-1", "session-1");
+    await db.doc("users/sitter-1/sitterSessions/session-1").set({
+      id: "session-1",
+      nestID: "nest-1",
+      nestName: "The Smiths",
+      inviteAcceptedAt: Timestamp.now(),
+    });
+  });
+
+  /**
+   * Writes (or with null, deletes) a session event and fires its trigger
+   * @param {string} id - The event ID
+   * @param {Object|null} data - The event, or null to delete it
+   * @return {Promise<void>}
+   */
+  async function writeEvent(id, data) {
+    const eventRef = db.doc(`nests/nest-1/sessions/session-1/events/${id}`);
+    const before = await eventRef.get();
+    await (data ? eventRef.set(data) : eventRef.delete());
+    await trigger(myFunctions.onSessionEventWritten,
+        {before, after: await eventRef.get()}, eventParams(id));
+  }
+
+  it("sends one push for a burst of event edits", async () => {
+    const startDate = Timestamp.fromMillis(Date.now() + 3 * HOUR);
+    await writeEvent("e1", {id: "e1", title: "Dinner", startDate});
+    await writeEvent("e2", {id: "e2", title: "Bath", startDate});
+    await writeEvent("e1", null);
+
+    assert.strictEqual(outbox.pushes.length, 1);
+    assert.strictEqual(outbox.pushes[0].notification.body,
+        "\"Date Night\": added event \"Dinner\"");
+
+    setNow(new Date(NOW).getTime() + HOUR);
+    await writeEvent("e2", {id: "e2", title: "Bath time", startDate});
+    assert.strictEqual(outbox.pushes.length, 2);
+    assert.strictEqual(outbox.pushes[1].notification.body,
+        "\"Date Night\": added event \"Bath time\";" +
+        " removed event \"Dinner\"");
+  });
+
+  it("queues event edits whose push failed", async () => {
+    outbox.down = true;
+    await writeEvent("e1", {
+      id: "e1",
+      title: "Dinner",
+      startDate: Timestamp.fromMillis(Date.now() + 3 * HOUR),
+    });
+    outbox.down = false;
+    assert.strictEqual(outbox.pushes.length, 0);
+
+    await runSchedule(myFunctions.sendPendingEventUpdates);
+    assert.strictEqual(outbox.pushes.length, 1);
+    assert.strictEqual(outbox.pushes[0].notification.body,
+        "\"Date Night\": added event \"Dinner\"");
+  });
+
+  it("sends held-back edits once the cooldown has passed", async () => {
+    const startDate = Timestamp.fromMillis(Date.now() + 3 * HOUR);
+    await writeEvent("e1", {id: "e1", title: "Dinner", startDate});
+    await writeEvent("e2", {id: "e2", title: "Bath", startDate});
+    await writeEvent("e3", {id: "e3", title: "Story", startDate});
+    await writeEvent("e3", null);
+
+    await runSchedule(myFunctions.sendPendingEventUpdates);
+    assert.strictEqual(outbox.pushes.length, 1);
+
+    setNow(new Date(NOW).getTime() + 11 * 60 * 1000);
+    await runSchedule(myFunctions.sendPendingEventUpdates);
+    await runSchedule(myFunctions.sendPendingEventUpdates);
+    assert.strictEqual(outbox.pushes.length, 2);
+    assert.strictEqual(outbox.pushes[1].notification.body,
+        "\"Date Night\": added event \"Bath\"");
+
+    const sitterSession =
+      (await db.doc("users/sitter-1/sitterSessions/session-1").get()).data();
+    assert.strictEqual(sitterSession.pendingEventChanges, undefined);
+  });
+});
@@ -0,0 +1,173 @@
+const assert = require("assert");
+const {Timestamp, db, myFunctions, seedUser} = require("./helpers");
+const {
+  assertPro,
+  subscriptionTierOf,
+} = require("../utils/subscriptions");
+const {
+  subscriptionFromEvent,
+  usersOfEvent,
+} = require("../utils/revenueCat");
+
+/**
+ * Loads a recorded RevenueCat webhook body
+ * @param {string} name - The fixture's file name, without extension
+ * @return {Object} A fresh copy of the body
+ */
+function payload(name) {
+  return JSON.parse(JSON.stringify(
+      require(`./fixtures/revenuecat/${name}.json`)));
+}
+
+/**
+ * Calls revenueCatWebhook with a fake Express request and response
+ * @param {Object} body - The webhook body
+ * @param {string|null} authorization - The Authorization header to send
+ * @return {Promise<Object>} {status, body}
+ */
+function deliver(body, authorization = "Bearer rc-test-secret") {
+  return new Promise((resolve, reject) => {
+    const req = {
+      method: "POST",
+      body,
+      headers: {},
+      get: (name) => name === "Authorization" && authorization ?
+        authorization :
+        undefined,
+    };
+    const res = {
+      statusCode: 200,
+      set() {
+        return res;
+      },
+      status(code) {
+        res.statusCode = code;
+        return res;
+      },
+      json(responseBody) {
+        resolve({status: res.statusCode, body: responseBody});
+      },
+    };
+    Promise.resolve(myFunctions.revenueCatWebhook(req, res)).catch(reject);
+  });
+}
+
+/**
+ * Reads a user's stored subscription
+ * @param {string} uid - The user's ID
+ * @return {Promise<Object|undefined>} The subscription
+ */
+async function storedSubscription(uid) {
+  return (await db.collection("users").doc(uid).get()).data().subscription;
+}
+
+describe("RevenueCat events", () => {
+  it("maps recorded events to a tier and expiry", () => {
+    const purchase = subscriptionFromEvent(
+        payload("initial_purchase").event);
+    assert.strictEqual(purchase.tier, "pro");
+    assert.strictEqual(purchase.expiresAt.toISOString(),
+        "2026-03-31T10:00:00.000Z");
+    assert.strictEqual(purchase.willRenew, true);
+
+    const cancelled = subscriptionFromEvent(
+        payload("cancellation").event, purchase);
+    assert.strictEqual(cancelled.tier, "pro");
+    assert.strictEqual(cancelled.willRenew, false);
+
+    assert.strictEqual(
+        subscriptionFromEvent(payload("expiration").event).tier, "free");
+    assert.strictEqual(subscriptionFromEvent(payload("test").event), null);
+  });
+
+  it("resolves app users past anonymous IDs", () => {
+    const event = payload("initial_purchase").event;
+    event.app_user_id = event.original_app_user_id;
+    assert.deepStrictEqual(usersOfEvent(event), ["nester-1"]);
+    assert.deepStrictEqual(usersOfEvent(payload("transfer").event),
+        ["nester-1"]);
+    assert.deepStrictEqual(usersOfEvent(payload("test").event), []);
+  });
+
+  it("ignores entitlements other than Pro", () => {
+    const event = payload("initial_purchase").event;
+    event.entitlement_ids = ["Tips"];
+    assert.strictEqual(subscriptionFromEvent(event), null);
+  });
+});
+
+describe("Pro gating", () => {
+  it("needs an unexpired Pro subscription", () => {
+    const now = new Date("2026-03-10T00:00:00Z");
+    const pro = {subscription: {
+      tier: "pro",
+      expiresAt: Timestamp.fromDate(new Date("2026-03-31T00:00:00Z")),
+    }};
+
+    assert.doesNotThrow(() => assertPro(pro, "nestMembers", now));
+    assert.strictEqual(
+        subscriptionTierOf(pro, new Date("2026-04-01T00:00:00Z")), "free");
+    assert.throws(() => assertPro({}, "multipleNests", now),
+        (error) => error.code === "permission-denied" &&
+          error.details.reason === "pro-required" &&
+          error.details.feature === "multipleNests");
+  });
+});
+
+describe("revenueCatWebhook", () => {
+  beforeEach(async () => {
+    await seedUser("nester-1");
+  });
+
+  it("rejects requests without the shared secret", async () => {
+    const body = payload("initial_purchase");
+    assert.strictEqual((await deliver(body, null)).status, 401);
+    assert.strictEqual((await deliver(body, "Bearer wrong")).status, 401);
+    assert.strictEqual(await storedSubscription("nester-1"), undefined);
+  });
+
+  it("stores the tier and expiry from each event", async () => {
+    const {status} = await deliver(payload("initial_purchase"));
+    assert.strictEqual(status, 200);
+
+    let subscription = await storedSubscription("nester-1");
+    assert.strictEqual(subscription.tier, "pro");
+    assert.strictEqual(subscription.expiresAt.toDate().toISOString(),
+        "2026-03-31T10:00:00.000Z");
+    assert.strictEqual(subscription.productId, "com.nestnote.pro.monthly");
+
+    await deliver(payload("expiration"));
+    subscription = await storedSubscription("nester-1");
+    assert.strictEqual(subscription.tier, "free");
+  });
+
+  it("skips retried and out-of-order events", async () => {
+    await deliver(payload("expiration"));
+    const late = await deliver(payload("initial_purchase"));
+    const retried = await deliver(payload("expiration"));
+
+    assert.deepStrictEqual(late.body.results, {"nester-1": "stale"});
+    assert.deepStrictEqual(retried.body.results, {"nester-1": "stale"});
+    assert.strictEqual((await storedSubscription("nester-1")).tier, "free");
+  });
+
+  it("downgrades the user a purchase is transferred from", async () => {
+    await deliver(payload("initial_purchase"));
+    await deliver(payload("transfer"));
+
+    assert.strictEqual((await storedSubscription("nester-1")).tier, "free");
+  });
+
+  it("acknowledges events for unknown or anonymous users", async () => {
+    const body = payload("initial_purchase");
+    body.event.app_user_id = "someone-else";
+    body.event.aliases = [];
+
+    const unknown = await deliver(body);
+    const test = await deliver(payload("test"));
+
+    assert.deepStrictEqual(unknown.body.results,
+        {"someone-else": "unknown-user"});
+    assert.strictEqual(test.status, 200);
+  });
+});
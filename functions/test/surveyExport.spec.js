@@ -0,0 +1,186 @@
+const assert = require("assert");
+const admin = require("firebase-admin");
+const sinon = require("sinon");
+const {Timestamp, db, myFunctions, seedUser} = require("./helpers");
+const {
+  buildCrossTabs,
+  parseExportQuery,
+  toCsv,
+} = require("../utils/surveyExport");
+
+// ID tokens the stubbed verifier accepts
+const TOKENS = {
+  "admin-token": {uid: "admin-1", admin: true},
+  "user-token": {uid: "user-1"},
+};
+
+/**
+ * Calls exportSurveyData with a fake Express request and response
+ * @param {Object} query - The query parameters
+ * @param {string|null} token - The bearer token to send
+ * @return {Promise<Object>} {status, headers, body}
+ */
+function exportSurveyData(query, token = "admin-token") {
+  return new Promise((resolve, reject) => {
+    const headers = {};
+    const req = {
+      method: "GET",
+      query,
+      headers: {},
+      get: (name) => name === "Authorization" && token ?
+        `Bearer ${token}` :
+        undefined,
+    };
+    const res = {
+      statusCode: 200,
+      set(name, value) {
+        headers[name.toLowerCase()] = value;
+        return res;
+      },
+      status(code) {
+        res.statusCode = code;
+        return res;
+      },
+      json(body) {
+        resolve({status: res.statusCode, headers, body});
+      },
+      send(body) {
+        resolve({status: res.statusCode, headers, body});
+      },
+    };
+    Promise.resolve(myFunctions.exportSurveyData(req, res)).catch(reject);
+  });
+}
+
+describe("survey export formatting", () => {
+  it("rejects unknown types and bad dates", () => {
+    assert.throws(() => parseExportQuery({type: "everything"}),
+        (error) => error.details.reason === "invalid-query");
+    assert.throws(() => parseExportQuery({from: "last week"}),
+        (error) => error.code === "invalid-argument");
+    assert.deepStrictEqual(
+        parseExportQuery({from: "2026-03-01", to: "2026-03-01"}).to,
+        new Date("2026-03-01T23:59:59.999Z"));
+  });
+
+  it("quotes CSV cells and defuses formulas", () => {
+    const csv = toCsv([
+      {a: "plain", b: "has, comma"},
+      {a: "=HYPERLINK(\"x\")", b: -3},
+    ], ["a", "b"]);
+
+    assert.strictEqual(csv,
+        "a,b\r\nplain,\"has, comma\"\r\n\"'=HYPERLINK(\"\"x\"\")\",-3\r\n");
+  });
+
+  it("computes cross-tab percentages within each segment", () => {
+    const row = (responseId, userType, answer) => ({
+      responseId,
+      surveyType: "parent_survey",
+      questionId: "q1",
+      userType,
+      subscriptionTier: "free",
+      answer,
+    });
+    const rows = buildCrossTabs([
+      row("r1", "nester", "yes"),
+      row("r2", "nester", "no"),
+      row("r3", "sitter", "yes"),
+    ], []);
+
+    const nesterYes = rows.find((r) => r.segment === "userType" &&
+      r.segmentValue === "nester" && r.answer === "yes");
+    assert.strictEqual(nesterYes.percentage, 50);
+    const freeYes = rows.find((r) => r.segment === "subscriptionTier" &&
+      r.answer === "yes");
+    assert.strictEqual(freeYes.count, 2);
+    assert.strictEqual(freeYes.total, 3);
+  });
+});
+
+describe("exportSurveyData", () => {
+  let verifyIdToken;
+
+  beforeEach(async () => {
+    verifyIdToken = sinon.stub(admin.auth(), "verifyIdToken")
+        .callsFake(async (token) => {
+          if (!TOKENS[token]) throw new Error("Invalid token");
+          return TOKENS[token];
+        });
+
+    await seedUser("nester-1", {
+      subscription: {tier: "pro", expiresAt: Timestamp.fromMillis(
+          Date.now() + 30 * 24 * 60 * 60 * 1000)},
+    });
+    await seedUser("sitter-1", {primaryRole: "sitter"});
+
+    const responses = db.collection("surveyData/surveyResponses/responses");
+    await responses.doc("r1").set({
+      surveyType: "parent_survey",
+      timestamp: Timestamp.fromDate(new Date("2026-03-02T12:00:00Z")),
+      metadata: {userId: "nester-1", role: "nester"},
+      responses: [{questionId: "q1", answers: ["yes"]}],
+    });
+    await responses.doc("r2").set({
+      surveyType: "sitter_survey",
+      timestamp: Timestamp.fromDate(new Date("2026-02-10T12:00:00Z")),
+      metadata: {userId: "sitter-1", role: "sitter"},
+      responses: [{questionId: "q1", answers: ["no"]}],
+    });
+
+    const votes = db.collection("surveyData/featureVotes/votes");
+    await votes.doc("v1").set({
+      featureId: "routines",
+      vote: "for",
+      userId: "nester-1",
+      timestamp: Timestamp.fromDate(new Date("2026-03-03T12:00:00Z")),
+    });
+    await votes.doc("v2").set({
+      featureId: "routines",
+      vote: "against",
+      userId: "sitter-1",
+      timestamp: Timestamp.fromDate(new Date("2026-03-04T12:00:00Z")),
+    });
+  });
+
+  afterEach(() => {
+    verifyIdToken.restore();
+  });
+
+  it("requires an admin ID token", async () => {
+    assert.strictEqual((await exportSurveyData({}, null)).status, 401);
+    const denied = await exportSurveyData({}, "user-token");
+    assert.strictEqual(denied.status, 403);
+    assert.strictEqual(denied.body.error.details.reason, "not-admin");
+  });
+
+  it("exports responses in a date range with respondent details", async () => {
+    const {status, body} = await exportSurveyData({
+      type: "responses",
+      from: "2026-03-01",
+      to: "2026-03-31",
+    });
+
+    assert.strictEqual(status, 200);
+    assert.deepStrictEqual(body.rows.map((row) => [
+      row.responseId, row.userType, row.subscriptionTier, row.answer,
+    ]), [["r1", "nester", "pro", "yes"]]);
+  });
+
+  it("cross-tabs feature votes as CSV", async () => {
+    const {status, headers, body} = await exportSurveyData({
+      type: "crosstabs",
+      format: "csv",
+      featureId: "routines",
+    });
+
+    assert.strictEqual(status, 200);
+    assert.strictEqual(headers["content-type"], "text/csv; charset=utf-8");
+    const lines = body.trim().split("\r\n");
+    assert.strictEqual(lines[0], "kind,subject,questionId,answer,segment," +
+      "segmentValue,count,total,percentage");
+    assert.ok(lines.includes("feature,routines,,for,userType,nester,1,1,100"));
+    assert.ok(lines.includes(
+        "feature,routines,,against,subscriptionTier,free,1,1,100"));
+  });
+});
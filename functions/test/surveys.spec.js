@@ -0,0 +1,207 @@
+const assert = require("assert");
+const {call, db, myFunctions, trigger} = require("./helpers");
+const {
+  MetricKinds,
+  applySurveyContribution,
+  foldContributions,
+  surveyResponseContribution,
+} = require("../utils/surveyMetrics");
+
+const ADMIN = {uid: "admin-1", token: {admin: true}};
+
+const responses = () => db.collection("surveyData")
+    .doc("surveyResponses")
+    .collection("responses");
+const votes = () => db.collection("surveyData")
+    .doc("featureVotes")
+    .collection("votes");
+
+/**
+ * Writes (or with null, deletes) a survey response and fires its trigger
+ * @param {string} id - The response ID
+ * @param {Object|null} data - The response, or null to delete it
+ * @return {Promise<void>}
+ */
+async function writeResponse(id, data) {
+  const ref = responses().doc(id);
+  const before = await ref.get();
+  await (data ? ref.set(data) : ref.delete());
+  await trigger(myFunctions.onSurveyResponseWritten,
+      {before, after: await ref.get()}, {responseId: id});
+}
+
+/**
+ * Writes (or with null, deletes) a feature vote and fires its trigger
+ * @param {string} id - The vote ID
+ * @param {Object|null} data - The vote, or null to delete it
+ * @return {Promise<void>}
+ */
+async function writeVote(id, data) {
+  const ref = votes().doc(id);
+  const before = await ref.get();
+  await (data ? ref.set(data) : ref.delete());
+  await trigger(myFunctions.onFeatureVoteWritten,
+      {before, after: await ref.get()}, {voteId: id});
+}
+
+/**
+ * Reads a metrics document
+ * @param {string} path - Path below surveyData
+ * @return {Promise<Object|undefined>} The metrics
+ */
+async function readMetrics(path) {
+  return (await db.doc(`surveyData/${path}`).get()).data();
+}
+
+/**
+ * A parent survey response answering q1
+ * @param {Array<string>} answers - The answers to q1
+ * @return {Object} The response document
+ */
+function parentResponse(answers) {
+  return {
+    surveyType: "parentSurvey",
+    responses: [{questionId: "q1", answers}],
+  };
+}
+
+describe("survey metric contributions", () => {
+  it("removing a response undoes adding it", () => {
+    const kind = MetricKinds.surveyResponses;
+    const first = surveyResponseContribution(parentResponse(["yes", "maybe"]));
+    const second = surveyResponseContribution(parentResponse(["no"]));
+
+    const metrics = foldContributions(kind, [first, second])
+        .get("parentSurvey");
+    applySurveyContribution(metrics, first, -1);
+
+    assert.deepStrictEqual(metrics,
+        foldContributions(kind, [second]).get("parentSurvey"));
+  });
+
+  it("ignores responses it can't count", () => {
+    assert.strictEqual(surveyResponseContribution({responses: []}), null);
+    assert.strictEqual(
+        surveyResponseContribution({surveyType: "a/b", responses: []}), null);
+  });
+});
+
+describe("onSurveyResponseWritten", () => {
+  it("adds each response to the survey's question metrics", async () => {
+    await writeResponse("r1", parentResponse(["yes"]));
+    await writeResponse("r2", parentResponse(["no"]));
+
+    const metrics = await readMetrics("surveyResponses/metrics/parentSurvey");
+    assert.strictEqual(metrics.totalResponses, 2);
+    assert.deepStrictEqual(metrics.questionMetrics.q1.answerDistribution,
+        {yes: 1, no: 1});
+    assert.deepStrictEqual(metrics.questionMetrics.q1.percentages,
+        {yes: 50, no: 50});
+  });
+
+  it("counts concurrent responses and retried events once", async () => {
+    const ids = ["r1", "r2", "r3", "r4", "r5"];
+    const befores = await Promise.all(
+        ids.map((id) => responses().doc(id).get()));
+    await Promise.all(ids.map((id) =>
+      responses().doc(id).set(parentResponse(["yes"]))));
+
+    await Promise.all([...befores, ...befores].map((before) =>
+      trigger(myFunctions.onSurveyResponseWritten, {before},
+          {responseId: before.id})));
+
+    const metrics = await readMetrics("surveyResponses/metrics/parentSurvey");
+    assert.strictEqual(metrics.totalResponses, 5);
+    assert.deepStrictEqual(metrics.questionMetrics.q1.answerDistribution,
+        {yes: 5});
+  });
+
+  it("follows edited and deleted responses", async () => {
+    await writeResponse("r1", parentResponse(["yes"]));
+    await writeResponse("r2", parentResponse(["yes"]));
+    await writeResponse("r1", parentResponse(["no"]));
+    await writeResponse("r2", null);
+
+    const metrics = await readMetrics("surveyResponses/metrics/parentSurvey");
+    assert.strictEqual(metrics.totalResponses, 1);
+    assert.deepStrictEqual(metrics.questionMetrics.q1.answerDistribution,
+        {no: 1});
+    assert.deepStrictEqual(metrics.questionMetrics.q1.percentages, {no: 100});
+  });
+
+  it("follows responses counted before the ledger existed", async () => {
+    await writeResponse("r1", parentResponse(["yes"]));
+    await writeResponse("r2", parentResponse(["yes"]));
+    await Promise.all(["r1", "r2"].map((id) =>
+      db.doc(`surveyData/surveyResponses/metricsLedger/${id}`).delete()));
+
+    await writeResponse("r1", parentResponse(["no"]));
+    await writeResponse("r2", null);
+
+    const metrics = await readMetrics("surveyResponses/metrics/parentSurvey");
+    assert.strictEqual(metrics.totalResponses, 1);
+    assert.deepStrictEqual(metrics.questionMetrics.q1.answerDistribution,
+        {no: 1});
+  });
+});
+
+describe("onFeatureVoteWritten", () => {
+  it("tallies votes for and against a feature", async () => {
+    const cast = [["v1", "for"], ["v2", "for"], ["v3", "against"]];
+    for (const [id, vote] of cast) {
+      await writeVote(id, {featureId: "routines", vote});
+    }
+
+    const metrics = await readMetrics("featureVotes/metrics/routines");
+    assert.strictEqual(metrics.votesFor, 2);
+    assert.strictEqual(metrics.votesAgainst, 1);
+    assert.strictEqual(Math.round(metrics.votePercentage), 67);
+  });
+
+  it("moves changed votes and drops withdrawn ones", async () => {
+    await writeVote("v1", {featureId: "routines", vote: "for"});
+    await writeVote("v2", {featureId: "routines", vote: "for"});
+    await writeVote("v1", {featureId: "routines", vote: "against"});
+    await writeVote("v2", {featureId: "checkIns", vote: "for"});
+    await writeVote("v1", null);
+
+    const routines = await readMetrics("featureVotes/metrics/routines");
+    assert.strictEqual(routines.votesFor, 0);
+    assert.strictEqual(routines.votesAgainst, 0);
+    const checkIns = await readMetrics("featureVotes/metrics/checkIns");
+    assert.strictEqual(checkIns.votesFor, 1);
+    assert.strictEqual(checkIns.votePercentage, 100);
+  });
+});
+
+describe("recomputeSurveyMetrics", () => {
+  it("rebuilds drifted metrics from the raw documents", async () => {
+    await writeResponse("r1", parentResponse(["yes"]));
+    await writeVote("v1", {featureId: "routines", vote: "for"});
+    await responses().doc("r2").set(parentResponse(["no"]));
+    await db.doc("surveyData/surveyResponses/metrics/parentSurvey")
+        .update({totalResponses: 40});
+    await db.doc("surveyData/featureVotes/metrics/stale").set({votesFor: 3});
+
+    const result = await call(myFunctions.recomputeSurveyMetrics, {}, ADMIN);
+
+    assert.strictEqual(result.surveyResponses.documents, 2);
+    const metrics = await readMetrics("surveyResponses/metrics/parentSurvey");
+    assert.strictEqual(metrics.totalResponses, 2);
+    assert.deepStrictEqual(metrics.questionMetrics.q1.answerDistribution,
+        {yes: 1, no: 1});
+    assert.strictEqual(await readMetrics("featureVotes/metrics/stale"),
+        undefined);
+
+    // The rebuilt ledger lets later edits apply on top of the new totals
+    await writeResponse("r2", null);
+    assert.strictEqual((await readMetrics(
+        "surveyResponses/metrics/parentSurvey")).totalResponses, 1);
+  });
+
+  it("is limited to admins", async () => {
+    await assert.rejects(
+        call(myFunctions.recomputeSurveyMetrics, {}, {uid: "user-1"}),
+        (error) => error.code === "permission-denied");
+  });
+});
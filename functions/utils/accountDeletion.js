@@ -0,0 +1,369 @@
+const crypto = require("crypto");
+const {logger} = require("firebase-functions");
+
+// Where deletion receipts are kept, one per deleted user ID
+const RECEIPTS_COLLECTION = "accountDeletions";
+
+// Sessions in these statuses are history, so their owners aren't notified
+const FINISHED_SESSION_STATUSES = ["completed", "archived"];
+
+// Query filters for the survey documents that name a user
+const SURVEY_USER_FIELDS = [
+  ["surveyData/surveyResponses/responses", "metadata.userId"],
+  ["surveyData/featureVotes/votes", "userId"],
+];
+
+/**
+ * Hashes an email address for the deletion receipt, so support can confirm
+ * an address was deleted without the receipt storing the address itself
+ * @param {string|null} email - The address
+ * @return {string|null} The hex SHA-256 of the normalized address
+ */
+function hashEmail(email) {
+  if (!email) return null;
+  return crypto.createHash("sha256")
+      .update(String(email).trim().toLowerCase())
+      .digest("hex");
+}
+
+/**
+ * The assignedSitter left on archived sessions a deleted user sat, which
+ * keeps the session's history readable without naming them
+ * @param {Object} sitter - The session's assignedSitter
+ * @return {Object} The anonymized sitter
+ */
+function anonymizedSitter(sitter) {
+  return {
+    id: sitter.id || crypto.randomUUID().toUpperCase(),
+    name: "Deleted user",
+    email: "",
+    inviteStatus: sitter.inviteStatus || "accepted",
+  };
+}
+
+/**
+ * Creates the account deletion cascade
+ * @param {Object} deps - Dependencies
+ * @param {FirebaseFirestore.Firestore} deps.db - Firestore instance
+ * @param {function(): Object} deps.getBucket - Returns the Storage bucket
+ * @param {Object} deps.FieldValue - Firestore's FieldValue
+ * @param {Function} deps.notify - notify(eventType, {recipients, payload})
+ *   from the notification dispatcher
+ * @return {Object} {deleteAccountData}
+ */
+function createAccountDeletion({db, getBucket, FieldValue, notify}) {
+  /**
+   * Finds the nests a user owns, from their profile and from the nests
+   * themselves (the app may have deleted the profile already)
+   * @param {string} uid - The user ID
+   * @param {Object|null} profile - Their user document data
+   * @return {Promise<Array<FirebaseFirestore.DocumentSnapshot>>} The nests
+   */
+  async function findOwnedNests(uid, profile) {
+    const roles = (profile && profile.roles) || {};
+    const ids = new Set();
+    if (roles.ownedNestId) ids.add(roles.ownedNestId);
+    (roles.nestAccess || [])
+        .filter((access) => access.accessLevel === "owner")
+        .forEach((access) => ids.add(access.nestId));
+
+    const owned = await db.collection("nests")
+        .where("ownerId", "==", uid)
+        .get();
+    owned.docs.forEach((doc) => ids.add(doc.id));
+
+    const nests = await Promise.all([...ids].map((id) =>
+      db.collection("nests").doc(id).get()));
+    // Never delete a nest the profile claims but someone else owns
+    return nests.filter((doc) => doc.exists &&
+      (!doc.data().ownerId || doc.data().ownerId === uid));
+  }
+
+  /**
+   * Deletes a nest the user owns with everything under it, drops its
+   * sessions from their sitters' lists and removes its Storage files
+   * @param {FirebaseFirestore.DocumentSnapshot} nestDoc - The nest
+   * @param {string} uid - The deleted user's ID
+   * @return {Promise<Object>} {sessions, sitterSessions, files}
+   */
+  async function deleteOwnedNest(nestDoc, uid) {
+    const sessions = await nestDoc.ref.collection("sessions").get();
+    const sitterSessionRefs = [];
+    sessions.docs.forEach((sessionDoc) => {
+      const sitter = sessionDoc.data().assignedSitter;
+      if (sitter && sitter.userID && sitter.userID !== uid) {
+        sitterSessionRefs.push(db.collection("users").doc(sitter.userID)
+            .collection("sitterSessions").doc(sessionDoc.id));
+      }
+    });
+
+    const writer = db.bulkWriter();
+    sitterSessionRefs.forEach((ref) => writer.delete(ref));
+    await writer.close();
+
+    await db.recursiveDelete(nestDoc.ref);
+
+    const [files] = await getBucket().getFiles({
+      prefix: `nests/${nestDoc.id}/`,
+    });
+    await Promise.all(files.map((file) =>
+      file.delete({ignoreNotFound: true})));
+
+    return {
+      sessions: sessions.size,
+      sitterSessions: sitterSessionRefs.length,
+      files: files.length,
+    };
+  }
+
+  /**
+   * Takes the user off every session they were the sitter for. Live
+   * sessions lose their assignedSitter (and invite) so the owner can invite
+   * someone else, and the owner is told; archived ones keep an anonymized
+   * sitter.
+   * @param {string} uid - The deleted user's ID
+   * @param {string} sitterName - Their name, for the owners' notice
+   * @return {Promise<Object>} {detached, anonymized, ownersNotified}
+   */
+  async function detachFromSessions(uid, sitterName) {
+    const userRef = db.collection("users").doc(uid);
+    const [sitterSessions, archivedSitterSessions] = await Promise.all([
+      userRef.collection("sitterSessions").get(),
+      userRef.collection("archivedSitterSessions").get(),
+    ]);
+
+    const result = {detached: 0, anonymized: 0, ownersNotified: 0};
+    const notices = [];
+
+    for (const doc of sitterSessions.docs) {
+      const {nestID} = doc.data();
+      if (!nestID) continue;
+
+      const sessionRef = db.collection("nests").doc(nestID)
+          .collection("sessions").doc(doc.id);
+      const sessionData = await db.runTransaction(async (transaction) => {
+        const sessionDoc = await transaction.get(sessionRef);
+        if (!sessionDoc.exists) return null;
+
+        const data = sessionDoc.data();
+        const sitter = data.assignedSitter;
+        if (!sitter || sitter.userID !== uid) return null;
+
+        transaction.update(sessionRef, {
+          assignedSitter: FieldValue.delete(),
+        });
+        if (sitter.inviteID) {
+          transaction.delete(db.collection("invites").doc(sitter.inviteID));
+        }
+        return {id: sessionDoc.id, nestID, ...data};
+      });
+
+      if (!sessionData) continue;
+      result.detached++;
+      if (sessionData.ownerID &&
+          !FINISHED_SESSION_STATUSES.includes(sessionData.status)) {
+        notices.push(sessionData);
+      }
+    }
+
+    for (const doc of archivedSitterSessions.docs) {
+      const {nestID} = doc.data();
+      if (!nestID) continue;
+
+      const archivedRef = db.collection("nests").doc(nestID)
+          .collection("archivedSessions").doc(doc.id);
+      const anonymized = await db.runTransaction(async (transaction) => {
+        const archivedDoc = await transaction.get(archivedRef);
+        const sitter = archivedDoc.exists && archivedDoc.data().assignedSitter;
+        if (!sitter || sitter.userID !== uid) return false;
+
+        transaction.update(archivedRef, {
+          assignedSitter: anonymizedSitter(sitter),
+        });
+        return true;
+      });
+      if (anonymized) result.anonymized++;
+    }
+
+    for (const sessionData of notices) {
+      try {
+        await notify("sitter_account_deleted", {
+          recipients: [{userId: sessionData.ownerID, role: "owner"}],
+          payload: {sessionData, sitterName},
+        });
+        result.ownersNotified++;
+      } catch (error) {
+        logger.error(`Failed to tell ${sessionData.ownerID} their sitter ` +
+          `left session ${sessionData.id}: ${error.message}`);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Deletes every invite the user created or accepted
+   * @param {string} uid - The user ID
+   * @return {Promise<number>} How many were deleted
+   */
+  async function deleteInvites(uid) {
+    const [created, accepted] = await Promise.all([
+      db.collection("invites").where("createdBy", "==", uid).get(),
+      db.collection("invites").where("acceptedBy", "==", uid).get(),
+    ]);
+    const refs = new Map();
+    [...created.docs, ...accepted.docs]
+        .forEach((doc) => refs.set(doc.id, doc.ref));
+
+    const writer = db.bulkWriter();
+    refs.forEach((ref) => writer.delete(ref));
+    await writer.close();
+    return refs.size;
+  }
+
+  /**
+   * Unlinks the user from other owners' saved sitters. The name and email
+   * there are the owner's own contact entry, so they stay; only the link to
+   * the deleted account goes.
+   * @param {string} uid - The user ID
+   * @return {Promise<number>} How many saved sitters were unlinked
+   */
+  async function unlinkSavedSitters(uid) {
+    const snapshot = await db.collectionGroup("savedSitters")
+        .where("userID", "==", uid)
+        .get();
+
+    const writer = db.bulkWriter();
+    snapshot.docs.forEach((doc) => {
+      writer.update(doc.ref, {userID: FieldValue.delete()});
+    });
+    await writer.close();
+    return snapshot.size;
+  }
+
+  /**
+   * Removes the user's ID from survey answers and votes, and their email
+   * from the referral that counts them. The answers and referral stay, so
+   * survey metrics and creator payouts don't change.
+   * @param {string} uid - The user ID
+   * @return {Promise<number>} How many documents were anonymized
+   */
+  async function anonymizeContributions(uid) {
+    const snapshots = await Promise.all(SURVEY_USER_FIELDS.map(
+        ([path, field]) => db.collection(path).where(field, "==", uid).get()));
+
+    const writer = db.bulkWriter();
+    let count = 0;
+    snapshots.forEach((snapshot, index) => {
+      const field = SURVEY_USER_FIELDS[index][1];
+      snapshot.docs.forEach((doc) => {
+        writer.update(doc.ref, {[field]: FieldValue.delete()});
+        count++;
+      });
+    });
+
+    const referralRef = db.collection("referrals").doc(uid);
+    const referral = await referralRef.get();
+    if (referral.exists) {
+      writer.update(referralRef, {
+        referredUserEmail: FieldValue.delete(),
+        anonymizedAt: FieldValue.serverTimestamp(),
+      });
+      count++;
+    }
+
+    await writer.close();
+    return count;
+  }
+
+  return {
+    /**
+     * Removes or anonymizes everything a user left behind, and records a
+     * receipt in accountDeletions/{uid}. Every step can be repeated, so a
+     * run that fails part-way is finished by the next one; a completed
+     * receipt makes later runs (e.g. the Auth trigger after the callable)
+     * return it without doing anything.
+     * @param {string} uid - The user ID
+     * @param {Object} options - {email, source}
+     * @return {Promise<Object>} The receipt
+     */
+    async deleteAccountData(uid, {email = null, source}) {
+      const receiptRef = db.collection(RECEIPTS_COLLECTION).doc(uid);
+      const existing = await receiptRef.get();
+      if (existing.exists && existing.data().status === "completed") {
+        logger.info(`Account ${uid} was already deleted, skipping`);
+        return existing.data();
+      }
+
+      const userRef = db.collection("users").doc(uid);
+      const userDoc = await userRef.get();
+      const profile = userDoc.exists ? userDoc.data() : null;
+      const personalInfo = (profile && profile.personalInfo) || {};
+      const userEmail = email || personalInfo.email || null;
+
+      await receiptRef.set({
+        uid,
+        emailHash: hashEmail(userEmail) ||
+          (existing.exists ? existing.data().emailHash : null),
+        source,
+        status: "in-progress",
+        requestedAt: existing.exists ?
+          existing.data().requestedAt :
+          FieldValue.serverTimestamp(),
+      }, {merge: true});
+
+      const counts = {
+        nests: 0,
+        sessions: 0,
+        files: 0,
+        sitterSessionsRemoved: 0,
+      };
+
+      for (const nestDoc of await findOwnedNests(uid, profile)) {
+        const nest = await deleteOwnedNest(nestDoc, uid);
+        counts.nests++;
+        counts.sessions += nest.sessions;
+        counts.files += nest.files;
+        counts.sitterSessionsRemoved += nest.sitterSessions;
+      }
+
+      const detached = await detachFromSessions(
+          uid, personalInfo.name || null);
+      counts.invites = await deleteInvites(uid);
+      counts.savedSittersUnlinked = await unlinkSavedSitters(uid);
+      counts.anonymized = await anonymizeContributions(uid);
+
+      await db.collection("calendarFeeds").doc(uid).delete();
+
+      // Data exports hold a copy of everything above
+      await db.collection("dataExports").doc(uid).delete();
+      const [exportFiles] = await getBucket().getFiles({
+        prefix: `dataExports/${uid}/`,
+      });
+      await Promise.all(exportFiles.map((file) =>
+        file.delete({ignoreNotFound: true})));
+      counts.files += exportFiles.length;
+
+      // The profile goes last: it holds the FCM tokens, and the sitterSessions
+      // the steps above read
+      await db.recursiveDelete(userRef);
+
+      const receipt = {
+        uid,
+        source,
+        status: "completed",
+        completedAt: FieldValue.serverTimestamp(),
+        counts: {...counts, ...detached},
+      };
+      await receiptRef.set(receipt, {merge: true});
+      logger.info(`Deleted account data for ${uid}: ` +
+        JSON.stringify(receipt.counts));
+      return receipt;
+    },
+  };
+}
+
+module.exports = {
+  createAccountDeletion,
+  hashEmail,
+};
@@ -0,0 +1,303 @@
+const {logger} = require("firebase-functions");
+
+// Firestore allows at most 500 operations in a single batched write
+const MAX_BATCH_SIZE = 500;
+
+// gRPC status codes that mean the commit can be retried as-is
+const RETRYABLE_CODES = new Set([
+  4, // DEADLINE_EXCEEDED
+  8, // RESOURCE_EXHAUSTED
+  10, // ABORTED (contention)
+  14, // UNAVAILABLE
+]);
+
+/**
+ * Waits for the given number of milliseconds
+ * @param {number} ms - How long to wait
+ * @return {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Checks whether a failed commit is worth retrying
+ * @param {Error} error - The commit error
+ * @return {boolean} Whether the error is transient
+ */
+function isRetryable(error) {
+  return RETRYABLE_CODES.has(error.code);
+}
+
+/**
+ * Adds a single write operation to a batch
+ * @param {FirebaseFirestore.WriteBatch} batch - The batch to add to
+ * @param {Object} op - The operation ({type, ref, data, options})
+ */
+function applyOperation(batch, op) {
+  switch (op.type) {
+    case "set":
+      if (op.options) {
+        batch.set(op.ref, op.data, op.options);
+      } else {
+        batch.set(op.ref, op.data);
+      }
+      break;
+    case "update":
+      batch.update(op.ref, op.data);
+      break;
+    case "delete":
+      batch.delete(op.ref);
+      break;
+    default:
+      throw new Error(`Unknown batch operation type: ${op.type}`);
+  }
+}
+
+/**
+ * Packs units of operations into chunks without splitting a unit
+ * @param {Array<Array<Object>>} units - Operations that must commit together
+ * @param {number} chunkSize - Maximum operations per chunk
+ * @return {Array<Array<Array<Object>>>} The chunks, each a list of units
+ */
+function packUnits(units, chunkSize) {
+  const chunks = [];
+  let current = [];
+  let currentSize = 0;
+
+  for (const unit of units) {
+    if (unit.length > chunkSize) {
+      throw new Error(
+          `A unit of ${unit.length} operations exceeds the ` +
+          `${chunkSize} operation batch limit`,
+      );
+    }
+
+    if (currentSize + unit.length > chunkSize) {
+      chunks.push(current);
+      current = [];
+      currentSize = 0;
+    }
+
+    current.push(unit);
+    currentSize += unit.length;
+  }
+
+  if (current.length > 0) {
+    chunks.push(current);
+  }
+
+  return chunks;
+}
+
+/**
+ * Commits one chunk, rebuilding the batch and backing off between attempts
+ * @param {FirebaseFirestore.Firestore} db - The Firestore instance
+ * @param {Array<Array<Object>>} chunk - The units in this chunk
+ * @param {number} index - The chunk's position, for reporting
+ * @param {Object} options - The resolved commitInChunks options
+ * @return {Promise<Object>} The chunk result
+ */
+async function commitChunk(db, chunk, index, options) {
+  const operations = chunk.reduce((count, unit) => count + unit.length, 0);
+  let attempts = 0;
+
+  for (;;) {
+    attempts++;
+    try {
+      const batch = db.batch();
+      chunk.forEach((unit) => unit.forEach((op) => applyOperation(batch, op)));
+      await batch.commit();
+
+      return {index, units: chunk.length, operations, attempts, success: true};
+    } catch (error) {
+      if (attempts >= options.maxAttempts || !isRetryable(error)) {
+        logger.error(
+            `[${options.label}] Chunk ${index} failed after ` +
+            `${attempts} attempt(s): ${error.message}`,
+        );
+        return {
+          index,
+          units: chunk.length,
+          operations,
+          attempts,
+          success: false,
+          error,
+        };
+      }
+
+      const delay = options.baseDelayMs * Math.pow(2, attempts - 1) +
+        Math.floor(Math.random() * options.baseDelayMs);
+      logger.warn(
+          `[${options.label}] Chunk ${index} hit ${error.message}, ` +
+          `retrying in ${delay}ms`,
+      );
+      await sleep(delay);
+    }
+  }
+}
+
+/**
+ * Commits chunks with at most `concurrency` of them in flight
+ * @param {FirebaseFirestore.Firestore} db - The Firestore instance
+ * @param {Array<Array<Array<Object>>>} chunks - From packUnits
+ * @param {Object} options - The resolved commitInChunks options
+ * @return {Promise<Array<Object>>} A result for every chunk, in order
+ */
+async function commitChunks(db, chunks, options) {
+  const results = new Array(chunks.length);
+
+  // Simple worker pool so only `concurrency` commits are in flight
+  let next = 0;
+  const workers = Array.from(
+      {length: Math.min(options.concurrency, chunks.length)},
+      async () => {
+        while (next < chunks.length) {
+          const index = next++;
+          results[index] = await commitChunk(
+              db, chunks[index], index, options);
+        }
+      },
+  );
+  await Promise.all(workers);
+  return results;
+}
+
+/**
+ * Commits write operations as a series of batched writes.
+ *
+ * Each entry in `units` is either a single operation or an array of
+ * operations that must land in the same batch (e.g. copying a document and
+ * deleting the original). Operations are plain objects:
+ * `{type: "set" | "update" | "delete", ref, data, options}`.
+ *
+ * @param {FirebaseFirestore.Firestore} db - The Firestore instance
+ * @param {Array<Object|Array<Object>>} units - The operations to write
+ * @param {Object} options - Optional settings
+ * @param {string} options.label - Prefix for log lines
+ * @param {number} options.chunkSize - Operations per batch (max 500)
+ * @param {number} options.concurrency - Batches committed at the same time
+ * @param {number} options.maxAttempts - Attempts per batch on contention
+ * @param {number} options.baseDelayMs - Initial retry backoff
+ * @param {boolean} options.isolateFailures - Retry the units of a chunk that
+ *   failed one at a time, so one bad unit (e.g. an update of a document
+ *   deleted meanwhile) doesn't fail the others
+ * @return {Promise<Object>} Totals plus a result for every chunk
+ */
+async function commitInChunks(db, units, options = {}) {
+  const resolved = {
+    label: "batch",
+    chunkSize: MAX_BATCH_SIZE,
+    concurrency: 3,
+    maxAttempts: 3,
+    baseDelayMs: 200,
+    isolateFailures: false,
+    ...options,
+  };
+  resolved.chunkSize = Math.min(resolved.chunkSize, MAX_BATCH_SIZE);
+
+  const normalized = units
+      .map((unit) => (Array.isArray(unit) ? unit : [unit]))
+      .filter((unit) => unit.length > 0);
+  const chunks = packUnits(normalized, resolved.chunkSize);
+  let results = await commitChunks(db, chunks, resolved);
+
+  if (resolved.isolateFailures) {
+    const failed = results.filter((r) => !r.success && r.units > 1);
+    if (failed.length > 0) {
+      const singles = failed.reduce(
+          (units, r) => units.concat(chunks[r.index].map((unit) => [unit])),
+          []);
+      results = [
+        ...results.filter((r) => r.success || r.units === 1),
+        ...await commitChunks(db, singles, resolved),
+      ];
+    }
+  }
+
+  const summary = results.reduce((acc, result) => {
+    if (result.success) {
+      acc.committedUnits += result.units;
+      acc.committedOperations += result.operations;
+    } else {
+      acc.failedUnits += result.units;
+      acc.failedOperations += result.operations;
+    }
+    return acc;
+  }, {
+    committedUnits: 0,
+    committedOperations: 0,
+    failedUnits: 0,
+    failedOperations: 0,
+  });
+
+  if (chunks.length > 0) {
+    logger.info(
+        `[${resolved.label}] Committed ${summary.committedOperations}` +
+        ` operations in ${results.filter((r) => r.success).length}` +
+        `/${chunks.length} batches` +
+        (summary.failedOperations > 0 ?
+          `, ${summary.failedOperations} operations failed` :
+          ""),
+    );
+  }
+
+  return {...summary, chunks: results};
+}
+
+/**
+ * Walks a query page by page using cursors, stopping after `maxPages` so a
+ * scheduled run stays within its time limit. Documents the handler moves out
+ * of the query's result set are simply not seen again, so a large backlog
+ * drains over successive runs.
+ * @param {FirebaseFirestore.Query} query - The query to page through
+ * @param {Function} handler - Called with each page of documents and the
+ *   page index; may be async
+ * @param {Object} options - Optional settings
+ * @param {number} options.pageSize - Documents per page
+ * @param {number} options.maxPages - Pages to process before stopping
+ * @param {*} options.startAfter - Cursor to resume from: a document, or an
+ *   array of the values the query is ordered by
+ * @return {Promise<Object>} {pages, documents, exhausted, last}, where last
+ *   is the last document handled, to resume from on a later run
+ */
+async function forEachPage(query, handler, options = {}) {
+  const {pageSize = 200, maxPages = 10} = options;
+  let cursor = options.startAfter || null;
+  let last = null;
+  let pages = 0;
+  let documents = 0;
+
+  while (pages < maxPages) {
+    let pageQuery = query.limit(pageSize);
+    if (cursor) {
+      pageQuery = Array.isArray(cursor) ?
+        pageQuery.startAfter(...cursor) :
+        pageQuery.startAfter(cursor);
+    }
+
+    const snapshot = await pageQuery.get();
+    if (snapshot.empty) {
+      return {pages, documents, exhausted: true, last};
+    }
+
+    await handler(snapshot.docs, pages);
+    pages++;
+    documents += snapshot.size;
+    last = snapshot.docs[snapshot.docs.length - 1];
+
+    if (snapshot.size < pageSize) {
+      return {pages, documents, exhausted: true, last};
+    }
+
+    cursor = last;
+  }
+
+  return {pages, documents, exhausted: false, last};
+}
+
+module.exports = {
+  MAX_BATCH_SIZE,
+  commitInChunks,
+  forEachPage,
+};
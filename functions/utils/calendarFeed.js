@@ -0,0 +1,224 @@
+const crypto = require("crypto");
+const {toDate} = require("./dateFormat");
+
+// Domain in every UID, so feed entries never collide with other calendars'
+const UID_DOMAIN = "nestnoteapp.com";
+
+// How often calendar apps are asked to refresh the feed
+const REFRESH_INTERVAL = "PT1H";
+
+// Bytes of randomness in a feed token
+const TOKEN_BYTES = 32;
+
+// Session statuses that put a session in the feed
+const FEED_STATUSES = ["upcoming", "inProgress", "extended"];
+
+/**
+ * Makes a new secret token for a user's feed URL. Only its hash is stored.
+ * @return {Object} {token, tokenHash}
+ */
+function createFeedToken() {
+  const token = crypto.randomBytes(TOKEN_BYTES).toString("base64url");
+  return {token, tokenHash: hashFeedToken(token)};
+}
+
+/**
+ * Hashes a feed token for storage
+ * @param {string} token - The token
+ * @return {string} The hex SHA-256
+ */
+function hashFeedToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+/**
+ * Checks a token from a feed URL against the stored hash in constant time
+ * @param {string} token - The token from the URL
+ * @param {string} tokenHash - The stored hash
+ * @return {boolean} Whether they match
+ */
+function isFeedToken(token, tokenHash) {
+  if (!token || typeof tokenHash !== "string") return false;
+  const expected = Buffer.from(tokenHash, "hex");
+  const actual = Buffer.from(hashFeedToken(token), "hex");
+  return expected.length === actual.length &&
+    crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Reads the user and token out of a feed request path, `/{uid}/{token}.ics`
+ * @param {string} path - The request path
+ * @return {Object|null} {uid, token}, or null if it isn't a feed path
+ */
+function parseFeedPath(path) {
+  const match = /^\/([A-Za-z0-9_-]{1,128})\/([A-Za-z0-9_-]{16,128})(?:\.ics)?$/
+      .exec(String(path || ""));
+  return match ? {uid: match[1], token: match[2]} : null;
+}
+
+/**
+ * Tells whether a session belongs in the feed: not finished, and not ended
+ * unless it's still running
+ * @param {Object} sessionData - The session
+ * @param {Date} now - The current time
+ * @return {boolean} Whether to list it
+ */
+function isFeedSession(sessionData, now) {
+  if (!FEED_STATUSES.includes(sessionData.status || "upcoming")) return false;
+  if (sessionData.status !== "upcoming") return true;
+  const endDate = toDate(sessionData.endDate);
+  return !endDate || endDate.getTime() > now.getTime();
+}
+
+/**
+ * Escapes a TEXT value (RFC 5545 section 3.3.11)
+ * @param {*} value - The value
+ * @return {string} The escaped text
+ */
+function escapeText(value) {
+  return String(value === null || value === undefined ? "" : value)
+      .replace(/\\/g, "\\\\")
+      .replace(/;/g, "\\;")
+      .replace(/,/g, "\\,")
+      .replace(/\r?\n/g, "\\n");
+}
+
+/**
+ * Formats an instant as a UTC DATE-TIME, e.g. 20260314T170000Z
+ * @param {Date} date - The instant
+ * @return {string} The value
+ */
+function formatUtc(date) {
+  return date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+/**
+ * Folds a content line to 75 octets, continuing on lines that start with a
+ * space, without splitting a UTF-8 character
+ * @param {string} line - The unfolded line
+ * @return {string} The folded line
+ */
+function foldLine(line) {
+  const parts = [];
+  let current = "";
+  let octets = 0;
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    const limit = parts.length === 0 ? 75 : 74;
+    if (octets + size > limit) {
+      parts.push(current);
+      current = "";
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+}
+
+/**
+ * Builds the calendar entry for a session. Its UID only depends on the
+ * session ID, so calendar apps replace the entry when the session changes.
+ * @param {Object} sessionData - The session, with its `id` and `nestID`
+ * @param {Object} options - {role: "owner" or "sitter", nestName}
+ * @return {Object} A feed item for buildCalendar
+ */
+function sessionItem(sessionData, {role, nestName}) {
+  const sitter = sessionData.assignedSitter;
+  const description = role === "sitter" ?
+    `Sitting for ${nestName || "a NestNote family"}` :
+    `Sitter: ${(sitter && sitter.name) || "not assigned yet"}`;
+
+  return {
+    uid: `session-${sessionData.id}@${UID_DOMAIN}`,
+    title: sessionData.title || "NestNote session",
+    startDate: toDate(sessionData.startDate),
+    endDate: toDate(sessionData.endDate),
+    location: sessionData.location || null,
+    description,
+    updatedAt: toDate(sessionData.updatedAt),
+    status: "CONFIRMED",
+  };
+}
+
+/**
+ * Builds the calendar entry for one of a session's events
+ * @param {Object} sessionData - The session the event belongs to
+ * @param {Object} event - The SessionEvent, with its `id`
+ * @param {Object|null} place - The event's place entry, if it has one
+ * @return {Object} A feed item for buildCalendar
+ */
+function eventItem(sessionData, event, place) {
+  const location = place ?
+    [place.alias || place.title, place.address].filter(Boolean).join(", ") :
+    null;
+
+  return {
+    uid: `event-${sessionData.id}-${event.id}@${UID_DOMAIN}`,
+    title: event.title || "Event",
+    startDate: toDate(event.startDate),
+    endDate: toDate(event.endDate),
+    location: location || null,
+    description: `Part of "${sessionData.title || "NestNote session"}"`,
+    updatedAt: toDate(event.updatedAt),
+    status: "CONFIRMED",
+  };
+}
+
+/**
+ * Renders feed items as an iCalendar document
+ * @param {Array<Object>} items - From sessionItem and eventItem
+ * @param {Object} options - {name, now}
+ * @return {string} The .ics document
+ */
+function buildCalendar(items, {name, now}) {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//NestNote//Sessions//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(name)}`,
+    `REFRESH-INTERVAL;VALUE=DURATION:${REFRESH_INTERVAL}`,
+    `X-PUBLISHED-TTL:${REFRESH_INTERVAL}`,
+  ];
+
+  items.filter((item) => item.startDate)
+      .sort((a, b) => a.startDate - b.startDate)
+      .forEach((item) => {
+        const endDate = item.endDate && item.endDate > item.startDate ?
+          item.endDate :
+          item.startDate;
+        lines.push(
+            "BEGIN:VEVENT",
+            `UID:${item.uid}`,
+            `DTSTAMP:${formatUtc(now)}`,
+            `DTSTART:${formatUtc(item.startDate)}`,
+            `DTEND:${formatUtc(endDate)}`,
+            `SUMMARY:${escapeText(item.title)}`,
+        );
+        if (item.location) lines.push(`LOCATION:${escapeText(item.location)}`);
+        if (item.description) {
+          lines.push(`DESCRIPTION:${escapeText(item.description)}`);
+        }
+        if (item.updatedAt) {
+          lines.push(`LAST-MODIFIED:${formatUtc(item.updatedAt)}`);
+        }
+        lines.push(`STATUS:${item.status}`, "END:VEVENT");
+      });
+
+  lines.push("END:VCALENDAR");
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
+
+module.exports = {
+  buildCalendar,
+  createFeedToken,
+  eventItem,
+  isFeedSession,
+  isFeedToken,
+  parseFeedPath,
+  sessionItem,
+};
@@ -0,0 +1,100 @@
+const {HttpsError} = require("firebase-functions/v2/https");
+const {logger} = require("firebase-functions");
+
+/**
+ * Whether the code is running inside the Firebase emulator suite
+ * @return {boolean} True under `firebase emulators:*`
+ */
+function isEmulator() {
+  return process.env.FUNCTIONS_EMULATOR === "true";
+}
+
+/**
+ * Checks a callable request against an access level before its handler runs.
+ *
+ * - "user": any signed-in Firebase Auth user
+ * - "admin": a signed-in user whose ID token carries the `admin: true`
+ *   custom claim
+ *
+ * When `appCheck` is true the request must also carry a valid App Check
+ * token; the callable SDK has already verified it by the time we get here.
+ * @param {Object} request - The callable request
+ * @param {Object} options - {access, appCheck}
+ * @return {Object} The caller's request.auth
+ */
+function authorizeCall(request, {access = "user", appCheck = false} = {}) {
+  if (appCheck && !request.app) {
+    throw new HttpsError(
+        "unauthenticated",
+        "This request did not come from a verified app",
+        {reason: "app-check"},
+    );
+  }
+
+  if (!request.auth) {
+    throw new HttpsError(
+        "unauthenticated",
+        "You must be signed in to do this",
+        {reason: "signed-out"},
+    );
+  }
+
+  if (access === "admin" && request.auth.token.admin !== true) {
+    logger.warn(`Denied admin-only call from ${request.auth.uid}`);
+    throw new HttpsError(
+        "permission-denied",
+        "Only NestNote admins can do this",
+        {reason: "not-admin"},
+    );
+  }
+
+  return request.auth;
+}
+
+/**
+ * The HTTPS-function counterpart of authorizeCall. The caller sends their
+ * Firebase ID token as `Authorization: Bearer <token>`, and the same access
+ * levels and error reasons apply.
+ * @param {Object} req - The Express request
+ * @param {Object} auth - The firebase-admin Auth client
+ * @param {Object} options - {access}
+ * @return {Promise<Object>} The caller's decoded ID token
+ */
+async function authorizeHttpRequest(req, auth, {access = "user"} = {}) {
+  const header = req.get("Authorization") || "";
+  const match = header.match(/^Bearer\s+(.+)$/i);
+
+  let token = null;
+  if (match) {
+    try {
+      token = await auth.verifyIdToken(match[1]);
+    } catch (error) {
+      logger.warn(`Rejected ID token: ${error.message}`);
+    }
+  }
+
+  if (!token) {
+    throw new HttpsError(
+        "unauthenticated",
+        "You must be signed in to do this",
+        {reason: "signed-out"},
+    );
+  }
+
+  if (access === "admin" && token.admin !== true) {
+    logger.warn(`Denied admin-only request from ${token.uid}`);
+    throw new HttpsError(
+        "permission-denied",
+        "Only NestNote admins can do this",
+        {reason: "not-admin"},
+    );
+  }
+
+  return token;
+}
+
+module.exports = {
+  authorizeCall,
+  authorizeHttpRequest,
+  isEmulator,
+};
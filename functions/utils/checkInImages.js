@@ -0,0 +1,190 @@
+const crypto = require("crypto");
+const path = require("path");
+
+// Longest edge of each generated thumbnail, in pixels
+const THUMBNAIL_SIZES = {
+  small: 200,
+  medium: 800,
+};
+
+/**
+ * Works out which Storage object an image URL points at. Accepts Firebase
+ * download URLs, gs:// URLs, public storage.googleapis.com URLs and bare
+ * object paths (which live in the default bucket).
+ * @param {string} imageURL - The URL stored on the check-in
+ * @param {string} defaultBucket - The project's default bucket name
+ * @return {Object|null} {bucket, name}, or null if it isn't ours
+ */
+function parseStorageLocation(imageURL, defaultBucket) {
+  if (!imageURL || typeof imageURL !== "string") return null;
+
+  if (imageURL.startsWith("gs://")) {
+    const [bucket, ...rest] = imageURL.slice(5).split("/");
+    return rest.length > 0 ? {bucket, name: rest.join("/")} : null;
+  }
+
+  let url;
+  try {
+    url = new URL(imageURL);
+  } catch (error) {
+    // Not a URL, so treat it as a path in the default bucket
+    return {bucket: defaultBucket, name: imageURL.replace(/^\/+/, "")};
+  }
+
+  if (url.hostname === "firebasestorage.googleapis.com") {
+    const match = url.pathname.match(/^\/v0\/b\/([^/]+)\/o\/(.+)$/);
+    return match ?
+      {bucket: match[1], name: decodeURIComponent(match[2])} :
+      null;
+  }
+
+  if (url.hostname === "storage.googleapis.com") {
+    const [, bucket, ...rest] = url.pathname.split("/");
+    return bucket && rest.length > 0 ?
+      {bucket, name: decodeURIComponent(rest.join("/"))} :
+      null;
+  }
+
+  return null;
+}
+
+/**
+ * Resolves an image URL to an object in the default bucket under a given
+ * prefix. Anything else is refused, so a check-in can't point the backend at
+ * some other file and have it copied or deleted.
+ * @param {Object} storage - The firebase-admin Storage client
+ * @param {string} imageURL - The URL stored on the check-in
+ * @param {string} allowedPrefix - Object path prefix the image must live under
+ * @return {Object|null} {bucket, name}, or null if refused
+ */
+function resolveOwnImage(storage, imageURL, allowedPrefix) {
+  const defaultBucket = storage.bucket().name;
+  const location = parseStorageLocation(imageURL, defaultBucket);
+
+  if (!location || location.bucket !== defaultBucket ||
+      !location.name.startsWith(allowedPrefix) ||
+      location.name.split("/").includes("..")) {
+    return null;
+  }
+  return location;
+}
+
+/**
+ * Builds a Firebase download URL for an object carrying a download token
+ * @param {string} bucket - The bucket name
+ * @param {string} name - The object path
+ * @param {string} token - The object's firebaseStorageDownloadTokens value
+ * @return {string} The download URL
+ */
+function buildDownloadURL(bucket, name, token) {
+  return `https://firebasestorage.googleapis.com/v0/b/${bucket}/o/` +
+    `${encodeURIComponent(name)}?alt=media&token=${token}`;
+}
+
+/**
+ * Resizes an image into JPEG thumbnails. Images are rotated according to
+ * their EXIF orientation and written without any metadata, so location data
+ * in the original never reaches the thumbnails.
+ * @param {Buffer} image - The original image
+ * @param {Object} sizes - Longest edge per thumbnail name
+ * @return {Promise<Object>} {metadata, thumbnails} where thumbnails maps each
+ *   name to {buffer, width, height}
+ */
+async function resizeImage(image, sizes = THUMBNAIL_SIZES) {
+  // Loaded lazily so functions that never touch images don't pay for it
+  const sharp = require("sharp");
+  const metadata = await sharp(image).metadata();
+
+  const thumbnails = {};
+  for (const [name, edge] of Object.entries(sizes)) {
+    const {data, info} = await sharp(image)
+        .rotate()
+        .resize(edge, edge, {fit: "inside", withoutEnlargement: true})
+        .jpeg({quality: 80, mozjpeg: true})
+        .toBuffer({resolveWithObject: true});
+    thumbnails[name] = {buffer: data, width: info.width, height: info.height};
+  }
+
+  return {metadata, thumbnails};
+}
+
+/**
+ * Generates and uploads thumbnails for a check-in photo
+ * @param {Object} options - Settings
+ * @param {Object} options.storage - The firebase-admin Storage client
+ * @param {string} options.imageURL - The check-in's imageURL
+ * @param {string} options.checkInId - Used to name the thumbnails
+ * @param {string} options.allowedPrefix - Where the session's uploads live
+ * @return {Promise<Object|null>} {thumbnails, imageMetadata} to store on the
+ *   check-in, or null if the image isn't one of the session's uploads
+ */
+async function createCheckInThumbnails({
+  storage,
+  imageURL,
+  checkInId,
+  allowedPrefix,
+}) {
+  const location = resolveOwnImage(storage, imageURL, allowedPrefix);
+  if (!location) return null;
+
+  const bucket = storage.bucket(location.bucket);
+  const [original] = await bucket.file(location.name).download();
+  const {metadata, thumbnails} = await resizeImage(original);
+
+  const directory = path.posix.join(
+      path.posix.dirname(location.name), "thumbnails");
+  const stored = {};
+
+  await Promise.all(Object.entries(thumbnails).map(async ([name, thumb]) => {
+    const objectName = `${directory}/${checkInId}_${name}.jpg`;
+    const token = crypto.randomUUID();
+
+    await bucket.file(objectName).save(thumb.buffer, {
+      resumable: false,
+      contentType: "image/jpeg",
+      metadata: {
+        cacheControl: "private, max-age=31536000",
+        metadata: {firebaseStorageDownloadTokens: token},
+      },
+    });
+
+    stored[name] = {
+      path: objectName,
+      url: buildDownloadURL(location.bucket, objectName, token),
+      width: thumb.width,
+      height: thumb.height,
+    };
+  }));
+
+  return {
+    thumbnails: stored,
+    imageMetadata: {
+      originalSize: {width: metadata.width, height: metadata.height},
+      fileSize: original.length,
+      format: metadata.format,
+    },
+  };
+}
+
+/**
+ * Deletes an uploaded check-in image, if it is one of the session's uploads
+ * @param {Object} options - {storage, imageURL, allowedPrefix}
+ * @return {Promise<boolean>} Whether an object was targeted
+ */
+async function deleteCheckInImage({storage, imageURL, allowedPrefix}) {
+  const location = resolveOwnImage(storage, imageURL, allowedPrefix);
+  if (!location) return false;
+
+  await storage.bucket(location.bucket)
+      .file(location.name)
+      .delete({ignoreNotFound: true});
+  return true;
+}
+
+module.exports = {
+  THUMBNAIL_SIZES,
+  createCheckInThumbnails,
+  deleteCheckInImage,
+  parseStorageLocation,
+  resizeImage,
+};
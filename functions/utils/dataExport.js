@@ -0,0 +1,298 @@
+const zlib = require("zlib");
+const {toCsv} = require("./surveyExport");
+
+// Sections of an export, in the order they appear in the archive
+const EXPORT_SECTIONS = [
+  "profile",
+  "nests",
+  "entries",
+  "places",
+  "routines",
+  "categories",
+  "sessions",
+  "archivedSessions",
+  "sitterSessions",
+  "archivedSitterSessions",
+  "surveyResponses",
+  "featureVotes",
+  "referrals",
+];
+
+// Profile fields left out of exports: device push tokens are credentials,
+// not information about the user
+const OMITTED_PROFILE_FIELDS = ["fcmTokens"];
+
+// Names of the files inside the archive
+const JSON_FILE = "nestnote-data.json";
+const CSV_DIRECTORY = "csv";
+
+/**
+ * Converts a Firestore value into plain JSON: Timestamps become ISO strings,
+ * document references their paths and bytes base64
+ * @param {*} value - A field value
+ * @return {*} The JSON-safe value
+ */
+function toExportValue(value) {
+  if (value === null || value === undefined) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (Buffer.isBuffer(value) || value instanceof Uint8Array) {
+    return Buffer.from(value).toString("base64");
+  }
+  if (Array.isArray(value)) return value.map(toExportValue);
+  if (typeof value !== "object") return value;
+
+  if (typeof value.toDate === "function") {
+    return value.toDate().toISOString();
+  }
+  if (typeof value.path === "string" && value.firestore) return value.path;
+  if (typeof value.toBase64 === "function") return value.toBase64();
+
+  const result = {};
+  Object.keys(value).forEach((key) => {
+    result[key] = toExportValue(value[key]);
+  });
+  return result;
+}
+
+/**
+ * Turns a document into an export record with its ID first
+ * @param {FirebaseFirestore.DocumentSnapshot} doc - The document
+ * @param {Array<string>} omit - Fields to leave out
+ * @return {Object} The record
+ */
+function toRecord(doc, omit = []) {
+  const data = {...doc.data()};
+  omit.forEach((field) => delete data[field]);
+  return toExportValue({id: doc.id, ...data});
+}
+
+/**
+ * Gathers everything NestNote holds on a user, section by section
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} uid - The user ID
+ * @return {Promise<Object>} Arrays of records keyed by EXPORT_SECTIONS
+ */
+async function collectUserData(db, uid) {
+  const data = {};
+  EXPORT_SECTIONS.forEach((section) => {
+    data[section] = [];
+  });
+
+  const userRef = db.collection("users").doc(uid);
+  const userDoc = await userRef.get();
+  const profile = userDoc.exists ? userDoc.data() : {};
+  if (userDoc.exists) {
+    data.profile.push(toRecord(userDoc, OMITTED_PROFILE_FIELDS));
+  }
+
+  const nestIds = new Set();
+  const roles = profile.roles || {};
+  if (roles.ownedNestId) nestIds.add(roles.ownedNestId);
+  const owned = await db.collection("nests").where("ownerId", "==", uid).get();
+  owned.docs.forEach((doc) => nestIds.add(doc.id));
+
+  for (const nestId of nestIds) {
+    const nestRef = db.collection("nests").doc(nestId);
+    const nestDoc = await nestRef.get();
+    // Only nests the user owns; they see other nests as a sitter
+    if (!nestDoc.exists || (nestDoc.data().ownerId &&
+        nestDoc.data().ownerId !== uid)) {
+      continue;
+    }
+
+    data.nests.push(toRecord(nestDoc));
+    const [entries, categories, sessions, archivedSessions] =
+      await Promise.all([
+        nestRef.collection("entries").get(),
+        nestRef.collection("nestCategories").get(),
+        nestRef.collection("sessions").get(),
+        nestRef.collection("archivedSessions").get(),
+      ]);
+
+    entries.docs.forEach((doc) => {
+      const type = doc.data().type;
+      const section = type === "place" ? "places" :
+        type === "routine" ? "routines" :
+        "entries";
+      data[section].push({nestId, ...toRecord(doc)});
+    });
+    categories.docs.forEach((doc) =>
+      data.categories.push({nestId, ...toRecord(doc)}));
+    sessions.docs.forEach((doc) =>
+      data.sessions.push({nestId, ...toRecord(doc)}));
+    archivedSessions.docs.forEach((doc) =>
+      data.archivedSessions.push({nestId, ...toRecord(doc)}));
+  }
+
+  const [
+    sitterSessions,
+    archivedSitterSessions,
+    surveyResponses,
+    featureVotes,
+    referral,
+  ] = await Promise.all([
+    userRef.collection("sitterSessions").get(),
+    userRef.collection("archivedSitterSessions").get(),
+    db.collection("surveyData/surveyResponses/responses")
+        .where("metadata.userId", "==", uid).get(),
+    db.collection("surveyData/featureVotes/votes")
+        .where("userId", "==", uid).get(),
+    db.collection("referrals").doc(uid).get(),
+  ]);
+
+  data.sitterSessions = sitterSessions.docs.map((doc) => toRecord(doc));
+  data.archivedSitterSessions =
+    archivedSitterSessions.docs.map((doc) => toRecord(doc));
+  data.surveyResponses = surveyResponses.docs.map((doc) => toRecord(doc));
+  data.featureVotes = featureVotes.docs.map((doc) => toRecord(doc));
+  if (referral.exists) data.referrals.push(toRecord(referral));
+
+  return data;
+}
+
+/**
+ * Flattens a record into CSV cells. Nested objects become dotted columns
+ * (`personalInfo.name`) and arrays are written as JSON.
+ * @param {Object} record - The export record
+ * @param {string} prefix - The column prefix for nested objects
+ * @param {Object} row - The row being built
+ * @return {Object} The row
+ */
+function flattenRecord(record, prefix = "", row = {}) {
+  Object.keys(record).forEach((key) => {
+    const value = record[key];
+    const column = prefix + key;
+    if (Array.isArray(value)) {
+      row[column] = value.length > 0 ? JSON.stringify(value) : "";
+    } else if (value && typeof value === "object") {
+      flattenRecord(value, `${column}.`, row);
+    } else {
+      row[column] = value;
+    }
+  });
+  return row;
+}
+
+/**
+ * Renders one section as CSV, with a column for every field any of its
+ * records has
+ * @param {Array<Object>} records - The section's records
+ * @return {string} The CSV document
+ */
+function sectionToCsv(records) {
+  const rows = records.map((record) => flattenRecord(record));
+  const columns = new Set(["id"]);
+  rows.forEach((row) => Object.keys(row).forEach((key) => columns.add(key)));
+  return toCsv(rows, [...columns]);
+}
+
+/**
+ * Packs files into a ZIP archive
+ * @param {Array<Object>} files - {name, content} with string or Buffer content
+ * @param {Date} modifiedAt - The modification time stored for every file
+ * @return {Buffer} The archive
+ */
+function createZip(files, modifiedAt) {
+  const dosTime = (modifiedAt.getUTCHours() << 11) |
+    (modifiedAt.getUTCMinutes() << 5) | (modifiedAt.getUTCSeconds() >> 1);
+  const year = Math.max(modifiedAt.getUTCFullYear(), 1980) - 1980;
+  const dosDate = (year << 9) | ((modifiedAt.getUTCMonth() + 1) << 5) |
+    modifiedAt.getUTCDate();
+
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  files.forEach((file) => {
+    const name = Buffer.from(file.name, "utf8");
+    const content = Buffer.from(file.content);
+    const compressed = zlib.deflateRawSync(content);
+    const crc = zlib.crc32(content);
+
+    // Version 2.0, UTF-8 names (bit 11), deflate
+    const fields = (header, at) => {
+      header.writeUInt16LE(0x0800, at);
+      header.writeUInt16LE(8, at + 2);
+      header.writeUInt16LE(dosTime, at + 4);
+      header.writeUInt16LE(dosDate, at + 6);
+      header.writeUInt32LE(crc, at + 8);
+      header.writeUInt32LE(compressed.length, at + 12);
+      header.writeUInt32LE(content.length, at + 16);
+      header.writeUInt16LE(name.length, at + 20);
+    };
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    fields(local, 6);
+    localParts.push(local, name, compressed);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    fields(central, 8);
+    central.writeUInt32LE(offset, 42);
+    centralParts.push(central, name);
+
+    offset += local.length + name.length + compressed.length;
+  });
+
+  const centralDirectory = Buffer.concat(centralParts);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...localParts, centralDirectory, end]);
+}
+
+/**
+ * Builds the archive a user downloads: the whole export as one JSON file,
+ * plus a CSV per section for spreadsheets
+ * @param {string} uid - The user ID
+ * @param {Object} data - The sections from collectUserData
+ * @param {Date} generatedAt - When the export was made
+ * @return {Buffer} The ZIP archive
+ */
+function buildExportArchive(uid, data, generatedAt) {
+  const document = {
+    exportedAt: generatedAt.toISOString(),
+    userId: uid,
+  };
+  EXPORT_SECTIONS.forEach((section) => {
+    document[section] = data[section] || [];
+  });
+
+  return createZip([
+    {name: JSON_FILE, content: JSON.stringify(document, null, 2)},
+    ...EXPORT_SECTIONS.map((section) => ({
+      name: `${CSV_DIRECTORY}/${section}.csv`,
+      content: sectionToCsv(data[section] || []),
+    })),
+  ], generatedAt);
+}
+
+/**
+ * Counts the records in each section, for the export's status document
+ * @param {Object} data - The sections from collectUserData
+ * @return {Object} Counts keyed by section
+ */
+function countRecords(data) {
+  const counts = {};
+  EXPORT_SECTIONS.forEach((section) => {
+    counts[section] = (data[section] || []).length;
+  });
+  return counts;
+}
+
+module.exports = {
+  EXPORT_SECTIONS,
+  buildExportArchive,
+  collectUserData,
+  countRecords,
+  flattenRecord,
+  toExportValue,
+};
@@ -0,0 +1,193 @@
+// Used when neither the recipient nor the session names a valid zone
+const FALLBACK_TIME_ZONE = "UTC";
+
+/**
+ * Converts a Firestore Timestamp, Date or millisecond value to a Date
+ * @param {*} value - The value to convert
+ * @return {Date|null} The date, or null if missing
+ */
+function toDate(value) {
+  if (!value) return null;
+  if (typeof value.toDate === "function") return value.toDate();
+  return new Date(value);
+}
+
+/**
+ * Checks whether a string is an IANA time zone the runtime knows about
+ * @param {string} timeZone - The zone name, e.g. "America/Chicago"
+ * @return {boolean} Whether it can be used for formatting
+ */
+function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== "string") {
+    return false;
+  }
+  try {
+    new Intl.DateTimeFormat("en-US", {timeZone}).format(0);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Picks the first valid time zone from most to least specific
+ * @param {...string} candidates - Zone names, any of which may be missing
+ * @return {string} A usable IANA time zone
+ */
+function resolveTimeZone(...candidates) {
+  return candidates.find(isValidTimeZone) || FALLBACK_TIME_ZONE;
+}
+
+/**
+ * Formats a calendar date in a zone, e.g. "Sat, Mar 14, 2026"
+ * @param {Date} date - The instant to format
+ * @param {Object} options - {locale, timeZone}
+ * @return {string} The formatted date
+ */
+function formatDate(date, {locale, timeZone}) {
+  return new Intl.DateTimeFormat(locale, {
+    timeZone,
+    weekday: "short",
+    month: "short",
+    day: "numeric",
+    year: "numeric",
+  }).format(date);
+}
+
+/**
+ * Formats the month an instant falls in, e.g. "March 2026"
+ * @param {Date} date - An instant in the month
+ * @param {Object} options - {locale, timeZone}
+ * @return {string} The formatted month
+ */
+function formatMonth(date, {locale, timeZone}) {
+  return new Intl.DateTimeFormat(locale, {
+    timeZone,
+    month: "long",
+    year: "numeric",
+  }).format(date);
+}
+
+/**
+ * Formats a wall-clock time in a zone with the zone's abbreviation for that
+ * instant, so times either side of a DST change read e.g. "EST" and "EDT"
+ * @param {Date} date - The instant to format
+ * @param {Object} options - {locale, timeZone}
+ * @return {string} The formatted time, e.g. "6:00 PM EDT"
+ */
+function formatTime(date, {locale, timeZone}) {
+  return new Intl.DateTimeFormat(locale, {
+    timeZone,
+    hour: "numeric",
+    minute: "2-digit",
+    timeZoneName: "short",
+  }).format(date);
+}
+
+/**
+ * Formats a date and time together, e.g. "Sat, Mar 14, 2026, 6:00 PM EDT"
+ * @param {Date} date - The instant to format
+ * @param {Object} options - {locale, timeZone}
+ * @return {string} The formatted date and time
+ */
+function formatDateTime(date, {locale, timeZone}) {
+  return new Intl.DateTimeFormat(locale, {
+    timeZone,
+    weekday: "short",
+    month: "short",
+    day: "numeric",
+    year: "numeric",
+    hour: "numeric",
+    minute: "2-digit",
+    timeZoneName: "short",
+  }).format(date);
+}
+
+/**
+ * Names the calendar day an instant falls on in a zone
+ * @param {Date} date - The instant
+ * @param {string} timeZone - The zone to read the date in
+ * @return {string} The local date as "YYYY-MM-DD"
+ */
+function localDateKey(date, timeZone) {
+  return new Intl.DateTimeFormat("en-CA", {
+    timeZone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+  }).format(date);
+}
+
+/**
+ * Checks whether two instants fall on the same calendar day in a zone
+ * @param {Date} a - The first instant
+ * @param {Date} b - The second instant
+ * @param {string} timeZone - The zone to compare in
+ * @return {boolean} Whether they share a local date
+ */
+function isSameDay(a, b, timeZone) {
+  return localDateKey(a, timeZone) === localDateKey(b, timeZone);
+}
+
+/**
+ * How far a zone's wall clock is ahead of UTC at an instant
+ * @param {Date} date - The instant
+ * @param {string} timeZone - The zone
+ * @return {number} The offset in milliseconds
+ */
+function zoneOffset(date, timeZone) {
+  const parts = {};
+  new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "numeric",
+    day: "numeric",
+    hour: "numeric",
+    minute: "numeric",
+    second: "numeric",
+  }).formatToParts(date).forEach(({type, value}) => {
+    parts[type] = Number(value);
+  });
+
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day,
+      parts.hour, parts.minute, parts.second);
+  return wallClock - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Finds the instant a wall-clock time occurs on a local date in a zone.
+ * Times skipped by a DST change resolve to the equivalent instant after it.
+ * @param {string} dateKey - The local date as "YYYY-MM-DD"
+ * @param {number} hour - Hour of the day, 0-23
+ * @param {number} minute - Minute of the hour
+ * @param {string} timeZone - The zone
+ * @return {Date} The instant
+ */
+function zonedDateTime(dateKey, hour, minute, timeZone) {
+  const [year, month, day] = dateKey.split("-").map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+
+  // The offset can differ between the guess and the answer across DST
+  const guess = wallClock - zoneOffset(new Date(wallClock), timeZone);
+  const offset = zoneOffset(new Date(guess), timeZone);
+  const instant = wallClock - offset;
+
+  // No consistent answer means the time was skipped, so keep the later guess
+  return new Date(
+      zoneOffset(new Date(instant), timeZone) === offset ? instant : guess);
+}
+
+module.exports = {
+  FALLBACK_TIME_ZONE,
+  formatDate,
+  formatDateTime,
+  formatMonth,
+  formatTime,
+  isSameDay,
+  isValidTimeZone,
+  localDateKey,
+  resolveTimeZone,
+  toDate,
+  zonedDateTime,
+};
@@ -0,0 +1,623 @@
+const dateFormat = require("./dateFormat");
+
+const STRINGS = {
+  en: require("../locales/en.json"),
+  es: require("../locales/es.json"),
+};
+
+const DEFAULT_LOCALE = "en";
+
+// Shared look for every email; templates never carry their own styles
+const STYLES = {
+  container: "font-family: Arial, sans-serif; max-width: 600px; " +
+    "margin: 0 auto; padding: 20px;",
+  heading: "color: #333;",
+  paragraph: "color: #333;",
+  panel: "background-color: #f9f9f9; padding: 20px; border-radius: 8px; " +
+    "margin: 20px 0;",
+  panelHeading: "margin-top: 0; color: #555;",
+  list: "list-style: none; padding: 0;",
+  listItem: "margin: 10px 0;",
+  buttonRow: "text-align: center; margin: 30px 0;",
+  button: "background-color: #007AFF; color: white; padding: 12px 24px; " +
+    "text-decoration: none; border-radius: 6px; display: inline-block;",
+  signoff: "color: #666; font-size: 14px;",
+  timelineMeta: "margin-top: 0; color: #666; font-size: 14px;",
+  timelineImage: "display: block; max-width: 100%; border-radius: 6px;",
+};
+
+/**
+ * Escapes a value for use in HTML text or a quoted attribute
+ * @param {*} value - The value to escape
+ * @return {string} The escaped string
+ */
+function escapeHtml(value) {
+  return String(value === null || value === undefined ? "" : value)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(/'/g, "&#39;");
+}
+
+/**
+ * Picks the string table for a locale tag such as "es-MX", falling back to
+ * the language and then to English
+ * @param {string} locale - A BCP 47 locale tag (optional)
+ * @return {string} A key of STRINGS
+ */
+function resolveLocale(locale) {
+  if (!locale || typeof locale !== "string") {
+    return DEFAULT_LOCALE;
+  }
+
+  const normalized = locale.replace(/_/g, "-").toLowerCase();
+  if (STRINGS[normalized]) {
+    return normalized;
+  }
+
+  const language = normalized.split("-")[0];
+  return STRINGS[language] ? language : DEFAULT_LOCALE;
+}
+
+/**
+ * Looks up a dotted key such as "sessionInvite.subject" in a string table
+ * @param {Object} table - The string table
+ * @param {string} key - The dotted key
+ * @return {string|undefined} The string, if present
+ */
+function lookup(table, key) {
+  return key.split(".").reduce((node, part) => {
+    return node && typeof node === "object" ? node[part] : undefined;
+  }, table);
+}
+
+/**
+ * A localized string waiting to be rendered. Its template may use
+ * `{placeholders}` and `**bold**`; its values may be plain strings or other
+ * localized strings.
+ */
+class LocalizedString {
+  /**
+   * @param {string} template - The string from the locale table
+   * @param {Object} values - Placeholder values
+   */
+  constructor(template, values) {
+    this.template = template;
+    this.values = values || {};
+  }
+}
+
+/**
+ * Fills in a template's `{placeholders}`
+ * @param {string} template - The template, already prepared for the output
+ * @param {Object} values - Placeholder values
+ * @param {Function} render - Renders one value for the output
+ * @return {string} The filled-in template
+ */
+function interpolate(template, values, render) {
+  return template.replace(/\{(\w+)\}/g, (match, name) => {
+    if (!(name in values)) {
+      throw new Error(`Missing value for {${name}} in "${template}"`);
+    }
+    return render(values[name]);
+  });
+}
+
+/**
+ * Renders content as plain text
+ * @param {string|LocalizedString} content - The content
+ * @return {string} Plain text
+ */
+function toText(content) {
+  if (content instanceof LocalizedString) {
+    return interpolate(
+        content.template.replace(/\*\*/g, ""), content.values, toText);
+  }
+  return String(content === null || content === undefined ? "" : content);
+}
+
+/**
+ * Renders content as HTML. Plain strings and placeholder values are always
+ * escaped; only markup from the locale table itself becomes tags.
+ * @param {string|LocalizedString} content - The content
+ * @return {string} HTML
+ */
+function toHtml(content) {
+  if (content instanceof LocalizedString) {
+    const template = escapeHtml(content.template)
+        .replace(/\*\*(.+?)\*\*/g, "<strong>$1</strong>")
+        .replace(/\n/g, "<br>");
+    return interpolate(template, content.values, toHtml);
+  }
+  return escapeHtml(toText(content)).replace(/\n/g, "<br>");
+}
+
+/**
+ * Only lets web and mail links into emails
+ * @param {string} href - The link target
+ * @return {string} The link target
+ */
+function checkHref(href) {
+  if (!/^(https?:|mailto:)/i.test(String(href || ""))) {
+    throw new Error(`Refusing to render link with unsupported scheme: ${href}`);
+  }
+  return href;
+}
+
+const blockRenderers = {
+  paragraph: {
+    text: (block) => toText(block.content),
+    html: (block) =>
+      `<p style="${STYLES.paragraph}">${toHtml(block.content)}</p>`,
+  },
+  details: {
+    text: (block) => [
+      toText(block.heading),
+      ...block.items.map((item) =>
+        `- ${toText(item.label)}: ${toText(item.value)}`),
+    ].join("\n"),
+    html: (block) => `<div style="${STYLES.panel}">` +
+      `<h3 style="${STYLES.panelHeading}">${toHtml(block.heading)}</h3>` +
+      `<ul style="${STYLES.list}">` +
+      block.items.map((item) => `<li style="${STYLES.listItem}">` +
+        `<strong>${toHtml(item.label)}:</strong> ${toHtml(item.value)}</li>`)
+          .join("") +
+      "</ul></div>",
+  },
+  button: {
+    text: (block) => `${toText(block.intro)}\n${checkHref(block.href)}`,
+    html: (block) => `<div style="${STYLES.buttonRow}">` +
+      `<a href="${escapeHtml(checkHref(block.href))}" ` +
+      `style="${STYLES.button}">${toHtml(block.label)}</a></div>`,
+  },
+  timeline: {
+    text: (block) => block.entries.map((entry) =>
+      `- ${toText(entry.meta)}: ${toText(entry.content)}` +
+      (entry.imageUrl ? `\n  ${checkHref(entry.imageUrl)}` : ""))
+        .join("\n"),
+    html: (block) => block.entries.map((entry) =>
+      `<div style="${STYLES.panel}">` +
+      `<p style="${STYLES.timelineMeta}">${toHtml(entry.meta)}</p>` +
+      (entry.imageUrl ?
+        `<img src="${escapeHtml(checkHref(entry.imageUrl))}" alt="" ` +
+        `style="${STYLES.timelineImage}">` :
+        "") +
+      `<p style="${STYLES.paragraph}">${toHtml(entry.content)}</p></div>`)
+        .join(""),
+  },
+  signoff: {
+    text: (block) => toText(block.content),
+    html: (block) =>
+      `<p style="${STYLES.signoff}">${toHtml(block.content)}</p>`,
+  },
+};
+
+/**
+ * Wraps rendered blocks in the shared layout
+ * @param {string} lang - The document language
+ * @param {string} heading - The rendered heading
+ * @param {string} body - The rendered blocks
+ * @return {string} The complete HTML document
+ */
+function renderLayout(lang, heading, body) {
+  return "<!DOCTYPE html>" +
+    `<html lang="${escapeHtml(lang)}"><head><meta charset="utf-8"></head>` +
+    `<body><div style="${STYLES.container}">` +
+    `<h2 style="${STYLES.heading}">${heading}</h2>` +
+    body +
+    "</div></body></html>";
+}
+
+/**
+ * Builds the helpers templates use to produce localized content
+ * @param {string} locale - The recipient's locale tag
+ * @param {string} timeZone - The recipient's IANA time zone
+ * @return {Object} {locale, timeZone, t, formatDate, formatTime,
+ *   formatDateTime, isSameDay}
+ */
+function createContext(locale, timeZone) {
+  const resolved = resolveLocale(locale);
+  const table = STRINGS[resolved];
+  const zone = dateFormat.resolveTimeZone(timeZone);
+
+  // Keep regional date conventions (e.g. en-GB) even without a table for them
+  let formatLocale = resolved;
+  if (typeof locale === "string" && locale) {
+    try {
+      formatLocale = Intl.DateTimeFormat.supportedLocalesOf(
+          [locale.replace(/_/g, "-")])[0] || resolved;
+    } catch (error) {
+      // Not a valid tag, so use the table's language
+    }
+  }
+  const formatOptions = {locale: formatLocale, timeZone: zone};
+
+  return {
+    locale: resolved,
+    timeZone: zone,
+    t(key, values) {
+      const template = lookup(table, key) ||
+        lookup(STRINGS[DEFAULT_LOCALE], key);
+      if (typeof template !== "string") {
+        throw new Error(`Unknown email string: ${key}`);
+      }
+      return new LocalizedString(template, values);
+    },
+    formatDate: (date) => dateFormat.formatDate(date, formatOptions),
+    formatTime: (date) => dateFormat.formatTime(date, formatOptions),
+    formatDateTime: (date) => dateFormat.formatDateTime(date, formatOptions),
+    formatMonth: (date) => dateFormat.formatMonth(date, formatOptions),
+    isSameDay: (a, b) => dateFormat.isSameDay(a, b, zone),
+  };
+}
+
+/**
+ * Detail rows for when a session happens. A session within one local day
+ * gets a date and a time range; a multi-day one gets its start and end in
+ * full, each with the zone abbreviation in effect at that moment.
+ * @param {Object} context - The template context
+ * @param {Date} startDate - Session start
+ * @param {Date} endDate - Session end
+ * @return {Array<Object>} Rows for a details block
+ */
+function scheduleItems(context, startDate, endDate) {
+  const {t, formatDate, formatTime, formatDateTime, isSameDay} = context;
+
+  if (!startDate) {
+    return [];
+  }
+  if (!endDate) {
+    return [{label: t("common.starts"), value: formatDateTime(startDate)}];
+  }
+  if (isSameDay(startDate, endDate)) {
+    return [
+      {label: t("common.date"), value: formatDate(startDate)},
+      {
+        label: t("common.time"),
+        value: `${formatTime(startDate)} - ${formatTime(endDate)}`,
+      },
+    ];
+  }
+  return [
+    {label: t("common.starts"), value: formatDateTime(startDate)},
+    {label: t("common.ends"), value: formatDateTime(endDate)},
+  ];
+}
+
+// sessionUpdate labels for each way an event can change
+const EVENT_CHANGE_LABELS = {
+  added: "sessionUpdate.eventAdded",
+  updated: "sessionUpdate.eventUpdated",
+  removed: "sessionUpdate.eventRemoved",
+};
+
+/**
+ * Named templates. Each receives the caller's values and the locale context
+ * and returns {subject, heading, blocks}.
+ */
+const TEMPLATES = {
+  sessionInvite(values, context) {
+    const {t} = context;
+
+    return {
+      subject: t("sessionInvite.subject", {nestName: values.nestName}),
+      heading: t("sessionInvite.heading"),
+      blocks: [
+        {type: "paragraph", content: t("common.greeting", {
+          name: values.sitterName,
+        })},
+        {type: "paragraph", content: t("sessionInvite.intro", {
+          nestName: values.nestName,
+        })},
+        {type: "details", heading: t("common.sessionDetails"), items: [
+          {label: t("common.title"), value: values.title},
+          ...scheduleItems(context, values.startDate, values.endDate),
+          {
+            label: t("common.location"),
+            value: values.location || t("common.locationInApp"),
+          },
+        ]},
+        {
+          type: "button",
+          intro: t("sessionInvite.linkIntro"),
+          label: t("sessionInvite.accept"),
+          href: values.inviteLink,
+        },
+        {type: "signoff", content: t("common.thanks")},
+      ],
+    };
+  },
+
+  sessionReminder(values, context) {
+    const {t} = context;
+    const isOwner = values.userRole !== "sitter";
+    const timeText = values.hoursUntil <= 1 ?
+      t("sessionReminder.soon") :
+      t("sessionReminder.inHours", {hours: values.hoursUntil});
+
+    return {
+      subject: t("sessionReminder.subject", {title: values.title}),
+      heading: t("sessionReminder.heading"),
+      blocks: [
+        {type: "paragraph", content: t("common.greeting", {
+          name: values.userName,
+        })},
+        {type: "paragraph", content: t(
+            isOwner ? "sessionReminder.introOwner" :
+              "sessionReminder.introSitter",
+            {timeText},
+        )},
+        {type: "details", heading: t("common.sessionDetails"), items: [
+          {label: t("common.title"), value: values.title},
+          ...scheduleItems(context, values.startDate, values.endDate),
+          {
+            label: t("common.location"),
+            value: values.location || t("common.locationInApp"),
+          },
+        ]},
+        {type: "paragraph", content: t(
+            isOwner ? "sessionReminder.closingOwner" :
+              "sessionReminder.closingSitter",
+        )},
+        {type: "signoff", content: t("common.regards")},
+      ],
+    };
+  },
+
+  sessionStatus(values, context) {
+    const {t} = context;
+    const suffix = values.status.charAt(0).toUpperCase() +
+      values.status.slice(1);
+
+    return {
+      subject: t(`sessionStatus.subject${suffix}`, {title: values.title}),
+      heading: t(`sessionStatus.heading${suffix}`),
+      blocks: [
+        {type: "paragraph", content: t("common.greeting", {
+          name: values.userName,
+        })},
+        {type: "paragraph", content: t(`sessionStatus.intro${suffix}`, {
+          title: values.title,
+        })},
+        {type: "details", heading: t("common.sessionDetails"), items: [
+          {label: t("common.title"), value: values.title},
+          ...scheduleItems(context, values.startDate, values.endDate),
+        ]},
+        ...(values.isFallback ?
+          [{type: "signoff", content: t("sessionStatus.pushUnavailable")}] :
+          []),
+        {type: "signoff", content: t("common.thanks")},
+      ],
+    };
+  },
+
+  sessionUpdate(values, context) {
+    const {t, formatDateTime} = context;
+    const items = [];
+
+    values.changes.forEach((change) => {
+      switch (change.field) {
+        case "schedule":
+          items.push(...scheduleItems(context, change.startDate,
+              change.endDate));
+          break;
+        case "title":
+          items.push({label: t("sessionUpdate.title"), value: change.after});
+          break;
+        case "location":
+          items.push({
+            label: t("common.location"),
+            value: change.after || t("sessionUpdate.removed"),
+          });
+          break;
+        case "earlyAccessDuration":
+          items.push({
+            label: t("sessionUpdate.earlyAccess"),
+            value: change.after > 0 ?
+              t("sessionUpdate.hours", {hours: change.after}) :
+              t("sessionUpdate.removed"),
+          });
+          break;
+        case "events":
+          items.push({
+            label: t(EVENT_CHANGE_LABELS[change.action]),
+            value: change.startDate ?
+              `${change.title} (${formatDateTime(change.startDate)})` :
+              change.title,
+          });
+          break;
+      }
+    });
+
+    return {
+      subject: t("sessionUpdate.subject", {title: values.title}),
+      heading: t("sessionUpdate.heading"),
+      blocks: [
+        {type: "paragraph", content: t("common.greeting", {
+          name: values.userName,
+        })},
+        {type: "paragraph", content: t("sessionUpdate.intro", {
+          title: values.title,
+        })},
+        {type: "details", heading: t("sessionUpdate.changes"), items},
+        {type: "paragraph", content: t("sessionUpdate.closing")},
+        {type: "signoff", content: t("common.thanks")},
+      ],
+    };
+  },
+
+  inviteUpdate(values, context) {
+    const {t, formatDateTime} = context;
+    const suffix = values.kind.charAt(0).toUpperCase() + values.kind.slice(1);
+    const sitterName = values.sitterName || t("inviteUpdate.yourSitter");
+    const nestName = values.nestName || t("inviteUpdate.theFamily");
+
+    return {
+      subject: t(`inviteUpdate.subject${suffix}`, {title: values.title}),
+      heading: t(`inviteUpdate.heading${suffix}`),
+      blocks: [
+        {type: "paragraph", content: t("common.greeting", {
+          name: values.userName,
+        })},
+        {type: "paragraph", content: t(`inviteUpdate.intro${suffix}`, {
+          sitterName,
+          nestName,
+          title: values.title,
+          expiresAt: values.expiresAt ? formatDateTime(values.expiresAt) : "",
+        })},
+        {type: "details", heading: t("common.sessionDetails"), items: [
+          {label: t("common.title"), value: values.title},
+          ...scheduleItems(context, values.startDate, values.endDate),
+        ]},
+        {type: "paragraph", content: t(`inviteUpdate.closing${suffix}`)},
+        {type: "signoff", content: t("common.thanks")},
+      ],
+    };
+  },
+
+  sitterRemoved(values, context) {
+    const {t} = context;
+
+    return {
+      subject: t("sitterRemoved.subject", {title: values.title}),
+      heading: t("sitterRemoved.heading"),
+      blocks: [
+        {type: "paragraph", content: t("common.greeting", {
+          name: values.userName,
+        })},
+        {type: "paragraph", content: t("sitterRemoved.intro", {
+          sitterName: values.sitterName || t("sitterRemoved.yourSitter"),
+          title: values.title,
+        })},
+        {type: "details", heading: t("common.sessionDetails"), items: [
+          {label: t("common.title"), value: values.title},
+          ...scheduleItems(context, values.startDate, values.endDate),
+        ]},
+        {type: "paragraph", content: t("sitterRemoved.closing")},
+        {type: "signoff", content: t("common.thanks")},
+      ],
+    };
+  },
+
+  dataExport(values, context) {
+    const {t, formatDateTime} = context;
+
+    return {
+      subject: t("dataExport.subject"),
+      heading: t("dataExport.heading"),
+      blocks: [
+        {type: "paragraph", content: values.userName ?
+          t("common.greeting", {name: values.userName}) :
+          t("dataExport.greeting")},
+        {type: "paragraph", content: t("dataExport.intro")},
+        {
+          type: "button",
+          intro: t("dataExport.linkIntro"),
+          label: t("dataExport.download"),
+          href: values.url,
+        },
+        {type: "paragraph", content: t("dataExport.expires", {
+          expiresAt: formatDateTime(values.expiresAt),
+        })},
+        {type: "paragraph", content: t("dataExport.closing")},
+        {type: "signoff", content: t("common.thanks")},
+      ],
+    };
+  },
+
+  checkInDigest(values, context) {
+    const {t, formatDateTime} = context;
+    const count = values.checkIns.length;
+    const sitter = values.sitterName || t("checkInDigest.yourSitter");
+
+    return {
+      subject: t("checkInDigest.subject", {title: values.title}),
+      heading: t("checkInDigest.heading"),
+      blocks: [
+        {type: "paragraph", content: t("common.greeting", {
+          name: values.userName,
+        })},
+        {type: "paragraph", content: t(
+            count === 1 ? "checkInDigest.introOne" : "checkInDigest.introMany",
+            {sitterName: sitter, count, title: values.title},
+        )},
+        {type: "timeline", entries: values.checkIns.map((checkIn) => ({
+          meta: formatDateTime(checkIn.submittedAt),
+          content: checkIn.caption || t("checkInDigest.noCaption"),
+          imageUrl: checkIn.imageUrl || null,
+        }))},
+        {type: "signoff", content: t("common.thanks")},
+      ],
+    };
+  },
+
+  creatorReport(values, context) {
+    const {t, formatMonth} = context;
+    const month = formatMonth(values.monthStart);
+    const byRole = values.byRole || {};
+
+    return {
+      subject: t("creatorReport.subject", {month}),
+      heading: t("creatorReport.heading"),
+      blocks: [
+        {type: "paragraph", content: t("common.greeting", {
+          name: values.creatorName,
+        })},
+        {type: "paragraph", content: t(
+            values.monthly === 1 ?
+              "creatorReport.introOne" :
+              "creatorReport.introMany",
+            {code: values.code, month, count: values.monthly},
+        )},
+        {type: "details", heading: t("creatorReport.breakdown"), items: [
+          {label: t("creatorReport.nesters"), value: byRole.nester || 0},
+          {label: t("creatorReport.sitters"), value: byRole.sitter || 0},
+          {label: t("creatorReport.allTime"), value: values.allTime},
+        ]},
+        {type: "paragraph", content: t("creatorReport.closing")},
+        {type: "signoff", content: t("common.thanks")},
+      ],
+    };
+  },
+};
+
+/**
+ * Renders a named template into a subject, plain-text body and HTML body
+ * @param {string} name - A key of TEMPLATES
+ * @param {Object} values - The values the template needs
+ * @param {Object} recipient - The recipient's {locale, timeZone} (optional)
+ * @return {Object} {subject, text, html, locale, timeZone}
+ */
+function renderEmail(name, values, recipient = {}) {
+  const template = TEMPLATES[name];
+  if (!template) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+
+  const context = createContext(recipient.locale, recipient.timeZone);
+  const {subject, heading, blocks} = template(values || {}, context);
+
+  const render = (format) => blocks.map((block) => {
+    const renderer = blockRenderers[block.type];
+    if (!renderer) {
+      throw new Error(`Unknown email block type: ${block.type}`);
+    }
+    return renderer[format](block);
+  });
+
+  return {
+    subject: toText(subject),
+    text: render("text").join("\n\n"),
+    html: renderLayout(
+        context.locale, toHtml(heading), render("html").join("")),
+    locale: context.locale,
+    timeZone: context.timeZone,
+  };
+}
+
+module.exports = {
+  escapeHtml,
+  renderEmail,
+  resolveLocale,
+};
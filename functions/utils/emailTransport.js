@@ -0,0 +1,169 @@
+const fs = require("fs");
+const path = require("path");
+const {logger} = require("firebase-functions");
+
+/**
+ * Creates a transport that delivers through SendGrid
+ * @param {Object} config - Transport settings
+ * @param {Object} config.client - The @sendgrid/mail client
+ * @param {function(): string} config.getApiKey - Reads the SendGrid API key;
+ *   called on first send, since secrets are only readable inside a function
+ * @return {Object} The transport ({name, send})
+ */
+function createSendGridTransport({client, getApiKey}) {
+  let initialized = false;
+
+  return {
+    name: "sendgrid",
+    async send(message) {
+      if (!initialized) {
+        const apiKey = getApiKey();
+        if (!apiKey) {
+          logger.error("SendGrid API key not configured");
+          throw new Error("SendGrid API key not configured");
+        }
+        // Trim any whitespace or line breaks from the API key
+        client.setApiKey(apiKey.trim());
+        initialized = true;
+        logger.info("SendGrid initialized successfully");
+      }
+
+      try {
+        const [response] = await client.send(message);
+        return {
+          id: response && response.headers ?
+            response.headers["x-message-id"] || null :
+            null,
+        };
+      } catch (error) {
+        if (error.response) {
+          logger.error(
+              `SendGrid error details: ${JSON.stringify(error.response.body)}`,
+          );
+        }
+        throw error;
+      }
+    },
+  };
+}
+
+/**
+ * Creates a transport that delivers through an SMTP server
+ * @param {Object} config - Transport settings
+ * @param {string} config.host - SMTP host
+ * @param {number} config.port - SMTP port
+ * @param {boolean} config.secure - Whether to connect over TLS
+ * @param {string} config.user - SMTP username (optional)
+ * @param {function(): string} config.getPassword - Reads the SMTP password
+ *   (optional); called on first send, since secrets are only readable inside
+ *   a function
+ * @return {Object} The transport ({name, send})
+ */
+function createSmtpTransport({host, port, secure, user, getPassword}) {
+  if (!host) {
+    throw new Error("SMTP host not configured");
+  }
+
+  // Loaded lazily so deployments that never use SMTP don't pay for it
+  const nodemailer = require("nodemailer");
+  let transporter = null;
+
+  return {
+    name: "smtp",
+    async send(message) {
+      if (!transporter) {
+        transporter = nodemailer.createTransport({
+          host,
+          port: port || (secure ? 465 : 587),
+          secure: Boolean(secure),
+          auth: user ?
+            {user, pass: getPassword ? getPassword() : undefined} :
+            undefined,
+        });
+      }
+
+      const info = await transporter.sendMail(message);
+      return {id: info.messageId || null};
+    },
+  };
+}
+
+/**
+ * Creates a transport that never delivers and instead records each rendered
+ * message, either in a Firestore collection or as files in a local directory
+ * @param {Object} config - Transport settings
+ * @param {FirebaseFirestore.Firestore} config.db - Firestore instance
+ * @param {string} config.collection - Collection to write messages to
+ * @param {string} config.directory - Directory to write messages to instead
+ * @return {Object} The transport ({name, send})
+ */
+function createCaptureTransport({db, collection, directory}) {
+  return {
+    name: "capture",
+    async send(message) {
+      const capturedAt = new Date();
+      const record = {
+        to: message.to,
+        from: message.from,
+        subject: message.subject,
+        text: message.text || null,
+        html: message.html || null,
+      };
+
+      if (directory) {
+        const slug = String(message.subject || "email")
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, "-")
+            .replace(/^-+|-+$/g, "")
+            .slice(0, 50);
+        const baseName = `${capturedAt.getTime()}-${slug || "email"}`;
+
+        await fs.promises.mkdir(directory, {recursive: true});
+        await fs.promises.writeFile(
+            path.join(directory, `${baseName}.json`),
+            JSON.stringify({...record, capturedAt}, null, 2),
+        );
+        if (record.html) {
+          await fs.promises.writeFile(
+              path.join(directory, `${baseName}.html`), record.html);
+        }
+
+        logger.info(`Captured email "${message.subject}" to ${directory}`);
+        return {id: baseName};
+      }
+
+      const ref = await db.collection(collection || "capturedEmails").add({
+        ...record,
+        capturedAt,
+      });
+
+      logger.info(`Captured email "${message.subject}" as ${ref.path}`);
+      return {id: ref.id};
+    },
+  };
+}
+
+/**
+ * Builds the transport named in the configuration
+ * @param {Object} config - {transport, sendgrid, smtp, capture} settings
+ * @return {Object} The transport ({name, send})
+ */
+function createEmailTransport(config) {
+  switch (config.transport) {
+    case "sendgrid":
+      return createSendGridTransport(config.sendgrid);
+    case "smtp":
+      return createSmtpTransport(config.smtp);
+    case "capture":
+      return createCaptureTransport(config.capture);
+    default:
+      throw new Error(`Unknown email transport: ${config.transport}`);
+  }
+}
+
+module.exports = {
+  createCaptureTransport,
+  createEmailTransport,
+  createSendGridTransport,
+  createSmtpTransport,
+};
@@ -0,0 +1,121 @@
+const {isDeepStrictEqual} = require("util");
+const {SubscriptionTier} = require("./subscriptions");
+const {toExportValue} = require("./dataExport");
+const {toDate} = require("./dateFormat");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How much history each tier keeps per entry: at most `maxVersions`, none
+// older than `maxAgeDays`. The newest version of an entry that still exists
+// is always kept.
+const HistoryRetention = {
+  [SubscriptionTier.FREE]: {maxVersions: 10, maxAgeDays: 30},
+  [SubscriptionTier.PRO]: {maxVersions: 100, maxAgeDays: 365},
+};
+
+/**
+ * Compares two states of an entry by content, so Timestamps read back from
+ * Firestore match the ones that were written
+ * @param {Object|null} a - One state, or null if the entry didn't exist
+ * @param {Object|null} b - The other state
+ * @return {boolean} Whether they hold the same data
+ */
+function sameEntry(a, b) {
+  return isDeepStrictEqual(toExportValue(a || null), toExportValue(b || null));
+}
+
+/**
+ * Names the kind of change a write made to an entry
+ * @param {Object|null} before - The entry before the write, if it existed
+ * @param {Object|null} after - The entry after the write, if it exists
+ * @return {string} "created", "updated" or "deleted"
+ */
+function historyAction(before, after) {
+  if (!before) return "created";
+  if (!after) return "deleted";
+  return "updated";
+}
+
+/**
+ * Lists the top-level fields a write changed, ignoring updatedAt, which the
+ * app bumps on every save
+ * @param {Object|null} before - The entry before the write
+ * @param {Object|null} after - The entry after the write
+ * @return {Array<string>} Field names, sorted
+ */
+function changedFields(before, after) {
+  const fields = new Set([
+    ...Object.keys(before || {}),
+    ...Object.keys(after || {}),
+  ]);
+  fields.delete("updatedAt");
+  return [...fields]
+      .filter((field) => !sameEntry(
+          before ? before[field] : null, after ? after[field] : null))
+      .sort();
+}
+
+/**
+ * Builds a history version: the entry as it stood after a change, and who
+ * made it
+ * @param {Object|null} before - The entry before the change
+ * @param {Object|null} after - The entry after the change
+ * @param {Object} options - {version, action, changedBy, changedAt}; action
+ *   defaults to historyAction(before, after)
+ * @return {Object} The version document
+ */
+function buildVersion(before, after, {version, action, changedBy, changedAt}) {
+  const item = after || before || {};
+  return {
+    version,
+    action: action || historyAction(before, after),
+    itemType: item.type || null,
+    title: item.title || item.alias || null,
+    data: after || null,
+    changedFields: changedFields(before, after),
+    changedBy: changedBy || null,
+    changedAt,
+  };
+}
+
+/**
+ * Picks the versions an entry's history no longer keeps
+ * @param {Array<Object>} versions - {id, changedAt}, newest first
+ * @param {string} tier - The nest owner's SubscriptionTier
+ * @param {Date} now - The current time
+ * @param {boolean} keepNewest - Whether the newest version stays however old
+ *   it is
+ * @return {Array<string>} IDs of versions to delete
+ */
+function versionsToPrune(versions, tier, now, keepNewest = true) {
+  const retention = HistoryRetention[tier] ||
+    HistoryRetention[SubscriptionTier.FREE];
+  const oldest = now.getTime() - retention.maxAgeDays * DAY_MS;
+
+  return versions.filter((version, index) => {
+    if (index === 0 && keepNewest) return false;
+    const changedAt = toDate(version.changedAt);
+    return index >= retention.maxVersions ||
+      Boolean(changedAt && changedAt.getTime() < oldest);
+  }).map((version) => version.id);
+}
+
+/**
+ * Converts a stored version for a callable response
+ * @param {string} id - The version document's ID
+ * @param {Object} version - The version document's data
+ * @return {Object} The version, with dates as ISO strings
+ */
+function serializeVersion(id, version) {
+  return toExportValue({id, ...version});
+}
+
+module.exports = {
+  HistoryRetention,
+  buildVersion,
+  changedFields,
+  historyAction,
+  sameEntry,
+  serializeVersion,
+  versionsToPrune,
+};
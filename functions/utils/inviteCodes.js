@@ -0,0 +1,139 @@
+const crypto = require("crypto");
+
+// Invite codes are 6 digits, as typed into the app; stored as invite-{code}
+const INVITE_CODE_MIN = 100000;
+const INVITE_CODE_MAX = 999999;
+
+// Fresh codes to try before giving up on creating an invite
+const MAX_CODE_ATTEMPTS = 5;
+
+// Limits on code lookups. Each key may make `maxAttempts` lookups per window;
+// `maxMisses` unknown codes in a window locks it out for `lockoutMs`. IPs are
+// shared (e.g. carrier NAT), so they get more room than a single account.
+const InviteCodeLimits = {
+  user: {
+    windowMs: 15 * 60 * 1000,
+    maxAttempts: 10,
+    maxMisses: 5,
+    lockoutMs: 60 * 60 * 1000,
+  },
+  ip: {
+    windowMs: 15 * 60 * 1000,
+    maxAttempts: 30,
+    maxMisses: 15,
+    lockoutMs: 60 * 60 * 1000,
+  },
+};
+
+/**
+ * Picks a random invite code
+ * @return {string} A 6-digit code
+ */
+function generateInviteCode() {
+  return String(crypto.randomInt(INVITE_CODE_MIN, INVITE_CODE_MAX + 1));
+}
+
+/**
+ * Reads an invite code as typed or as an invite ID
+ * @param {*} code - "123456" or "invite-123456"
+ * @return {string|null} The 6 digits, or null if it isn't a code
+ */
+function normalizeInviteCode(code) {
+  if (typeof code !== "string") return null;
+  const raw = code.trim().replace(/^invite-/, "");
+  return /^\d{6}$/.test(raw) ? raw : null;
+}
+
+/**
+ * Names the throttle document for a user or an IP. IPs are hashed so the
+ * collection doesn't hold raw addresses.
+ * @param {string} kind - "user" or "ip"
+ * @param {string} value - The user ID or IP address
+ * @return {string} The document ID
+ */
+function throttleKey(kind, value) {
+  if (kind === "ip") {
+    const hash = crypto.createHash("sha256").update(value).digest("hex");
+    return `ip_${hash.slice(0, 32)}`;
+  }
+  return `user_${value}`;
+}
+
+/**
+ * Reads a key's counters, starting a new window once the old one has passed
+ * @param {Object|null} stored - The throttle document's data
+ * @param {number} now - The current time in milliseconds
+ * @param {Object} limits - One of InviteCodeLimits
+ * @return {Object} {windowStart, attempts, misses, lockedUntil}
+ */
+function currentWindow(stored, now, limits) {
+  const state = {
+    windowStart: now,
+    attempts: 0,
+    misses: 0,
+    lockedUntil: 0,
+    ...(stored || {}),
+  };
+  if (now - state.windowStart >= limits.windowMs) {
+    return {...state, windowStart: now, attempts: 0, misses: 0};
+  }
+  return state;
+}
+
+/**
+ * Counts a lookup against a key
+ * @param {Object|null} stored - The throttle document's data
+ * @param {number} now - The current time in milliseconds
+ * @param {Object} limits - One of InviteCodeLimits
+ * @return {Object} {state, blocked}: the counters to store, and when the key
+ *   may not look up codes, {reason: "locked-out" or "rate-limited", retryAt}
+ */
+function registerAttempt(stored, now, limits) {
+  const state = currentWindow(stored, now, limits);
+
+  if (state.lockedUntil > now) {
+    return {state, blocked: {reason: "locked-out", retryAt: state.lockedUntil}};
+  }
+  if (state.attempts >= limits.maxAttempts) {
+    return {
+      state,
+      blocked: {
+        reason: "rate-limited",
+        retryAt: state.windowStart + limits.windowMs,
+      },
+    };
+  }
+  return {state: {...state, attempts: state.attempts + 1}, blocked: null};
+}
+
+/**
+ * Counts a lookup of a code that doesn't exist against a key, and locks the
+ * key out once it has missed too often
+ * @param {Object|null} stored - The throttle document's data
+ * @param {number} now - The current time in milliseconds
+ * @param {Object} limits - One of InviteCodeLimits
+ * @return {Object} {state, lockedOut}: the counters to store, and whether
+ *   this miss started a lockout
+ */
+function registerMiss(stored, now, limits) {
+  const state = currentWindow(stored, now, limits);
+  const misses = state.misses + 1;
+
+  if (misses >= limits.maxMisses && state.lockedUntil <= now) {
+    return {
+      state: {...state, misses, lockedUntil: now + limits.lockoutMs},
+      lockedOut: true,
+    };
+  }
+  return {state: {...state, misses}, lockedOut: false};
+}
+
+module.exports = {
+  InviteCodeLimits,
+  MAX_CODE_ATTEMPTS,
+  generateInviteCode,
+  normalizeInviteCode,
+  registerAttempt,
+  registerMiss,
+  throttleKey,
+};
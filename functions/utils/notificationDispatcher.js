@@ -0,0 +1,400 @@
+const {logger} = require("firebase-functions");
+const {NotificationEvents} = require("./notificationEvents");
+
+// Tokens the app hasn't refreshed in this long are treated as dead
+const TOKEN_MAX_AGE_MS = 1000 * 60 * 60 * 24 * 30 * 4; // 4 months
+
+// Most messages FCM accepts in one sendEach call
+const FCM_BATCH_SIZE = 500;
+
+// FCM errors that mean the token will never work again
+const INVALID_TOKEN_CODES = new Set([
+  "messaging/registration-token-not-registered",
+  "messaging/invalid-argument",
+]);
+
+// Legacy on/off switch in notificationPreferences for each event category
+const CATEGORY_PREFERENCES = {
+  session: "sessionNotifications",
+  other: "otherNotifications",
+};
+
+/**
+ * Decides which channels an event may use for a user.
+ *
+ * Preferences live in `personalInfo.notificationPreferences`:
+ * - `sessionNotifications` / `otherNotifications: false` silence a whole
+ *   category on every channel
+ * - `events[eventType].push|email` choose channels for one event type
+ * - `channels.push|email` choose channels for every event type
+ * Anything unset falls back to the event's defaults, so users without a
+ * preferences object (or without personalInfo at all) get the defaults.
+ * @param {Object|null} profile - The user document data
+ * @param {string} eventType - A key of the events registry
+ * @param {Object} event - The registry entry
+ * @return {Object} {push, email, emailFallback}
+ */
+function resolveChannels(profile, eventType, event) {
+  const personalInfo = (profile || {}).personalInfo || {};
+  const prefs = personalInfo.notificationPreferences || {};
+
+  if (prefs[CATEGORY_PREFERENCES[event.category]] === false) {
+    return {push: false, email: false, emailFallback: false};
+  }
+
+  const eventPrefs = (prefs.events || {})[eventType] || {};
+  const channelPrefs = prefs.channels || {};
+  const choice = (channel) => {
+    if (typeof eventPrefs[channel] === "boolean") return eventPrefs[channel];
+    if (typeof channelPrefs[channel] === "boolean") {
+      return channelPrefs[channel];
+    }
+    return undefined;
+  };
+
+  const push = choice("push");
+  const email = choice("email");
+
+  return {
+    push: push === undefined ? Boolean(event.defaults.push) : push,
+    email: email === undefined ? Boolean(event.defaults.email) : email,
+    // Falling back to email is fine unless the user turned email off
+    emailFallback: email !== false && typeof event.email === "function",
+  };
+}
+
+/**
+ * Picks the tokens from a profile that are recent enough to try
+ * @param {Object|null} profile - The user document data
+ * @param {number} now - The current time in milliseconds
+ * @return {Array<string>} The tokens
+ */
+function getFreshTokens(profile, now) {
+  const fcmTokens = (profile || {}).fcmTokens;
+  if (!Array.isArray(fcmTokens)) return [];
+
+  return fcmTokens
+      .filter((entry) => entry && entry.token)
+      .filter((entry) => {
+        const uploaded = entry.uploadedDate;
+        if (!uploaded || typeof uploaded.toMillis !== "function") return true;
+        return now - uploaded.toMillis() <= TOKEN_MAX_AGE_MS;
+      })
+      .map((entry) => entry.token);
+}
+
+/**
+ * Picks the token entries in a profile that are past the age cutoff
+ * @param {Object|null} profile - The user document data
+ * @param {number} now - The current time in milliseconds
+ * @return {Array<Object>} The stale {token, uploadedDate} entries, exactly as
+ *   stored, so they can be passed to FieldValue.arrayRemove
+ */
+function getStaleTokenEntries(profile, now) {
+  const fcmTokens = (profile || {}).fcmTokens;
+  if (!Array.isArray(fcmTokens)) return [];
+
+  return fcmTokens.filter((entry) => {
+    const uploaded = entry && entry.uploadedDate;
+    return uploaded && typeof uploaded.toMillis === "function" &&
+      now - uploaded.toMillis() > TOKEN_MAX_AGE_MS;
+  });
+}
+
+/**
+ * Adds the fields every push shares (type, role, timestamp, platform
+ * options) to an event's message
+ * @param {Object} message - {notification, data, timeSensitive} from the event
+ * @param {string} eventType - The event type
+ * @param {Object} recipient - The resolved recipient
+ * @return {Object} An FCM message without a token
+ */
+function buildPushMessage(message, eventType, recipient) {
+  const data = {
+    ...message.data,
+    timestamp: new Date().toISOString(),
+    type: eventType,
+    userRole: recipient.role || "",
+  };
+  const aps = {
+    "contentAvailable": true,
+    "sound": "default",
+  };
+  if (message.timeSensitive) {
+    aps["interruption-level"] = "time-sensitive";
+  }
+
+  return {
+    notification: message.notification,
+    data,
+    android: {
+      priority: "high",
+    },
+    apns: {
+      payload: {
+        aps,
+        userInfo: data,
+      },
+    },
+  };
+}
+
+/**
+ * Creates the dispatcher every function uses to notify users
+ * @param {Object} deps - Dependencies
+ * @param {FirebaseFirestore.Firestore} deps.db - Firestore instance
+ * @param {function(): Object} deps.getMessaging - Returns the FCM client
+ * @param {Function} deps.sendEmail - sendEmail(to, subject, text, html)
+ * @param {Function} deps.renderEmail - renderEmail(name, values, recipient)
+ * @param {Function} deps.getRecipientSettings - (profile, sessionData) ->
+ *   {locale, timeZone}
+ * @param {Object} deps.events - The event registry (defaults to
+ *   NotificationEvents)
+ * @return {Object} {notify}
+ */
+function createNotificationDispatcher({
+  db,
+  getMessaging,
+  sendEmail,
+  renderEmail,
+  getRecipientSettings,
+  events = NotificationEvents,
+}) {
+  /**
+   * Drops the tokens FCM rejected from a user's profile in one transaction,
+   * so concurrent token uploads from the app aren't overwritten
+   * @param {string} userId - The user ID
+   * @param {Array<string>} invalidTokens - The tokens FCM rejected
+   * @return {Promise<void>}
+   */
+  async function pruneInvalidTokens(userId, invalidTokens) {
+    const userRef = db.collection("users").doc(userId);
+    const invalid = new Set(invalidTokens);
+
+    try {
+      const removed = await db.runTransaction(async (transaction) => {
+        const userDoc = await transaction.get(userRef);
+        if (!userDoc.exists) return 0;
+
+        const fcmTokens = userDoc.data().fcmTokens || [];
+        const kept = fcmTokens.filter((entry) => !invalid.has(entry.token));
+        if (kept.length !== fcmTokens.length) {
+          transaction.update(userRef, {fcmTokens: kept});
+        }
+        return fcmTokens.length - kept.length;
+      });
+
+      logger.info(`Removed ${removed} invalid token(s) for user ${userId}`);
+    } catch (error) {
+      logger.error(`Failed to remove ` +
+        `invalid tokens for user ${userId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Works out what one recipient should get, without sending anything
+   * @param {string} eventType - The event type
+   * @param {Object} event - The registry entry
+   * @param {Object} target - {userId, role, name, email} from the caller
+   * @param {Object} payload - The event's data
+   * @return {Promise<Object>} The delivery plan for this recipient
+   */
+  async function planDelivery(eventType, event, target, payload) {
+    const plan = {
+      label: `[${eventType}] ${target.role || "user"} ${target.userId}`,
+      channels: {push: false, email: false, emailFallback: false},
+      pushMessage: null,
+      hasPushForm: false,
+      tokens: [],
+      invalidTokens: [],
+      outcome: {pushes: 0, emails: 0, fallback: false, failed: false},
+    };
+
+    let profile = null;
+    if (target.userId) {
+      const userDoc = await db.collection("users").doc(target.userId).get();
+      profile = userDoc.exists ? userDoc.data() : null;
+    }
+
+    plan.channels = resolveChannels(profile, eventType, event);
+    if (!plan.channels.push && !plan.channels.email) {
+      logger.info(`${plan.label} has turned these notifications off`);
+      plan.outcome.skipped = true;
+      return plan;
+    }
+
+    const personalInfo = (profile || {}).personalInfo || {};
+    plan.recipient = {
+      userId: target.userId,
+      role: target.role,
+      name: personalInfo.name || target.name || "there",
+      email: personalInfo.email || target.email || null,
+      ...getRecipientSettings(profile, payload.sessionData),
+    };
+
+    if (plan.channels.push) {
+      const message = event.push(payload, plan.recipient);
+      plan.hasPushForm = Boolean(message);
+      plan.tokens = getFreshTokens(profile, Date.now());
+
+      if (message && plan.tokens.length > 0) {
+        plan.pushMessage = buildPushMessage(message, eventType, plan.recipient);
+      } else if (message) {
+        logger.info(`${plan.label} has no valid FCM tokens`);
+      }
+    }
+
+    return plan;
+  }
+
+  /**
+   * Sends every planned push through FCM's batch API, at most
+   * FCM_BATCH_SIZE messages per request, and records the results on the
+   * plans
+   * @param {Array<Object>} plans - Delivery plans with a push message
+   * @return {Promise<void>}
+   */
+  async function sendPushes(plans) {
+    const messages = [];
+    plans.forEach((plan) => plan.tokens.forEach((token) => {
+      messages.push({plan, token, message: {...plan.pushMessage, token}});
+    }));
+
+    for (let start = 0; start < messages.length; start += FCM_BATCH_SIZE) {
+      const batch = messages.slice(start, start + FCM_BATCH_SIZE);
+      let responses;
+      try {
+        ({responses} = await getMessaging().sendEach(
+            batch.map((entry) => entry.message)));
+      } catch (error) {
+        logger.error(`FCM batch of ${batch.length} failed: ${error.message}`);
+        responses = batch.map(() => ({success: false, error}));
+      }
+
+      responses.forEach((response, index) => {
+        const {plan, token} = batch[index];
+        if (response.success) {
+          plan.outcome.pushes++;
+        } else if (INVALID_TOKEN_CODES.has(response.error.code)) {
+          plan.invalidTokens.push(token);
+        } else {
+          logger.error(`${plan.label} push failed: ${response.error.message}`);
+        }
+      });
+    }
+
+    plans.forEach((plan) => {
+      plan.outcome.failed = plan.outcome.pushes === 0;
+    });
+
+    await Promise.all(plans
+        .filter((plan) => plan.invalidTokens.length > 0)
+        .map((plan) => pruneInvalidTokens(
+            plan.recipient.userId, plan.invalidTokens)));
+  }
+
+  /**
+   * Sends the email form of the event if the recipient wants it, or as a
+   * fallback when none of their pushes got through
+   * @param {Object} event - The registry entry
+   * @param {Object} plan - The recipient's delivery plan
+   * @param {Object} payload - The event's data
+   * @return {Promise<void>}
+   */
+  async function sendPlannedEmail(event, plan, payload) {
+    const {channels, outcome, recipient} = plan;
+    const fallback = channels.push && plan.hasPushForm &&
+      outcome.pushes === 0 && !channels.email && channels.emailFallback;
+
+    if (!channels.email && !fallback) return;
+
+    const email = typeof event.email === "function" ?
+      event.email(payload, recipient) :
+      null;
+    if (!email) return;
+
+    if (!recipient.email) {
+      logger.warn(`${plan.label} has no email address`);
+      return;
+    }
+
+    try {
+      const {subject, text, html} = renderEmail(
+          email.template, {...email.values, isFallback: fallback},
+          recipient);
+      await sendEmail(recipient.email, subject, text, html);
+      outcome.emails = 1;
+      outcome.fallback = fallback;
+      outcome.failed = false;
+    } catch (error) {
+      logger.error(`${plan.label} email failed: ${error.message}`);
+      outcome.failed = true;
+    }
+  }
+
+  return {
+    /**
+     * Sends an event to each recipient on the channels they allow, falling
+     * back to email for anyone push can't reach
+     * @param {string} eventType - A key of the events registry
+     * @param {Object} options - {recipients, payload}; each recipient is
+     *   {userId, role, name, email}, where name/email are used when the user
+     *   has no profile
+     * @return {Promise<Object>} Totals for the dispatch
+     */
+    async notify(eventType, {recipients, payload = {}}) {
+      const event = events[eventType];
+      if (!event) {
+        throw new Error(`Unknown notification event: ${eventType}`);
+      }
+
+      const plans = await Promise.all(recipients.map((target) =>
+        planDelivery(eventType, event, target, payload).catch((error) => {
+          logger.error(
+              `[${eventType}] Failed to notify ${target.userId}: ` +
+              `${error.message}`,
+          );
+          return {outcome: {pushes: 0, emails: 0, failed: true}};
+        }),
+      ));
+
+      await sendPushes(plans.filter((plan) => plan.pushMessage));
+      await Promise.all(plans
+          .filter((plan) => plan.recipient)
+          .map((plan) => sendPlannedEmail(event, plan, payload)));
+
+      const summary = plans.reduce((acc, {outcome}) => {
+        acc.pushes += outcome.pushes;
+        acc.emails += outcome.emails;
+        if (outcome.fallback) acc.fallbackEmails++;
+        if (outcome.skipped) acc.skipped++;
+        if (outcome.pushes > 0 || outcome.emails > 0) acc.delivered++;
+        if (outcome.failed) acc.failed++;
+        return acc;
+      }, {
+        recipients: recipients.length,
+        delivered: 0,
+        skipped: 0,
+        failed: 0,
+        pushes: 0,
+        emails: 0,
+        fallbackEmails: 0,
+      });
+
+      logger.info(
+          `[${eventType}] Notified ${summary.delivered}/${summary.recipients}` +
+          ` recipients (${summary.pushes} pushes, ${summary.emails} emails,` +
+          ` ${summary.fallbackEmails} fallback, ${summary.skipped} opted out)`,
+      );
+      return summary;
+    },
+  };
+}
+
+module.exports = {
+  TOKEN_MAX_AGE_MS,
+  createNotificationDispatcher,
+  getFreshTokens,
+  getStaleTokenEntries,
+  resolveChannels,
+};
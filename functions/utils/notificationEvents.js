@@ -0,0 +1,411 @@
+const {
+  formatDateTime,
+  formatTime,
+  isSameDay,
+  toDate,
+} = require("./dateFormat");
+
+// Push phrases for each kind of change to a session, in the order they're
+// listed. `change` comes from utils/sessionChanges.js.
+const CHANGE_PUSH_COPY = {
+  schedule: ({startDate, endDate}, dateOptions) => {
+    const sameDay = endDate &&
+      isSameDay(startDate, endDate, dateOptions.timeZone);
+    const ends = sameDay ?
+      formatTime(endDate, dateOptions) :
+      formatDateTime(endDate, dateOptions);
+    return `now ${formatDateTime(startDate, dateOptions)}` +
+      (endDate ? ` - ${ends}` : "");
+  },
+  title: ({before}) => `renamed from "${before}"`,
+  location: ({after}) => after ?
+    `location is now ${after}` :
+    "location removed",
+  earlyAccessDuration: ({after}) => after > 0 ?
+    `early access is now ${after} hours` :
+    "early access removed",
+  events: ({action, title}) => `${action} event "${title}"`,
+};
+
+/**
+ * Builds the email form shared by the invite lifecycle events
+ * @param {string} kind - "accepted", "declined", "cancelled" or "expiring"
+ * @param {Object} payload - {sessionData, invite, sitterName}
+ * @param {Object} recipient - The resolved recipient
+ * @return {Object} {template, values} for renderEmail
+ */
+function inviteEmail(kind, {sessionData, invite, sitterName}, {name}) {
+  return {
+    template: "inviteUpdate",
+    values: {
+      kind,
+      userName: name,
+      sitterName: sitterName || invite.sitterEmail || null,
+      nestName: invite.nestName || null,
+      title: sessionData.title,
+      startDate: toDate(sessionData.startDate),
+      endDate: toDate(sessionData.endDate),
+      expiresAt: toDate(invite.expiresAt),
+    },
+  };
+}
+
+/**
+ * Data keys every invite lifecycle push carries
+ * @param {Object} payload - {sessionData, invite}
+ * @return {Object} FCM data values
+ */
+function inviteData({sessionData, invite}) {
+  return {
+    sessionId: sessionData.id || "",
+    nestId: sessionData.nestID || "",
+    inviteId: invite.id || "",
+  };
+}
+
+// Push copy for each status a session can move into
+const STATUS_PUSH_COPY = {
+  inProgress: {
+    title: "🏡 Session Starting",
+    body: (title) => `Your session "${title}" is starting now`,
+  },
+  extended: {
+    title: "🕒 Session Extended",
+    body: (title) => `Your session "${title}" has been extended`,
+  },
+  completed: {
+    title: "✅ Session Completed",
+    body: (title) => `Your session "${title}" has ended`,
+  },
+};
+
+/**
+ * Every notification the backend sends, keyed by event type.
+ *
+ * Each entry declares:
+ * - `category`: the legacy preference switch that silences it
+ *   ("session" -> sessionNotifications, "other" -> otherNotifications)
+ * - `defaults`: which channels it uses for users who never chose
+ * - `push(payload, recipient)`: the FCM message, or null to skip push
+ * - `email(payload, recipient)`: {template, values} for renderEmail, or null
+ *   if the event has no email form (and so no email fallback)
+ *
+ * `recipient` is {userId, role, name, email, locale, timeZone}.
+ */
+const NotificationEvents = {
+  session_status_change: {
+    category: "session",
+    defaults: {push: true, email: false},
+    push({sessionData, newStatus, transitionId = ""}, {role}) {
+      const copy = STATUS_PUSH_COPY[newStatus];
+      if (!copy) return null;
+
+      return {
+        notification: {
+          title: copy.title,
+          body: copy.body(sessionData.title),
+        },
+        data: {
+          sessionId: sessionData.id || "",
+          newStatus: newStatus || "",
+          transitionId: transitionId,
+        },
+        timeSensitive: true,
+      };
+    },
+    email({sessionData, newStatus}, {name}) {
+      if (!STATUS_PUSH_COPY[newStatus]) return null;
+
+      return {
+        template: "sessionStatus",
+        values: {
+          userName: name,
+          title: sessionData.title,
+          status: newStatus,
+          startDate: toDate(sessionData.startDate),
+          endDate: toDate(sessionData.endDate),
+        },
+      };
+    },
+  },
+
+  session_reminder: {
+    category: "session",
+    defaults: {push: true, email: true},
+    push({sessionData, window}, {role, timeZone}) {
+      const startDate = toDate(sessionData.startDate);
+      const minutesUntil = Math.max(
+          0, Math.round((startDate.getTime() - Date.now()) / (60 * 1000)));
+      const timeText = minutesUntil < 90 ?
+        `in ${minutesUntil} minutes` :
+        `in ${Math.round(minutesUntil / 60)} hours`;
+
+      // Push copy is English, so times use the same conventions
+      const dateOptions = {locale: "en-US", timeZone};
+      const startsAt = isSameDay(startDate, new Date(), timeZone) ?
+        formatTime(startDate, dateOptions) :
+        formatDateTime(startDate, dateOptions);
+      const what = role === "owner" ? "Your session" : "Your sitting session";
+
+      return {
+        notification: {
+          title: "🔔 Session Reminder",
+          body: `${what} "${sessionData.title}" starts ${timeText} ` +
+            `(${startsAt})`,
+        },
+        data: {
+          sessionId: sessionData.id || "",
+          reminderWindow: window.key,
+        },
+      };
+    },
+    email({sessionData}, {role, name}) {
+      const startDate = toDate(sessionData.startDate);
+
+      return {
+        template: "sessionReminder",
+        values: {
+          userName: name,
+          userRole: role,
+          title: sessionData.title,
+          location: sessionData.location,
+          startDate,
+          endDate: toDate(sessionData.endDate),
+          hoursUntil: Math.round(
+              (startDate.getTime() - Date.now()) / (1000 * 60 * 60)),
+        },
+      };
+    },
+  },
+
+  session_updated: {
+    category: "session",
+    defaults: {push: true, email: true},
+    push({sessionData, changes}, {timeZone}) {
+      // Push copy is English, so times use the same conventions
+      const dateOptions = {locale: "en-US", timeZone};
+      const phrases = changes
+          .filter((change) => CHANGE_PUSH_COPY[change.field])
+          .map((change) => CHANGE_PUSH_COPY[change.field](change, dateOptions));
+      if (phrases.length === 0) return null;
+
+      const body = `"${sessionData.title}": ${phrases.join("; ")}`;
+      return {
+        notification: {
+          title: "✏️ Session Updated",
+          body: body.length > 180 ? `${body.slice(0, 177)}...` : body,
+        },
+        data: {
+          sessionId: sessionData.id || "",
+          nestId: sessionData.nestID || "",
+          changedFields: changes.map((change) => change.field).join(","),
+        },
+      };
+    },
+    email({sessionData, changes}, {name}) {
+      return {
+        template: "sessionUpdate",
+        values: {
+          userName: name,
+          title: sessionData.title,
+          changes,
+        },
+      };
+    },
+  },
+
+  invite_accepted: {
+    category: "session",
+    defaults: {push: true, email: false},
+    push(payload) {
+      const {sessionData, sitterName} = payload;
+      return {
+        notification: {
+          title: "🎉 Invite Accepted",
+          body: `${sitterName || "Your sitter"} accepted your invite to ` +
+            `"${sessionData.title}"`,
+        },
+        data: inviteData(payload),
+      };
+    },
+    email: (payload, recipient) => inviteEmail("accepted", payload, recipient),
+  },
+
+  invite_declined: {
+    category: "session",
+    defaults: {push: true, email: true},
+    push(payload) {
+      const {sessionData, sitterName} = payload;
+      return {
+        notification: {
+          title: "Invite Declined",
+          body: `${sitterName || "Your sitter"} can't make ` +
+            `"${sessionData.title}". You can invite someone else in the app.`,
+        },
+        data: inviteData(payload),
+      };
+    },
+    email: (payload, recipient) => inviteEmail("declined", payload, recipient),
+  },
+
+  invite_cancelled: {
+    category: "session",
+    defaults: {push: true, email: true},
+    push(payload) {
+      const {sessionData, invite} = payload;
+      const from = invite.nestName ? ` from ${invite.nestName}` : "";
+      return {
+        notification: {
+          title: "Invite Cancelled",
+          body: `Your invite to "${sessionData.title}"${from} ` +
+            "has been cancelled",
+        },
+        data: inviteData(payload),
+      };
+    },
+    email: (payload, recipient) => inviteEmail("cancelled", payload, recipient),
+  },
+
+  invite_expiring: {
+    category: "session",
+    defaults: {push: true, email: true},
+    push(payload, {timeZone}) {
+      const {sessionData, invite, sitterName} = payload;
+      const expiresAt = toDate(invite.expiresAt);
+      const dateOptions = {locale: "en-US", timeZone};
+      const when = isSameDay(expiresAt, new Date(), timeZone) ?
+        `today at ${formatTime(expiresAt, dateOptions)}` :
+        formatDateTime(expiresAt, dateOptions);
+
+      return {
+        notification: {
+          title: "⏳ Invite Expiring",
+          body: `${sitterName || invite.sitterEmail || "Your sitter"} ` +
+            `hasn't answered your invite to "${sessionData.title}". ` +
+            `It expires ${when}.`,
+        },
+        data: inviteData(payload),
+      };
+    },
+    email: (payload, recipient) => inviteEmail("expiring", payload, recipient),
+  },
+
+  sitter_account_deleted: {
+    category: "session",
+    defaults: {push: true, email: true},
+    push({sessionData, sitterName}) {
+      return {
+        notification: {
+          title: "Sitter Unavailable",
+          body: `${sitterName || "Your sitter"} deleted their NestNote ` +
+            `account and is no longer assigned to "${sessionData.title}". ` +
+            "You can invite someone else in the app.",
+        },
+        data: {
+          sessionId: sessionData.id || "",
+          nestId: sessionData.nestID || "",
+        },
+      };
+    },
+    email({sessionData, sitterName}, {name}) {
+      return {
+        template: "sitterRemoved",
+        values: {
+          userName: name,
+          sitterName,
+          title: sessionData.title,
+          startDate: toDate(sessionData.startDate),
+          endDate: toDate(sessionData.endDate),
+        },
+      };
+    },
+  },
+
+  session_check_in: {
+    category: "session",
+    defaults: {push: true, email: false},
+    push({sessionData, checkIn, sitterName}) {
+      const caption = String(checkIn.caption || "").trim();
+
+      return {
+        notification: {
+          title: `📸 New check-in from ${sitterName || "your sitter"}`,
+          body: caption ?
+            (caption.length > 120 ? `${caption.slice(0, 117)}...` : caption) :
+            `A new photo from "${sessionData.title}"`,
+        },
+        data: {
+          sessionId: sessionData.id || "",
+          nestId: sessionData.nestID || "",
+          checkInId: checkIn.id || "",
+        },
+      };
+    },
+    // Check-ins reach email through the daily digest instead
+    email: null,
+  },
+
+  session_check_in_digest: {
+    category: "session",
+    // Opt-in: owners who want check-ins by email turn this on
+    defaults: {push: false, email: false},
+    push: () => null,
+    email({sessionData, checkIns, sitterName}, {name}) {
+      return {
+        template: "checkInDigest",
+        values: {
+          userName: name,
+          sitterName: sitterName || null,
+          title: sessionData.title,
+          checkIns,
+        },
+      };
+    },
+  },
+
+  routine_completed: {
+    category: "session",
+    defaults: {push: true, email: false},
+    push({sessionData, routine, sitterName}) {
+      return {
+        notification: {
+          title: "✅ Routine Completed",
+          body: `${sitterName || "Your sitter"} finished "${routine.title}"`,
+        },
+        data: {
+          sessionId: sessionData.id || "",
+          nestId: sessionData.nestID || "",
+          routineId: routine.id || "",
+        },
+      };
+    },
+    email: null,
+  },
+
+  routine_overdue: {
+    category: "session",
+    defaults: {push: true, email: false},
+    push({sessionData, routine, dueAt, completed, total}, {timeZone}) {
+      const dueTime = formatTime(dueAt, {locale: "en-US", timeZone});
+
+      return {
+        notification: {
+          title: "⏰ Routine Overdue",
+          body: `"${routine.title}" was due by ${dueTime} ` +
+            `(${completed} of ${total} done)`,
+        },
+        data: {
+          sessionId: sessionData.id || "",
+          nestId: sessionData.nestID || "",
+          routineId: routine.id || "",
+        },
+        timeSensitive: true,
+      };
+    },
+    email: null,
+  },
+};
+
+module.exports = {
+  NotificationEvents,
+};
@@ -0,0 +1,67 @@
+const {localDateKey, zonedDateTime} = require("./dateFormat");
+
+// Matches ReferralService.validateReferralCodeFormat on the iOS client
+const REFERRAL_CODE_PATTERN = /^[A-Z0-9]{2,20}$/;
+
+// Roles a referred user can sign up as
+const REFERRAL_ROLES = ["nester", "sitter"];
+
+/**
+ * Cleans up a referral code the way the app does before looking it up
+ * @param {*} code - The code as entered
+ * @return {string|null} The upper-cased code, or null if it can't be one
+ */
+function normalizeReferralCode(code) {
+  if (typeof code !== "string") return null;
+  const clean = code.trim().toUpperCase();
+  return REFERRAL_CODE_PATTERN.test(clean) ? clean : null;
+}
+
+/**
+ * Names the month an instant falls in, as used in monthlyReferrals
+ * @param {Date} date - The instant
+ * @param {string} timeZone - The zone months are counted in
+ * @return {string} The month as "YYYY-MM"
+ */
+function monthKeyOf(date, timeZone) {
+  return localDateKey(date, timeZone).slice(0, 7);
+}
+
+/**
+ * Works out when a month starts and ends in a zone
+ * @param {string} monthKey - The month as "YYYY-MM"
+ * @param {string} timeZone - The zone months are counted in
+ * @return {Object} {start, end}, with `end` the start of the next month
+ */
+function monthRange(monthKey, timeZone) {
+  const [year, month] = monthKey.split("-").map(Number);
+  const next = month === 12 ?
+    `${year + 1}-01` :
+    `${year}-${String(month + 1).padStart(2, "0")}`;
+
+  return {
+    start: zonedDateTime(`${monthKey}-01`, 0, 0, timeZone),
+    end: zonedDateTime(`${next}-01`, 0, 0, timeZone),
+  };
+}
+
+/**
+ * Names the month before the one an instant falls in
+ * @param {Date} date - The instant
+ * @param {string} timeZone - The zone months are counted in
+ * @return {string} The previous month as "YYYY-MM"
+ */
+function previousMonthKey(date, timeZone) {
+  const [year, month] = monthKeyOf(date, timeZone).split("-").map(Number);
+  return month === 1 ?
+    `${year - 1}-12` :
+    `${year}-${String(month - 1).padStart(2, "0")}`;
+}
+
+module.exports = {
+  REFERRAL_ROLES,
+  monthKeyOf,
+  monthRange,
+  normalizeReferralCode,
+  previousMonthKey,
+};
@@ -0,0 +1,161 @@
+const crypto = require("crypto");
+const {SubscriptionTier} = require("./subscriptions");
+
+// The entitlement SubscriptionService looks for on the iOS client
+const PRO_ENTITLEMENT = "Pro";
+
+// RevenueCat's placeholder IDs for users who haven't signed in
+const ANONYMOUS_ID_PREFIX = "$RCAnonymousID:";
+
+// Events after which the user has Pro until the event's expiration
+const GRANTING_EVENTS = [
+  "INITIAL_PURCHASE",
+  "RENEWAL",
+  "PRODUCT_CHANGE",
+  "UNCANCELLATION",
+  "NON_RENEWING_PURCHASE",
+  "SUBSCRIPTION_EXTENDED",
+  "TEMPORARY_ENTITLEMENT_GRANT",
+  "REFUND_REVERSED",
+];
+
+// Events that change renewal state but not access; Pro lasts until expiry
+const STATUS_EVENTS = ["CANCELLATION", "BILLING_ISSUE"];
+
+/**
+ * Checks a webhook's Authorization header against the shared secret that is
+ * configured on the RevenueCat dashboard. Accepts the secret on its own or
+ * as a bearer token, and compares in constant time.
+ * @param {string|undefined} header - The Authorization header
+ * @param {string} secret - The shared secret
+ * @return {boolean} Whether the header carries the secret
+ */
+function isAuthorizedWebhook(header, secret) {
+  if (!header || !secret) return false;
+
+  const value = header.replace(/^Bearer\s+/i, "");
+  const digest = (text) => crypto.createHash("sha256").update(text).digest();
+  return crypto.timingSafeEqual(digest(value), digest(secret));
+}
+
+/**
+ * Tells whether a RevenueCat customer ID can be a Firebase UID. The app logs
+ * in to RevenueCat with the user's UID, so anonymous IDs are skipped.
+ * @param {*} id - The customer ID
+ * @return {boolean} Whether it names a user document
+ */
+function isAppUserId(id) {
+  return typeof id === "string" && id.length > 0 &&
+    !id.startsWith(ANONYMOUS_ID_PREFIX) && !id.includes("/");
+}
+
+/**
+ * Picks the users an event's subscription change applies to. A transfer
+ * takes the purchase away from `transferred_from`; the users it moves to
+ * get their own purchase events.
+ * @param {Object} event - The webhook's `event` object
+ * @return {Array<string>} Firebase UIDs
+ */
+function usersOfEvent(event) {
+  if (event.type === "TRANSFER") {
+    return (event.transferred_from || []).filter(isAppUserId);
+  }
+
+  const uid = [
+    event.app_user_id,
+    event.original_app_user_id,
+    ...(event.aliases || []),
+  ].find(isAppUserId);
+  return uid ? [uid] : [];
+}
+
+/**
+ * Reads the entitlements an event applies to
+ * @param {Object} event - The webhook's `event` object
+ * @return {Array<string>} Entitlement identifiers
+ */
+function entitlementsOf(event) {
+  if (Array.isArray(event.entitlement_ids)) return event.entitlement_ids;
+  return event.entitlement_id ? [event.entitlement_id] : [];
+}
+
+/**
+ * Works out what an event changes about a user's subscription. Returns the
+ * fields to store in `users/{uid}.subscription`, which always include `tier`
+ * and `expiresAt` as read by subscriptionTierOf.
+ * @param {Object} event - The webhook's `event` object
+ * @param {Object} current - The user's stored subscription (optional)
+ * @return {Object|null} The new subscription, or null to leave it alone
+ */
+function subscriptionFromEvent(event, current = {}) {
+  const entitlements = entitlementsOf(event);
+  // Events for other entitlements don't affect Pro
+  if (entitlements.length > 0 && !entitlements.includes(PRO_ENTITLEMENT)) {
+    return null;
+  }
+
+  const expiresAt = event.expiration_at_ms ?
+    new Date(event.expiration_at_ms) :
+    null;
+  const details = {
+    expiresAt,
+    productId: event.product_id || current.productId || null,
+    store: event.store || current.store || null,
+    environment: event.environment || null,
+    lastEventId: event.id,
+    lastEventType: event.type,
+    eventTimestamp: new Date(event.event_timestamp_ms),
+  };
+
+  if (GRANTING_EVENTS.includes(event.type)) {
+    return {
+      ...details,
+      tier: SubscriptionTier.PRO,
+      willRenew: event.type !== "NON_RENEWING_PURCHASE",
+      billingIssue: false,
+    };
+  }
+
+  if (STATUS_EVENTS.includes(event.type)) {
+    return {
+      ...details,
+      tier: current.tier || SubscriptionTier.PRO,
+      willRenew: false,
+      billingIssue: event.type === "BILLING_ISSUE",
+    };
+  }
+
+  if (event.type === "EXPIRATION" || event.type === "TRANSFER") {
+    return {
+      ...details,
+      tier: SubscriptionTier.FREE,
+      willRenew: false,
+      billingIssue: false,
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Reads a webhook body into the event to apply
+ * @param {Object} body - The parsed request body
+ * @return {Object|null} The `event` object, or null if the body isn't one
+ */
+function parseWebhookEvent(body) {
+  const event = body && body.event;
+  if (!event || typeof event !== "object") return null;
+  if (typeof event.id !== "string" || typeof event.type !== "string") {
+    return null;
+  }
+  if (!Number.isFinite(event.event_timestamp_ms)) return null;
+  return event;
+}
+
+module.exports = {
+  PRO_ENTITLEMENT,
+  isAuthorizedWebhook,
+  parseWebhookEvent,
+  subscriptionFromEvent,
+  usersOfEvent,
+};
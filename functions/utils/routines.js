@@ -0,0 +1,117 @@
+const {localDateKey, zonedDateTime} = require("./dateFormat");
+
+// Matches RoutineItem.canAddAction in the app
+const MAX_ROUTINE_ACTIONS = 10;
+
+// Local time each preset frequency is due by. "Daily" and custom frequencies
+// have no time of day, so they never become overdue.
+const FREQUENCY_DUE_TIMES = {
+  "every morning": "10:00",
+  "every evening": "19:00",
+  "nightly": "21:00",
+};
+
+/**
+ * Parses a "HH:mm" time of day
+ * @param {string} value - The time, e.g. "19:30"
+ * @return {Object|null} {hour, minute}, or null if it isn't a valid time
+ */
+function parseTimeOfDay(value) {
+  const match = typeof value === "string" ?
+    value.trim().match(/^([01]?\d|2[0-3]):([0-5]\d)$/) :
+    null;
+  return match ? {hour: Number(match[1]), minute: Number(match[2])} : null;
+}
+
+/**
+ * Works out when in the day a routine should be finished by. An explicit
+ * `dueTime` on the routine wins over the one implied by its frequency.
+ * @param {Object} routine - The routine entry
+ * @return {Object|null} {hour, minute}, or null if it has no time of day
+ */
+function getRoutineDueTime(routine) {
+  const explicit = parseTimeOfDay(routine.dueTime);
+  if (explicit) return explicit;
+
+  const frequency = String(routine.frequency || "").trim().toLowerCase();
+  return parseTimeOfDay(FREQUENCY_DUE_TIMES[frequency]);
+}
+
+/**
+ * Cleans up a list of completed action indexes against a routine
+ * @param {Array<number>} indexes - Indexes as stored or submitted
+ * @param {number} actionCount - How many actions the routine has
+ * @return {Array<number>} Unique, in-range indexes in ascending order
+ */
+function normalizeCompletedActions(indexes, actionCount) {
+  const valid = (Array.isArray(indexes) ? indexes : []).filter((index) =>
+    Number.isInteger(index) && index >= 0 && index < actionCount);
+  return [...new Set(valid)].sort((a, b) => a - b);
+}
+
+/**
+ * Names the progress document for a routine on a given local day. Progress
+ * is kept per day, so a new day starts every routine afresh.
+ * @param {string} routineId - The routine's entry ID
+ * @param {string} dateKey - The local date as "YYYY-MM-DD"
+ * @return {string} The document ID
+ */
+function routineProgressId(routineId, dateKey) {
+  return `${routineId}_${dateKey}`;
+}
+
+/**
+ * Works out whether a routine is overdue for a session right now.
+ * A routine is overdue once `graceMs` has passed since its due time today
+ * without every action being done, but only while the session was already
+ * running at the due time and for `windowMs` afterwards, so a late run
+ * doesn't nag about a routine that was due hours ago.
+ * @param {Object} options - Settings
+ * @param {Object} options.routine - The routine entry
+ * @param {Object|null} options.progress - Today's progress document, if any
+ * @param {Date} options.now - The time to evaluate at
+ * @param {string} options.timeZone - The session's time zone
+ * @param {Date} options.sessionStart - When the session started
+ * @param {number} options.graceMs - How late a routine may run
+ * @param {number} options.windowMs - How long after the grace to keep alerting
+ * @return {Object|null} {dueAt, dateKey, completed, total}, or null if the
+ *   routine isn't overdue
+ */
+function checkRoutineOverdue({
+  routine,
+  progress,
+  now,
+  timeZone,
+  sessionStart,
+  graceMs,
+  windowMs,
+}) {
+  const dueTime = getRoutineDueTime(routine);
+  const total = Array.isArray(routine.routineActions) ?
+    routine.routineActions.length :
+    0;
+  if (!dueTime || total === 0) return null;
+
+  const dateKey = localDateKey(now, timeZone);
+  const dueAt = zonedDateTime(dateKey, dueTime.hour, dueTime.minute, timeZone);
+  const alertFrom = dueAt.getTime() + graceMs;
+
+  if (now.getTime() < alertFrom || now.getTime() > alertFrom + windowMs ||
+      (sessionStart && sessionStart.getTime() > dueAt.getTime())) {
+    return null;
+  }
+
+  const completed = normalizeCompletedActions(
+      progress && progress.completedActions, total).length;
+  if (completed >= total) return null;
+
+  return {dueAt, dateKey, completed, total};
+}
+
+module.exports = {
+  MAX_ROUTINE_ACTIONS,
+  checkRoutineOverdue,
+  getRoutineDueTime,
+  normalizeCompletedActions,
+  routineProgressId,
+};
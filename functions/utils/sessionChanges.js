@@ -0,0 +1,190 @@
+const {isDeepStrictEqual} = require("util");
+const {toDate} = require("./dateFormat");
+
+// Session fields a sitter is told about when the owner changes them. Status
+// changes have their own notification (session_status_change).
+const NOTIFIED_FIELDS = [
+  "title",
+  "startDate",
+  "endDate",
+  "location",
+  "earlyAccessDuration",
+];
+
+// Fields copied onto the sitter's users/{uid}/sitterSessions/{sessionId}
+const MIRRORED_FIELDS = [
+  "title",
+  "startDate",
+  "endDate",
+  "isMultiDay",
+  "location",
+  "earlyAccessDuration",
+  "earlyAccessEndDate",
+];
+
+/**
+ * Tells whether a field value is a point in time
+ * @param {*} value - The value
+ * @return {boolean} Whether it's a Date or a Firestore Timestamp
+ */
+function isInstant(value) {
+  return value instanceof Date ||
+    Boolean(value && typeof value.toDate === "function");
+}
+
+/**
+ * Compares two field values, treating Timestamps and Dates by their instant
+ * @param {*} a - One value
+ * @param {*} b - The other value
+ * @return {boolean} Whether they're the same
+ */
+function sameValue(a, b) {
+  if (isInstant(a) || isInstant(b)) {
+    return isInstant(a) && isInstant(b) &&
+      toDate(a).getTime() === toDate(b).getTime();
+  }
+  return isDeepStrictEqual(a === undefined ? null : a,
+      b === undefined ? null : b);
+}
+
+/**
+ * Lists what a sitter should hear about in an edit to a session. A changed
+ * start or end comes back as one "schedule" change carrying both new times.
+ * @param {Object} before - The session data before the edit
+ * @param {Object} after - The session data after the edit
+ * @return {Array<Object>} Changes as {field, before, after}, or for the
+ *   schedule {field: "schedule", startDate, endDate}
+ */
+function diffSession(before, after) {
+  const changed = NOTIFIED_FIELDS.filter((field) =>
+    !sameValue(before[field], after[field]));
+  const changes = [];
+
+  if (changed.includes("startDate") || changed.includes("endDate")) {
+    changes.push({
+      field: "schedule",
+      startDate: toDate(after.startDate),
+      endDate: toDate(after.endDate),
+    });
+  }
+
+  changed.filter((field) => field !== "startDate" && field !== "endDate")
+      .forEach((field) => {
+        changes.push({
+          field,
+          before: before[field] === undefined ? null : before[field],
+          after: after[field] === undefined ? null : after[field],
+        });
+      });
+
+  return changes;
+}
+
+/**
+ * Describes a write to one of a session's events
+ * @param {Object|null} before - The event before the write, if it existed
+ * @param {Object|null} after - The event after the write, if it exists
+ * @return {Object|null} {field: "events", action, title, startDate}, or null
+ *   if nothing the sitter sees changed
+ */
+function diffEvent(before, after) {
+  if (!before && !after) return null;
+
+  let action = "updated";
+  if (!before) {
+    action = "added";
+  } else if (!after) {
+    action = "removed";
+  } else if (["title", "startDate", "endDate", "placeID"]
+      .every((field) => sameValue(before[field], after[field]))) {
+    return null;
+  }
+
+  const event = after || before;
+  return {
+    field: "events",
+    action,
+    title: event.title || "",
+    startDate: toDate(event.startDate),
+  };
+}
+
+/**
+ * Adds an event change to the ones waiting to be sent, keyed by event ID, so
+ * the sitter hears about each event once, as it ended up: an event added and
+ * then removed before they were told isn't mentioned at all
+ * @param {Object|null} pending - Waiting changes by event ID, as stored
+ * @param {string} eventId - The changed event
+ * @param {Object} change - From diffEvent
+ * @param {number} now - The current time in milliseconds, to keep order
+ * @return {Object} The waiting changes, including this one
+ */
+function mergeEventChange(pending, eventId, change, now) {
+  const merged = {...(pending || {})};
+  const previous = merged[eventId];
+  let action = change.action;
+
+  if (previous && previous.action === "added") {
+    if (action === "removed") {
+      delete merged[eventId];
+      return merged;
+    }
+    action = "added";
+  } else if (previous && previous.action === "removed" && action === "added") {
+    action = "updated";
+  }
+
+  merged[eventId] = {
+    ...change,
+    action,
+    queuedAt: previous ? previous.queuedAt : now,
+  };
+  return merged;
+}
+
+/**
+ * Turns stored waiting event changes into the changes session_updated lists
+ * @param {Object|null} pending - Waiting changes by event ID, as stored
+ * @return {Array<Object>} Changes in the order they were first made
+ */
+function pendingEventChanges(pending) {
+  return Object.values(pending || {})
+      .sort((a, b) => a.queuedAt - b.queuedAt)
+      .map(({field, action, title, startDate}) =>
+        ({field, action, title, startDate: toDate(startDate)}));
+}
+
+/**
+ * Picks the session fields the sitter's sitterSessions copy keeps
+ * @param {Object} sessionData - The session
+ * @return {Object} The fields, with removed ones as null
+ */
+function sitterSessionMirror(sessionData) {
+  const mirror = {};
+  MIRRORED_FIELDS.forEach((field) => {
+    mirror[field] = sessionData[field] === undefined ?
+      null :
+      sessionData[field];
+  });
+  return mirror;
+}
+
+/**
+ * Tells whether an edit touched any field the sitterSessions copy keeps
+ * @param {Object} before - The session data before the edit
+ * @param {Object} after - The session data after the edit
+ * @return {boolean} Whether the copy needs updating
+ */
+function mirrorChanged(before, after) {
+  return MIRRORED_FIELDS.some((field) =>
+    !sameValue(before[field], after[field]));
+}
+
+module.exports = {
+  diffEvent,
+  diffSession,
+  mergeEventChange,
+  mirrorChanged,
+  pendingEventChanges,
+  sitterSessionMirror,
+};
@@ -0,0 +1,91 @@
+const {HttpsError} = require("firebase-functions/v2/https");
+const {toDate} = require("./dateFormat");
+
+// Mirrors SubscriptionService.SubscriptionTier on the iOS client
+const SubscriptionTier = {
+  FREE: "free",
+  PRO: "pro",
+};
+
+// Server-side features that need Pro, with the name shown when they're denied
+const ProFeature = {
+  unlimitedEntries: "Unlimited Entries",
+  multiDaySessions: "Multi-day Sessions",
+  sessionEvents: "Session Events",
+  nestReview: "Nest Review",
+  nestMembers: "Nest Members",
+  multipleNests: "Multiple Nests",
+};
+
+/**
+ * Reads a user's subscription tier from their profile. The tier is kept in
+ * `subscription: {tier, expiresAt}`; a tier past its expiry counts as free.
+ * @param {Object} profile - The user document data (optional)
+ * @param {Date} now - The time to evaluate the subscription at
+ * @return {string} A SubscriptionTier value
+ */
+function subscriptionTierOf(profile, now = new Date()) {
+  const subscription = (profile && profile.subscription) || {};
+  if (subscription.tier !== SubscriptionTier.PRO) {
+    return SubscriptionTier.FREE;
+  }
+
+  const expiresAt = toDate(subscription.expiresAt);
+  return expiresAt && expiresAt.getTime() <= now.getTime() ?
+    SubscriptionTier.FREE :
+    SubscriptionTier.PRO;
+}
+
+/**
+ * Tells whether a user has Pro
+ * @param {Object} profile - The user document data (optional)
+ * @param {Date} now - The time to evaluate the subscription at
+ * @return {boolean} Whether their subscription is an unexpired Pro one
+ */
+function hasPro(profile, now = new Date()) {
+  return subscriptionTierOf(profile, now) === SubscriptionTier.PRO;
+}
+
+/**
+ * Stops a Pro-only operation for a user without Pro, by throwing
+ * permission-denied with reason "pro-required" and the feature's key
+ * @param {Object} profile - The user document data (optional)
+ * @param {string} feature - A key of ProFeature
+ * @param {Date} now - The time to evaluate the subscription at
+ */
+function assertPro(profile, feature, now = new Date()) {
+  if (!ProFeature[feature]) {
+    throw new Error(`Unknown Pro feature: ${feature}`);
+  }
+  if (hasPro(profile, now)) return;
+
+  throw new HttpsError(
+      "permission-denied",
+      `${ProFeature[feature]} is a Pro feature`,
+      {reason: "pro-required", feature},
+  );
+}
+
+/**
+ * Loads a user's profile for a Pro-only operation, throwing like assertPro
+ * unless the subscription the RevenueCat webhook synced is Pro
+ * @param {FirebaseFirestore.Firestore} db - The Firestore instance
+ * @param {string} uid - The user's ID
+ * @param {string} feature - A key of ProFeature
+ * @return {Promise<Object>} The user's profile
+ */
+async function requirePro(db, uid, feature) {
+  const userDoc = await db.collection("users").doc(uid).get();
+  const profile = userDoc.exists ? userDoc.data() : null;
+  assertPro(profile, feature);
+  return profile;
+}
+
+module.exports = {
+  ProFeature,
+  SubscriptionTier,
+  assertPro,
+  hasPro,
+  requirePro,
+  subscriptionTierOf,
+};
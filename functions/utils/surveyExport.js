@@ -0,0 +1,313 @@
+const {HttpsError} = require("firebase-functions/v2/https");
+const {calculatePercentages} = require("./surveyMetrics");
+const {subscriptionTierOf} = require("./subscriptions");
+const {toDate} = require("./dateFormat");
+
+// What exportSurveyData can produce, via ?type=
+const EXPORT_TYPES = ["responses", "votes", "metrics", "crosstabs"];
+
+// Columns for each export type's CSV, in order
+const CSV_COLUMNS = {
+  responses: [
+    "responseId", "submittedAt", "surveyType", "version", "userId",
+    "userType", "subscriptionTier", "questionId", "answer",
+  ],
+  votes: [
+    "voteId", "submittedAt", "featureId", "vote", "userId", "userType",
+    "subscriptionTier", "comments",
+  ],
+  metrics: [
+    "kind", "subject", "questionId", "answer", "count", "total", "percentage",
+  ],
+  crosstabs: [
+    "kind", "subject", "questionId", "answer", "segment", "segmentValue",
+    "count", "total", "percentage",
+  ],
+};
+
+// The respondent attributes answers are cross-tabulated by
+const SEGMENTS = ["userType", "subscriptionTier"];
+
+/**
+ * Builds the error for a malformed export request
+ * @param {string} message - What was wrong
+ * @return {HttpsError} An invalid-argument error
+ */
+function invalidQuery(message) {
+  return new HttpsError("invalid-argument", message, {reason: "invalid-query"});
+}
+
+/**
+ * Parses one end of a date range. Bare dates cover the whole UTC day.
+ * @param {string} value - "YYYY-MM-DD" or an ISO timestamp
+ * @param {boolean} endOfDay - Whether a bare date means its last moment
+ * @return {Date|null} The instant, or null if not given
+ */
+function parseRangeEnd(value, endOfDay) {
+  if (value === undefined || value === "") return null;
+
+  const text = String(value);
+  const date = /^\d{4}-\d{2}-\d{2}$/.test(text) ?
+    new Date(`${text}T${endOfDay ? "23:59:59.999" : "00:00:00.000"}Z`) :
+    new Date(text);
+  if (isNaN(date.getTime())) {
+    throw invalidQuery(`"${text}" is not a valid date`);
+  }
+  return date;
+}
+
+/**
+ * Reads and checks an export request's query string
+ * @param {Object} query - The request's query parameters
+ * @return {Object} {type, format, from, to, surveyType, featureId}
+ */
+function parseExportQuery(query) {
+  const type = query.type || "responses";
+  const format = query.format || "json";
+
+  if (!EXPORT_TYPES.includes(type)) {
+    throw invalidQuery(`type must be one of ${EXPORT_TYPES.join(", ")}`);
+  }
+  if (format !== "json" && format !== "csv") {
+    throw invalidQuery("format must be json or csv");
+  }
+
+  const from = parseRangeEnd(query.from, false);
+  const to = parseRangeEnd(query.to, true);
+  if (from && to && from > to) {
+    throw invalidQuery("from must not be after to");
+  }
+
+  return {
+    type,
+    format,
+    from,
+    to,
+    surveyType: query.surveyType || null,
+    featureId: query.featureId || null,
+  };
+}
+
+/**
+ * Describes who submitted a response or vote
+ * @param {Object|undefined} profile - Their user document data
+ * @param {string|undefined} declaredRole - The role recorded on the document
+ * @param {Date} now - The time to read their subscription at
+ * @return {Object} {userType, subscriptionTier}
+ */
+function describeRespondent(profile, declaredRole, now) {
+  return {
+    userType: declaredRole || (profile && profile.primaryRole) || "unknown",
+    subscriptionTier: profile ? subscriptionTierOf(profile, now) : "unknown",
+  };
+}
+
+/**
+ * Flattens survey responses into one row per answer
+ * @param {Array<Object>} responses - Response data, each with its `id`
+ * @param {Map<string, Object>} respondents - describeRespondent results by
+ *   response ID
+ * @return {Array<Object>} Rows with CSV_COLUMNS.responses
+ */
+function buildResponseRows(responses, respondents) {
+  const rows = [];
+  responses.forEach((response) => {
+    const metadata = response.metadata || {};
+    const base = {
+      responseId: response.id,
+      submittedAt: toDate(response.timestamp),
+      surveyType: response.surveyType,
+      version: response.version || "",
+      userId: metadata.userId || "",
+      ...(respondents.get(response.id) ||
+        {userType: "unknown", subscriptionTier: "unknown"}),
+    };
+
+    (response.responses || []).forEach(({questionId, answers}) => {
+      (answers || []).forEach((answer) => {
+        rows.push({...base, questionId, answer});
+      });
+    });
+  });
+  return rows;
+}
+
+/**
+ * Turns feature votes into rows
+ * @param {Array<Object>} votes - Vote data, each with its `id`
+ * @param {Map<string, Object>} respondents - describeRespondent results by
+ *   vote ID
+ * @return {Array<Object>} Rows with CSV_COLUMNS.votes
+ */
+function buildVoteRows(votes, respondents) {
+  return votes.map((vote) => ({
+    voteId: vote.id,
+    submittedAt: toDate(vote.timestamp),
+    featureId: vote.featureId,
+    vote: vote.vote,
+    userId: vote.userId || "",
+    ...(respondents.get(vote.id) ||
+      {userType: "unknown", subscriptionTier: "unknown"}),
+    comments: vote.comments || "",
+  }));
+}
+
+/**
+ * Flattens stored metrics documents into rows
+ * @param {Object} surveyMetrics - Survey metrics keyed by survey type
+ * @param {Object} featureMetrics - Feature metrics keyed by feature ID
+ * @return {Array<Object>} Rows with CSV_COLUMNS.metrics
+ */
+function buildMetricsRows(surveyMetrics, featureMetrics) {
+  const rows = [];
+
+  Object.entries(surveyMetrics).forEach(([surveyType, metrics]) => {
+    const questions = metrics.questionMetrics || {};
+    Object.entries(questions).forEach(([questionId, question]) => {
+      const distribution = question.answerDistribution || {};
+      const percentages = question.percentages || {};
+      Object.entries(distribution).forEach(([answer, count]) => {
+        rows.push({
+          kind: "survey",
+          subject: surveyType,
+          questionId,
+          answer,
+          count,
+          total: question.totalResponses,
+          percentage: percentages[answer],
+        });
+      });
+    });
+  });
+
+  Object.entries(featureMetrics).forEach(([featureId, metrics]) => {
+    const total = (metrics.votesFor || 0) + (metrics.votesAgainst || 0);
+    [["for", metrics.votesFor || 0], ["against", metrics.votesAgainst || 0]]
+        .forEach(([answer, count]) => {
+          rows.push({
+            kind: "feature",
+            subject: featureId,
+            questionId: "",
+            answer,
+            count,
+            total,
+            percentage: total > 0 ? (count / total) * 100 : 0,
+          });
+        });
+  });
+
+  return rows;
+}
+
+/**
+ * Cross-tabulates answers by each respondent segment. Percentages are out of
+ * the respondents in that segment who answered the question (or voted on the
+ * feature), so segments of different sizes compare directly.
+ * @param {Array<Object>} responseRows - From buildResponseRows
+ * @param {Array<Object>} voteRows - From buildVoteRows
+ * @return {Array<Object>} Rows with CSV_COLUMNS.crosstabs
+ */
+function buildCrossTabs(responseRows, voteRows) {
+  const rows = [];
+
+  SEGMENTS.forEach((segment) => {
+    // key -> {distribution, respondents} for each question and segment value
+    const cells = new Map();
+    const cellFor = (key, info) => {
+      if (!cells.has(key)) {
+        cells.set(key, {...info, distribution: {}, respondents: new Set()});
+      }
+      return cells.get(key);
+    };
+
+    responseRows.forEach((row) => {
+      const key = ["survey", row.surveyType, row.questionId, row[segment]];
+      const cell = cellFor(
+          JSON.stringify(key),
+          {
+            kind: "survey",
+            subject: row.surveyType,
+            questionId: row.questionId,
+            segmentValue: row[segment],
+          });
+      cell.distribution[row.answer] = (cell.distribution[row.answer] || 0) + 1;
+      cell.respondents.add(row.responseId);
+    });
+
+    voteRows.forEach((row) => {
+      const cell = cellFor(
+          JSON.stringify(["feature", row.featureId, row[segment]]),
+          {
+            kind: "feature",
+            subject: row.featureId,
+            questionId: "",
+            segmentValue: row[segment],
+          });
+      const answer = row.vote === "for" ? "for" : "against";
+      cell.distribution[answer] = (cell.distribution[answer] || 0) + 1;
+      cell.respondents.add(row.voteId);
+    });
+
+    cells.forEach((cell) => {
+      const total = cell.respondents.size;
+      const percentages = calculatePercentages(cell.distribution, total);
+      Object.entries(cell.distribution).forEach(([answer, count]) => {
+        rows.push({
+          kind: cell.kind,
+          subject: cell.subject,
+          questionId: cell.questionId,
+          answer,
+          segment,
+          segmentValue: cell.segmentValue,
+          count,
+          total,
+          percentage: percentages[answer],
+        });
+      });
+    });
+  });
+
+  return rows;
+}
+
+/**
+ * Formats one CSV cell. Cells that a spreadsheet would run as a formula are
+ * prefixed with a quote so an answer like "=HYPERLINK(...)" stays text.
+ * @param {*} value - The cell value
+ * @return {string} The escaped cell
+ */
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (/^[=+\-@\t\r]/.test(text) && typeof value !== "number") {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, "\"\"")}"` : text;
+}
+
+/**
+ * Renders rows as CSV with a header line
+ * @param {Array<Object>} rows - The rows
+ * @param {Array<string>} columns - The columns to write, in order
+ * @return {string} The CSV document
+ */
+function toCsv(rows, columns) {
+  const lines = [columns.join(",")];
+  rows.forEach((row) => {
+    lines.push(columns.map((column) => csvCell(row[column])).join(","));
+  });
+  return lines.join("\r\n") + "\r\n";
+}
+
+module.exports = {
+  CSV_COLUMNS,
+  EXPORT_TYPES,
+  buildCrossTabs,
+  buildMetricsRows,
+  buildResponseRows,
+  buildVoteRows,
+  describeRespondent,
+  parseExportQuery,
+  toCsv,
+};
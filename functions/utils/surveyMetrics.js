@@ -0,0 +1,203 @@
+/**
+ * Survey and feature-vote aggregation.
+ *
+ * Every response or vote is reduced to a "contribution": what it adds to one
+ * metrics document. Triggers remember the contribution they last counted for
+ * each source document (in a ledger next to the metrics), so an update
+ * subtracts the old contribution and adds the new one, a deletion subtracts
+ * it, and a retried event finds nothing left to do.
+ */
+
+/**
+ * Checks that a value can be used as a Firestore document ID
+ * @param {*} value - The candidate ID
+ * @return {boolean} Whether it is a non-empty string without slashes
+ */
+function isDocumentId(value) {
+  return typeof value === "string" && value.length > 0 &&
+    !value.includes("/") && value !== "." && value !== "..";
+}
+
+/**
+ * Helper function to calculate percentages for answer distributions
+ * @param {Object} distribution - The distribution of answers
+ * @param {number} total - The total number of responses
+ * @return {Object} The calculated percentages
+ */
+function calculatePercentages(distribution, total) {
+  return Object.entries(distribution).reduce((acc, [key, count]) => {
+    acc[key] = total > 0 ? (count / total) * 100 : 0;
+    return acc;
+  }, {});
+}
+
+/**
+ * Works out what a survey response adds to its survey's metrics
+ * @param {Object} response - The response document data
+ * @return {Object|null} {metricId, questions: {questionId: {responses,
+ *   answers: {answer: count}}}}, or null if it can't be counted
+ */
+function surveyResponseContribution(response) {
+  if (!response || !isDocumentId(response.surveyType) ||
+      !Array.isArray(response.responses)) {
+    return null;
+  }
+
+  const questions = {};
+  response.responses.forEach(({questionId, answers} = {}) => {
+    if (typeof questionId !== "string" || !questionId) return;
+
+    const question = questions[questionId] ||
+      (questions[questionId] = {responses: 0, answers: {}});
+    question.responses += 1;
+    (Array.isArray(answers) ? answers : []).forEach((answer) => {
+      // Firestore can't store a map key that is empty
+      const key = String(answer);
+      if (!key) return;
+      question.answers[key] = (question.answers[key] || 0) + 1;
+    });
+  });
+
+  return {metricId: response.surveyType, questions};
+}
+
+/**
+ * Works out what a feature vote adds to its feature's metrics
+ * @param {Object} vote - The vote document data
+ * @return {Object|null} {metricId, votesFor, votesAgainst}, or null if it
+ *   can't be counted
+ */
+function featureVoteContribution(vote) {
+  if (!vote || !isDocumentId(vote.featureId)) return null;
+
+  const isFor = vote.vote === "for";
+  return {
+    metricId: vote.featureId,
+    votesFor: isFor ? 1 : 0,
+    votesAgainst: isFor ? 0 : 1,
+  };
+}
+
+/**
+ * An empty survey metrics document
+ * @return {Object} The metrics, without lastUpdated
+ */
+function emptySurveyMetrics() {
+  return {totalResponses: 0, questionMetrics: {}};
+}
+
+/**
+ * An empty feature metrics document
+ * @return {Object} The metrics, without lastUpdated
+ */
+function emptyVoteMetrics() {
+  return {votesFor: 0, votesAgainst: 0, votePercentage: 0};
+}
+
+/**
+ * Adds (sign 1) or removes (sign -1) a response's contribution. Counts never
+ * go below zero, and answers and questions left with no responses are
+ * dropped, so a removal fully undoes the matching addition.
+ * @param {Object} metrics - The survey metrics, updated in place
+ * @param {Object} contribution - From surveyResponseContribution
+ * @param {number} sign - 1 to add, -1 to remove
+ * @return {Object} The same metrics
+ */
+function applySurveyContribution(metrics, contribution, sign) {
+  metrics.totalResponses = Math.max(0, (metrics.totalResponses || 0) + sign);
+  metrics.questionMetrics = metrics.questionMetrics || {};
+
+  Object.entries(contribution.questions).forEach(([questionId, question]) => {
+    const current = metrics.questionMetrics[questionId] ||
+      {totalResponses: 0, answerDistribution: {}, percentages: {}};
+    const distribution = {...current.answerDistribution};
+
+    Object.entries(question.answers).forEach(([answer, count]) => {
+      const next = (distribution[answer] || 0) + sign * count;
+      if (next > 0) {
+        distribution[answer] = next;
+      } else {
+        delete distribution[answer];
+      }
+    });
+
+    const totalResponses = Math.max(
+        0, (current.totalResponses || 0) + sign * question.responses);
+    if (totalResponses === 0) {
+      delete metrics.questionMetrics[questionId];
+      return;
+    }
+
+    metrics.questionMetrics[questionId] = {
+      totalResponses,
+      answerDistribution: distribution,
+      percentages: calculatePercentages(distribution, totalResponses),
+    };
+  });
+
+  return metrics;
+}
+
+/**
+ * Adds (sign 1) or removes (sign -1) a vote's contribution
+ * @param {Object} metrics - The feature metrics, updated in place
+ * @param {Object} contribution - From featureVoteContribution
+ * @param {number} sign - 1 to add, -1 to remove
+ * @return {Object} The same metrics
+ */
+function applyVoteContribution(metrics, contribution, sign) {
+  metrics.votesFor = Math.max(
+      0, (metrics.votesFor || 0) + sign * contribution.votesFor);
+  metrics.votesAgainst = Math.max(
+      0, (metrics.votesAgainst || 0) + sign * contribution.votesAgainst);
+
+  const totalVotes = metrics.votesFor + metrics.votesAgainst;
+  metrics.votePercentage = totalVotes > 0 ?
+    (metrics.votesFor / totalVotes) * 100 :
+    0;
+  return metrics;
+}
+
+// How each kind of source document is aggregated
+const MetricKinds = {
+  surveyResponses: {
+    sourceCollection: "responses",
+    contributionOf: surveyResponseContribution,
+    empty: emptySurveyMetrics,
+    apply: applySurveyContribution,
+  },
+  featureVotes: {
+    sourceCollection: "votes",
+    contributionOf: featureVoteContribution,
+    empty: emptyVoteMetrics,
+    apply: applyVoteContribution,
+  },
+};
+
+/**
+ * Builds metrics documents from scratch out of a set of contributions
+ * @param {Object} kind - An entry of MetricKinds
+ * @param {Array<Object>} contributions - Contributions, nulls ignored
+ * @return {Map<string, Object>} Metrics keyed by metric ID
+ */
+function foldContributions(kind, contributions) {
+  const metricsById = new Map();
+  contributions.forEach((contribution) => {
+    if (!contribution) return;
+    if (!metricsById.has(contribution.metricId)) {
+      metricsById.set(contribution.metricId, kind.empty());
+    }
+    kind.apply(metricsById.get(contribution.metricId), contribution, 1);
+  });
+  return metricsById;
+}
+
+module.exports = {
+  MetricKinds,
+  applySurveyContribution,
+  applyVoteContribution,
+  calculatePercentages,
+  featureVoteContribution,
+  foldContributions,
+  surveyResponseContribution,
+};
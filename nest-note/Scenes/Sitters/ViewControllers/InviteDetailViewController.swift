@@ -557,30 +557,16 @@ class InviteDetailViewController: NNViewController {
         // Create Functions instance after token refresh - explicitly set region
         let functions = Functions.functions(region: "us-central1")
         
-        // Create invite link with new format
-        let inviteLink = "https://nestnoteapp.com/invite?code=\(inviteCode)"
-        
-        // Get session details and nest info for the email
+        // The server builds the email from the session and its invite
         guard let currentNest = NestService.shared.currentNest else {
             Logger.log(level: .error, category: .sessionService, message: "No current nest found for email invite")
             return
         }
         
         do {
-            let session = try await SessionService.shared.getSession(nestID: currentNest.id, sessionID: sessionID)
-            guard let session = session else {
-                Logger.log(level: .error, category: .sessionService, message: "Session not found for email invite")
-                return
-            }
-            
             let emailData: [String: Any] = [
-                "sitterEmail": sitter.email,
-                "sitterName": sitter.name,
-                "sessionData": [
-                    "title": session.title
-                ],
-                "nestName": currentNest.name,
-                "inviteLink": inviteLink
+                "nestID": currentNest.id,
+                "sessionID": sessionID
             ]
             
             Logger.log(level: .info, category: .sessionService, message: "About to call sendSessionInviteEmail with data: \(emailData)")
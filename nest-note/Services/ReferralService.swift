@@ -1,11 +1,13 @@
 import Foundation
 import FirebaseFirestore
+import FirebaseFunctions
 
 final class ReferralService {
     
     // MARK: - Properties
     static let shared = ReferralService()
     private let db = Firestore.firestore()
+    private let functions = Functions.functions(region: "us-central1")
     
     // Collections
     private let referralsCollection = "referrals"
@@ -55,97 +57,42 @@ final class ReferralService {
     }
     
     // MARK: - Referral Attribution
-    /// Records a referral for a new user signup
+    /// Records a referral for a new user signup through the `recordReferral`
+    /// callable, which writes the referral and its summary counters together
     /// - Parameters:
     ///   - referralCode: The referral code entered by the user
-    ///   - userId: The Firebase user ID of the new user
+    ///   - userId: The Firebase user ID of the new user (must be signed in)
     ///   - userEmail: The email of the new user
     ///   - userRole: The role selected by the user ("nester" or "sitter")
     /// - Throws: Error if the referral cannot be recorded
     func recordReferral(referralCode: String, for userId: String, email: String, role: String) async throws {
-        guard let validReferralCode = try await validateReferralCode(referralCode) else {
+        guard let cleanCode = validateReferralCodeFormat(referralCode) else {
             throw ReferralError.invalidCode
         }
         
-        // Create referral record
-        let referral = Referral(
-            referralCode: validReferralCode,
-            referredUserId: userId,
-            referredUserEmail: email,
-            userRole: role
-        )
-        
-        // Save to Firestore
-        try await saveReferral(referral)
-        
-        // Update referral summary
-        try await updateReferralSummary(for: validReferralCode)
+        do {
+            _ = try await functions.httpsCallable("recordReferral").call([
+                "referralCode": cleanCode,
+                "role": role
+            ])
+        } catch let error as NSError where error.domain == FunctionsErrorDomain {
+            switch FunctionsErrorCode(rawValue: error.code) {
+            case .alreadyExists:
+                throw ReferralError.duplicateReferral
+            case .notFound, .invalidArgument, .failedPrecondition:
+                throw ReferralError.invalidCode
+            default:
+                throw ReferralError.networkError
+            }
+        }
         
         // Track analytics
-        trackReferralEvent(referral)
+        Tracker.shared.track(.referralRecorded)
         
-        Logger.log(level: .info, category: .referral, message: "Recorded referral for code: \(validReferralCode), user: \(userId)")
+        Logger.log(level: .info, category: .referral, message: "Recorded referral for code: \(cleanCode), user: \(userId)")
     }
     
     // MARK: - Private Methods
-    private func saveReferral(_ referral: Referral) async throws {
-        let referralData = try Firestore.Encoder().encode(referral)
-        try await db.collection(referralsCollection).document(referral.id).setData(referralData)
-    }
-    
-    private func updateReferralSummary(for referralCode: String) async throws {
-        let summaryRef = db.collection(referralSummariesCollection).document(referralCode)
-        
-        try await db.runTransaction { (transaction, errorPointer) -> Any? in
-            let summarySnapshot: DocumentSnapshot
-            do {
-                summarySnapshot = try transaction.getDocument(summaryRef)
-            } catch let fetchError as NSError {
-                errorPointer?.pointee = fetchError
-                return nil
-            }
-            
-            var summary: ReferralSummary
-            if summarySnapshot.exists {
-                do {
-                    summary = try summarySnapshot.data(as: ReferralSummary.self)
-                } catch {
-                    summary = ReferralSummary(referralCode: referralCode)
-                }
-            } else {
-                summary = ReferralSummary(referralCode: referralCode)
-            }
-            
-            // Update totals
-            let currentMonth = self.currentMonthKey()
-            let newTotalReferrals = summary.totalReferrals + 1
-            var newMonthlyReferrals = summary.monthlyReferrals
-            newMonthlyReferrals[currentMonth] = (newMonthlyReferrals[currentMonth] ?? 0) + 1
-            
-            let updatedSummary = ReferralSummary(
-                referralCode: summary.referralCode,
-                totalReferrals: newTotalReferrals,
-                monthlyReferrals: newMonthlyReferrals,
-                lastUpdated: Date()
-            )
-            
-            do {
-                let summaryData = try Firestore.Encoder().encode(updatedSummary)
-                transaction.setData(summaryData, forDocument: summaryRef)
-            } catch let encodeError as NSError {
-                errorPointer?.pointee = encodeError
-                return nil
-            }
-            
-            return nil
-        }
-    }
-    
-    private func trackReferralEvent(_ referral: Referral) {
-        Tracker.shared.track(.referralRecorded)
-        Logger.log(level: .info, category: .referral, message: "Tracked referral event for code: \(referral.referralCode)")
-    }
-    
     private func currentMonthKey() -> String {
         let formatter = DateFormatter()
         formatter.dateFormat = "yyyy-MM"